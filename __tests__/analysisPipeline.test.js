@@ -0,0 +1,599 @@
+/**
+ * Analysis Pipeline Tests
+ *
+ * This file contains tests for the DOM-free analysis pipeline shared by the page and Node scripts.
+ * It verifies deduplication, field mapping, swap rate matching, premium banding and aggregation.
+ */
+
+const {
+  deduplicateRecords,
+  mapFieldNames,
+  normalizeSwapRates,
+  validateData,
+  isRightToBuy,
+  normalizeProductTerm,
+  findMatchingSwapRate,
+  readEsisRate,
+  calculatePremiumOverSwap,
+  assignPremiumBand,
+  rebandRecords,
+  enrichEsisData,
+  aggregateByPremiumBandAndMonth,
+  createSwapRateTracking,
+  runPipeline,
+  EXCLUSION_REASONS
+} = require('../src/utils/analysisPipeline');
+const { createBandScheme } = require('../src/utils/premiumBands');
+const { toDecimal } = require('../src/utils/rateUnits');
+const { generateMockEsisData } = require('../src/utils/mockEsisData');
+const { generateMockSwapRateData } = require('../src/utils/mockSwapRateData');
+
+describe('Analysis Pipeline', () => {
+  const swapRows = [
+    { effective_at: '2023-01-02', product_term_in_months: 24, rate: 0.04 },
+    { effective_at: '2023-01-09', product_term_in_months: 24, rate: 0.041 },
+    { effective_at: '2023-01-02', product_term_in_months: 60, rate: 0.035 },
+    { effective_at: '2023-01-09', product_term_in_months: 60, rate: 0.036 }
+  ];
+
+  const esisRows = [
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Rate: 5.0, TieInPeriod: 24, Loan: 200000, LTV: 75 },
+    { Provider: 'Lender B', DocumentDate: '2023-01-10', Rate: 4.5, TieInPeriod: 60, Loan: 300000, LTV: 0.85 },
+    { Provider: 'Lender B', DocumentDate: '2023-01-10', Rate: 4.5, TieInPeriod: 60, Loan: 300000, LTV: 0.85 },
+    { Provider: 'Lender C', DocumentDate: '2023-01-06', Rate: 4.0, TieInPeriod: 36, Loan: 150000 },
+    { Provider: 'Lender D', DocumentDate: '2023-01-06', Rate: 4.0, TieInPeriod: 24, Loan: 100000, ProductType: 'Right to Buy' }
+  ];
+
+  describe('deduplicateRecords', () => {
+    test('should drop records with the same composite key', () => {
+      const result = deduplicateRecords(esisRows);
+      expect(result.records).toHaveLength(4);
+      expect(result.duplicates).toHaveLength(1);
+    });
+
+    test('should prefer the id field when present', () => {
+      const result = deduplicateRecords([{ id: 1, Loan: 1 }, { id: 1, Loan: 2 }, { id: 2, Loan: 1 }]);
+      expect(result.records).toHaveLength(2);
+    });
+  });
+
+  describe('mapFieldNames', () => {
+    test('should standardize dates, lenders, LTV and numbers', () => {
+      const { records, ltvStats } = mapFieldNames([
+        { BaseLender: ' Lender A ', DocumentDate: '2023-02-15', Rate: '4.5', Loan: '1000', LTV: 0.9 },
+        { Provider: 'Lender B', Timestamp: '2023-03-01', InitialRate: 3.9, Loan: 2000, LTV: 70 }
+      ]);
+
+      expect(records[0].Provider).toBe('Lender A');
+      expect(records[0].BaseLender).toBe('Lender A');
+      expect(records[0].DocumentDate).toBeInstanceOf(Date);
+      expect(records[0].Month).toBe('2023-02');
+      expect(records[0].Day).toBe('2023-02-15');
+      expect(records[0].StandardizedLTV).toBeCloseTo(90);
+      expect(records[0].InitialRate).toBe(4.5);
+      expect(records[0].Loan).toBe(1000);
+      expect(records[1].Month).toBe('2023-03');
+      expect(ltvStats.recordsWithLTV).toBe(2);
+      expect(ltvStats.above80Percent).toBe(50);
+    });
+
+    test('should leave undated records without a date instead of defaulting to now', () => {
+      const { records, ltvStats } = mapFieldNames([{ Provider: 'Lender A', Loan: 1000 }]);
+      expect(records[0].DocumentDate).toBeNull();
+      expect(records[0].Month).toBeNull();
+      expect(records[0].Day).toBeNull();
+      expect(ltvStats).toBeNull();
+    });
+
+    test('should read InitialRate from the same column as the rate, keeping a zero rate', () => {
+      const { records } = mapFieldNames([
+        { Provider: 'Lender A', DocumentDate: '2023-02-15', Rate: 4.5, InitialRate: 3.9, Loan: 1000 },
+        { Provider: 'Lender A', DocumentDate: '2023-02-15', Rate: 0, InitialRate: 3.9, Loan: 1000 }
+      ]);
+      expect(records[0].InitialRate).toBe(4.5);
+      expect(records[1].InitialRate).toBe(0);
+    });
+
+    test('should detect units per lender when the file mixes them', () => {
+      const { records, units } = mapFieldNames([
+        { Provider: 'Lender A', Rate: 4.5, LTV: 0.9 },
+        { Provider: 'Lender A', Rate: 5.1, LTV: 0.6 },
+        { Provider: 'Lender B', Rate: 0.039, LTV: 70 }
+      ]);
+
+      expect(records.map(r => [r.RateUnit, r.RateUnitSource, r.StandardizedLTV])).toEqual([
+        ['percent', 'lender', 90],
+        ['percent', 'lender', 60],
+        ['decimal', 'lender', 70]
+      ]);
+      expect(units.Rate).toMatchObject({ unit: null, mixed: true, ambiguous: 0 });
+      expect(units.Rate.lenders.map(row => [row.lender, row.unit, row.records])).toEqual([
+        ['Lender A', 'percent', 2],
+        ['Lender B', 'decimal', 1]
+      ]);
+    });
+
+    test('should flag values implausible in their unit instead of rescaling them', () => {
+      const { records, ltvStats, units } = mapFieldNames([
+        { Provider: 'Lender A', Rate: 4.5, LTV: 75 },
+        { Provider: 'Lender A', Rate: 45, LTV: 750 },
+        { Provider: 'Lender A', Rate: 0.45, LTV: 80 }
+      ]);
+
+      expect(records.map(r => r.RateUnitAmbiguous)).toEqual([false, true, true]);
+      expect(records[1].LTVUnitAmbiguous).toBe(true);
+      expect(records[1].StandardizedLTV).toBeUndefined();
+      expect(ltvStats).toMatchObject({ recordsWithLTV: 2, recordsAmbiguousLTV: 1 });
+      expect(units.Rate.ambiguous).toBe(2);
+    });
+
+    test('should apply unit overrides for a lender or every lender', () => {
+      const rows = [
+        { Provider: 'Nationwide Building Society', Rate: 0.45, LTV: 0.75 },
+        { Provider: 'Lender B', Rate: 4.2, LTV: 60 }
+      ];
+      const { records } = mapFieldNames(rows, {
+        unitOverrides: [
+          { source: 'nationwide building society', column: 'Rate', unit: 'tens-of-percent' },
+          { source: '*', column: 'LTV', unit: 'percent' }
+        ]
+      });
+
+      expect(records.map(r => [r.RateUnit, r.RateUnitSource, r.RateUnitAmbiguous])).toEqual([
+        ['tens-of-percent', 'override', false],
+        ['percent', 'column', false]
+      ]);
+      expect(records[0].LTVUnitAmbiguous).toBe(true);
+      expect(records[1].StandardizedLTV).toBe(60);
+      expect(() => mapFieldNames(rows, { unitOverrides: [{ source: '*', column: 'Rate', unit: 'permille' }] }))
+        .toThrow('Unknown unit: permille');
+    });
+
+    test('should be idempotent', () => {
+      const once = mapFieldNames(esisRows).records;
+      const twice = mapFieldNames(once).records;
+      expect(twice).toEqual(once);
+    });
+  });
+
+  describe('normalizeSwapRates', () => {
+    test('should normalize CSV and XLSX layouts', () => {
+      const rates = normalizeSwapRates([
+        { effective_at: '2023-01-02', product_term_in_months: '24', rate: '0.04' },
+        { Date: 44928, TieInPeriod: 60, Rate: 0.035 }
+      ]);
+
+      expect(rates).toHaveLength(2);
+      expect(rates[0].effective_at).toBeInstanceOf(Date);
+      expect(rates[0].product_term_in_months).toBe(24);
+      expect(rates[0].rate).toBe(0.04);
+      expect(rates[1].effective_at.toISOString().substring(0, 10)).toBe('2023-01-02');
+      expect(rates[1].product_term_in_months).toBe(60);
+    });
+
+    test('should drop rows without a valid date, term or rate', () => {
+      expect(normalizeSwapRates([
+        { effective_at: 'not a date', product_term_in_months: 24, rate: 0.04 },
+        { effective_at: '2023-01-02', rate: 0.04 },
+        { effective_at: '2023-01-02', product_term_in_months: 24 }
+      ])).toHaveLength(0);
+    });
+  });
+
+  describe('validateData', () => {
+    test('should throw on empty inputs', () => {
+      expect(() => validateData([], [{}])).toThrow('ESIS data is empty or invalid');
+      expect(() => validateData([{}], [])).toThrow('Swap Rates data is empty or invalid');
+    });
+
+    test('should warn about missing recommended fields', () => {
+      const warnings = validateData([{ Provider: 'A', Rate: 4 }], [{}]);
+      expect(warnings).toEqual([
+        'ESIS data is missing recommended field: DocumentDate',
+        'ESIS data is missing recommended field: TieInPeriod',
+        'ESIS data is missing recommended field: Loan'
+      ]);
+    });
+
+    test('should accept any known spelling of a field', () => {
+      const record = { BaseLender: 'A', Timestamp: '2023-01-01', InitialRate: 4, TieInPeriod: 24, Loan: 1 };
+      expect(validateData([record], [{}])).toEqual([]);
+    });
+  });
+
+  describe('isRightToBuy', () => {
+    test('should detect Right to Buy in any descriptive field', () => {
+      expect(isRightToBuy({ ProductType: 'Right to Buy' })).toBe(true);
+      expect(isRightToBuy({ PurchaseType: 'RTB' })).toBe(true);
+      expect(isRightToBuy({ Product_Description: 'right to buy 2yr fix' })).toBe(true);
+      expect(isRightToBuy({ ProductType: 'Fixed' })).toBe(false);
+    });
+  });
+
+  describe('normalizeProductTerm', () => {
+    test('should snap tie-ins up to 3 months past a whole year to that year', () => {
+      expect(normalizeProductTerm(24)).toBe(24);
+      expect(normalizeProductTerm('27')).toBe(24);
+      expect(normalizeProductTerm(63)).toBe(60);
+      expect(normalizeProductTerm(38)).toBe(36);
+      expect(normalizeProductTerm(121)).toBe(120);
+    });
+
+    test('should keep other tie-ins and reject missing ones', () => {
+      expect(normalizeProductTerm(30)).toBe(30);
+      expect(normalizeProductTerm(6)).toBe(6);
+      expect(normalizeProductTerm(0)).toBeNull();
+      expect(normalizeProductTerm(undefined)).toBeNull();
+    });
+  });
+
+  describe('findMatchingSwapRate', () => {
+    const swapRates = normalizeSwapRates(swapRows);
+
+    test('should use the latest preceding swap rate for the term', () => {
+      const match = findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, swapRates);
+      expect(match.rate).toBe(0.041);
+      expect(match.tenors).toEqual([24]);
+      expect(match.method).toBe('exact');
+    });
+
+    test('should interpolate terms between the available tenors', () => {
+      const tracking = createSwapRateTracking();
+      const match = findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 36 }, swapRates, tracking);
+      expect(match.rate).toBeCloseTo(0.041 - 0.005 / 3, 10);
+      expect(match.tenors).toEqual([24, 60]);
+      expect(match.method).toBe('linear');
+      expect(match.effective_at).toEqual(new Date('2023-01-09'));
+      expect(tracking.methodCounts).toEqual({ linear: 1 });
+    });
+
+    test('should exclude terms beyond the longest tenor unless extrapolating', () => {
+      const tracking = createSwapRateTracking();
+      const record = { DocumentDate: new Date('2023-01-10'), TieInPeriod: 120, Loan: 5000 };
+      expect(findMatchingSwapRate(record, swapRates, tracking)).toBeNull();
+      expect(tracking).toMatchObject({ outsideCurveRecords: 1, outsideCurveLoanAmount: 5000, excludedRecords: 0 });
+
+      const match = findMatchingSwapRate(record, swapRates, undefined, { interpolation: 'monotone-cubic', extrapolate: true });
+      expect(match.rate).toBe(0.036);
+      expect(match.tenors).toEqual([60]);
+      expect(match.method).toBe('flat');
+    });
+
+    test('should normalize the term and return null without one', () => {
+      const match = findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: '27' }, swapRates);
+      expect(match).toMatchObject({ product_term_in_months: 24, method: 'exact' });
+
+      const tracking = createSwapRateTracking();
+      expect(findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), Loan: 5000 }, swapRates, tracking)).toBeNull();
+      expect(tracking).toMatchObject({ unknownTermRecords: 1, unknownTermLoanAmount: 5000 });
+    });
+
+    test('should accept the first rate within the tolerance window', () => {
+      const match = findMatchingSwapRate({ DocumentDate: new Date('2022-12-30'), TieInPeriod: 60 }, swapRates);
+      expect(match.rate).toBe(0.035);
+    });
+
+    test('should track records outside the tolerance window', () => {
+      const tracking = createSwapRateTracking();
+      const match = findMatchingSwapRate({ DocumentDate: new Date('2022-11-01'), TieInPeriod: 24, Loan: 5000 }, swapRates, tracking);
+      expect(match).toBeNull();
+      expect(tracking.excludedRecords).toBe(1);
+      expect(tracking.excludedLoanAmount).toBe(5000);
+      expect(tracking.missingDateRanges).toEqual({ '2022-11': 1 });
+    });
+
+    test('should return null without a document date or swap rates', () => {
+      expect(findMatchingSwapRate({ TieInPeriod: 24 }, swapRates)).toBeNull();
+      expect(findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, [])).toBeNull();
+    });
+
+    test('should apply the matching policy and report the fixing used', () => {
+      const latest = findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, swapRates);
+      expect(latest).toMatchObject({ policy: 'latest', lagDays: 1 });
+
+      const lagged = findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, swapRates, undefined, {
+        matchingPolicy: { name: 'lagged', lagDays: 7 }
+      });
+      expect(lagged).toMatchObject({ rate: 0.04, policy: 'lagged', lagDays: 8 });
+      expect(lagged.effective_at).toEqual(new Date('2023-01-02'));
+
+      const tracking = createSwapRateTracking();
+      expect(findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, swapRates, tracking, {
+        matchingPolicy: 'same-day'
+      })).toBeNull();
+      expect(tracking.excludedRecords).toBe(1);
+    });
+
+    test('should not mutate the swap rates array', () => {
+      const reversed = [...swapRates].reverse();
+      const snapshot = [...reversed];
+      findMatchingSwapRate({ DocumentDate: new Date('2023-01-10'), TieInPeriod: 24 }, reversed);
+      expect(reversed).toEqual(snapshot);
+    });
+  });
+
+  describe('readEsisRate', () => {
+    test('should read the rate as a decimal in the unit resolved for the record', () => {
+      expect(readEsisRate({ Rate: 4.5 })).toBeCloseTo(0.045);
+      expect(readEsisRate({ InitialRate: 450, RateUnit: 'basis-points' })).toBeCloseTo(0.045);
+      expect(readEsisRate({ Rate: 45, RateUnit: 'percent' })).toBeNull();
+      expect(readEsisRate({})).toBeNull();
+    });
+  });
+
+  describe('calculatePremiumOverSwap', () => {
+    test('should return the premium in basis points', () => {
+      expect(calculatePremiumOverSwap({ Rate: 5.0 }, { rate: 0.04 })).toBe(100);
+      expect(calculatePremiumOverSwap({ Rate: '4.5%' }, { rate: '0.04' })).toBe(50);
+      expect(calculatePremiumOverSwap({ InitialRate: 0.045 }, { rate: 0.04 })).toBe(50);
+      expect(calculatePremiumOverSwap({ Rate: 1.5 }, { rate: 0.025 })).toBe(-100);
+    });
+
+    test('should return null when the premium cannot be calculated', () => {
+      expect(calculatePremiumOverSwap({ Rate: 5.0 }, null)).toBeNull();
+      expect(calculatePremiumOverSwap({}, { rate: 0.04 })).toBeNull();
+      expect(calculatePremiumOverSwap({ Rate: 'n/a' }, { rate: 0.04 })).toBeNull();
+    });
+
+    test('should read the rate in the unit resolved for the record', () => {
+      expect(calculatePremiumOverSwap({ Rate: 0.45, RateUnit: 'tens-of-percent' }, { rate: 0.04 })).toBe(50);
+      expect(calculatePremiumOverSwap({ Rate: 450, RateUnit: 'basis-points' }, { rate: 0.04 })).toBe(50);
+      expect(calculatePremiumOverSwap({ Rate: 45, RateUnit: 'percent' }, { rate: 0.04 })).toBeNull();
+      expect(calculatePremiumOverSwap({ Rate: 0.45, RateUnit: null }, { rate: 0.04 })).toBeNull();
+    });
+  });
+
+  describe('assignPremiumBand', () => {
+    test('should floor premiums to 20bps bands', () => {
+      expect(assignPremiumBand(0)).toBe('0-20');
+      expect(assignPremiumBand(119)).toBe('100-120');
+      expect(assignPremiumBand(-5)).toBe('-20-0');
+    });
+
+    test('should clamp extreme premiums and handle missing values', () => {
+      expect(assignPremiumBand(-500)).toBe('-60--40');
+      expect(assignPremiumBand(900)).toBe('560-580');
+      expect(assignPremiumBand(null)).toBe('Unknown');
+    });
+
+    test('should use the given band scheme', () => {
+      const scheme = createBandScheme({ type: 'breakpoints', breakpoints: [0, 50, 100], openBottom: true, openTop: true });
+      expect(assignPremiumBand(-5, scheme)).toBe('<0');
+      expect(assignPremiumBand(75, scheme)).toBe('50-100');
+      expect(assignPremiumBand(250, scheme)).toBe('100+');
+    });
+  });
+
+  describe('rebandRecords', () => {
+    test('should relabel records from their premium without mutating them', () => {
+      const records = [{ PremiumOverSwap: 35, PremiumBand: '20-40' }, { PremiumOverSwap: null, PremiumBand: 'Unknown' }];
+      const result = rebandRecords(records, createBandScheme({ type: 'fixed', width: 50, min: 0, max: 500 }));
+
+      expect(result.map(r => r.PremiumBand)).toEqual(['0-50', 'Unknown']);
+      expect(records[0].PremiumBand).toBe('20-40');
+    });
+  });
+
+  describe('enrichEsisData', () => {
+    test('should exclude Right to Buy and enrich the rest', () => {
+      const mapped = mapFieldNames(deduplicateRecords(esisRows).records).records;
+      const result = enrichEsisData(mapped, normalizeSwapRates(swapRows));
+
+      expect(result.rightToBuyExcluded).toBe(1);
+      expect(result.swapRateTracking.unknownTermRecords).toBe(0);
+      expect(result.records).toHaveLength(3);
+
+      const [lenderA, lenderB, lenderC] = result.records;
+      expect(lenderA.NormalizedTerm).toBe(24);
+      expect(lenderA.SwapRate).toBe(0.04);
+      expect(lenderA.PremiumOverSwap).toBe(100);
+      expect(lenderA.PremiumBand).toBe('100-120');
+      expect(lenderA.Month).toBe('2023-01');
+      expect(lenderB.PremiumOverSwap).toBe(90);
+      expect(lenderB.MatchedSwapDate).toEqual(new Date('2023-01-09'));
+      expect(lenderB.SwapMethod).toBe('exact');
+      expect(lenderB.SwapPolicy).toBe('latest');
+      expect(lenderB.SwapLagDays).toBe(1);
+
+      // 3-year fix priced between the 2- and 5-year swaps
+      expect(lenderC.NormalizedTerm).toBe(36);
+      expect(lenderC.SwapTenors).toEqual([24, 60]);
+      expect(lenderC.SwapMethod).toBe('linear');
+      expect(lenderC.PremiumOverSwap).toBe(17);
+    });
+
+    test('should exclude records without a tie-in period', () => {
+      const mapped = mapFieldNames([{ ...esisRows[0], TieInPeriod: '' }]).records;
+      const result = enrichEsisData(mapped, normalizeSwapRates(swapRows));
+      expect(result.records).toHaveLength(0);
+      expect(result.swapRateTracking.unknownTermRecords).toBe(1);
+      expect(result.swapRateTracking.unknownTermLoanAmount).toBe(200000);
+    });
+
+    test('should exclude records with an ambiguous rate unit', () => {
+      const mapped = mapFieldNames([esisRows[0], { ...esisRows[0], Rate: 45, Loan: 1 }]).records;
+      const result = enrichEsisData(mapped, normalizeSwapRates(swapRows));
+      expect(result.records).toHaveLength(1);
+      expect(result.swapRateTracking.ambiguousRateRecords).toBe(1);
+      expect(result.excluded.map(({ reason, record }) => [reason, record.Loan])).toEqual([[EXCLUSION_REASONS.ambiguousRateUnit, 1]]);
+    });
+
+    test('should exclude terms outside the swap curve unless extrapolating', () => {
+      const mapped = mapFieldNames([esisRows[0], { ...esisRows[0], TieInPeriod: 120, Loan: 1 }]).records;
+      const result = enrichEsisData(mapped, normalizeSwapRates(swapRows));
+      expect(result.records).toHaveLength(1);
+      expect(result.swapRateTracking.outsideCurveRecords).toBe(1);
+      expect(result.excluded.map(({ reason, record }) => [reason, record.Loan])).toEqual([[EXCLUSION_REASONS.outsideSwapCurve, 1]]);
+
+      const extrapolated = enrichEsisData(mapped, normalizeSwapRates(swapRows), { extrapolate: true });
+      expect(extrapolated.records.map(record => record.SwapMethod)).toEqual(['exact', 'flat']);
+    });
+
+    test('should assign Unknown bands when no swap rates are available', () => {
+      const mapped = mapFieldNames([esisRows[0]]).records;
+      const result = enrichEsisData(mapped, []);
+      expect(result.records[0].PremiumBand).toBe('Unknown');
+      expect(result.records[0].SwapRate).toBeNull();
+    });
+
+    test('should report progress every 10,000 records and at the end', () => {
+      const records = Array.from({ length: 25000 }, (_, i) => ({
+        ...mapFieldNames([esisRows[0]]).records[0],
+        TieInPeriod: i % 10 === 0 ? null : 24
+      }));
+      const onProgress = jest.fn();
+      enrichEsisData(records, normalizeSwapRates(swapRows), { onProgress });
+
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { phase: 'enriching', processed: 10000, total: 25000, excluded: 1000 },
+        { phase: 'enriching', processed: 20000, total: 25000, excluded: 2000 },
+        { phase: 'enriching', processed: 25000, total: 25000, excluded: 2500 }
+      ]);
+    });
+  });
+
+  describe('aggregateByPremiumBandAndMonth', () => {
+    test('should aggregate loans by band and month with numeric band ordering', () => {
+      const result = aggregateByPremiumBandAndMonth([
+        { PremiumBand: '100-120', Month: '2023-02', Loan: 100 },
+        { PremiumBand: '-20-0', Month: '2023-01', Loan: 50 },
+        { PremiumBand: '20-40', Month: '2023-01', Loan: 25 },
+        { PremiumBand: '100-120', Month: '2023-01', Loan: 10 }
+      ]);
+
+      expect(result.premiumBands).toEqual(['-20-0', '20-40', '100-120']);
+      expect(result.months).toEqual(['2023-01', '2023-02']);
+      expect(result.data['100-120']).toEqual({ '2023-01': 10, '2023-02': 100 });
+      expect(result.totals.byPremiumBand['100-120']).toBe(110);
+      expect(result.totals.byMonth['2023-01']).toBe(85);
+      expect(result.totals.overall).toBe(185);
+    });
+
+    test('should aggregate by the requested granularity from the record day', () => {
+      const result = aggregateByPremiumBandAndMonth([
+        { PremiumBand: '0-20', Month: '2023-03', Day: '2023-03-31', Loan: 100 },
+        { PremiumBand: '0-20', Month: '2023-04', Day: '2023-04-03', Loan: 50 },
+        { PremiumBand: '20-40', Month: '2023-01', DocumentDate: new Date('2023-01-02'), Loan: 25 }
+      ], 'quarter');
+
+      expect(result.granularity).toBe('quarter');
+      expect(result.months).toEqual(['2023-Q1', '2023-Q2']);
+      expect(result.data['0-20']).toEqual({ '2023-Q1': 100, '2023-Q2': 50 });
+      expect(result.totals.byMonth['2023-Q1']).toBe(125);
+      expect(() => aggregateByPremiumBandAndMonth([], 'day')).toThrow('Unknown time granularity: day');
+    });
+
+    test('should return an empty structure for no records', () => {
+      expect(aggregateByPremiumBandAndMonth([]).totals.overall).toBe(0);
+      expect(aggregateByPremiumBandAndMonth(undefined).premiumBands).toEqual([]);
+    });
+  });
+
+  describe('runPipeline', () => {
+    test('should produce records, aggregates and diagnostics from raw rows', () => {
+      const result = runPipeline(esisRows, swapRows);
+
+      expect(result.records).toHaveLength(3);
+      expect(result.swapRates).toHaveLength(4);
+      expect(result.swapCurve.tenors).toEqual([24, 60]);
+      expect(result.aggregates.totals.overall).toBe(650000);
+      expect(result.diagnostics).toMatchObject({
+        rawRecordCount: 5,
+        duplicateCount: 1,
+        rightToBuyExcluded: 1,
+        productTerms: { twoYear: 1, fiveYear: 1, other: 1, total: 3 }
+      });
+      expect(result.diagnostics.ltvStats.recordsWithLTV).toBe(2);
+    });
+
+    test('should price generated mock data at the ESIS rate less the swap rate', () => {
+      // The mock swap rates are in percent, the pipeline reads swap rates as decimals
+      const mockSwapRows = generateMockSwapRateData(new Date(2020, 0, 1), new Date())
+        .map(swap => ({ ...swap, rate: swap.rate / 100 }));
+      const { records } = runPipeline(generateMockEsisData(20), mockSwapRows);
+
+      expect(records.length).toBeGreaterThan(0);
+      records.forEach(record => {
+        expect([24, 60]).toContain(record.NormalizedTerm);
+        expect(record.PremiumOverSwap).toBe(Math.round((toDecimal(record.Rate, record.RateUnit) - record.SwapRate) * 10000));
+      });
+    });
+
+    test('should list every excluded record with its reason', () => {
+      const rows = [...esisRows, { ...esisRows[0], Loan: 1, DocumentDate: '2022-12-01' }, { ...esisRows[0], Loan: 2, TieInPeriod: '' }];
+      const { diagnostics } = runPipeline(rows, swapRows);
+
+      expect(diagnostics.excluded.map(({ reason, record }) => [reason, record.Loan])).toEqual([
+        [EXCLUSION_REASONS.duplicate, 300000],
+        [EXCLUSION_REASONS.rightToBuy, 100000],
+        [EXCLUSION_REASONS.noSwapRate, 1],
+        [EXCLUSION_REASONS.noTieInPeriod, 2]
+      ]);
+    });
+
+    test('should band records with the bandScheme option', () => {
+      const bandScheme = createBandScheme({ type: 'breakpoints', breakpoints: [0, 95], openTop: true });
+      const result = runPipeline(esisRows, swapRows, { bandScheme });
+
+      expect(result.records.map(r => r.PremiumBand)).toEqual(['95+', '0-95', '0-95']);
+      expect(result.aggregates.premiumBands).toEqual(['0-95', '95+']);
+    });
+
+    test('should report enrichment and aggregation progress', () => {
+      const onProgress = jest.fn();
+      runPipeline(esisRows, swapRows, { onProgress });
+
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { phase: 'enriching', processed: 4, total: 4, excluded: 1 },
+        { phase: 'aggregating', total: 3 }
+      ]);
+    });
+
+    test('should apply column mappings before processing', () => {
+      const vendorRows = esisRows.map(({ Provider, DocumentDate, ...row }) => ({ ...row, Lender: Provider, IssuedOn: DocumentDate }));
+      const vendorSwaps = swapRows.map(({ rate, ...row }) => ({ ...row, Mid: rate }));
+      const result = runPipeline(vendorRows, vendorSwaps, {
+        esisMapping: { Provider: 'Lender', DocumentDate: 'IssuedOn' },
+        swapMapping: { rate: 'Mid' }
+      });
+
+      expect(result.records.map(r => r.Provider)).toEqual(['Lender A', 'Lender B', 'Lender C']);
+      expect(result.aggregates.totals.overall).toBe(650000);
+      expect(result.diagnostics.warnings).toEqual([]);
+    });
+
+    test('should deduplicate with the dedupeRule option and report the collapsed groups', () => {
+      const rows = [...esisRows, { ...esisRows[1], Rate: 4.6 }];
+
+      expect(runPipeline(rows, swapRows).diagnostics.duplicateGroups).toEqual([
+        { fields: ['lender', 'documentDate', 'loan'], records: 3, kept: rows[1], dropped: [rows[2], rows[5]] }
+      ]);
+
+      const strict = runPipeline(rows, swapRows, { dedupeRule: 'lender-date-loan-rate-ltv' });
+      expect(strict.diagnostics.duplicateCount).toBe(1);
+      expect(strict.records).toHaveLength(4);
+    });
+
+    test('should apply unit overrides and report the units used', () => {
+      const rows = [{ ...esisRows[0], Provider: 'Nationwide Building Society', Rate: 0.5 }];
+      const result = runPipeline(rows, swapRows, {
+        unitOverrides: [{ source: 'Nationwide Building Society', column: 'Rate', unit: 'tens-of-percent' }]
+      });
+
+      expect(result.records[0].PremiumOverSwap).toBe(100);
+      expect(result.diagnostics.units.Rate.lenders).toEqual([
+        { lender: 'Nationwide Building Society', unit: 'tens-of-percent', source: 'override', records: 1, ambiguous: 0 }
+      ]);
+    });
+
+    test('should not mutate the input rows', () => {
+      const rows = esisRows.map(row => ({ ...row }));
+      runPipeline(rows, swapRows);
+      expect(rows).toEqual(esisRows);
+    });
+
+    test('should throw when swap rates are missing', () => {
+      expect(() => runPipeline(esisRows, [])).toThrow('Swap Rates data is empty or invalid');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Benchmark Tests
+ *
+ * This file contains tests for benchmarking our lender against the market and its peers.
+ * It verifies the settings, and our rank, share, premium and gap to the peer median
+ * for the whole market and each product term and LTV band.
+ */
+
+const { normalizeBenchmarkSettings, median, buildBenchmark } = require('../src/utils/benchmark');
+
+describe('Benchmark', () => {
+  const record = (lender, premium, loan, term, ltv) => ({
+    Provider: lender,
+    PremiumOverSwap: premium,
+    Loan: loan,
+    NormalizedTerm: term,
+    StandardizedLTV: ltv
+  });
+
+  const records = [
+    record('Our Bank', 100, 200000, 24, 70),
+    record('Our Bank', 140, 100000, 60, 92),
+    record('Lender A', 90, 400000, 24, 70),
+    record('Lender B', 120, 100000, 24, 70),
+    record('Lender C', 150, 300000, 60, 92)
+  ];
+
+  describe('normalizeBenchmarkSettings', () => {
+    test('should trim names and keep our lender out of its peers', () => {
+      expect(normalizeBenchmarkSettings({ lender: ' Our Bank ', peers: ['Lender A', 'Our Bank', 'Lender A', '', 3] }))
+        .toEqual({ lender: 'Our Bank', peers: ['Lender A'] });
+      expect(normalizeBenchmarkSettings(null)).toEqual({ lender: null, peers: [] });
+    });
+  });
+
+  describe('median', () => {
+    test('should take the middle value or the mean of the middle two', () => {
+      expect(median([3, 1, 2])).toBe(2);
+      expect(median([4, 1, 2, 3])).toBe(2.5);
+      expect(median([])).toBeNull();
+    });
+  });
+
+  describe('buildBenchmark', () => {
+    test('should benchmark our lender against every other lender without peers, ranking ties by name', () => {
+      const [all] = buildBenchmark(records, { lender: 'Our Bank' });
+
+      expect(all).toMatchObject({ dimension: 'All', segment: 'All', lenders: 4, loanAmount: 1100000, rank: 3, peers: 3, peerMedian: 120 });
+      expect(all.share).toBeCloseTo(300000 / 1100000 * 100);
+      expect(all.premium).toBeCloseTo(340 / 3);
+      expect(all.gap).toBeCloseTo(340 / 3 - 120);
+    });
+
+    test('should compare with the peer group in each product term and LTV band', () => {
+      const rows = buildBenchmark(records, { lender: 'Our Bank', peers: ['Lender A', 'Lender C'] });
+
+      expect(rows.map(row => [row.dimension, row.segment])).toEqual([
+        ['All', 'All'],
+        ['Product Term', '2 Year'],
+        ['Product Term', '5 Year'],
+        ['LTV Band (%)', '60-75'],
+        ['LTV Band (%)', '90-95']
+      ]);
+      expect(rows[1]).toMatchObject({ rank: 2, premium: 100, peerMedian: 90, gap: 10 });
+      expect(rows[2]).toMatchObject({ rank: 2, share: 25, premium: 140, peerMedian: 150, gap: -10 });
+    });
+
+    test('should report segments our lender is missing from and require a lender', () => {
+      const rows = buildBenchmark(records, { lender: 'Lender B' });
+      expect(rows[2]).toMatchObject({ segment: '5 Year', rank: null, share: 0, premium: null, gap: null });
+      expect(() => buildBenchmark(records, { lender: '' })).toThrow('Choose our lender to benchmark');
+    });
+  });
+});
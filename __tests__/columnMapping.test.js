@@ -0,0 +1,136 @@
+/**
+ * Column Mapping Tests
+ *
+ * This file contains tests for the column mapping used to ingest ESIS and swap rate exports.
+ * It verifies header detection, suggested mappings, required-field checks, applying mappings and profiles.
+ */
+
+const {
+  detectHeaders,
+  suggestMapping,
+  describeConfidence,
+  checkMapping,
+  applyMapping,
+  previewMapping,
+  headerSignature,
+  createProfile,
+  findProfile,
+  upsertProfile
+} = require('../src/utils/columnMapping');
+
+describe('Column Mapping', () => {
+  describe('detectHeaders', () => {
+    test('should collect headers across rows in first-seen order', () => {
+      expect(detectHeaders([{ a: 1, b: 2 }, { b: 3, c: 4 }])).toEqual(['a', 'b', 'c']);
+      expect(detectHeaders(undefined)).toEqual([]);
+    });
+  });
+
+  describe('suggestMapping', () => {
+    test('should map the current ESIS export exactly', () => {
+      const { mapping, confidence } = suggestMapping(['Provider', 'DocumentDate', 'Rate', 'TieInPeriod', 'Loan', 'LTV'], 'esis');
+
+      expect(mapping).toEqual({
+        Provider: 'Provider',
+        DocumentDate: 'DocumentDate',
+        Rate: 'Rate',
+        TieInPeriod: 'TieInPeriod',
+        Loan: 'Loan',
+        LTV: 'LTV',
+        ProductType: null,
+        PurchaseType: null,
+        CaseReference: null
+      });
+      expect(confidence.Provider).toBe(1);
+      expect(confidence.ProductType).toBe(0);
+    });
+
+    test('should match known spellings loosely and fall back to keywords', () => {
+      const { mapping, confidence } = suggestMapping(['lender name', 'Issue Date', 'initial_rate', 'Fixed Term Months', 'Loan Size', 'loan to value'], 'esis');
+
+      expect(mapping).toMatchObject({
+        Provider: 'lender name',
+        DocumentDate: 'Issue Date',
+        Rate: 'initial_rate',
+        TieInPeriod: 'Fixed Term Months',
+        Loan: 'Loan Size',
+        LTV: 'loan to value'
+      });
+      expect(describeConfidence(confidence.Provider)).toBe('medium');
+      expect(describeConfidence(confidence.TieInPeriod)).toBe('low');
+    });
+
+    test('should use each header once', () => {
+      const { mapping } = suggestMapping(['Date'], 'esis');
+      expect(mapping.DocumentDate).toBe('Date');
+      expect(Object.values(mapping).filter(Boolean)).toHaveLength(1);
+    });
+
+    test('should prefer a swap Date column to the file name date', () => {
+      const { mapping } = suggestMapping(['effective_at', 'Date', 'TieInPeriod', 'Rate'], 'swap');
+      expect(mapping).toEqual({ effective_at: 'Date', product_term_in_months: 'TieInPeriod', rate: 'Rate' });
+    });
+
+    test('should reject unknown kinds', () => {
+      expect(() => suggestMapping([], 'loans')).toThrow('Unknown file kind: loans');
+    });
+  });
+
+  describe('checkMapping', () => {
+    test('should report missing required fields, missing columns and reused columns', () => {
+      const result = checkMapping({ effective_at: 'Date', product_term_in_months: 'Date', rate: null }, 'swap', ['Date']);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Swap rate is required', 'Column "Date" is mapped to Effective date and Term (months)']);
+      expect(checkMapping({ effective_at: 'Day', product_term_in_months: 'Term', rate: 'Mid' }, 'swap', ['Term', 'Mid']).errors)
+        .toEqual(['Effective date is mapped to missing column "Day"']);
+    });
+
+    test('should accept a complete mapping', () => {
+      expect(checkMapping({ effective_at: 'Date', product_term_in_months: 'Term', rate: 'Mid' }, 'swap').valid).toBe(true);
+    });
+  });
+
+  describe('applyMapping', () => {
+    test('should copy renamed columns onto their fields and drop overridden columns', () => {
+      const rows = [{ Lender: 'Lender A', BaseLender: 'Old', Loan: 100 }];
+      const mapped = applyMapping(rows, { Provider: 'Lender', Loan: 'Loan' }, 'esis');
+
+      expect(mapped).toEqual([{ Lender: 'Lender A', Provider: 'Lender A', Loan: 100 }]);
+      expect(rows[0].BaseLender).toBe('Old');
+    });
+
+    test('should return the rows unchanged when nothing is renamed', () => {
+      const rows = [{ Provider: 'Lender A' }];
+      expect(applyMapping(rows, { Provider: 'Provider', LTV: null }, 'esis')).toBe(rows);
+    });
+  });
+
+  describe('previewMapping', () => {
+    test('should show the value each field takes from the first rows', () => {
+      const rows = [{ Day: '2023-01-02', Mid: 0.04 }, { Day: '2023-01-03', Mid: 0.041 }];
+      expect(previewMapping(rows, { effective_at: 'Day', product_term_in_months: null, rate: 'Mid' }, 'swap', 1)).toEqual([
+        { effective_at: '2023-01-02', product_term_in_months: undefined, rate: 0.04 }
+      ]);
+    });
+  });
+
+  describe('profiles', () => {
+    test('should find a saved profile for the same headers in any order', () => {
+      const profile = createProfile('swap', ['Day', 'Term', 'Mid'], { effective_at: 'Day', product_term_in_months: 'Term', rate: 'Mid' }, 'vendor.csv');
+
+      expect(profile.signature).toBe(headerSignature(['Mid', 'Term', 'Day']));
+      expect(findProfile([profile], 'swap', ['Term', 'Mid', 'Day'])).toBe(profile);
+      expect(findProfile([profile], 'esis', ['Term', 'Mid', 'Day'])).toBeNull();
+      expect(findProfile([profile], 'swap', ['Term', 'Mid'])).toBeNull();
+    });
+
+    test('should replace the profile for the same headers', () => {
+      const first = createProfile('swap', ['Day', 'Mid'], { rate: 'Mid' });
+      const second = createProfile('swap', ['Mid', 'Day'], { rate: 'Day' });
+      const other = createProfile('esis', ['Day', 'Mid'], {});
+
+      expect(upsertProfile(upsertProfile([first, other], second), second)).toEqual([other, second]);
+    });
+  });
+});
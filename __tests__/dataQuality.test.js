@@ -0,0 +1,185 @@
+/**
+ * Data Quality Tests
+ *
+ * This file contains tests for the data quality report built from the pipeline diagnostics.
+ * It verifies the exclusion, unit, duplicate group, product term and missing swap date summaries and the CSV exports.
+ */
+
+const {
+  summarizeExclusions,
+  formatTerm,
+  summarizeProductTerms,
+  summarizeUnits,
+  summarizeDuplicateGroups,
+  duplicateGroupsToCsv,
+  summarizeMissingSwapDates,
+  buildDataQualityReport,
+  excludedRecordsToCsv
+} = require('../src/utils/dataQuality');
+const { runPipeline, EXCLUSION_REASONS } = require('../src/utils/analysisPipeline');
+
+describe('Data Quality', () => {
+  const swapRows = [
+    { effective_at: '2023-01-02', product_term_in_months: 24, rate: 0.04 },
+    { effective_at: '2023-01-02', product_term_in_months: 60, rate: 0.035 }
+  ];
+
+  const esisRows = [
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Rate: 5.0, TieInPeriod: 24, Loan: 200000, LTV: 75 },
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Rate: 5.0, TieInPeriod: 24, Loan: 200000, LTV: 75 },
+    { Provider: 'Lender B', DocumentDate: '2023-01-10', Rate: 4.5, TieInPeriod: 60, Loan: 400000 },
+    { Provider: 'Lender B', DocumentDate: '2022-11-10', Rate: 4.5, TieInPeriod: 60, Loan: 50000 },
+    { Provider: 'Lender C', DocumentDate: '2023-01-06', Rate: 4.0, TieInPeriod: 24, Loan: 100000, ProductType: 'Right to Buy' }
+  ];
+
+  describe('summarizeExclusions', () => {
+    test('should count records and loan amounts per reason, most records first', () => {
+      const excluded = [
+        { reason: 'Duplicate', record: { Loan: '100' } },
+        { reason: 'Right to Buy', record: { Loan: 50 } },
+        { reason: 'Right to Buy', record: {} }
+      ];
+      expect(summarizeExclusions(excluded)).toEqual([
+        { reason: 'Right to Buy', records: 2, loanAmount: 50 },
+        { reason: 'Duplicate', records: 1, loanAmount: 100 }
+      ]);
+    });
+  });
+
+  describe('summarizeProductTerms', () => {
+    test('should split records by term with their share', () => {
+      const rows = summarizeProductTerms([{ NormalizedTerm: 60, Loan: 1 }, { NormalizedTerm: 24, Loan: 2 }, { NormalizedTerm: 24, Loan: 3 }]);
+      expect(rows.map(row => [row.label, row.records, row.loanAmount])).toEqual([['2 years', 2, 5], ['5 years', 1, 1]]);
+      expect(rows[0].percentage).toBeCloseTo(66.67, 2);
+    });
+
+    test('should label terms in years or months', () => {
+      expect(formatTerm(12)).toBe('1 year');
+      expect(formatTerm(18)).toBe('18 months');
+    });
+  });
+
+  describe('summarizeUnits', () => {
+    test('should list the unit used for each lender, rates first', () => {
+      const { diagnostics } = runPipeline([
+        { ...esisRows[0], LTV: 0.75 },
+        { ...esisRows[2], Provider: 'Nationwide Building Society', Rate: 0.45, LTV: 80 },
+        { ...esisRows[2], Rate: 45 }
+      ], swapRows, { unitOverrides: [{ source: 'Nationwide Building Society', column: 'Rate', unit: 'tens-of-percent' }] });
+
+      expect(summarizeUnits(diagnostics.units)).toEqual([
+        { column: 'Rate', lender: 'Lender A', unit: 'Percent (4.5 = 4.5%)', source: 'Whole file', records: 1, ambiguous: 0 },
+        { column: 'Rate', lender: 'Lender B', unit: 'Percent (4.5 = 4.5%)', source: 'Whole file', records: 1, ambiguous: 1 },
+        { column: 'Rate', lender: 'Nationwide Building Society', unit: 'Tens of percent (0.45 = 4.5%)', source: 'Override', records: 1, ambiguous: 0 },
+        { column: 'LTV', lender: 'Lender A', unit: 'Decimal (0.045 = 4.5%)', source: 'Lender', records: 1, ambiguous: 0 },
+        { column: 'LTV', lender: 'Nationwide Building Society', unit: 'Percent (4.5 = 4.5%)', source: 'Lender', records: 1, ambiguous: 0 }
+      ]);
+      expect(summarizeUnits(undefined)).toEqual([]);
+    });
+  });
+
+  describe('summarizeDuplicateGroups', () => {
+    const rows = [
+      ...esisRows,
+      { ...esisRows[2], Rate: 4.4, CaseReference: 'C9' },
+      { ...esisRows[2], Rate: 4.3 }
+    ];
+
+    test('should list each collapsed group with its kept and dropped records, largest first', () => {
+      const { diagnostics } = runPipeline(rows, swapRows);
+      const groups = summarizeDuplicateGroups(diagnostics.duplicateGroups);
+
+      expect(groups.map(row => [row.group, row.matchedOn, row.records, row.droppedLoanAmount])).toEqual([
+        [1, 'Lender + Document date + Loan', 3, 800000],
+        [2, 'Lender + Document date + Loan', 2, 200000]
+      ]);
+      expect(groups[0].members.map(member => [member.status, member.rate, member.caseReference])).toEqual([
+        ['Kept', 4.5, ''],
+        ['Dropped', 4.4, 'C9'],
+        ['Dropped', 4.3, '']
+      ]);
+      expect(summarizeDuplicateGroups(undefined)).toEqual([]);
+    });
+
+    test('should write one CSV row per record of each group', () => {
+      const { diagnostics } = runPipeline(rows, swapRows);
+      const csv = duplicateGroupsToCsv(summarizeDuplicateGroups(diagnostics.duplicateGroups)).trim().split('\n');
+
+      expect(csv[0]).toBe('Group,MatchedOn,Status,Lender,DocumentDate,Loan,Rate,LTV,CaseReference');
+      expect(csv[1]).toBe('1,Lender + Document date + Loan,Kept,Lender B,2023-01-10,400000,4.5,,');
+      expect(csv).toHaveLength(6);
+    });
+  });
+
+  describe('summarizeMissingSwapDates', () => {
+    test('should list months in order with labels', () => {
+      expect(summarizeMissingSwapDates({ '2023-02': 1, '2022-12': 4 })).toEqual([
+        { month: '2022-12', label: 'Dec 22', records: 4 },
+        { month: '2023-02', label: 'Feb 23', records: 1 }
+      ]);
+      expect(summarizeMissingSwapDates(undefined)).toEqual([]);
+    });
+  });
+
+  describe('buildDataQualityReport', () => {
+    test('should reconcile the upload with the analysed and excluded records', () => {
+      const { records, diagnostics } = runPipeline(esisRows, swapRows);
+      const report = buildDataQualityReport(records, diagnostics);
+
+      expect(report.overview).toEqual([
+        { check: 'Rows in upload', value: 5, unit: 'count' },
+        { check: 'Records analysed', value: 2, unit: 'count' },
+        { check: 'Records excluded', value: 3, unit: 'count' },
+        { check: 'Loan amount analysed', value: 600000, unit: 'amount' },
+        { check: 'Loan amount excluded', value: 350000, unit: 'amount' }
+      ]);
+      expect(report.exclusions.map(row => row.reason)).toEqual([
+        EXCLUSION_REASONS.duplicate,
+        EXCLUSION_REASONS.rightToBuy,
+        EXCLUSION_REASONS.noSwapRate
+      ]);
+      expect(report.missingSwapDates).toEqual([{ month: '2022-11', label: 'Nov 22', records: 1 }]);
+      expect(report.productTerms.map(row => row.label)).toEqual(['2 years', '5 years']);
+      expect(report.ltv.find(row => row.check === 'LTV coverage').value).toBe(25);
+      expect(report.units.map(row => [row.column, row.lender])).toEqual([
+        ['Rate', 'Lender A'],
+        ['Rate', 'Lender B'],
+        ['Rate', 'Lender C'],
+        ['LTV', 'Lender A']
+      ]);
+    });
+
+    test('should count LTVs with an ambiguous unit against coverage', () => {
+      const { records, diagnostics } = runPipeline([esisRows[0], { ...esisRows[2], LTV: 750 }], swapRows);
+      const ltv = buildDataQualityReport(records, diagnostics).ltv;
+
+      expect(ltv.find(row => row.check === 'Records with an ambiguous LTV unit').value).toBe(1);
+      expect(ltv.find(row => row.check === 'LTV coverage').value).toBe(50);
+    });
+
+    test('should leave out LTV rows when the upload has no LTV data', () => {
+      const { records, diagnostics } = runPipeline([esisRows[2]], swapRows);
+      expect(buildDataQualityReport(records, diagnostics).ltv).toEqual([]);
+    });
+
+    test('should report zero LTV coverage when no records were analysed', () => {
+      const ltvStats = { recordsWithLTV: 0, recordsMissingLTV: 0, avgLTV: 0, below80Percent: 0, above80Percent: 0 };
+      const report = buildDataQualityReport([], { excluded: [], ltvStats });
+      expect(report.ltv.find(row => row.check === 'LTV coverage').value).toBe(0);
+    });
+  });
+
+  describe('excludedRecordsToCsv', () => {
+    test('should write the reason and every field seen on the records', () => {
+      const csv = excludedRecordsToCsv([
+        { reason: 'Duplicate', record: { Provider: 'Lender A', Loan: 100 } },
+        { reason: 'No document date', record: { Provider: 'Lender B', DocumentDate: null, Notes: 'a, b' } }
+      ]);
+      expect(csv).toBe(
+        'ExclusionReason,Provider,Loan,DocumentDate,Notes\n' +
+        'Duplicate,Lender A,100,,\n' +
+        'No document date,Lender B,,,"a, b"\n'
+      );
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Dataset Store Tests
+ *
+ * This file contains tests for the saved datasets kept for quick reload.
+ * It verifies dataset ids, the stored entries, descriptions for the picker and which datasets are pruned.
+ */
+
+const {
+  MAX_DATASETS,
+  datasetId,
+  createDatasetEntry,
+  describeDataset,
+  sortDatasets,
+  pruneDatasets,
+  openDatasetStore
+} = require('../src/utils/datasetStore');
+
+describe('DatasetStore', () => {
+  const esisFile = { name: 'esis.csv', size: 2048, lastModified: 1700000000000, type: 'text/csv' };
+  const swapFile = { name: 'swaps.xlsx', size: 512, lastModified: 1700000500000 };
+  const result = {
+    records: [{ Provider: 'Lender A' }, { Provider: 'Lender B' }],
+    swapRates: [{ effectiveDate: new Date('2023-01-02'), term: 24, rate: 4.1 }],
+    swapCurve: { tenors: [24] },
+    aggregates: { premiumBands: ['0-20'], months: ['2023-01', '2023-02', '2023-03'] },
+    diagnostics: { rawRecordCount: 3, excluded: [] }
+  };
+
+  describe('datasetId', () => {
+    test('should identify a dataset by the name, size and modification time of both files', () => {
+      expect(datasetId(esisFile, swapFile)).toBe('esis.csv:2048:1700000000000|swaps.xlsx:512:1700000500000');
+      expect(datasetId({ ...esisFile, lastModified: 1 }, swapFile)).not.toBe(datasetId(esisFile, swapFile));
+    });
+  });
+
+  describe('createDatasetEntry', () => {
+    test('should split the metadata from the analysed data and leave out the swap curve', () => {
+      const now = new Date('2024-03-01T09:00:00Z');
+      const entry = createDatasetEntry(esisFile, swapFile, result, { dedupeRule: { keys: [], keep: 'first' } }, now);
+
+      expect(entry.meta).toEqual({
+        id: datasetId(esisFile, swapFile),
+        esisFile: { name: 'esis.csv', size: 2048, lastModified: 1700000000000 },
+        swapFile: { name: 'swaps.xlsx', size: 512, lastModified: 1700000500000 },
+        savedAt: '2024-03-01T09:00:00.000Z',
+        openedAt: '2024-03-01T09:00:00.000Z',
+        recordCount: 2,
+        months: ['2023-01', '2023-03'],
+        settings: { dedupeRule: { keys: [], keep: 'first' } },
+        view: null
+      });
+      expect(entry.data).toEqual({
+        id: entry.meta.id,
+        records: result.records,
+        swapRates: result.swapRates,
+        aggregates: result.aggregates,
+        diagnostics: result.diagnostics
+      });
+    });
+
+    test('should have no month range without months', () => {
+      const entry = createDatasetEntry(esisFile, swapFile, { ...result, aggregates: { months: [] } });
+      expect(entry.meta.months).toEqual([]);
+    });
+  });
+
+  describe('describeDataset', () => {
+    test('should describe the files, record count and months', () => {
+      const meta = { esisFile, swapFile, recordCount: 12345, months: ['2023-01', '2023-06'] };
+      expect(describeDataset(meta)).toBe('esis.csv + swaps.xlsx: 12,345 records, 2023-01 to 2023-06');
+      expect(describeDataset({ ...meta, months: [] })).toBe('esis.csv + swaps.xlsx: 12,345 records');
+    });
+  });
+
+  describe('sortDatasets and pruneDatasets', () => {
+    const metas = ['2024-01-03', '2024-01-01', '2024-01-06', '2024-01-02', '2024-01-05', '2024-01-04']
+      .map((day, index) => ({ id: `d${index}`, openedAt: `${day}T00:00:00.000Z` }));
+
+    test('should list the most recently opened first', () => {
+      expect(sortDatasets(metas).map(meta => meta.id)).toEqual(['d2', 'd4', 'd5', 'd0', 'd3', 'd1']);
+    });
+
+    test('should remove the least recently opened beyond the limit', () => {
+      expect(MAX_DATASETS).toBe(5);
+      expect(pruneDatasets(metas)).toEqual(['d1']);
+      expect(pruneDatasets(metas, 2)).toEqual(['d5', 'd0', 'd3', 'd1']);
+      expect(pruneDatasets(metas.slice(0, 3))).toEqual([]);
+    });
+  });
+
+  describe('openDatasetStore', () => {
+    test('should reject without IndexedDB', async () => {
+      await expect(openDatasetStore(undefined)).rejects.toThrow('IndexedDB is not available in this browser');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Deduplication Tests
+ *
+ * This file contains tests for the configurable ESIS deduplication rules.
+ * It verifies rule validation, key sets with fallbacks, keeping the latest re-issue, the collapsed groups
+ * and that the original preset reproduces the tool's original duplicate key.
+ */
+
+const {
+  createDedupeRule,
+  describeDedupeRule,
+  deduplicateRecords
+} = require('../src/utils/deduplication');
+
+describe('Deduplication', () => {
+  const records = [
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Loan: 200000, Rate: 5.0, LTV: 75, CaseReference: 'C1' },
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Loan: 200000, Rate: 4.8, LTV: 60, CaseReference: 'C2' },
+    { Provider: 'lender a ', DocumentDate: '2023-01-05', Loan: 200000, Rate: 5.0, LTV: 75, CaseReference: 'C3' },
+    { Provider: 'Lender B', DocumentDate: '2023-01-09', Loan: 300000, Rate: 4.5, LTV: 80, CaseReference: 'C1' }
+  ];
+
+  describe('createDedupeRule', () => {
+    test('should default to the record id, else lender + date + loan as written', () => {
+      expect(createDedupeRule()).toEqual({ keys: [['id'], ['lender', 'documentDate', 'loan']], keep: 'first', match: 'exact' });
+      expect(createDedupeRule('case-reference')).toEqual({ keys: [['caseReference']], keep: 'latest', match: 'normalized' });
+    });
+
+    test('should reject unknown presets, fields and keep options', () => {
+      expect(() => createDedupeRule('fuzzy')).toThrow('Unknown deduplication preset: fuzzy');
+      expect(() => createDedupeRule({ keys: [['broker']] })).toThrow('Unknown deduplication field: broker');
+      expect(() => createDedupeRule({ keys: [[]] })).toThrow('at least one field');
+      expect(() => createDedupeRule({ keys: [['loan']], keep: 'last' })).toThrow('Unknown deduplication keep option: last');
+      expect(() => createDedupeRule({ keys: [['loan']], match: 'fuzzy' })).toThrow('Unknown deduplication match option: fuzzy');
+    });
+  });
+
+  describe('describeDedupeRule', () => {
+    test('should describe the keys and which record is kept', () => {
+      expect(describeDedupeRule(createDedupeRule())).toBe('record id, else lender + document date + loan as written, keeping the first in the file');
+      expect(describeDedupeRule(createDedupeRule('case-reference'))).toBe('case reference, keeping the latest re-issue by document date');
+      expect(describeDedupeRule(createDedupeRule('none'))).toBe('no deduplication');
+    });
+  });
+
+  describe('deduplicateRecords', () => {
+    test('should collapse records with the same key, ignoring case and spacing', () => {
+      const result = deduplicateRecords(records, { keys: [['id'], ['lender', 'documentDate', 'loan']] });
+
+      expect(result.records).toEqual([records[0], records[3]]);
+      expect(result.duplicates).toEqual([records[1], records[2]]);
+      expect(result.groups).toEqual([
+        { fields: ['lender', 'documentDate', 'loan'], records: 3, kept: records[0], dropped: [records[1], records[2]] }
+      ]);
+    });
+
+    test('should keep distinct documents apart with a stricter key', () => {
+      const result = deduplicateRecords(records, 'lender-date-loan-rate-ltv');
+      expect(result.records).toEqual([records[0], records[1], records[3]]);
+      expect(result.duplicates).toEqual([records[2]]);
+    });
+
+    test('should keep the latest re-issue per case', () => {
+      const result = deduplicateRecords(records, 'case-reference');
+
+      expect(result.records).toEqual([records[1], records[2], records[3]]);
+      expect(result.groups[0].kept).toBe(records[3]);
+      expect(result.groups[0].dropped).toEqual([records[0]]);
+    });
+
+    test('should fall back to the next key set and never collapse records without a key', () => {
+      const rows = [{ id: 1, Loan: 1 }, { id: 1, Loan: 2 }, { Loan: 3 }, { Loan: 3 }];
+      const result = deduplicateRecords(rows, { keys: [['id'], ['lender', 'documentDate', 'loan']] });
+      expect(result.records).toEqual([rows[0], rows[2], rows[3]]);
+    });
+
+    test('should reproduce the original duplicate key with the original preset', () => {
+      // The key processData built before rules were configurable
+      const baselineUnique = rows => {
+        const seen = new Set();
+        return rows.filter(record => {
+          const id = record.id || `${record.Provider}-${record.DocumentDate}-${record.Loan}`;
+          if (seen.has(id)) {
+            return false;
+          }
+          seen.add(id);
+          return true;
+        });
+      };
+      const rows = [
+        ...records,
+        { Provider: 'Lender A', BaseLender: 'Lender B', DocumentDate: '2023-01-05', Loan: 200000 },
+        { Provider: 'Lender C', Loan: 1 },
+        { Provider: 'Lender C', Timestamp: '2023-01-06', Loan: 1 },
+        { id: 'Lender D-2023-01-07-5', Loan: 9 },
+        { Provider: 'Lender D', DocumentDate: '2023-01-07', Loan: 5 },
+        { id: 0, Provider: 'Lender E' },
+        { id: '', Provider: 'Lender E' }
+      ];
+
+      const result = deduplicateRecords(rows);
+      expect(result.records).toEqual(baselineUnique(rows));
+      expect(result.duplicates).toHaveLength(5);
+    });
+
+    test('should keep every record with no keys', () => {
+      expect(deduplicateRecords(records, 'none')).toEqual({ records, duplicates: [], groups: [] });
+    });
+  });
+});
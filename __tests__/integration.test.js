@@ -7,10 +7,22 @@
 
 // Create separate test files for different types of integration tests
 
+const AnalysisPipeline = require('../src/utils/analysisPipeline');
+
+/**
+ * Enriches raw ESIS rows with swap rates and premiums through the analysis pipeline
+ * @param {Array} esisRows - Raw ESIS rows
+ * @param {Array} swapRows - Raw swap rate rows, rates as decimals
+ * @returns {Array} Enriched records
+ */
+const enrichRows = (esisRows, swapRows) => AnalysisPipeline.enrichEsisData(
+  AnalysisPipeline.mapFieldNames(esisRows).records,
+  AnalysisPipeline.normalizeSwapRates(swapRows)
+).records;
+
 // File 1: Data processing and filtering integration tests
 describe('Data processing and filtering pipeline', () => {
   // Import actual implementations for these tests
-  const { enrichEsisData } = require('../src/utils/dataProcessing');
   const { filterData } = require('../src/utils/filtering');
   
   const mockEsisData = [
@@ -20,17 +32,17 @@ describe('Data processing and filtering pipeline', () => {
   ];
   
   const mockSwapRates = [
-    { Date: '2023-01-15', product_term_in_months: 24, rate: 1.5 },
-    { Date: '2023-01-15', product_term_in_months: 60, rate: 2.0 },
-    { Date: '2023-01-20', product_term_in_months: 24, rate: 1.6 },
-    { Date: '2023-01-20', product_term_in_months: 60, rate: 2.1 },
-    { Date: '2023-02-10', product_term_in_months: 24, rate: 1.4 },
-    { Date: '2023-02-10', product_term_in_months: 60, rate: 1.9 }
+    { Date: '2023-01-15', product_term_in_months: 24, rate: 0.015 },
+    { Date: '2023-01-15', product_term_in_months: 60, rate: 0.02 },
+    { Date: '2023-01-20', product_term_in_months: 24, rate: 0.016 },
+    { Date: '2023-01-20', product_term_in_months: 60, rate: 0.021 },
+    { Date: '2023-02-10', product_term_in_months: 24, rate: 0.014 },
+    { Date: '2023-02-10', product_term_in_months: 60, rate: 0.019 }
   ];
   
   test('should process and filter data correctly', () => {
     // Enrich ESIS data with swap rates and premium information
-    const enrichedData = mockEsisData.map(esis => enrichEsisData(esis, mockSwapRates));
+    const enrichedData = enrichRows(mockEsisData, mockSwapRates);
     
     // Apply filters
     const filters = { productTerm: '2-year', ltvMin: 70 };
@@ -39,16 +51,15 @@ describe('Data processing and filtering pipeline', () => {
     // Verify results
     expect(filteredData).toHaveLength(1);
     expect(filteredData[0].Provider).toBe('HSBC UK');
-    expect(filteredData[0].SwapRate).toBe(1.5);
-    expect(filteredData[0].Premium).toBe(2.49); // 3.99 - 1.5
-    expect(filteredData[0].PremiumBand).toBe('2-3%');
+    expect(filteredData[0].SwapRate).toBe(0.015);
+    expect(filteredData[0].PremiumOverSwap).toBe(249); // 3.99% - 1.5% in bps
+    expect(filteredData[0].PremiumBand).toBe('240-260');
   });
 });
 
 // File 2: Data processing and visualization integration tests
 describe('Data processing and visualization pipeline', () => {
   // Import actual implementations for these tests
-  const { enrichEsisData } = require('../src/utils/dataProcessing');
   const { 
     prepareTableData, 
     prepareMarketShareTable, 
@@ -67,12 +78,12 @@ describe('Data processing and visualization pipeline', () => {
   ];
   
   const mockSwapRates = [
-    { Date: '2023-01-15', product_term_in_months: 24, rate: 1.5 },
-    { Date: '2023-01-15', product_term_in_months: 60, rate: 2.0 },
-    { Date: '2023-01-20', product_term_in_months: 24, rate: 1.6 },
-    { Date: '2023-01-20', product_term_in_months: 60, rate: 2.1 },
-    { Date: '2023-02-10', product_term_in_months: 24, rate: 1.4 },
-    { Date: '2023-02-10', product_term_in_months: 60, rate: 1.9 }
+    { Date: '2023-01-15', product_term_in_months: 24, rate: 0.015 },
+    { Date: '2023-01-15', product_term_in_months: 60, rate: 0.02 },
+    { Date: '2023-01-20', product_term_in_months: 24, rate: 0.016 },
+    { Date: '2023-01-20', product_term_in_months: 60, rate: 0.021 },
+    { Date: '2023-02-10', product_term_in_months: 24, rate: 0.014 },
+    { Date: '2023-02-10', product_term_in_months: 60, rate: 0.019 }
   ];
   
   beforeEach(() => {
@@ -82,7 +93,7 @@ describe('Data processing and visualization pipeline', () => {
   
   test('should process data and prepare it for table visualization', () => {
     // Enrich ESIS data with swap rates and premium information
-    const enrichedData = mockEsisData.map(esis => enrichEsisData(esis, mockSwapRates));
+    const enrichedData = enrichRows(mockEsisData, mockSwapRates);
     
     // Prepare data for table visualization
     const tableData = prepareTableData(enrichedData);
@@ -105,7 +116,7 @@ describe('Data processing and visualization pipeline', () => {
   
   test('should process data and prepare it for market share visualization', () => {
     // Enrich ESIS data with swap rates and premium information
-    const enrichedData = mockEsisData.map(esis => enrichEsisData(esis, mockSwapRates));
+    const enrichedData = enrichRows(mockEsisData, mockSwapRates);
     
     // Prepare data for market share visualization
     const marketShareData = prepareMarketShareTable(enrichedData);
@@ -119,7 +130,7 @@ describe('Data processing and visualization pipeline', () => {
   
   test('should process data and prepare it for heatmap visualization', () => {
     // Enrich ESIS data with swap rates and premium information
-    const enrichedData = mockEsisData.map(esis => enrichEsisData(esis, mockSwapRates));
+    const enrichedData = enrichRows(mockEsisData, mockSwapRates);
     
     // Prepare data for heatmap visualization
     const heatmapData = prepareHeatmapData(enrichedData);
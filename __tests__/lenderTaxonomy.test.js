@@ -0,0 +1,110 @@
+/**
+ * Lender Taxonomy Tests
+ *
+ * This file contains tests for merging lender aliases and grouping lenders into parent and peer groups.
+ * It verifies validation, alias merging in records, grouping levels, the lender group filter,
+ * and the editor text and JSON file round trips.
+ */
+
+const {
+  createTaxonomy,
+  resolveLender,
+  applyAliases,
+  groupOf,
+  groupRecords,
+  listGroupFilters,
+  createGroupMatcher,
+  parseTaxonomyText,
+  formatTaxonomyText,
+  exportTaxonomy,
+  importTaxonomy
+} = require('../src/utils/lenderTaxonomy');
+
+describe('LenderTaxonomy', () => {
+  const taxonomy = createTaxonomy({
+    aliases: { 'Lloyds Bank': ['Lloyds', 'Lloyds TSB'], 'Nationwide BS': ['Nationwide'] },
+    parents: { 'Lloyds Banking Group': ['Lloyds', 'Halifax'] },
+    peerGroups: { 'Big 6': ['Lloyds Bank', 'Nationwide', 'Halifax'], Mutuals: ['Nationwide BS', 'Coventry'] }
+  });
+
+  describe('createTaxonomy', () => {
+    test('should resolve group members written as aliases', () => {
+      expect(taxonomy.definition.parents).toEqual({ 'Lloyds Banking Group': ['Lloyds Bank', 'Halifax'] });
+      expect(taxonomy.definition.peerGroups['Big 6']).toEqual(['Lloyds Bank', 'Nationwide BS', 'Halifax']);
+    });
+
+    test('should reject conflicting aliases and parent groups', () => {
+      expect(() => createTaxonomy({ aliases: { A: ['X'], B: ['x'] } })).toThrow('x is an alias of both A and B');
+      expect(() => createTaxonomy({ aliases: { A: ['B'], B: ['C'] } })).toThrow('B has aliases, so it cannot also be an alias of A');
+      expect(() => createTaxonomy({ parents: { P: ['A'], Q: ['A'] } })).toThrow('A is in both parent groups P and Q');
+      expect(() => createTaxonomy({ peerGroups: { Empty: [] } })).toThrow('Empty in the peer groups has no lenders');
+      expect(() => createTaxonomy({ parents: ['A'] })).toThrow('The parent groups must map each name to a list of lenders');
+    });
+  });
+
+  describe('applyAliases', () => {
+    test('should merge aliases regardless of case and keep the name in the data', () => {
+      expect(resolveLender(taxonomy, ' lloyds tsb ')).toBe('Lloyds Bank');
+      expect(resolveLender(taxonomy, 'Coventry')).toBe('Coventry');
+
+      const untouched = { Provider: 'Coventry', BaseLender: 'Coventry' };
+      const [merged, same] = applyAliases([{ Provider: 'LLOYDS', BaseLender: 'LLOYDS', Loan: 1 }, untouched], taxonomy);
+      expect(merged).toEqual({ Provider: 'Lloyds Bank', BaseLender: 'Lloyds Bank', SourceLender: 'LLOYDS', Loan: 1 });
+      expect(same).toBe(untouched);
+    });
+
+    test('should undo a merge once the alias is removed', () => {
+      const [record] = applyAliases([{ Provider: 'Lloyds Bank', BaseLender: 'Lloyds Bank', SourceLender: 'Lloyds' }], createTaxonomy());
+      expect(record).toMatchObject({ Provider: 'Lloyds', BaseLender: 'Lloyds' });
+    });
+  });
+
+  describe('groupOf and groupRecords', () => {
+    test('should group lenders by parent group and first peer group', () => {
+      expect(groupOf(taxonomy, 'Halifax', 'parent')).toBe('Lloyds Banking Group');
+      expect(groupOf(taxonomy, 'Coventry', 'parent')).toBe('Coventry');
+      expect(groupOf(taxonomy, 'Nationwide BS', 'peerGroup')).toBe('Big 6');
+      expect(groupOf(taxonomy, 'Monmouthshire', 'peerGroup')).toBe('Other');
+      expect(() => groupOf(taxonomy, 'Halifax', 'brand')).toThrow('Unknown lender grouping: brand');
+    });
+
+    test('should relabel records with their group', () => {
+      const records = [{ Provider: 'Halifax', BaseLender: 'Halifax', Loan: 100 }, { Provider: 'Coventry', BaseLender: '', Loan: 50 }];
+      expect(groupRecords(records, taxonomy, 'lender')).toBe(records);
+      expect(groupRecords(records, taxonomy, 'parent').map(record => record.Provider)).toEqual(['Lloyds Banking Group', 'Coventry']);
+      expect(records[0].Provider).toBe('Halifax');
+    });
+  });
+
+  describe('createGroupMatcher', () => {
+    test('should match lenders in any selected group', () => {
+      expect(Object.keys(listGroupFilters(taxonomy))).toEqual(['parent:Lloyds Banking Group', 'peer:Big 6', 'peer:Mutuals']);
+
+      const matches = createGroupMatcher(taxonomy, ['parent:Lloyds Banking Group', 'peer:Mutuals']);
+      expect(matches({ Provider: 'Halifax' })).toBe(true);
+      expect(matches({ Provider: 'Coventry', BaseLender: 'Coventry' })).toBe(true);
+      expect(matches({ Provider: 'Monmouthshire' })).toBe(false);
+      expect(createGroupMatcher(taxonomy, [])({ Provider: 'Monmouthshire' })).toBe(true);
+      expect(createGroupMatcher(taxonomy, ['peer:Unknown'])({ Provider: 'Halifax' })).toBe(false);
+      expect(() => createGroupMatcher(taxonomy, ['brand:Halifax'])).toThrow('Unknown lender group: brand:Halifax');
+    });
+  });
+
+  describe('editor text and files', () => {
+    test('should round trip through the editor text', () => {
+      const texts = formatTaxonomyText(taxonomy);
+      expect(texts.parents).toBe('Lloyds Banking Group: Lloyds Bank, Halifax');
+      expect(parseTaxonomyText(texts).definition).toEqual(taxonomy.definition);
+      expect(parseTaxonomyText({ peerGroups: '# comment\n\nBig 6: A, B\nBig 6: C' }).definition.peerGroups).toEqual({ 'Big 6': ['A', 'B', 'C'] });
+      expect(() => parseTaxonomyText({ parents: 'Lloyds Banking Group' }))
+        .toThrow('Line 1 of the parent groups needs a name and a colon');
+    });
+
+    test('should round trip through a lender groups file', () => {
+      expect(importTaxonomy(exportTaxonomy(taxonomy)).definition).toEqual(taxonomy.definition);
+      expect(() => importTaxonomy('not json')).toThrow('it is not valid JSON');
+      expect(() => importTaxonomy('{"views": []}')).toThrow('it has no aliases, parent groups or peer groups');
+      expect(() => importTaxonomy('{"version": 2, "aliases": {}}')).toThrow('version 2 is newer');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * LTV Bands Tests
+ *
+ * This file contains tests for the configurable LTV band schemes.
+ * It verifies band creation and validation, band labels, assigning LTVs to bands and matching LTVs against selected bands.
+ */
+
+const {
+  DEFAULT_LTV_BREAKPOINTS,
+  createLtvBandScheme,
+  ltvBandLabels,
+  describeLtvBandScheme,
+  parseLtvBand,
+  assignLtvBand,
+  createLtvBandMatcher
+} = require('../src/utils/ltvBands');
+
+describe('LtvBands', () => {
+  const scheme = createLtvBandScheme();
+
+  describe('createLtvBandScheme', () => {
+    test('should create the default bands', () => {
+      expect(scheme.definition).toEqual({ breakpoints: DEFAULT_LTV_BREAKPOINTS });
+      expect(describeLtvBandScheme(scheme)).toBe('0-60, 60-75, 75-85, 85-90, 90-95, 95+');
+      expect(scheme.bands[5]).toEqual({ label: '95+', lower: 95, upper: Infinity });
+    });
+
+    test('should accept breakpoints given as text', () => {
+      expect(ltvBandLabels(createLtvBandScheme({ breakpoints: ['80', '90'] }))).toEqual(['0-80', '80-90', '90+']);
+    });
+
+    test('should reject missing, fractional and unordered breakpoints', () => {
+      expect(() => createLtvBandScheme({ breakpoints: [] })).toThrow('LTV bands need at least one breakpoint');
+      expect(() => createLtvBandScheme({ breakpoints: [62.5] })).toThrow('LTV breakpoints must be whole percentages from 1 to 150');
+      expect(() => createLtvBandScheme({ breakpoints: [0, 80] })).toThrow('whole percentages');
+      expect(() => createLtvBandScheme({ breakpoints: [80, 75] })).toThrow('LTV breakpoints must be in ascending order');
+    });
+  });
+
+  describe('parseLtvBand', () => {
+    test('should read closed and open bands', () => {
+      expect(parseLtvBand('85-90')).toEqual({ lower: 85, upper: 90 });
+      expect(parseLtvBand(' 95+ ')).toEqual({ lower: 95, upper: Infinity });
+    });
+
+    test('should reject labels that are not bands', () => {
+      expect(() => parseLtvBand('above-80')).toThrow('Invalid LTV band: above-80. Use bands such as 85-90 or 95+');
+      expect(() => parseLtvBand('90-85')).toThrow('Invalid LTV band: 90-85');
+    });
+  });
+
+  describe('assignLtvBand', () => {
+    test('should include the lower bound and exclude the upper bound', () => {
+      expect(assignLtvBand(0, scheme)).toBe('0-60');
+      expect(assignLtvBand(84.99, scheme)).toBe('75-85');
+      expect(assignLtvBand(85, scheme)).toBe('85-90');
+      expect(assignLtvBand(100, scheme)).toBe('95+');
+    });
+
+    test('should return null without an LTV', () => {
+      expect(assignLtvBand(null, scheme)).toBeNull();
+      expect(assignLtvBand(undefined, scheme)).toBeNull();
+      expect(assignLtvBand(NaN, scheme)).toBeNull();
+    });
+  });
+
+  describe('createLtvBandMatcher', () => {
+    test('should match LTVs in any selected band', () => {
+      const matches = createLtvBandMatcher(['60-75', '95+']);
+      expect(matches(60)).toBe(true);
+      expect(matches(75)).toBe(false);
+      expect(matches(97)).toBe(true);
+    });
+
+    test('should match everything without a selection and keep records without LTV data', () => {
+      expect(createLtvBandMatcher([])(50)).toBe(true);
+      expect(createLtvBandMatcher(undefined)(50)).toBe(true);
+      expect(createLtvBandMatcher(['95+'])(null)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Market Reports Tests
+ *
+ * This file contains tests for the DOM-free report functions shared by the page and the CLI.
+ * It verifies record filtering, the premium band table, lender market share, trends and CSV output.
+ */
+
+const {
+  createDefaultFilters,
+  matchesLtvRange,
+  filterRecords,
+  calculateMarketTotals,
+  buildPremiumBandTable,
+  aggregateLenderMarketShare,
+  buildMarketShareTable,
+  formatMonthLabel,
+  groupByMonthAndLender,
+  findActiveLenders,
+  findTopLenders,
+  buildTrendsTable,
+  toCsv
+} = require('../src/utils/marketReports');
+const { aggregateByPremiumBandAndMonth } = require('../src/utils/analysisPipeline');
+const { createLtvBandScheme } = require('../src/utils/ltvBands');
+const { createTaxonomy } = require('../src/utils/lenderTaxonomy');
+
+describe('Market Reports', () => {
+  const records = [
+    { Provider: 'Lender A', BaseLender: 'Lender A', Month: '2023-01', PremiumBand: '0-20', PremiumOverSwap: 10, Loan: 100, StandardizedLTV: 75, NormalizedTerm: 24, ProductType: 'Fixed', PurchaseType: 'Remortgage' },
+    { Provider: 'Lender B', BaseLender: 'Lender B', Month: '2023-01', PremiumBand: '0-20', PremiumOverSwap: 15, Loan: 300, StandardizedLTV: 85, NormalizedTerm: 60, ProductType: 'Fixed', PurchaseType: 'First Time Buyer' },
+    { Provider: 'Lender A', BaseLender: 'Lender A', Month: '2023-02', PremiumBand: '20-40', PremiumOverSwap: 25, Loan: 200, StandardizedLTV: 92, NormalizedTerm: 24, ProductType: 'Fixed', PurchaseType: 'Remortgage' },
+    { Provider: 'Lender C', BaseLender: 'Lender C', Month: '2023-02', PremiumBand: '-20-0', PremiumOverSwap: -5, Loan: 400, NormalizedTerm: 60, ProductType: 'Fixed', PurchaseType: 'Remortgage' }
+  ];
+
+  describe('matchesLtvRange', () => {
+    test('should apply each LTV range option', () => {
+      expect(matchesLtvRange(79, 'below-80')).toBe(true);
+      expect(matchesLtvRange(80, 'below-80')).toBe(false);
+      expect(matchesLtvRange(80, 'above-80')).toBe(true);
+      expect(matchesLtvRange(85, 'above-85')).toBe(false);
+      expect(matchesLtvRange(91, 'above-90')).toBe(true);
+    });
+
+    test('should keep records without LTV data', () => {
+      expect(matchesLtvRange(null, 'above-90')).toBe(true);
+      expect(matchesLtvRange(undefined, 'below-80')).toBe(true);
+    });
+  });
+
+  describe('filterRecords', () => {
+    test('should return all records when no filters are active', () => {
+      expect(filterRecords(records, createDefaultFilters())).toHaveLength(4);
+    });
+
+    test('should apply lender, date, term and LTV filters together', () => {
+      const filters = {
+        ...createDefaultFilters(),
+        lenders: ['Lender A', 'Lender C'],
+        dateRange: ['2023-02', '2023-02'],
+        productTerm: '2year',
+        ltvRange: 'above-90'
+      };
+      const result = filterRecords(records, filters);
+      expect(result).toHaveLength(1);
+      expect(result[0].Loan).toBe(200);
+    });
+
+    test('should filter by days, and by months that cover whole months', () => {
+      const dated = [
+        { Month: '2023-01', Day: '2023-01-31', Loan: 1 },
+        { Month: '2023-02', Day: '2023-02-01', Loan: 2 },
+        { Month: '2023-02', DocumentDate: new Date('2023-02-28T12:00:00Z'), Loan: 3 },
+        { Month: null, Day: null, Loan: 4 }
+      ];
+      const loans = dateRange => filterRecords(dated, { ...createDefaultFilters(), dateRange }).map(r => r.Loan);
+
+      expect(loans(['2023-02-01', '2023-02-27'])).toEqual([2]);
+      expect(loans(['2023-01-31', '2023-02'])).toEqual([1, 2, 3]);
+      expect(loans(['2023-02', '2023-02'])).toEqual([2, 3]);
+    });
+
+    test('should apply the LTV bands filter and keep records without LTV data', () => {
+      const result = filterRecords(records, { ltvBands: ['85-90', '90-95'] });
+      expect(result.map(r => r.Loan)).toEqual([300, 200, 400]);
+      expect(filterRecords(records, { ltvBands: ['85-90'] }, { ltvBands: false })).toHaveLength(4);
+    });
+
+    test('should apply product type, purchase type and premium range filters', () => {
+      expect(filterRecords(records, { purchaseTypes: ['First Time Buyer'] })).toHaveLength(1);
+      expect(filterRecords(records, { productTypes: ['Tracker'] })).toHaveLength(0);
+      expect(filterRecords(records, { premiumRange: [0, 20] })).toHaveLength(2);
+    });
+
+    test('should apply the lender groups filter as part of the lender filter', () => {
+      const filters = {
+        lenderGroups: ['peer:Challengers'],
+        lenderTaxonomy: createTaxonomy({ peerGroups: { Challengers: ['Lender B', 'Lender C'] } })
+      };
+      expect(filterRecords(records, filters).map(r => r.Provider)).toEqual(['Lender B', 'Lender C']);
+      expect(filterRecords(records, { ...filters, lenders: ['Lender B'] })).toHaveLength(1);
+      expect(filterRecords(records, filters, { lenders: false })).toHaveLength(4);
+    });
+
+    test('should skip filters disabled in the options', () => {
+      const result = filterRecords(records, { lenders: ['Lender A'], productTerm: '5year' }, { lenders: false });
+      expect(result.map(r => r.Provider)).toEqual(['Lender B', 'Lender C']);
+    });
+
+    test('should return an empty array for invalid input', () => {
+      expect(filterRecords(null, {})).toEqual([]);
+    });
+  });
+
+  describe('buildPremiumBandTable', () => {
+    test('should build band rows with a Total row and market percentages', () => {
+      const filters = { ...createDefaultFilters(), lenders: ['Lender A'] };
+      const aggregates = aggregateByPremiumBandAndMonth(filterRecords(records, filters));
+      const marketTotals = calculateMarketTotals(records, filters);
+      const rows = buildPremiumBandTable(aggregates, marketTotals, false);
+
+      expect(rows.map(r => r.premiumBand)).toEqual(['0-20', '20-40', 'Total']);
+      expect(rows[0]).toMatchObject({ '2023-01': 100, '2023-02': 0, total: 100, percentageOfMarket: 25 });
+      expect(rows[2]).toMatchObject({ total: 300, percentageOfMarket: 30 });
+    });
+
+    test('should report 100% of market when all lenders are selected', () => {
+      const aggregates = aggregateByPremiumBandAndMonth(records);
+      const rows = buildPremiumBandTable(aggregates, calculateMarketTotals(records, {}), true);
+      expect(rows.every(r => r.percentageOfMarket === 100)).toBe(true);
+    });
+  });
+
+  describe('aggregateLenderMarketShare', () => {
+    test('should calculate band shares split by LTV band', () => {
+      const share = aggregateLenderMarketShare(records, ['0-20', '20-40']);
+
+      expect(share.ltvBands).toEqual(['0-60', '60-75', '75-85', '85-90', '90-95', '95+']);
+      expect(share.overallTotal).toBe(600);
+      expect(share.lenderData['Lender A']['0-20_pct']).toBe(25);
+      expect(share.lenderData['Lender A'].Total).toBe(300);
+      expect(share.lenderData['Lender A'].Total_pct).toBe(50);
+      expect(share.lenderData['Lender A']['0-20_ltv75-85_pct']).toBe(100);
+      expect(share.lenderData['Lender B']['0-20_ltv85-90_pct']).toBe(100);
+      expect(share.lenderData['Lender A']['Total_ltv90-95']).toBe(200);
+      expect(share.lenderData['Lender C'].Total).toBe(0);
+      expect(share.overallTotalsByLtv).toEqual({ '0-60': 0, '60-75': 0, '75-85': 100, '85-90': 300, '90-95': 200, '95+': 0 });
+      expect(share.summary.Total).toBe(600);
+    });
+
+    test('should split by a custom LTV band scheme', () => {
+      const share = aggregateLenderMarketShare(records, ['0-20', '20-40'], createLtvBandScheme({ breakpoints: [80] }));
+
+      expect(share.ltvBands).toEqual(['0-80', '80+']);
+      expect(share.lenderData['Lender A']['Total_ltv0-80_pct']).toBe(100);
+      expect(share.lenderData['Lender A']['Total_ltv80+_pct']).toBe(40);
+      expect(share.summary['Total_ltv80+']).toBe(500);
+    });
+
+    test('should flatten into rows sorted by total with a Total Market row', () => {
+      const bands = ['0-20', '20-40'];
+      const rows = buildMarketShareTable(aggregateLenderMarketShare(records, bands), bands);
+
+      expect(rows.map(r => r.Lender)).toEqual(['Lender A', 'Lender B', 'Total Market']);
+      expect(rows[2].Total_pct).toBe(100);
+    });
+  });
+
+  describe('trends', () => {
+    test('should group loans by month and lender with market share', () => {
+      const monthly = groupByMonthAndLender(records);
+
+      expect(monthly.months).toEqual(['2023-01', '2023-02']);
+      expect(monthly.monthLabels).toEqual(['Jan 23', 'Feb 23']);
+      expect(monthly.data['2023-01'].total).toBe(400);
+      expect(monthly.data['2023-01'].lenders['Lender B_pct']).toBe(75);
+    });
+
+    test('should find active and top lenders', () => {
+      const monthly = groupByMonthAndLender(records);
+
+      expect(findActiveLenders(monthly)).toEqual(['Lender A', 'Lender B', 'Lender C']);
+      expect(findTopLenders(monthly, 1)).toEqual(['Lender B', 'Lender C']);
+    });
+
+    test('should build one row per month with a share column per lender', () => {
+      const monthly = groupByMonthAndLender(records);
+      const rows = buildTrendsTable(monthly, ['Lender A', 'Lender B']);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toEqual({ Month: '2023-01', Label: 'Jan 23', 'Lender A': 25, 'Lender B': 75 });
+      expect(rows[1]['Lender A']).toBeCloseTo(33.33, 2);
+      expect(rows[1]['Lender B']).toBe(0);
+    });
+
+    test('should group by week, quarter or year and name the period column after it', () => {
+      const daily = [
+        { Provider: 'Lender A', Month: '2023-01', Day: '2023-01-01', Loan: 100 },
+        { Provider: 'Lender B', Month: '2023-01', Day: '2023-01-02', Loan: 300 },
+        { Provider: 'Lender A', Month: '2023-01', Day: '2023-01-08', Loan: 200 }
+      ];
+      const weekly = groupByMonthAndLender(daily, 'week');
+
+      expect(weekly.months).toEqual(['2022-W52', '2023-W01']);
+      expect(weekly.monthLabels).toEqual(['W52 22', 'W01 23']);
+      expect(weekly.data['2023-W01'].lenders['Lender A_pct']).toBe(40);
+      expect(buildTrendsTable(weekly, ['Lender A'])[0]).toEqual({ Week: '2022-W52', Label: 'W52 22', 'Lender A': 100 });
+      expect(groupByMonthAndLender(daily, 'year').months).toEqual(['2023']);
+      expect(() => groupByMonthAndLender(daily, 'fortnight')).toThrow('Unknown time granularity');
+    });
+
+    test('should format month labels', () => {
+      expect(formatMonthLabel('2024-12')).toBe('Dec 24');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should serialize rows with the given columns and escape values', () => {
+      const csv = toCsv([{ name: 'Lender, "A"', value: 1 }, { name: 'B', value: null }], ['name', 'value']);
+      expect(csv).toBe('name,value\n"Lender, ""A""",1\nB,\n');
+    });
+
+    test('should default columns to the keys of the first row', () => {
+      expect(toCsv([{ a: 1, b: 2 }])).toBe('a,b\n1,2\n');
+    });
+  });
+});
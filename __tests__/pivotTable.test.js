@@ -0,0 +1,111 @@
+/**
+ * Pivot Table Tests
+ *
+ * This file contains tests for the pivot builder over enriched ESIS records.
+ * It verifies grouping by each dimension, the measures with their row and column totals, and the table layout.
+ */
+
+const {
+  UNKNOWN,
+  assignLoanSizeBand,
+  monthToQuarter,
+  formatProductTerm,
+  buildPivot,
+  pivotToTable
+} = require('../src/utils/pivotTable');
+const { createLtvBandScheme } = require('../src/utils/ltvBands');
+
+describe('PivotTable', () => {
+  const records = [
+    { Provider: 'Lender A', BaseLender: 'Lender A', Month: '2023-01', PremiumBand: '20-40', PremiumOverSwap: 30, Loan: 100000, StandardizedLTV: 75, NormalizedTerm: 24, PurchaseType: 'Remortgage' },
+    { Provider: 'Lender A', BaseLender: 'Lender A', Month: '2023-04', PremiumBand: '0-20', PremiumOverSwap: 10, Loan: 300000, StandardizedLTV: 92, NormalizedTerm: 60, PurchaseType: 'First Time Buyer' },
+    { Provider: 'Lender B', BaseLender: 'Lender B', Month: '2023-02', PremiumBand: '0-20', PremiumOverSwap: 20, Loan: 600000, StandardizedLTV: 60, NormalizedTerm: 24, PurchaseType: 'Remortgage' },
+    { Provider: 'Lender B', BaseLender: 'Lender B', Month: '2023-02', PremiumBand: '100-120', Loan: 1000000, NormalizedTerm: 18 }
+  ];
+
+  describe('dimension values', () => {
+    test('should band loan sizes', () => {
+      expect(assignLoanSizeBand(99999)).toBe('<£100k');
+      expect(assignLoanSizeBand(200000)).toBe('£200k-£300k');
+      expect(assignLoanSizeBand(1000000)).toBe('£1m+');
+      expect(assignLoanSizeBand(0)).toBeNull();
+    });
+
+    test('should format quarters and product terms', () => {
+      expect(monthToQuarter('2023-03')).toBe('2023 Q1');
+      expect(monthToQuarter('2023-10')).toBe('2023 Q4');
+      expect(formatProductTerm(60)).toBe('5 Year');
+      expect(formatProductTerm(18)).toBe('18 Months');
+    });
+  });
+
+  describe('buildPivot', () => {
+    test('should sum loans with row, column and overall totals', () => {
+      const pivot = buildPivot(records, { rows: 'lender', columns: 'premiumBand', measure: 'loanSum' });
+
+      expect(pivot.rowKeys).toEqual(['Lender A', 'Lender B']);
+      expect(pivot.columnKeys).toEqual(['0-20', '20-40', '100-120']);
+      expect(pivot.values['Lender B']['0-20']).toBe(600000);
+      expect(pivot.values['Lender B']['20-40']).toBe(0);
+      expect(pivot.rowTotals['Lender A']).toBe(400000);
+      expect(pivot.columnTotals['0-20']).toBe(900000);
+      expect(pivot.total).toBe(2000000);
+    });
+
+    test('should order groups by their dimension and put unknown groups last', () => {
+      const pivot = buildPivot(records, { rows: 'productTerm', columns: 'ltvBand', measure: 'count' }, {
+        ltvScheme: createLtvBandScheme({ breakpoints: [80, 90] })
+      });
+
+      expect(pivot.rowKeys).toEqual(['18 Months', '2 Year', '5 Year']);
+      expect(pivot.columnKeys).toEqual(['0-80', '90+', UNKNOWN]);
+      expect(pivot.values['2 Year']['0-80']).toBe(2);
+      expect(pivot.columnTotals[UNKNOWN]).toBe(1);
+    });
+
+    test('should average premiums over records with a premium, simply and weighted by loan', () => {
+      const simple = buildPivot(records, { rows: 'lender', columns: 'quarter', measure: 'averagePremium' });
+      const weighted = buildPivot(records, { rows: 'lender', columns: 'quarter', measure: 'weightedPremium' });
+
+      expect(simple.rowTotals['Lender A']).toBe(20);
+      expect(weighted.rowTotals['Lender A']).toBe(15);
+      expect(weighted.rowTotals['Lender B']).toBe(20);
+      expect(weighted.values['Lender A']['2023 Q2']).toBe(10);
+      expect(weighted.values['Lender B']['2023 Q2']).toBeNull();
+      expect(weighted.total).toBeCloseTo((30 * 100000 + 10 * 300000 + 20 * 600000) / 1000000);
+    });
+
+    test('should calculate shares of the column and of the row', () => {
+      const columnShare = buildPivot(records, { rows: 'lender', columns: 'purchaseType', measure: 'columnShare' });
+      const rowShare = buildPivot(records, { rows: 'lender', columns: 'purchaseType', measure: 'rowShare' });
+
+      expect(columnShare.values['Lender A'].Remortgage).toBeCloseTo(100000 / 700000 * 100);
+      expect(columnShare.rowTotals['Lender A']).toBe(20);
+      expect(columnShare.columnTotals.Remortgage).toBe(100);
+      expect(rowShare.values['Lender A'].Remortgage).toBe(25);
+      expect(rowShare.rowTotals['Lender A']).toBe(100);
+      expect(rowShare.columnTotals.Remortgage).toBe(35);
+    });
+
+    test('should reject unknown and repeated dimensions and unknown measures', () => {
+      expect(() => buildPivot(records, { rows: 'region', columns: 'month', measure: 'count' })).toThrow('Unknown pivot dimension: region');
+      expect(() => buildPivot(records, { rows: 'month', columns: 'month', measure: 'count' })).toThrow('Choose different dimensions');
+      expect(() => buildPivot(records, { rows: 'lender', columns: 'month', measure: 'median' })).toThrow('Unknown pivot measure: median');
+    });
+  });
+
+  describe('pivotToTable', () => {
+    test('should lay out numbered column fields with a Total column and row', () => {
+      const table = pivotToTable(buildPivot(records, { rows: 'month', columns: 'lender', measure: 'loanSum' }));
+
+      expect(table.columns).toEqual([
+        { field: 'label', title: 'Month' },
+        { field: 'c0', title: 'Lender A' },
+        { field: 'c1', title: 'Lender B' },
+        { field: 'total', title: 'Total' }
+      ]);
+      expect(table.rows[1]).toEqual({ label: '2023-02', c0: 0, c1: 1600000, total: 1600000 });
+      expect(table.rows[table.rows.length - 1]).toEqual({ label: 'Total', c0: 400000, c1: 1600000, total: 2000000 });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Premium Bands Tests
+ *
+ * This file contains tests for the configurable premium band schemes.
+ * It verifies scheme creation and validation, band assignment, ordering and descriptions.
+ */
+
+const {
+  DEFAULT_BAND_DEFINITION,
+  createBandScheme,
+  assignBand,
+  sortBands,
+  defaultBand,
+  describeBandScheme,
+  sameBandScheme
+} = require('../src/utils/premiumBands');
+
+describe('Premium Bands', () => {
+  describe('createBandScheme', () => {
+    test('should default to 20bps bands from -60 to 580', () => {
+      const scheme = createBandScheme();
+
+      expect(scheme.definition).toEqual(DEFAULT_BAND_DEFINITION);
+      expect(scheme.labels).toHaveLength(32);
+      expect(scheme.labels[0]).toBe('-60--40');
+      expect(scheme.labels[31]).toBe('560-580');
+    });
+
+    test('should build fixed width bands with open ends', () => {
+      const scheme = createBandScheme({ type: 'fixed', width: 50, min: 0, max: 150, openBottom: true, openTop: true });
+      expect(scheme.labels).toEqual(['<0', '0-50', '50-100', '100-150', '150+']);
+    });
+
+    test('should sort and de-duplicate custom breakpoints', () => {
+      const scheme = createBandScheme({ type: 'breakpoints', breakpoints: [100, 0, '50', 100] });
+      expect(scheme.breakpoints).toEqual([0, 50, 100]);
+      expect(scheme.labels).toEqual(['0-50', '50-100']);
+    });
+
+    test('should allow a single breakpoint with an open end', () => {
+      expect(createBandScheme({ type: 'breakpoints', breakpoints: [0], openBottom: true, openTop: true }).labels)
+        .toEqual(['<0', '0+']);
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => createBandScheme({ type: 'fixed', width: 15, min: 0, max: 150 })).toThrow('Band width');
+      expect(() => createBandScheme({ type: 'fixed', width: 20, min: 100, max: 100 })).toThrow('greater than the minimum');
+      expect(() => createBandScheme({ type: 'fixed', width: 20, min: 0, max: 50 })).toThrow('whole number');
+      expect(() => createBandScheme({ type: 'fixed', width: 10, min: -5000, max: 5000 })).toThrow('maximum is 200');
+      expect(() => createBandScheme({ type: 'breakpoints', breakpoints: [0, 'x'] })).toThrow('must be numbers');
+      expect(() => createBandScheme({ type: 'breakpoints', breakpoints: [0] })).toThrow('at least one band');
+      expect(() => createBandScheme({ type: 'quantile' })).toThrow('Unknown band scheme type');
+    });
+  });
+
+  describe('assignBand', () => {
+    const closed = createBandScheme({ type: 'breakpoints', breakpoints: [0, 50, 100, 200] });
+    const open = createBandScheme({ type: 'breakpoints', breakpoints: [0, 50, 100, 200], openBottom: true, openTop: true });
+
+    test('should assign premiums to the band with lower <= premium < upper', () => {
+      expect(assignBand(0, closed)).toBe('0-50');
+      expect(assignBand(49.9, closed)).toBe('0-50');
+      expect(assignBand(50, closed)).toBe('50-100');
+      expect(assignBand(150, closed)).toBe('100-200');
+    });
+
+    test('should clamp into the end bands of a closed scheme', () => {
+      expect(assignBand(-30, closed)).toBe('0-50');
+      expect(assignBand(450, closed)).toBe('100-200');
+    });
+
+    test('should use open-ended bands beyond the breakpoints', () => {
+      expect(assignBand(-30, open)).toBe('<0');
+      expect(assignBand(200, open)).toBe('200+');
+      expect(assignBand(450, open)).toBe('200+');
+    });
+
+    test('should return Unknown for missing premiums', () => {
+      expect(assignBand(null, open)).toBe('Unknown');
+      expect(assignBand(undefined, open)).toBe('Unknown');
+      expect(assignBand(NaN, open)).toBe('Unknown');
+    });
+  });
+
+  describe('sortBands', () => {
+    test('should order bands by lower bound with non-bands last', () => {
+      expect(sortBands(['300+', 'Unknown', '20-40', '<-20', '-20-0', '0-20']))
+        .toEqual(['<-20', '-20-0', '0-20', '20-40', '300+', 'Unknown']);
+    });
+  });
+
+  describe('defaultBand', () => {
+    test('should prefer the band containing a zero premium', () => {
+      const scheme = createBandScheme();
+      expect(defaultBand(scheme)).toBe('0-20');
+      expect(defaultBand(scheme, ['40-60', '20-40'])).toBe('20-40');
+      expect(defaultBand(scheme, [])).toBeNull();
+    });
+  });
+
+  describe('describeBandScheme', () => {
+    test('should describe fixed and custom schemes', () => {
+      expect(describeBandScheme(createBandScheme())).toBe('20bps bands from -60 to 580');
+      expect(describeBandScheme(createBandScheme({ type: 'breakpoints', breakpoints: [0, 100], openBottom: true })))
+        .toBe('Custom bands at 0, 100bps, open-ended below 0');
+    });
+  });
+
+  describe('sameBandScheme', () => {
+    test('should compare the bands two definitions produce', () => {
+      expect(sameBandScheme(DEFAULT_BAND_DEFINITION, { ...DEFAULT_BAND_DEFINITION, width: '20' })).toBe(true);
+      expect(sameBandScheme({ type: 'fixed', width: 50, min: 0, max: 100 }, { type: 'breakpoints', breakpoints: [0, 50, 100] })).toBe(true);
+      expect(sameBandScheme(DEFAULT_BAND_DEFINITION, { ...DEFAULT_BAND_DEFINITION, openTop: true })).toBe(false);
+    });
+  });
+});
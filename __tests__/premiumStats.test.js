@@ -0,0 +1,127 @@
+/**
+ * Premium Statistics Tests
+ *
+ * This file contains tests for the loan-weighted premium statistics behind the lender pricing summary.
+ * It verifies the weighted mean, quantiles and standard deviation, the lender rows split by product term and LTV band,
+ * and the premium trends per lender and for the market.
+ */
+
+const {
+  ALL,
+  TOTAL_MARKET,
+  summarizePremiums,
+  buildLenderPricingSummary,
+  rankLenders,
+  buildPremiumTrends,
+  buildPremiumTrendsTable
+} = require('../src/utils/premiumStats');
+const { UNKNOWN } = require('../src/utils/pivotTable');
+
+describe('PremiumStats', () => {
+  const records = [
+    { Provider: 'Lender A', PremiumOverSwap: 10, Loan: 100000, NormalizedTerm: 24, StandardizedLTV: 70 },
+    { Provider: 'Lender A', PremiumOverSwap: 30, Loan: 300000, NormalizedTerm: 60, StandardizedLTV: 92 },
+    { Provider: 'Lender A', PremiumOverSwap: 20, Loan: 100000, NormalizedTerm: 24, StandardizedLTV: 70 },
+    { Provider: 'Lender B', PremiumOverSwap: 50, Loan: 600000, NormalizedTerm: 24 },
+    { Provider: 'Lender B', PremiumOverSwap: null, Loan: 50000, NormalizedTerm: 24 }
+  ];
+
+  describe('summarizePremiums', () => {
+    test('should weight the mean, percentiles and standard deviation by loan amount', () => {
+      const summary = summarizePremiums(records.slice(0, 3));
+
+      expect(summary).toEqual({
+        records: 3,
+        pricedRecords: 3,
+        loanAmount: 500000,
+        mean: 24,
+        median: 30,
+        p10: 10,
+        p25: 20,
+        p75: 30,
+        p90: 30,
+        standardDeviation: 8
+      });
+    });
+
+    test('should take the midpoint when the lending splits evenly', () => {
+      const summary = summarizePremiums([{ PremiumOverSwap: 10, Loan: 1 }, { PremiumOverSwap: 20, Loan: 1 }]);
+      expect(summary.median).toBe(15);
+      expect(summary.p25).toBe(10);
+    });
+
+    test('should count records without a premium but leave them out of the statistics', () => {
+      const summary = summarizePremiums(records.slice(3));
+      expect(summary.records).toBe(2);
+      expect(summary.pricedRecords).toBe(1);
+      expect(summary.loanAmount).toBe(650000);
+      expect(summary.median).toBe(50);
+      expect(summarizePremiums([]).mean).toBeNull();
+    });
+  });
+
+  describe('buildLenderPricingSummary', () => {
+    test('should list lenders by loan amount with a Total Market row', () => {
+      const rows = buildLenderPricingSummary(records, { split: 'none' });
+
+      expect(rows.map(row => row.lender)).toEqual(['Lender B', 'Lender A', TOTAL_MARKET]);
+      expect(rows[1]).toMatchObject({ productTerm: ALL, ltvBand: ALL, mean: 24 });
+      expect(rows[2].records).toBe(5);
+      expect(rows[2].loanAmount).toBe(1150000);
+    });
+
+    test('should follow each lender row with its product term and LTV band groups', () => {
+      const rows = buildLenderPricingSummary(records);
+      const lenderA = rows.filter(row => row.lender === 'Lender A');
+
+      expect(lenderA.map(row => [row.productTerm, row.ltvBand])).toEqual([
+        [ALL, ALL],
+        ['2 Year', '60-75'],
+        ['5 Year', '90-95']
+      ]);
+      expect(lenderA[1]).toMatchObject({ records: 2, mean: 15, median: 15 });
+      expect(rows.find(row => row.lender === 'Lender B' && row.productTerm === '2 Year').ltvBand).toBe(UNKNOWN);
+    });
+
+    test('should split by a single dimension and reject unknown splits', () => {
+      const rows = buildLenderPricingSummary(records, { split: 'productTerm' });
+      expect(rows.filter(row => row.lender === 'Lender A').map(row => row.productTerm)).toEqual([ALL, '2 Year', '5 Year']);
+      expect(rows.every(row => row.ltvBand === ALL)).toBe(true);
+      expect(() => buildLenderPricingSummary(records, { split: 'region' })).toThrow('Unknown pricing split: region');
+    });
+  });
+
+  describe('premium trends', () => {
+    const dated = [
+      { Provider: 'Lender A', Month: '2023-01', Day: '2023-01-05', PremiumOverSwap: 10, Loan: 100000 },
+      { Provider: 'Lender B', Month: '2023-01', Day: '2023-01-20', PremiumOverSwap: 40, Loan: 300000 },
+      { Provider: 'Lender A', Month: '2023-02', Day: '2023-02-03', PremiumOverSwap: 20, Loan: 200000 },
+      { Provider: 'Lender A', Month: '2023-02', Day: '2023-02-10', PremiumOverSwap: 50, Loan: 100000 }
+    ];
+
+    test('should rank lenders by loan amount', () => {
+      expect(rankLenders(dated)).toEqual(['Lender A', 'Lender B']);
+    });
+
+    test('should follow each lender and the market per period', () => {
+      const trends = buildPremiumTrends(dated, ['Lender A', 'Lender B']);
+
+      expect(trends.months).toEqual(['2023-01', '2023-02']);
+      expect(trends.monthLabels).toEqual(['Jan 23', 'Feb 23']);
+      expect(trends.lenders['Lender A']).toEqual([10, 30]);
+      expect(trends.lenders['Lender B']).toEqual([40, null]);
+      expect(trends.market.mean).toEqual([32.5, 30]);
+      expect(trends.market.p25).toEqual([25, 20]);
+      expect(trends.market.p75).toEqual([40, 50]);
+    });
+
+    test('should group by the chosen granularity and lay out table rows', () => {
+      const trends = buildPremiumTrends(dated, ['Lender B'], 'quarter');
+      const rows = buildPremiumTrendsTable(trends);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ Quarter: '2023-Q1', Label: 'Q1 23', 'Lender B': 40, 'Market P25': 20, 'Market P75': 40 });
+      expect(rows[0]['Market Mean']).toBeCloseTo(220 / 7);
+    });
+  });
+});
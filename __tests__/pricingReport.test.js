@@ -0,0 +1,294 @@
+/**
+ * Pricing Report CLI Tests
+ *
+ * This file contains tests for the command-line report generator in bin/pricing-report.js.
+ * It verifies argument parsing, report building from raw rows and the files written.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const {
+  parseCliArgs,
+  readSwapFile,
+  buildReport,
+  writeReport,
+  main
+} = require('../bin/pricing-report');
+
+describe('Pricing Report CLI', () => {
+  const swapRows = [
+    { effective_at: '2023-01-02', product_term_in_months: 24, rate: 0.04 },
+    { effective_at: '2023-01-02', product_term_in_months: 60, rate: 0.035 }
+  ];
+
+  const esisRows = [
+    { Provider: 'Lender A', DocumentDate: '2023-01-05', Rate: 5.0, TieInPeriod: 24, Loan: 200000, LTV: 75, PurchaseType: 'Remortgage' },
+    { Provider: 'Lender B', DocumentDate: '2023-01-10', Rate: 4.5, TieInPeriod: 60, Loan: 400000, LTV: 85, PurchaseType: 'First Time Buyer' },
+    { Provider: 'Lender A', DocumentDate: '2023-02-10', Rate: 4.2, TieInPeriod: 24, Loan: 100000, LTV: 60, PurchaseType: 'Remortgage' }
+  ];
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-report-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCliArgs', () => {
+    test('should map flags to report options and filters', () => {
+      const options = parseCliArgs([
+        '--esis', 'esis.csv', '--swap', 'swaps.xlsx',
+        '--from', '2023-01', '--to', '2023-06',
+        '--lender', 'Lender A', '--lender', 'Lender B',
+        '--ltv', 'below-80', '--ltv-bands', '60-75, 75-85', '--term', '5year',
+        '--purchase-type', 'Remortgage',
+        '--bands', '0-20, 20-40', '--top', '0', '--format', 'json'
+      ]);
+
+      expect(options.esisPath).toBe('esis.csv');
+      expect(options.swapPath).toBe('swaps.xlsx');
+      expect(options.filters).toMatchObject({
+        dateRange: ['2023-01', '2023-06'],
+        lenders: ['Lender A', 'Lender B'],
+        ltvRange: 'below-80',
+        ltvBands: ['60-75', '75-85'],
+        productTerm: '5year',
+        purchaseTypes: ['Remortgage'],
+        productTypes: []
+      });
+      expect(options.bands).toEqual(['0-20', '20-40']);
+      expect(options.top).toBe(0);
+      expect(options.format).toBe('json');
+    });
+
+    test('should build the premium band scheme from the band flags', () => {
+      const base = ['--esis', 'a.csv', '--swap', 'b.csv'];
+
+      expect(parseCliArgs(base).bandScheme.labels[0]).toBe('-60--40');
+      expect(parseCliArgs([...base, '--band-width', '50', '--band-min', '0', '--band-max', '300', '--band-open', 'both']).bandScheme.labels)
+        .toEqual(['<0', '0-50', '50-100', '100-150', '150-200', '200-250', '250-300', '300+']);
+      expect(parseCliArgs([...base, '--band-breaks', '0, 100, 200']).bandScheme.labels).toEqual(['0-100', '100-200']);
+    });
+
+    test('should reject invalid band flags', () => {
+      const base = ['--esis', 'a.csv', '--swap', 'b.csv'];
+
+      expect(() => parseCliArgs([...base, '--band-width', '15'])).toThrow('Invalid premium bands');
+      expect(() => parseCliArgs([...base, '--band-open', 'left'])).toThrow('--band-open');
+      expect(() => parseCliArgs([...base, '--band-breaks', '0,50', '--band-width', '10'])).toThrow('--band-breaks');
+    });
+
+    test('should leave the other end of a single date bound open', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--from', '2023-03']);
+      expect(options.filters.dateRange).toEqual(['2023-03', '9999-12']);
+    });
+
+    test('should read --flag=value and reject malformed flags', () => {
+      const options = parseCliArgs(['--esis=a.csv', '--swap', 'b.csv', '--quiet', '--lender=Lender A']);
+      expect(options.esisPath).toBe('a.csv');
+      expect(options.filters.lenders).toEqual(['Lender A']);
+      expect(options.quiet).toBe(true);
+
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap'])).toThrow("Option '--swap <value>' argument missing");
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', 'extra'])).toThrow("Unexpected argument 'extra'");
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--quiet=yes'])).toThrow("Option '--quiet' does not take a value");
+    });
+
+    test('should accept day bounds and a time granularity', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--from', '2023-03-15', '--granularity', 'week']);
+      expect(options.filters.dateRange).toEqual(['2023-03-15', '9999-12']);
+      expect(options.granularity).toBe('week');
+      expect(parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv']).granularity).toBe('month');
+    });
+
+    test('should reject missing inputs and invalid values', () => {
+      expect(() => parseCliArgs([])).toThrow('Both --esis and --swap are required');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--to', '2023-02-30x'])).toThrow('YYYY-MM-DD');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--granularity', 'day'])).toThrow('--granularity must be one of: week, month, quarter, year');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--from', '2023-13'])).toThrow('YYYY-MM');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--ltv', 'above-70'])).toThrow('--ltv');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--ltv-bands', '80-90,high'])).toThrow('--ltv-bands: Invalid LTV band: high');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--term', '4year'])).toThrow('--term');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--unknown'])).toThrow();
+    });
+  });
+
+  describe('buildReport', () => {
+    test('should build the premium band, market share and trends tables', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--lender', 'Lender A']);
+      const report = buildReport(esisRows, swapRows, options);
+
+      expect(report.premiumBands.columns).toEqual(['premiumBand', '2023-01', '2023-02', 'total', 'percentageOfMarket']);
+      expect(report.premiumBands.rows.map(r => r.premiumBand)).toEqual(['20-40', '100-120', 'Total']);
+      expect(report.premiumBands.rows[2].total).toBe(300000);
+      expect(report.premiumBands.rows[2].percentageOfMarket).toBeCloseTo(300000 / 700000 * 100);
+
+      // Market share ignores the lender filter
+      expect(report.marketShare.rows.map(r => r.Lender)).toEqual(['Lender B', 'Lender A', 'Total Market']);
+      expect(report.trends.columns).toEqual(['Month', 'Label', 'Lender A', 'Lender B']);
+      expect(report.summary.recordsFiltered).toBe(2);
+    });
+
+    test('should limit market share and trends to the requested bands', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--bands', '20-40']);
+      const report = buildReport(esisRows, swapRows, options);
+
+      expect(report.marketShare.columns).toEqual(['Lender', '20-40', '20-40_pct', 'Total', 'Total_pct']);
+      expect(report.marketShare.rows.map(r => r.Lender)).toEqual(['Lender A', 'Total Market']);
+      expect(report.trends.rows).toEqual([{ Month: '2023-02', Label: 'Feb 23', 'Lender A': 100 }]);
+    });
+
+    test('should group the tables by the chosen granularity within a day range', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--from', '2023-01-06', '--granularity', 'quarter']);
+      const report = buildReport(esisRows, swapRows, options);
+
+      expect(report.premiumBands.columns).toEqual(['premiumBand', '2023-Q1', 'total', 'percentageOfMarket']);
+      expect(report.premiumBands.rows[report.premiumBands.rows.length - 1].total).toBe(500000);
+      expect(report.trends.columns).toEqual(['Quarter', 'Label', 'Lender A', 'Lender B']);
+      expect(report.trends.rows[0]).toMatchObject({ Quarter: '2023-Q1', Label: 'Q1 23' });
+      expect(report.summary.granularity).toBe('quarter');
+    });
+
+    test('should price non-standard terms with the chosen interpolation', () => {
+      const rows = [...esisRows, { Provider: 'Lender C', DocumentDate: '2023-01-12', Rate: 4.0, TieInPeriod: 36, Loan: 50000 }];
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--interpolation', 'monotone-cubic', '--term', '3year']);
+      const report = buildReport(rows, swapRows, options);
+
+      expect(report.summary.recordsFiltered).toBe(1);
+      // The swap file has two tenors, too few for the cubic, so they are joined linearly
+      expect(report.summary.swapMethods).toEqual({ exact: 3, linear: 1 });
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--interpolation', 'spline'])).toThrow('--interpolation');
+    });
+
+    test('should exclude terms outside the swap curve unless --extrapolate is passed', () => {
+      const rows = [...esisRows, { Provider: 'Lender C', DocumentDate: '2023-01-12', Rate: 4.0, TieInPeriod: 120, Loan: 50000 }];
+      const report = buildReport(rows, swapRows, parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv']));
+      expect(report.summary.recordsEnriched).toBe(3);
+      expect(report.summary.outsideCurveExcluded).toBe(1);
+
+      const extrapolated = buildReport(rows, swapRows, parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--extrapolate']));
+      expect(extrapolated.summary.recordsEnriched).toBe(4);
+      expect(extrapolated.summary.swapMethods).toEqual({ exact: 3, flat: 1 });
+    });
+
+    test('should price against the chosen swap matching policy', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--swap-policy', 'lagged', '--swap-days', '5']);
+      expect(options.matchingPolicy).toEqual({ name: 'lagged', lagDays: 5 });
+
+      // A 5 day lag puts the 5th January document before the first swap fixing
+      const report = buildReport(esisRows, swapRows, options);
+      expect(report.summary.recordsEnriched).toBe(2);
+      expect(report.summary.noSwapRateExcluded).toBe(1);
+      expect(report.summary.swapPolicy).toBe('rate lagged 5 days');
+
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--swap-policy', 'closest'])).toThrow('--swap-policy');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--swap-policy', 'average', '--swap-days', '0'])).toThrow('windowDays');
+    });
+
+    test('should read rates in the unit set by --unit-override', () => {
+      const rows = [...esisRows, { Provider: 'Lender C: Direct', DocumentDate: '2023-01-12', Rate: 0.45, TieInPeriod: 24, Loan: 50000 }];
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--unit-override', 'Lender C: Direct:Rate=tens-of-percent']);
+      expect(options.unitOverrides).toEqual([{ source: 'Lender C: Direct', column: 'Rate', unit: 'tens-of-percent' }]);
+
+      const report = buildReport(rows, swapRows, options);
+      expect(report.summary.recordsEnriched).toBe(4);
+      expect(report.summary.ambiguousRateExcluded).toBe(0);
+
+      // Without the override 0.45 is neither a plausible percentage nor a decimal
+      const unmapped = buildReport(rows, swapRows, parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv']));
+      expect(unmapped.summary.ambiguousRateExcluded).toBe(1);
+
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--unit-override', 'Lender C=percent'])).toThrow('<lender>:<column>=<unit>');
+      expect(() => parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--unit-override', '*:Rate=permille'])).toThrow('Invalid --unit-override');
+    });
+
+    test('should deduplicate with the --dedupe flags', () => {
+      const rows = [...esisRows, { ...esisRows[0], Rate: 4.9 }];
+      const base = ['--esis', 'a.csv', '--swap', 'b.csv'];
+
+      const original = buildReport(rows, swapRows, parseCliArgs(base));
+      expect(original.summary.duplicates).toBe(1);
+      expect(original.summary.dedupeRule).toBe('record id, else lender + document date + loan as written, keeping the first in the file');
+
+      const strict = parseCliArgs([...base, '--dedupe-keys', 'lender, documentDate, loan, rate', '--dedupe-keep', 'latest']);
+      expect(strict.dedupeRule).toEqual({ keys: [['lender', 'documentDate', 'loan', 'rate']], keep: 'latest', match: 'normalized' });
+      expect(buildReport(rows, swapRows, strict).summary.duplicates).toBe(0);
+
+      expect(parseCliArgs([...base, '--dedupe', 'case-reference', '--dedupe-keep', 'first']).dedupeRule)
+        .toEqual({ keys: [['caseReference']], keep: 'first', match: 'normalized' });
+      expect(parseCliArgs([...base, '--dedupe-keep', 'latest']).dedupeRule).toMatchObject({ keep: 'latest', match: 'exact' });
+      expect(() => parseCliArgs([...base, '--dedupe', 'fuzzy'])).toThrow('Invalid duplicate rule');
+      expect(() => parseCliArgs([...base, '--dedupe', 'none', '--dedupe-keys', 'loan'])).toThrow('--dedupe-keys');
+      expect(() => parseCliArgs([...base, '--dedupe-keys', 'broker'])).toThrow('Unknown deduplication field: broker');
+    });
+
+    test('should band premiums with the configured scheme', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--band-breaks', '0,50,100', '--band-open', 'top']);
+      const report = buildReport(esisRows, swapRows, options);
+
+      expect(report.premiumBands.rows.map(r => r.premiumBand)).toEqual(['0-50', '100+', 'Total']);
+      expect(report.summary.bandScheme).toBe('Custom bands at 0, 50, 100bps, open-ended 100+');
+    });
+  });
+
+  describe('writeReport', () => {
+    test('should write CSV and JSON files to the output directory', () => {
+      const options = parseCliArgs(['--esis', 'a.csv', '--swap', 'b.csv', '--format', 'both', '--out', tmpDir, '--prefix', 'weekly']);
+      const written = writeReport(buildReport(esisRows, swapRows, options), options);
+
+      expect(written.map(file => path.basename(file))).toEqual([
+        'weekly-premium-bands.csv',
+        'weekly-market-share.csv',
+        'weekly-trends.csv',
+        'weekly-report.json'
+      ]);
+      expect(fs.readFileSync(written[0], 'utf8').split('\n')[0]).toBe('premiumBand,2023-01,2023-02,total,percentageOfMarket');
+
+      const json = JSON.parse(fs.readFileSync(written[3], 'utf8'));
+      expect(json.premiumBands).toHaveLength(3);
+      expect(json.summary.filters.ltvRange).toBe('all');
+    });
+  });
+
+  describe('readSwapFile', () => {
+    test('should read the swap sheet from an XLSX workbook', () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Note: 'cover' }]), 'Cover');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Date: 44928, TieInPeriod: 24, Rate: 0.04 }]), 'Swap Rates');
+      const file = path.join(tmpDir, 'swaps.xlsx');
+      XLSX.writeFile(workbook, file);
+
+      expect(readSwapFile(file)).toEqual([{ Date: 44928, TieInPeriod: 24, Rate: 0.04 }]);
+    });
+
+    test('should reject unsupported formats', () => {
+      expect(() => readSwapFile('swaps.txt')).toThrow('Unsupported swap rates file format');
+    });
+  });
+
+  describe('main', () => {
+    test('should run end to end from CSV files', () => {
+      const esisFile = path.join(tmpDir, 'esis.csv');
+      const swapFile = path.join(tmpDir, 'swaps.csv');
+      fs.writeFileSync(esisFile, 'Provider,DocumentDate,Rate,TieInPeriod,Loan\nLender A,2023-01-05,5.0,24,200000\n');
+      fs.writeFileSync(swapFile, 'product_term_in_months,rate,effective_at\n24,0.04,2023-01-02 00:00:00 UTC\n');
+
+      expect(main(['--esis', esisFile, '--swap', swapFile, '--out', tmpDir])).toBe(0);
+      expect(fs.readFileSync(path.join(tmpDir, 'pricing-report-premium-bands.csv'), 'utf8'))
+        .toBe('premiumBand,2023-01,total,percentageOfMarket\n100-120,200000,200000,100\nTotal,200000,200000,100\n');
+    });
+
+    test('should return 2 for usage errors and 1 for processing errors', () => {
+      expect(main(['--esis', 'a.csv'])).toBe(2);
+      expect(main(['--esis', path.join(tmpDir, 'missing.csv'), '--swap', 'b.csv'])).toBe(1);
+    });
+  });
+});
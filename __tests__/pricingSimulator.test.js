@@ -0,0 +1,77 @@
+/**
+ * Pricing Simulator Tests
+ *
+ * This file contains tests for placing a hypothetical product in the market.
+ * It verifies the comparable records, the premium percentile, the lending in cheaper and dearer
+ * premium bands, the lenders priced around the product and pricing by initial rate.
+ */
+
+const { simulateProduct } = require('../src/utils/pricingSimulator');
+
+describe('PricingSimulator', () => {
+  const record = (lender, premium, loan, band, extra = {}) => Object.assign({
+    Provider: lender,
+    NormalizedTerm: 24,
+    PremiumOverSwap: premium,
+    PremiumBand: band,
+    Loan: loan,
+    StandardizedLTV: 70,
+    PurchaseType: 'Purchase',
+    Day: '2023-01-15'
+  }, extra);
+
+  const records = [
+    record('Lender A', 90, 100000, '80-100'),
+    record('Lender A', 110, 100000, '100-120'),
+    record('Lender B', 130, 200000, '120-140'),
+    record('Lender C', 100, 100000, '100-120'),
+    record('Lender D', 150, 100000, '140-160', { PurchaseType: 'Remortgage', StandardizedLTV: 92 }),
+    record('Lender E', 50, 500000, '40-60', { NormalizedTerm: 60 })
+  ];
+
+  describe('simulateProduct', () => {
+    test('should place the premium among the lending of the same term', () => {
+      const result = simulateProduct(records, { term: 24, premium: 100 });
+
+      expect(result.band).toBe('100-120');
+      expect(result.comparables).toEqual({ records: 5, loanAmount: 600000 });
+      expect(result.percentile).toBe(25);
+      expect(result.volume).toEqual({ cheaper: 100000, same: 200000, dearer: 300000 });
+      expect(result.bands.map(band => [band.band, band.position])).toEqual([
+        ['80-100', 'cheaper'],
+        ['100-120', 'same'],
+        ['120-140', 'dearer'],
+        ['140-160', 'dearer']
+      ]);
+    });
+
+    test('should list the lenders priced closest to the product', () => {
+      const result = simulateProduct(records, { term: 24, premium: 120 }, { neighbours: 3 });
+
+      expect(result.lenders.map(lender => lender.lender)).toEqual(['Lender A', 'Lender C', 'Lender B']);
+      expect(result.lenders[2]).toMatchObject({ mean: 130, difference: 10, loanAmount: 200000 });
+    });
+
+    test('should narrow the market to the product\'s LTV band, purchase type and loan size', () => {
+      const result = simulateProduct(records, { term: 24, premium: 100, ltvBand: '60-75', purchaseType: 'Purchase', loanSize: '£100k-£200k' });
+
+      expect(result.comparables.records).toBe(3);
+      expect(result.lenders.map(lender => lender.lender)).not.toContain('Lender D');
+    });
+
+    test('should price a product by its initial rate against the swap rate on the last day', () => {
+      const swaps = [{ effective_at: new Date('2023-01-01'), product_term_in_months: 24, rate: 0.04 }];
+      const result = simulateProduct(records, { term: 24, rate: 5 }, { swaps });
+
+      expect(result.premium).toBe(100);
+      expect(result.swapRate).toBeCloseTo(4);
+      expect(() => simulateProduct(records, { term: 24, rate: 5 })).toThrow('No 2 Year swap rate to price the product against on 2023-01-15');
+    });
+
+    test('should require a term and exactly one price', () => {
+      expect(() => simulateProduct(records, { premium: 100 })).toThrow('Choose the product term to simulate');
+      expect(() => simulateProduct(records, { term: 24 })).toThrow('Price the product by either its initial rate or its premium over swap');
+      expect(() => simulateProduct(records, { term: 24, rate: 5, premium: 100 })).toThrow('Price the product by either');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Rate Units Tests
+ *
+ * This file contains tests for the rate and LTV unit detection used when mapping ESIS records.
+ * It verifies value classification, per-file and per-lender detection, overrides and unit conversion.
+ */
+
+const {
+  parseValue,
+  toDecimal,
+  isPlausible,
+  classifyValue,
+  detectUnits,
+  normalizeOverrides,
+  createUnitResolver,
+  describeUnit
+} = require('../src/utils/rateUnits');
+
+describe('Rate Units', () => {
+  describe('parseValue', () => {
+    test('should parse numbers and percentage strings', () => {
+      expect(parseValue(4.5)).toBe(4.5);
+      expect(parseValue('4.5%')).toBe(4.5);
+      expect(parseValue('')).toBeNaN();
+      expect(parseValue(null)).toBeNaN();
+      expect(parseValue('n/a')).toBeNaN();
+    });
+  });
+
+  describe('classifyValue', () => {
+    test('should tell rate units apart by magnitude', () => {
+      expect(classifyValue(0.045, 'Rate')).toBe('decimal');
+      expect(classifyValue(4.5, 'Rate')).toBe('percent');
+      expect(classifyValue(450, 'Rate')).toBe('basis-points');
+    });
+
+    test('should return null for values no unit explains', () => {
+      expect(classifyValue(0.45, 'Rate')).toBeNull();
+      expect(classifyValue(45, 'Rate')).toBeNull();
+      expect(classifyValue(0, 'Rate')).toBeNull();
+      expect(classifyValue(NaN, 'LTV')).toBeNull();
+    });
+
+    test('should tell LTV units apart by magnitude', () => {
+      expect(classifyValue(0.85, 'LTV')).toBe('decimal');
+      expect(classifyValue(85, 'LTV')).toBe('percent');
+      expect(classifyValue(2, 'LTV')).toBeNull();
+    });
+
+    test('should reject unknown columns', () => {
+      expect(() => classifyValue(1, 'Loan')).toThrow('Unknown unit column: Loan');
+    });
+  });
+
+  describe('detectUnits', () => {
+    test('should use one unit for the whole file when all values agree', () => {
+      const detection = detectUnits([4.5, 5, 0.45, NaN], ['A', 'B', 'B', 'C'], 'Rate');
+      expect(detection).toEqual({ column: 'Rate', unit: 'percent', mixed: false, byGroup: { A: 'percent', B: 'percent' } });
+    });
+
+    test('should fall back to the most common unit per lender when the file is mixed', () => {
+      const detection = detectUnits([4.5, 0.045, 0.05, 0.045, 4.5], ['A', 'B', 'B', 'C', 'C'], 'Rate');
+      expect(detection.unit).toBeNull();
+      expect(detection.mixed).toBe(true);
+      expect(detection.byGroup).toEqual({ A: 'percent', B: 'decimal', C: null });
+    });
+  });
+
+  describe('createUnitResolver', () => {
+    const detection = detectUnits([4.5, 0.045, 0.045, 4.5], ['A', 'B', 'C', 'C'], 'Rate');
+
+    test('should prefer lender overrides, then overrides for every lender, then detection', () => {
+      const resolve = createUnitResolver(detection, normalizeOverrides([
+        { source: ' b ', column: 'Rate', unit: 'tens-of-percent' },
+        { source: '*', column: 'LTV', unit: 'decimal' }
+      ]));
+
+      expect(resolve('A')).toEqual({ unit: 'percent', source: 'lender' });
+      expect(resolve('B')).toEqual({ unit: 'tens-of-percent', source: 'override' });
+      expect(resolve('C')).toEqual({ unit: null, source: null });
+      expect(createUnitResolver(detection, [{ source: '*', column: 'Rate', unit: 'decimal' }])('A'))
+        .toEqual({ unit: 'decimal', source: 'override' });
+    });
+
+    test('should use the file unit for every lender when the file agrees', () => {
+      const resolve = createUnitResolver(detectUnits([4.5], ['A'], 'Rate'));
+      expect(resolve('Z')).toEqual({ unit: 'percent', source: 'column' });
+    });
+  });
+
+  describe('normalizeOverrides', () => {
+    test('should reject overrides without a lender or with unknown columns and units', () => {
+      expect(normalizeOverrides(undefined)).toEqual([]);
+      expect(() => normalizeOverrides([{ source: ' ', column: 'Rate', unit: 'percent' }])).toThrow('need a lender');
+      expect(() => normalizeOverrides([{ source: 'A', column: 'Loan', unit: 'percent' }])).toThrow('Unknown unit column: Loan');
+      expect(() => normalizeOverrides([{ source: 'A', column: 'Rate', unit: 'permille' }])).toThrow('Unknown unit: permille');
+    });
+  });
+
+  describe('conversion', () => {
+    test('should convert values to decimals and check plausibility', () => {
+      expect(toDecimal(0.45, 'tens-of-percent')).toBeCloseTo(0.045);
+      expect(toDecimal(450, 'basis-points')).toBeCloseTo(0.045);
+      expect(isPlausible(0.45, 'tens-of-percent', 'Rate')).toBe(true);
+      expect(isPlausible(45, 'percent', 'Rate')).toBe(false);
+      expect(describeUnit(null)).toBe('Ambiguous');
+      expect(describeUnit('percent')).toBe('Percent (4.5 = 4.5%)');
+    });
+  });
+});
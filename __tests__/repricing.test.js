@@ -0,0 +1,121 @@
+/**
+ * Repricing Tests
+ *
+ * This file contains tests for estimating how lenders reprice after swap rates move.
+ * It verifies the least squares fit, the terms in the data, the repricing lag and pass-through of each lender,
+ * and the lenders with too few rate changes or no clearly best lag to estimate.
+ */
+
+const { INSUFFICIENT_DATA, listTerms, linearRegression, estimateRepricing } = require('../src/utils/repricing');
+const { TOTAL_MARKET } = require('../src/utils/premiumStats');
+
+describe('Repricing', () => {
+  const fixings = [
+    ['2022-12-01', 0.04],
+    ['2023-01-10', 0.045],
+    ['2023-01-20', 0.042],
+    ['2023-02-01', 0.05],
+    ['2023-02-10', 0.047],
+    ['2023-02-20', 0.052]
+  ];
+  const swaps = fixings.map(([day, rate]) => ({ effective_at: new Date(day), product_term_in_months: 24, rate }));
+
+  /**
+   * Reads the latest fixing on or before a day
+   * @param {string} day - Day key
+   * @returns {number} Swap rate as a decimal
+   */
+  function swapOn(day) {
+    return fixings.filter(([fixing]) => fixing <= day).pop()[1];
+  }
+
+  /**
+   * Creates a record for each day of January and February 2023 priced off the swap rate
+   * @param {string} lender - Lender name
+   * @param {Function} price - (day) => initial rate in percent
+   * @returns {Array} Enriched ESIS records
+   */
+  function dailyRecords(lender, price) {
+    const records = [];
+    for (let time = Date.UTC(2023, 0, 1); time <= Date.UTC(2023, 1, 28); time += 24 * 60 * 60 * 1000) {
+      const day = new Date(time).toISOString().substring(0, 10);
+      records.push({ Provider: lender, NormalizedTerm: 24, Loan: 200000, InitialRate: price(day), Day: day });
+    }
+    return records;
+  }
+
+  const shift = (day, days) => new Date(Date.parse(day) - days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+  const records = [
+    ...dailyRecords('Lender A', day => swapOn(shift(day, 3)) * 100 + 1),
+    ...dailyRecords('Lender B', day => swapOn(day) * 50 + 3).filter((record, index) => index % 2 === 0),
+    { Provider: 'Lender C', NormalizedTerm: 24, Loan: 100000, InitialRate: 5, Day: '2023-01-05' },
+    { Provider: 'Lender C', NormalizedTerm: 24, Loan: 100000, InitialRate: 5.2, Day: '2023-01-25' },
+    { Provider: 'Lender A', NormalizedTerm: 60, Loan: 900000, InitialRate: 9, Day: '2023-01-05' }
+  ];
+
+  describe('linearRegression', () => {
+    test('should fit the slope, intercept and goodness of fit', () => {
+      expect(linearRegression([1, 2, 3], [3, 5, 7])).toEqual({ slope: 2, intercept: 1, rSquared: 1, standardError: 0 });
+      expect(linearRegression([1, 2, 3, 4], [1, 3, 2, 4]).standardError).toBeCloseTo(Math.sqrt(1.8 / 2 / 5));
+      expect(linearRegression([1, 2], [2, 3]).standardError).toBeNull();
+      expect(linearRegression([1, 1], [2, 3])).toBeNull();
+    });
+  });
+
+  describe('listTerms', () => {
+    test('should list the product terms in the data, shortest first', () => {
+      expect(listTerms(records)).toEqual({ 24: { label: '2 Year' }, 60: { label: '5 Year' } });
+      expect(listTerms([{ NormalizedTerm: 36 }, { NormalizedTerm: null }])).toEqual({ 36: { label: '3 Year' } });
+    });
+  });
+
+  describe('estimateRepricing', () => {
+    test('should find each lender\'s lag and pass-through', () => {
+      const rows = estimateRepricing(records, swaps);
+      const byLender = Object.fromEntries(rows.map(row => [row.lender, row]));
+
+      expect(rows.map(row => row.lender)).toEqual(['Lender A', 'Lender B', 'Lender C', TOTAL_MARKET]);
+      expect(byLender['Lender A'].lagDays).toBe(3);
+      expect(byLender['Lender A'].passThrough).toBeCloseTo(1);
+      expect(byLender['Lender A'].rSquared).toBeCloseTo(1);
+      expect(byLender['Lender A'].standardError).toBeCloseTo(0);
+      expect(byLender['Lender A'].observations).toBe(58);
+      expect(byLender['Lender A'].lagObservations).toBe(58);
+      expect(byLender['Lender A'].insufficientData).toBeNull();
+      expect(byLender['Lender B'].lagDays).toBe(0);
+      expect(byLender['Lender B'].passThrough).toBeCloseTo(0.5);
+    });
+
+    test('should leave lenders with too few rate changes unestimated', () => {
+      const lenderC = estimateRepricing(records, swaps).find(row => row.lender === 'Lender C');
+      expect(lenderC).toEqual({
+        lender: 'Lender C',
+        observations: 1,
+        lagObservations: null,
+        lagDays: null,
+        passThrough: null,
+        standardError: null,
+        rSquared: null,
+        insufficientData: INSUFFICIENT_DATA.tooFewChanges
+      });
+    });
+
+    test('should report insufficient data when no lag fits clearly best', () => {
+      // Rates that follow each swap move twice, five days apart, fit two distant lags equally well
+      const echo = dailyRecords('Lender D', day => (swapOn(day) + swapOn(shift(day, 5))) * 50 + 1);
+      const lenderD = estimateRepricing(echo, swaps).find(row => row.lender === 'Lender D');
+
+      expect(lenderD.observations).toBe(58);
+      expect(lenderD).toMatchObject({ lagDays: null, passThrough: null, insufficientData: INSUFFICIENT_DATA.noClearLag });
+    });
+
+    test('should analyse any term and reject invalid terms and lags', () => {
+      expect(estimateRepricing(records, swaps, { term: 36 })).toEqual([
+        expect.objectContaining({ lender: TOTAL_MARKET, observations: 0 })
+      ]);
+      expect(() => estimateRepricing(records, swaps, { term: 'long' })).toThrow('Repricing term must be a whole number of months: long');
+      expect(() => estimateRepricing(records, swaps, { maxLagDays: -1 })).toThrow('Repricing maxLagDays must be a whole number');
+    });
+  });
+});
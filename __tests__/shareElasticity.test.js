@@ -0,0 +1,132 @@
+/**
+ * Share Elasticity Tests
+ *
+ * This file contains tests for estimating how market share responds to premium changes.
+ * It verifies the product cut, the share and relative premium observations, the fixed effects fit,
+ * and the projected share with its confidence interval.
+ */
+
+const {
+  selectProduct,
+  buildShareObservations,
+  fitElasticity,
+  projectShare,
+  simulateShareChange
+} = require('../src/utils/shareElasticity');
+
+describe('ShareElasticity', () => {
+  const record = (lender, month, premium, loan) => ({ Provider: lender, Month: month, PremiumOverSwap: premium, Loan: loan });
+
+  const records = [
+    record('Lender A', '2023-01', 100, 300000), record('Lender B', '2023-01', 120, 200000), record('Lender C', '2023-01', 140, 100000),
+    record('Lender A', '2023-02', 110, 250000), record('Lender B', '2023-02', 115, 230000), record('Lender C', '2023-02', 140, 110000),
+    record('Lender A', '2023-03', 95, 330000), record('Lender B', '2023-03', 125, 170000), record('Lender C', '2023-03', 130, 130000),
+    record('Lender A', '2023-04', 105, 280000), record('Lender B', '2023-04', 120, 200000), record('Lender C', '2023-04', 145, 90000)
+  ];
+
+  describe('selectProduct', () => {
+    test('should keep the lending of the product term and LTV band', () => {
+      const rows = [
+        { NormalizedTerm: 24, StandardizedLTV: 70 },
+        { NormalizedTerm: 24, StandardizedLTV: 92 },
+        { NormalizedTerm: 60, StandardizedLTV: 70 }
+      ];
+      expect(selectProduct(rows, { term: '24' })).toEqual(rows.slice(0, 2));
+      expect(selectProduct(rows, { term: 24, ltvBand: '90-95' })).toEqual([rows[1]]);
+      expect(selectProduct(rows, { term: '', ltvBand: '' })).toEqual(rows);
+    });
+  });
+
+  describe('buildShareObservations', () => {
+    test('should key lenders by base lender as in the market share table', () => {
+      const observations = buildShareObservations([
+        { Provider: 'Lender A: Direct', BaseLender: 'Lender A', Month: '2023-01', PremiumOverSwap: 100, Loan: 100000 },
+        { Provider: 'Lender A: Intermediary', BaseLender: 'Lender A', Month: '2023-01', PremiumOverSwap: 100, Loan: 200000 },
+        record('Lender B', '2023-01', 140, 100000)
+      ]);
+
+      expect(observations).toEqual([
+        { lender: 'Lender A', period: '2023-01', share: 0.75, relativePremium: -10 },
+        { lender: 'Lender B', period: '2023-01', share: 0.25, relativePremium: 30 }
+      ]);
+    });
+
+    test('should pair each lender\'s share with its premium relative to the market', () => {
+      const observations = buildShareObservations([
+        record('Lender A', '2023-01', 100, 300000),
+        record('Lender B', '2023-01', 140, 100000)
+      ]);
+
+      expect(observations).toEqual([
+        { lender: 'Lender A', period: '2023-01', share: 0.75, relativePremium: -10 },
+        { lender: 'Lender B', period: '2023-01', share: 0.25, relativePremium: 30 }
+      ]);
+    });
+  });
+
+  describe('fitElasticity', () => {
+    test('should fit the change in log share per bps within lenders', () => {
+      const observations = [];
+      [['Lender A', 0.5, 0], ['Lender B', 0.2, -5]].forEach(([lender, share, offset]) => {
+        [0, 10, 20].forEach(step => observations.push({
+          lender,
+          period: String(step),
+          share: share * Math.exp(-0.02 * step),
+          relativePremium: offset + step
+        }));
+      });
+      observations.push({ lender: 'Lender C', period: '0', share: 0.3, relativePremium: 50 });
+
+      const fit = fitElasticity(observations);
+      expect(fit.slope).toBeCloseTo(-0.02);
+      expect(fit.standardError).toBeCloseTo(0);
+      expect(fit).toMatchObject({ observations: 6, lenders: 2 });
+    });
+
+    test('should not fit without repeated observations', () => {
+      expect(fitElasticity([{ lender: 'Lender A', period: '1', share: 0.5, relativePremium: 0 }])).toBeNull();
+    });
+  });
+
+  describe('projectShare', () => {
+    test('should scale the share and bound it by the confidence interval', () => {
+      const projection = projectShare(10, { slope: -0.01, standardError: 0.002 }, 10);
+      expect(projection.share).toBeCloseTo(10 * Math.exp(-0.1));
+      expect(projection.low).toBeCloseTo(10 * Math.exp((-0.01 - 1.959964 * 0.002) * 10));
+      expect(projection.high).toBeCloseTo(10 * Math.exp((-0.01 + 1.959964 * 0.002) * 10));
+    });
+  });
+
+  describe('simulateShareChange', () => {
+    test('should project a lower share for a dearer premium', () => {
+      const result = simulateShareChange(records, 'Lender A', 10);
+
+      expect(result.fit.slope).toBeLessThan(0);
+      expect(result.share).toBeCloseTo(1160000 / 2390000 * 100);
+      expect(result.projected.share).toBeLessThan(result.share);
+      expect(result.projected.low).toBeLessThanOrEqual(result.projected.share);
+      expect(result.projected.high).toBeGreaterThanOrEqual(result.projected.share);
+      expect(result.projected.loanAmount).toBeCloseTo(result.projected.share / 100 * 2390000);
+      expect(result.scenarios).toHaveLength(21);
+      expect(result.scenarios[10]).toMatchObject({ changeBps: 0, share: result.share });
+    });
+
+    test('should project the share of a single product', () => {
+      const products = records.map(row => Object.assign({ NormalizedTerm: 24 }, row))
+        .concat(records.map(row => Object.assign({}, row, { NormalizedTerm: 60, Loan: row.Provider === 'Lender A' ? 10000 : row.Loan })));
+      const result = simulateShareChange(products, 'Lender A', 10, { product: { term: '60' } });
+
+      expect(result.product).toEqual({ term: '60', ltvBand: '' });
+      expect(result.marketLoanAmount).toBe(1270000);
+      expect(result.share).toBeCloseTo(40000 / 1270000 * 100);
+      expect(() => simulateShareChange(products, 'Lender A', 10, { product: { term: 36 } }))
+        .toThrow('Lender A has no lending of this product in the selected data');
+    });
+
+    test('should reject unknown lenders, bad changes and data that cannot be fitted', () => {
+      expect(() => simulateShareChange(records, 'Lender Z', 10)).toThrow('Lender Z has no lending in the selected data');
+      expect(() => simulateShareChange(records, 'Lender A', NaN)).toThrow('The premium change must be a number of basis points');
+      expect(() => simulateShareChange(records.slice(0, 3), 'Lender A', 10)).toThrow('Not enough lenders with lending in several periods');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Swap Curve Tests
+ *
+ * This file contains tests for pricing tie-in periods against the swap curve.
+ * It verifies curve building, matching policies, interpolation and extrapolation.
+ */
+
+const {
+  createMatchingPolicy,
+  describeMatchingPolicy,
+  lagInDays,
+  buildSwapCurve,
+  isSwapCurve,
+  curveAsOf,
+  coversTerm,
+  interpolateRate
+} = require('../src/utils/swapCurve');
+
+describe('Swap Curve', () => {
+  const swapRates = [
+    { effective_at: new Date('2023-01-09'), product_term_in_months: 24, rate: 0.041 },
+    { effective_at: new Date('2023-01-02'), product_term_in_months: 24, rate: 0.04 },
+    { effective_at: new Date('2023-01-02'), product_term_in_months: 60, rate: 0.035 },
+    { effective_at: new Date('2023-01-02'), product_term_in_months: 120, rate: 0.034 }
+  ];
+
+  const point = (term, rate) => ({ term, rate, effective_at: new Date('2023-01-02') });
+
+  describe('buildSwapCurve', () => {
+    test('should group rates by tenor in date order', () => {
+      const curve = buildSwapCurve(swapRates);
+
+      expect(curve.tenors).toEqual([24, 60, 120]);
+      expect(curve.series[24].map(obs => obs.rate)).toEqual([0.04, 0.041]);
+      expect(isSwapCurve(curve)).toBe(true);
+      expect(isSwapCurve(swapRates)).toBe(false);
+    });
+  });
+
+  describe('curveAsOf', () => {
+    const curve = buildSwapCurve(swapRates);
+
+    test('should take each tenor\'s latest rate on or before the date', () => {
+      const points = curveAsOf(curve, new Date('2023-01-10'));
+      expect(points.map(p => [p.term, p.rate])).toEqual([[24, 0.041], [60, 0.035], [120, 0.034]]);
+    });
+
+    test('should only accept later rates within the tolerance window', () => {
+      expect(curveAsOf(curve, new Date('2022-12-30'))).toHaveLength(3);
+      expect(curveAsOf(curve, new Date('2022-12-30'), createMatchingPolicy({ name: 'latest', toleranceDays: 2 }))).toEqual([]);
+      expect(curveAsOf(curve, new Date('2022-12-20'))).toEqual([]);
+    });
+  });
+
+  describe('matching policies', () => {
+    // Thursday 5th to Tuesday 10th January 2023
+    const daily = buildSwapCurve([
+      { effective_at: new Date('2023-01-05'), product_term_in_months: 24, rate: 0.040 },
+      { effective_at: new Date('2023-01-06'), product_term_in_months: 24, rate: 0.041 },
+      { effective_at: new Date('2023-01-09'), product_term_in_months: 24, rate: 0.042 },
+      { effective_at: new Date('2023-01-10'), product_term_in_months: 24, rate: 0.043 }
+    ]);
+    const rateFor = (date, policy) => {
+      const points = curveAsOf(daily, new Date(date), createMatchingPolicy(policy));
+      return points.length > 0 ? points[0] : null;
+    };
+
+    test('should use the weekday before the document date', () => {
+      expect(rateFor('2023-01-09', 'previous-business-day')).toMatchObject({ rate: 0.041, effective_at: new Date('2023-01-06') });
+      expect(rateFor('2023-01-10T15:30:00Z', 'previous-business-day').rate).toBe(0.042);
+    });
+
+    test('should only use a rate from the same day', () => {
+      expect(rateFor('2023-01-09T11:00:00Z', 'same-day').rate).toBe(0.042);
+      expect(rateFor('2023-01-07', 'same-day')).toBeNull();
+    });
+
+    test('should lag the document date by the given days', () => {
+      expect(rateFor('2023-01-10', { name: 'lagged', lagDays: 2 })).toMatchObject({ rate: 0.041, effective_at: new Date('2023-01-06') });
+      expect(rateFor('2023-01-10', { name: 'lagged', lagDays: 0 }).rate).toBe(0.043);
+    });
+
+    test('should average the rates in the window up to the document date', () => {
+      expect(rateFor('2023-01-10', { name: 'average', windowDays: 3 })).toMatchObject({ effective_at: new Date('2023-01-10') });
+      expect(rateFor('2023-01-10', { name: 'average', windowDays: 3 }).rate).toBeCloseTo(0.0425, 10);
+      expect(rateFor('2023-01-08', { name: 'average', windowDays: 1 })).toBeNull();
+    });
+
+    test('should normalize and validate policy definitions', () => {
+      expect(createMatchingPolicy()).toEqual({ name: 'latest', toleranceDays: 5 });
+      expect(createMatchingPolicy({ name: 'lagged', lagDays: '3', windowDays: 9 })).toEqual({ name: 'lagged', lagDays: 3 });
+      expect(createMatchingPolicy('same-day')).toEqual({ name: 'same-day' });
+      expect(() => createMatchingPolicy('closest')).toThrow('Unknown swap matching policy');
+      expect(() => createMatchingPolicy({ name: 'average', windowDays: 0 })).toThrow('windowDays');
+      expect(() => createMatchingPolicy({ name: 'lagged', lagDays: 1.5 })).toThrow('lagDays');
+    });
+
+    test('should describe policies and count lag days', () => {
+      expect(describeMatchingPolicy(createMatchingPolicy({ name: 'lagged', lagDays: 2 }))).toBe('rate lagged 2 days');
+      expect(lagInDays(new Date('2023-01-09T16:00:00Z'), new Date('2023-01-06'))).toBe(3);
+      expect(lagInDays(new Date('2022-12-30'), new Date('2023-01-02'))).toBe(-3);
+    });
+  });
+
+  describe('interpolateRate', () => {
+    const points = [point(24, 0.04), point(60, 0.035), point(120, 0.034)];
+
+    test('should return exact tenors unchanged', () => {
+      expect(interpolateRate(points, 60)).toMatchObject({ rate: 0.035, tenors: [60], method: 'exact' });
+    });
+
+    test('should interpolate linearly between the surrounding tenors', () => {
+      const result = interpolateRate(points, 36);
+      expect(result.rate).toBeCloseTo(0.04 - 0.005 / 3, 10);
+      expect(result.tenors).toEqual([24, 60]);
+      expect(result.method).toBe('linear');
+    });
+
+    test('should interpolate with a monotone cubic that stays within the tenor rates', () => {
+      const result = interpolateRate(points, 84, 'monotone-cubic');
+      expect(result.method).toBe('monotone-cubic');
+      expect(result.tenors).toEqual([24, 60, 120]);
+      expect(result.rate).toBeLessThan(0.035);
+      expect(result.rate).toBeGreaterThan(0.034);
+      expect(result.rate).not.toBeCloseTo(interpolateRate(points, 84).rate, 6);
+    });
+
+    test('should keep the cubic flat where neighbouring slopes change sign', () => {
+      const kinked = [point(24, 0.04), point(60, 0.035), point(120, 0.036)];
+      const rates = [60, 66, 72, 84, 96, 108, 120].map(term => interpolateRate(kinked, term, 'monotone-cubic').rate);
+      rates.slice(1).forEach((rate, i) => expect(rate).toBeGreaterThanOrEqual(rates[i]));
+    });
+
+    test('should label the cubic as linear on a curve of two tenors', () => {
+      expect(interpolateRate(points.slice(0, 2), 36, 'monotone-cubic')).toMatchObject({ tenors: [24, 60], method: 'linear' });
+    });
+
+    test('should only extrapolate flat beyond the curve on request', () => {
+      expect(coversTerm(points, 120)).toBe(true);
+      expect(coversTerm(points, 12)).toBe(false);
+      expect(interpolateRate(points, 12)).toBeNull();
+      expect(interpolateRate(points, 12, 'linear', { extrapolate: true })).toMatchObject({ rate: 0.04, tenors: [24], method: 'flat' });
+      expect(interpolateRate(points, 300, 'linear', { extrapolate: true })).toMatchObject({ rate: 0.034, tenors: [120], method: 'flat' });
+    });
+
+    test('should return null without points and reject unknown methods', () => {
+      expect(interpolateRate([], 24)).toBeNull();
+      expect(() => interpolateRate(points, 24, 'spline')).toThrow('Unknown swap interpolation method');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Swap Overlay Tests
+ *
+ * This file contains tests for setting the 2 and 5 year swap rates beside the ESIS initial rates.
+ * It verifies the swap rate and loan-weighted ESIS rate per period, the spread between them,
+ * the date range and granularity, and the exported rows.
+ */
+
+const { buildSwapOverlay, buildSwapOverlayTable } = require('../src/utils/swapOverlay');
+
+describe('SwapOverlay', () => {
+  const swaps = [
+    { effective_at: new Date('2022-12-30'), product_term_in_months: 24, rate: 0.03 },
+    { effective_at: new Date('2023-01-05'), product_term_in_months: 24, rate: 0.04 },
+    { effective_at: new Date('2023-01-20'), product_term_in_months: 24, rate: 0.042 },
+    { effective_at: new Date('2023-02-10'), product_term_in_months: 24, rate: 0.045 },
+    { effective_at: new Date('2023-01-05'), product_term_in_months: 60, rate: 0.038 }
+  ];
+
+  const records = [
+    { NormalizedTerm: 24, Loan: 100000, InitialRate: 5, Month: '2023-01', Day: '2023-01-06' },
+    { NormalizedTerm: 24, Loan: 300000, Rate: 0.054, Month: '2023-01', Day: '2023-01-21' },
+    { NormalizedTerm: 24, Loan: 0, InitialRate: 9, Month: '2023-01', Day: '2023-01-22' },
+    { NormalizedTerm: 24, Loan: 100000, Rate: 'n/a', Month: '2023-01', Day: '2023-01-23' },
+    { NormalizedTerm: 36, Loan: 100000, InitialRate: 7, Month: '2023-01', Day: '2023-01-24' },
+    { NormalizedTerm: 60, Loan: 200000, InitialRate: 4.6, Month: '2023-02', Day: '2023-02-02' }
+  ];
+
+  describe('buildSwapOverlay', () => {
+    test('should set each term\'s swap rate beside its loan-weighted ESIS rate', () => {
+      const overlay = buildSwapOverlay(records, swaps, { dateRange: ['2023-01', '2023-02'] });
+      const [twoYear, fiveYear] = overlay.terms;
+
+      expect(overlay.months).toEqual(['2023-01', '2023-02']);
+      expect(overlay.monthLabels).toEqual(['Jan 23', 'Feb 23']);
+      expect(twoYear.label).toBe('2 Year');
+      expect(twoYear.swapRate[0]).toBeCloseTo(4.1);
+      expect(twoYear.swapRate[1]).toBeCloseTo(4.5);
+      expect(twoYear.esisRate[0]).toBeCloseTo(5.3);
+      expect(twoYear.esisRate[1]).toBeNull();
+      expect(twoYear.spread[0]).toBeCloseTo(120);
+      expect(twoYear.spread[1]).toBeNull();
+      expect(fiveYear.swapRate[1]).toBeNull();
+      expect(fiveYear.esisRate[1]).toBeCloseTo(4.6);
+    });
+
+    test('should include every swap fixing without a date range', () => {
+      const overlay = buildSwapOverlay([], swaps);
+      expect(overlay.months).toEqual(['2022-12', '2023-01', '2023-02']);
+      expect(overlay.terms[0].swapRate[0]).toBeCloseTo(3);
+    });
+
+    test('should reject unknown granularities', () => {
+      expect(() => buildSwapOverlay(records, swaps, { granularity: 'day' })).toThrow('Unknown time granularity: day');
+    });
+  });
+
+  describe('buildSwapOverlayTable', () => {
+    test('should lay out a row per period with the columns of each term', () => {
+      const overlay = buildSwapOverlay(records, swaps, { dateRange: ['2023-01-01', '2023-03-31'], granularity: 'quarter' });
+      const rows = buildSwapOverlayTable(overlay);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ Quarter: '2023-Q1', Label: 'Q1 23' });
+      expect(rows[0]['2 Year Swap (%)']).toBeCloseTo(12.7 / 3);
+      expect(rows[0]['2 Year Spread (bps)']).toBeCloseTo((5.3 - 12.7 / 3) * 100);
+      expect(rows[0]['5 Year ESIS Rate (%)']).toBeCloseTo(4.6);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Swap Workbook Tests
+ *
+ * This file contains tests for the swap rate workbook reader shared by the page, the analysis worker and the CLI.
+ * It verifies sheet selection and effective dates taken from file names.
+ */
+
+const XLSX = require('xlsx');
+const { findSwapSheet, fileNameDate, readSwapWorkbook } = require('../src/utils/swapWorkbook');
+
+describe('Swap Workbook', () => {
+  /**
+   * Builds a workbook with one sheet per entry
+   * @param {Object} sheets - Rows keyed by sheet name
+   * @returns {Object} SheetJS workbook
+   */
+  function buildWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+    });
+    return workbook;
+  }
+
+  describe('findSwapSheet', () => {
+    test('should prefer a sheet mentioning swaps or rates', () => {
+      expect(findSwapSheet(['Cover', 'Swap Rates'])).toBe('Swap Rates');
+      expect(findSwapSheet(['Notes', 'rates'])).toBe('rates');
+    });
+
+    test('should fall back to the first sheet', () => {
+      expect(findSwapSheet(['Sheet1', 'Sheet2'])).toBe('Sheet1');
+    });
+  });
+
+  describe('fileNameDate', () => {
+    test('should read a DD_MM_YYYY date from the file name', () => {
+      expect(fileNameDate('rates_31_01_2024.xlsx')).toEqual(new Date('2024-01-31'));
+    });
+
+    test('should return null without a date', () => {
+      expect(fileNameDate('swaps.xlsx')).toBeNull();
+      expect(fileNameDate(undefined)).toBeNull();
+    });
+  });
+
+  describe('readSwapWorkbook', () => {
+    test('should read the rows of the swap sheet', () => {
+      const workbook = buildWorkbook({ Cover: [{ Note: 'cover' }], 'Swap Rates': [{ TieInPeriod: 24, Rate: 0.04 }] });
+      expect(readSwapWorkbook(workbook, 'swaps.xlsx')).toEqual([{ TieInPeriod: 24, Rate: 0.04 }]);
+    });
+
+    test('should stamp rows with the file name date', () => {
+      const workbook = buildWorkbook({ Sheet1: [{ TieInPeriod: 24, Rate: 0.04 }, { TieInPeriod: 60, Rate: 0.035 }] });
+      const rows = readSwapWorkbook(workbook, 'rates_02_01_2023.xlsx');
+      expect(rows.map(row => row.effective_at)).toEqual([new Date('2023-01-02'), new Date('2023-01-02')]);
+    });
+  });
+});
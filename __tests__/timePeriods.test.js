@@ -0,0 +1,112 @@
+/**
+ * Time Periods Tests
+ *
+ * This file contains tests for grouping records by ISO week, month, quarter and year.
+ * It verifies day and period keys, period labels, reading records without a Day and date range matching.
+ */
+
+const {
+  GRANULARITIES,
+  dayKey,
+  isDayKey,
+  isMonthKey,
+  periodOfDay,
+  periodKey,
+  recordPeriod,
+  formatPeriodLabel,
+  toDayRange,
+  createDateRangeMatcher,
+  dayBounds
+} = require('../src/utils/timePeriods');
+
+describe('TimePeriods', () => {
+  describe('dayKey', () => {
+    test('should extract the UTC day of dates and parseable values', () => {
+      expect(dayKey(new Date('2024-02-29T23:30:00Z'))).toBe('2024-02-29');
+      expect(dayKey('2024-03-01')).toBe('2024-03-01');
+      expect(dayKey(null)).toBeNull();
+      expect(dayKey('not a date')).toBeNull();
+    });
+
+    test('should recognise day and month keys', () => {
+      expect(isDayKey('2024-02-29')).toBe(true);
+      expect(isDayKey('2024-02')).toBe(false);
+      expect(isMonthKey('2024-12')).toBe(true);
+      expect(isMonthKey('2024-13')).toBe(false);
+    });
+  });
+
+  describe('periodOfDay', () => {
+    test('should key each granularity', () => {
+      expect(GRANULARITIES.map(granularity => periodOfDay('2024-05-15', granularity)))
+        .toEqual(['2024-W20', '2024-05', '2024-Q2', '2024']);
+      expect(periodKey(new Date('2024-12-31T00:00:00Z'), 'quarter')).toBe('2024-Q4');
+    });
+
+    test('should put ISO weeks in the year of their Thursday', () => {
+      expect(periodOfDay('2021-01-03', 'week')).toBe('2020-W53');
+      expect(periodOfDay('2021-01-04', 'week')).toBe('2021-W01');
+      expect(periodOfDay('2024-12-30', 'week')).toBe('2025-W01');
+    });
+
+    test('should reject unknown granularities', () => {
+      expect(() => periodOfDay('2024-05-15', 'day')).toThrow('Unknown time granularity: day. Use one of: week, month, quarter, year');
+    });
+  });
+
+  describe('recordPeriod', () => {
+    test('should read the Day, falling back to the document date', () => {
+      expect(recordPeriod({ Month: '2024-01', Day: '2024-01-31' }, 'week')).toBe('2024-W05');
+      expect(recordPeriod({ Month: '2024-01', DocumentDate: new Date('2024-01-31') }, 'year')).toBe('2024');
+      expect(recordPeriod({ Month: '2024-01' })).toBe('2024-01');
+      expect(recordPeriod({}, 'quarter')).toBeNull();
+    });
+  });
+
+  describe('formatPeriodLabel', () => {
+    test('should label each granularity', () => {
+      expect(formatPeriodLabel('2024-W05')).toBe('W05 24');
+      expect(formatPeriodLabel('2024-01')).toBe('Jan 24');
+      expect(formatPeriodLabel('2024-Q3')).toBe('Q3 24');
+      expect(formatPeriodLabel('2024')).toBe('2024');
+    });
+  });
+
+  describe('toDayRange', () => {
+    test('should expand month bounds to their first and last days', () => {
+      expect(toDayRange(['2024-02', '2024-02'])).toEqual(['2024-02-01', '2024-02-29']);
+      expect(toDayRange(['2023-11-15', '2023-12'])).toEqual(['2023-11-15', '2023-12-31']);
+      expect(toDayRange([null, '2023-09-30'])).toEqual([null, '2023-09-30']);
+    });
+  });
+
+  describe('createDateRangeMatcher', () => {
+    test('should include both end days', () => {
+      const matches = createDateRangeMatcher(['2024-01-10', '2024-01-20']);
+      expect(matches({ Day: '2024-01-10' })).toBe(true);
+      expect(matches({ Day: '2024-01-20' })).toBe(true);
+      expect(matches({ Day: '2024-01-21' })).toBe(false);
+      expect(matches({ Month: '2024-01' })).toBe(false);
+    });
+
+    test('should cover whole months given as bounds', () => {
+      const matches = createDateRangeMatcher(['2024-01-15', '2024-02']);
+      expect(matches({ Day: '2024-02-29' })).toBe(true);
+      expect(matches({ Day: '2024-03-01' })).toBe(false);
+      expect(createDateRangeMatcher(['2024-01', '2024-01'])({ Month: '2024-01' })).toBe(true);
+    });
+
+    test('should match everything without both bounds', () => {
+      expect(createDateRangeMatcher([null, '2024-01'])({})).toBe(true);
+      expect(createDateRangeMatcher(undefined)({})).toBe(true);
+    });
+  });
+
+  describe('dayBounds', () => {
+    test('should find the first and last day of dated records', () => {
+      expect(dayBounds([{ Day: '2024-03-02' }, {}, { DocumentDate: new Date('2024-01-05') }, { Day: '2024-02-01' }]))
+        .toEqual(['2024-01-05', '2024-03-02']);
+      expect(dayBounds([])).toEqual([null, null]);
+    });
+  });
+});
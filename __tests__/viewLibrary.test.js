@@ -0,0 +1,97 @@
+/**
+ * View Library Tests
+ *
+ * This file contains tests for the named saved views.
+ * It verifies saving, renaming and deleting views by name, and the JSON library files shared between team members.
+ */
+
+const {
+  LIBRARY_VERSION,
+  findView,
+  saveView,
+  renameView,
+  removeView,
+  exportLibrary,
+  importLibrary
+} = require('../src/utils/viewLibrary');
+
+describe('ViewLibrary', () => {
+  const core = { filters: { ltvBands: ['85-90', '90-95', '95+'], productTypes: ['FTB'] }, productTerm: '5year', lenderBands: ['100-120'] };
+  const remortgage = { filters: { ltvBands: ['0-60', '60-75', '75-85'], purchaseTypes: ['Remortgage'] }, productTerm: 'all', lenderBands: [] };
+  const views = [
+    { name: 'GH core: 5yr FTB 85%+', view: core },
+    { name: 'Remortgage <80%', view: remortgage }
+  ];
+
+  describe('saveView', () => {
+    test('should add views in name order', () => {
+      const saved = saveView([views[1]], '  GH core: 5yr FTB 85%+ ', core);
+      expect(saved).toEqual(views);
+    });
+
+    test('should replace a view of the same name regardless of case', () => {
+      const saved = saveView(views, 'remortgage <80%', core);
+      expect(saved).toEqual([views[0], { name: 'remortgage <80%', view: core }]);
+    });
+
+    test('should reject a blank name', () => {
+      expect(() => saveView(views, '  ', core)).toThrow('Saved views need a name');
+    });
+  });
+
+  describe('findView', () => {
+    test('should find a view by name regardless of case', () => {
+      expect(findView(views, 'REMORTGAGE <80%')).toBe(views[1]);
+      expect(findView(views, 'Buy to let')).toBeNull();
+    });
+  });
+
+  describe('renameView', () => {
+    test('should rename a view and keep the list in name order', () => {
+      expect(renameView(views, 'Remortgage <80%', 'A remortgage view')).toEqual([
+        { name: 'A remortgage view', view: remortgage },
+        views[0]
+      ]);
+    });
+
+    test('should allow changing only the case of a name', () => {
+      expect(renameView(views, 'Remortgage <80%', 'REMORTGAGE <80%')[1].name).toBe('REMORTGAGE <80%');
+    });
+
+    test('should reject missing views and names already taken', () => {
+      expect(() => renameView(views, 'Buy to let', 'BTL')).toThrow('No saved view named Buy to let');
+      expect(() => renameView(views, 'Remortgage <80%', 'gh core: 5yr ftb 85%+')).toThrow('A saved view is already named gh core: 5yr ftb 85%+');
+    });
+  });
+
+  describe('removeView', () => {
+    test('should remove a view by name', () => {
+      expect(removeView(views, 'gh core: 5yr ftb 85%+')).toEqual([views[1]]);
+    });
+  });
+
+  describe('exportLibrary and importLibrary', () => {
+    test('should round-trip a library', () => {
+      const text = exportLibrary(views);
+      expect(JSON.parse(text)).toEqual({ version: LIBRARY_VERSION, views });
+      expect(importLibrary(text, [])).toEqual({ views, added: 2, replaced: 0 });
+    });
+
+    test('should merge imported views, replacing those of the same name', () => {
+      const text = exportLibrary([{ name: 'remortgage <80%', view: core }, { name: 'BTL', view: remortgage }]);
+      const result = importLibrary(text, views);
+
+      expect(result.added).toBe(1);
+      expect(result.replaced).toBe(1);
+      expect(result.views.map(saved => saved.name)).toEqual(['BTL', 'GH core: 5yr FTB 85%+', 'remortgage <80%']);
+    });
+
+    test('should reject files that are not saved view libraries', () => {
+      expect(() => importLibrary('not json', views)).toThrow('it is not valid JSON');
+      expect(() => importLibrary('{"mapping": {}}', views)).toThrow('it has no list of views');
+      expect(() => importLibrary('{"version": 2, "views": []}', views)).toThrow('version 2 is newer than this tool supports');
+      expect(() => importLibrary('{"views": [{"name": "Empty"}]}', views)).toThrow('Saved view 1 in the file has no view');
+      expect(() => importLibrary('{"views": [{"view": {}}]}', views)).toThrow('Saved views need a name');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * View State Tests
+ *
+ * This file contains tests for the shareable view links.
+ * It verifies that views survive a round trip through the URL hash, that defaults are left out and that malformed links are rejected.
+ */
+
+const { encodeViewHash, decodeViewHash } = require('../src/utils/viewState');
+
+describe('ViewState', () => {
+  const view = {
+    filters: {
+      dateRange: ['2023-01-09', '2023-06'],
+      lenders: ['Lender A', 'Smith & Co'],
+      lenderGroups: ['peer:Big 6'],
+      productTypes: ['Fixed'],
+      purchaseTypes: ['Remortgage'],
+      ltvBands: ['85-90', '95+']
+    },
+    granularity: 'week',
+    productTerm: '5year',
+    lenderBands: ['100-120', '120-140'],
+    trendsBands: ['140-160'],
+    lenderGrouping: 'parent',
+    heatmapMode: 'premium',
+    heatmapColumns: 'ltv',
+    heatmapSort: { band: '100-120', direction: 'asc' },
+    bandScheme: { type: 'fixed', width: 20, min: -60, max: 580, openBottom: false, openTop: true },
+    ltvBandScheme: { breakpoints: [60, 75, 85, 90, 95] }
+  };
+
+  describe('encodeViewHash', () => {
+    test('should encode lists as repeated parameters', () => {
+      const hash = encodeViewHash(view);
+      expect(hash).toContain('from=2023-01-09&to=2023-06&period=week&lender=Lender+A&lender=Smith+%26+Co');
+      expect(hash).toContain('group=peer%3ABig+6');
+      expect(hash).toContain('ltvband=85-90&ltvband=95%2B');
+      expect(hash).toContain('band=100-120&band=120-140&trend=140-160&grouping=parent&heatmap=premium&columns=ltv&sort=100-120&dir=asc');
+    });
+
+    test('should leave out defaults', () => {
+      const hash = encodeViewHash({
+        filters: { dateRange: ['2023-01', '2023-06'], lenders: [], productTypes: [], purchaseTypes: [], ltvBands: [] },
+        granularity: 'month',
+        productTerm: 'all',
+        lenderBands: [],
+        trendsBands: [],
+        heatmapMode: 'lender',
+        heatmapColumns: 'premium',
+        heatmapSort: null
+      });
+      expect(hash).toBe('from=2023-01&to=2023-06');
+    });
+  });
+
+  describe('decodeViewHash', () => {
+    test('should restore an encoded view', () => {
+      expect(decodeViewHash(`#${encodeViewHash(view)}`)).toEqual(view);
+    });
+
+    test('should fill in defaults', () => {
+      expect(decodeViewHash('band=0-20')).toEqual({
+        filters: { dateRange: [null, null], lenders: [], lenderGroups: [], productTypes: [], purchaseTypes: [], ltvBands: [] },
+        granularity: 'month',
+        productTerm: 'all',
+        lenderBands: ['0-20'],
+        trendsBands: [],
+        lenderGrouping: 'lender',
+        heatmapMode: 'lender',
+        heatmapColumns: 'premium',
+        heatmapSort: null,
+        bandScheme: null,
+        ltvBandScheme: null
+      });
+    });
+
+    test('should return null without a view', () => {
+      expect(decodeViewHash('')).toBeNull();
+      expect(decodeViewHash('#')).toBeNull();
+    });
+
+    test('should reject malformed values', () => {
+      expect(() => decodeViewHash('from=January')).toThrow('Invalid date in link: January. Use YYYY-MM-DD or YYYY-MM');
+      expect(() => decodeViewHash('period=day')).toThrow('Unknown time granularity in link: day');
+      expect(() => decodeViewHash('grouping=brand')).toThrow('Unknown lender grouping in link: brand');
+      expect(() => decodeViewHash('heatmap=pie')).toThrow('Unknown heatmap mode in link: pie');
+      expect(() => decodeViewHash('sort=0-20&dir=up')).toThrow('Unknown sort direction in link: up');
+      expect(() => decodeViewHash('columns=term')).toThrow('Unknown heatmap columns in link: term');
+      expect(() => decodeViewHash('scheme=%7Bfixed')).toThrow('Invalid band scheme in link');
+      expect(() => decodeViewHash('ltvscheme=%7B')).toThrow('Invalid LTV band scheme in link');
+    });
+  });
+});
@@ -0,0 +1,621 @@
+#!/usr/bin/env node
+/**
+ * Pricing Report CLI
+ *
+ * Runs the same analysis as index.html without a browser and writes the
+ * premium band x month table, lender market share and market share trends
+ * to CSV and/or JSON, so the weekly pricing pack can be produced from cron.
+ *
+ * Run with: node bin/pricing-report.js --esis esis.csv --swap swaps.csv [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const { runPipeline, aggregateByPremiumBandAndMonth } = require('../src/utils/analysisPipeline');
+const { DEFAULT_BAND_DEFINITION, createBandScheme, describeBandScheme } = require('../src/utils/premiumBands');
+const { readSwapWorkbook } = require('../src/utils/swapWorkbook');
+const { UNITS, normalizeOverrides } = require('../src/utils/rateUnits');
+const {
+  DEDUPE_FIELDS,
+  DEDUPE_PRESETS,
+  KEEP_OPTIONS,
+  DEFAULT_PRESET,
+  createDedupeRule,
+  describeDedupeRule
+} = require('../src/utils/deduplication');
+const {
+  INTERPOLATION_METHODS,
+  DEFAULT_INTERPOLATION,
+  MATCHING_POLICIES,
+  POLICY_DAY_SETTINGS,
+  createMatchingPolicy,
+  describeMatchingPolicy
+} = require('../src/utils/swapCurve');
+const {
+  LTV_RANGES,
+  PRODUCT_TERMS,
+  createDefaultFilters,
+  filterRecords,
+  calculateMarketTotals,
+  buildPremiumBandTable,
+  aggregateLenderMarketShare,
+  buildMarketShareTable,
+  groupByMonthAndLender,
+  findActiveLenders,
+  findTopLenders,
+  buildTrendsTable,
+  trendsPeriodColumn,
+  toCsv
+} = require('../src/utils/marketReports');
+const { parseLtvBand } = require('../src/utils/ltvBands');
+const { GRANULARITIES, DEFAULT_GRANULARITY, isDayKey, isMonthKey } = require('../src/utils/timePeriods');
+
+const USAGE = `Usage: pricing-report --esis <file.csv> --swap <file.csv|file.xlsx> [options]
+
+Inputs:
+  --esis <file>             ESIS data CSV (same file as the "ESIS Data" input)
+  --swap <file>             Swap rates CSV or XLSX (same file as the "Swap Rates" input)
+  --interpolation <method>  Swap curve interpolation between tenors: ${INTERPOLATION_METHODS.join(', ')}
+                            (default: ${DEFAULT_INTERPOLATION})
+  --extrapolate             Price terms outside the swap curve off the nearest tenor
+                            (default: exclude them)
+  --swap-policy <policy>    Swap fixing each ESIS record is priced off: ${MATCHING_POLICIES.join(', ')}
+                            (default: latest)
+  --swap-days <n>           Days for the swap policy: tolerance after the document date
+                            (latest, default 5), lag (lagged, default 1) or window (average, default 5)
+  --unit-override <rule>    Unit of a lender's Rate or LTV column as <lender>:<column>=<unit>,
+                            e.g. "Nationwide Building Society:Rate=tens-of-percent"; use * for
+                            every lender (repeatable). Units: ${Object.keys(UNITS).join(', ')}
+
+Duplicates:
+  --dedupe <preset>         Duplicate rule: ${Object.keys(DEDUPE_PRESETS).join(', ')}
+                            (default: ${DEFAULT_PRESET}, the record id, else provider + date + loan)
+  --dedupe-keys <list>      Comma-separated fields that must all match instead of a preset:
+                            ${Object.keys(DEDUPE_FIELDS).join(', ')}
+  --dedupe-keep <record>    Record kept from each group: ${Object.keys(KEEP_OPTIONS).join(', ')}
+                            (default: the preset's, first for --dedupe-keys)
+
+Filters:
+  --from <date>             First month (YYYY-MM) or day (YYYY-MM-DD) to include
+  --to <date>               Last month (YYYY-MM) or day (YYYY-MM-DD) to include
+  --lender <name>           Lender to include in the premium band table (repeatable)
+  --ltv <range>             ${LTV_RANGES.join(', ')} (default: all)
+  --ltv-bands <list>        Comma-separated LTV bands to include, e.g. 85-90,90-95,95+
+                            (lower bound included, upper excluded)
+  --term <term>             all, ${Object.keys(PRODUCT_TERMS).join(', ')} (default: all)
+  --purchase-type <type>    Purchase type to include (repeatable)
+  --product-type <type>     Product type to include (repeatable)
+
+Premium bands:
+  --band-width <bps>        Fixed band width: 10, 20, 25 or 50 (default: 20)
+  --band-min <bps>          Lowest fixed band boundary (default: -60)
+  --band-max <bps>          Highest fixed band boundary (default: 580)
+  --band-breaks <list>      Comma-separated custom breakpoints, e.g. 0,50,100,200,300
+                            (replaces --band-width/--band-min/--band-max)
+  --band-open <end>         bottom, top or both: open-ended bands below the lowest
+                            and/or above the highest boundary
+
+Report options:
+  --bands <list>            Comma-separated premium bands for market share and trends
+                            (default: every band in the filtered data)
+  --granularity <period>    Time periods for the premium band table and trends:
+                            ${GRANULARITIES.join(', ')} (default: ${DEFAULT_GRANULARITY}); weeks are ISO weeks
+  --top <n>                 Lenders per period to chart in trends, 0 for all (default: 5)
+  --format <format>         csv, json or both (default: csv)
+  --out <dir>               Output directory (default: current directory)
+  --prefix <name>           Output file name prefix (default: pricing-report)
+  --quiet                   Do not print a summary
+  --help                    Show this message
+
+Market share and trends ignore --lender, matching the page: they describe the
+whole market within the other filters.`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Builds a premium band definition from the --band-* flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Definition for createBandScheme
+ * @throws {UsageError} If the flags conflict or --band-open is invalid
+ */
+function readBandDefinition(values) {
+  const open = values['band-open'];
+  if (open !== undefined && !['bottom', 'top', 'both'].includes(open)) {
+    throw new UsageError('--band-open must be one of: bottom, top, both');
+  }
+  const ends = {
+    openBottom: open === 'bottom' || open === 'both',
+    openTop: open === 'top' || open === 'both'
+  };
+
+  if (values['band-breaks'] !== undefined) {
+    if (['band-width', 'band-min', 'band-max'].some(flag => values[flag] !== undefined)) {
+      throw new UsageError('--band-breaks cannot be combined with --band-width, --band-min or --band-max');
+    }
+    const breakpoints = values['band-breaks'].split(',').map(value => value.trim()).filter(Boolean).map(Number);
+    return { type: 'breakpoints', breakpoints, ...ends };
+  }
+
+  return {
+    type: 'fixed',
+    width: values['band-width'] !== undefined ? Number(values['band-width']) : DEFAULT_BAND_DEFINITION.width,
+    min: values['band-min'] !== undefined ? Number(values['band-min']) : DEFAULT_BAND_DEFINITION.min,
+    max: values['band-max'] !== undefined ? Number(values['band-max']) : DEFAULT_BAND_DEFINITION.max,
+    ...ends
+  };
+}
+
+/**
+ * Builds a swap matching policy definition from --swap-policy and --swap-days
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Definition for createMatchingPolicy
+ */
+function readPolicyDefinition(values) {
+  const name = values['swap-policy'];
+  const daysKey = POLICY_DAY_SETTINGS[name];
+  if (daysKey && values['swap-days'] !== undefined) {
+    return { name, [daysKey]: values['swap-days'] };
+  }
+  return { name };
+}
+
+/**
+ * Builds a deduplication rule definition from the --dedupe flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object|string} Definition for createDedupeRule
+ * @throws {UsageError} If --dedupe and --dedupe-keys are combined
+ */
+function readDedupeDefinition(values) {
+  if (values['dedupe-keys'] !== undefined) {
+    if (values.dedupe !== undefined) {
+      throw new UsageError('--dedupe-keys cannot be combined with --dedupe');
+    }
+    const fields = values['dedupe-keys'].split(',').map(field => field.trim()).filter(Boolean);
+    return { keys: [fields], keep: values['dedupe-keep'] || 'first' };
+  }
+
+  const preset = values.dedupe || DEFAULT_PRESET;
+  if (values['dedupe-keep'] === undefined || !DEDUPE_PRESETS[preset]) {
+    return preset;
+  }
+  return { keys: DEDUPE_PRESETS[preset].rule.keys, keep: values['dedupe-keep'], match: DEDUPE_PRESETS[preset].rule.match };
+}
+
+/**
+ * Builds unit overrides from the --unit-override flags
+ * @param {Array} [rules] - Rules as <lender>:<column>=<unit>
+ * @returns {Array} Overrides for runPipeline
+ * @throws {UsageError} If a rule is malformed or names an unknown column or unit
+ */
+function readUnitOverrides(rules) {
+  const overrides = (rules || []).map(rule => {
+    // Lender names may contain colons, so split on the last one
+    const match = /^(.*):([^:=]+)=([^:=]+)$/.exec(rule);
+    if (!match) {
+      throw new UsageError(`--unit-override must look like <lender>:<column>=<unit>, got "${rule}"`);
+    }
+    return { source: match[1], column: match[2].trim(), unit: match[3].trim() };
+  });
+
+  try {
+    return normalizeOverrides(overrides);
+  } catch (error) {
+    throw new UsageError(`Invalid --unit-override: ${error.message}`);
+  }
+}
+
+/**
+ * Parses --flag arguments with the same options and result as util.parseArgs,
+ * which needs Node 18.3, so the CLI runs on every Node version in the test matrix
+ * @param {Object} config - { args, options } with options as { name: { type, multiple, default } }
+ * @returns {Object} { values } keyed by option name
+ * @throws {Error} On an unknown option, a missing value or a positional argument
+ */
+function parseFlags({ args, options }) {
+  const values = {};
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('--') || arg === '--') {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+    const option = Object.prototype.hasOwnProperty.call(options, name) ? options[name] : null;
+    if (!option) {
+      throw new Error(`Unknown option '--${name}'`);
+    }
+
+    let value;
+    if (option.type === 'boolean') {
+      if (equals !== -1) {
+        throw new Error(`Option '--${name}' does not take a value`);
+      }
+      value = true;
+    } else if (equals !== -1) {
+      value = arg.slice(equals + 1);
+    } else if (index + 1 < args.length && !args[index + 1].startsWith('--')) {
+      value = args[++index];
+    } else {
+      throw new Error(`Option '--${name} <value>' argument missing`);
+    }
+    values[name] = option.multiple ? (values[name] || []).concat(value) : value;
+  }
+
+  Object.keys(options).forEach(name => {
+    if (values[name] === undefined && options[name].default !== undefined) {
+      values[name] = options[name].default;
+    }
+  });
+  return { values };
+}
+
+/**
+ * Parses command line arguments into report options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Report options
+ * @throws {UsageError} If the arguments are missing or invalid
+ */
+function parseCliArgs(argv) {
+  let values;
+  try {
+    ({ values } = parseFlags({
+      args: argv,
+      options: {
+        esis: { type: 'string' },
+        swap: { type: 'string' },
+        interpolation: { type: 'string', default: DEFAULT_INTERPOLATION },
+        extrapolate: { type: 'boolean', default: false },
+        'swap-policy': { type: 'string', default: 'latest' },
+        'swap-days': { type: 'string' },
+        'unit-override': { type: 'string', multiple: true },
+        dedupe: { type: 'string' },
+        'dedupe-keys': { type: 'string' },
+        'dedupe-keep': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        lender: { type: 'string', multiple: true },
+        ltv: { type: 'string', default: 'all' },
+        'ltv-bands': { type: 'string' },
+        term: { type: 'string', default: 'all' },
+        'purchase-type': { type: 'string', multiple: true },
+        'product-type': { type: 'string', multiple: true },
+        'band-width': { type: 'string' },
+        'band-min': { type: 'string' },
+        'band-max': { type: 'string' },
+        'band-breaks': { type: 'string' },
+        'band-open': { type: 'string' },
+        bands: { type: 'string' },
+        granularity: { type: 'string', default: DEFAULT_GRANULARITY },
+        top: { type: 'string', default: '5' },
+        format: { type: 'string', default: 'csv' },
+        out: { type: 'string', default: '.' },
+        prefix: { type: 'string', default: 'pricing-report' },
+        quiet: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (!values.esis || !values.swap) {
+    throw new UsageError('Both --esis and --swap are required');
+  }
+
+  ['from', 'to'].forEach(flag => {
+    if (values[flag] && !isMonthKey(values[flag]) && !isDayKey(values[flag])) {
+      throw new UsageError(`--${flag} must be a month in YYYY-MM or a day in YYYY-MM-DD format`);
+    }
+  });
+
+  if (!LTV_RANGES.includes(values.ltv)) {
+    throw new UsageError(`--ltv must be one of: ${LTV_RANGES.join(', ')}`);
+  }
+
+  const ltvBands = values['ltv-bands'] ? values['ltv-bands'].split(',').map(band => band.trim()).filter(Boolean) : [];
+  ltvBands.forEach(band => {
+    try {
+      parseLtvBand(band);
+    } catch (error) {
+      throw new UsageError(`--ltv-bands: ${error.message}`);
+    }
+  });
+
+  if (values.term !== 'all' && !PRODUCT_TERMS[values.term]) {
+    throw new UsageError(`--term must be one of: all, ${Object.keys(PRODUCT_TERMS).join(', ')}`);
+  }
+
+  if (!INTERPOLATION_METHODS.includes(values.interpolation)) {
+    throw new UsageError(`--interpolation must be one of: ${INTERPOLATION_METHODS.join(', ')}`);
+  }
+
+  let matchingPolicy;
+  try {
+    matchingPolicy = createMatchingPolicy(readPolicyDefinition(values));
+  } catch (error) {
+    throw new UsageError(`Invalid --swap-policy/--swap-days: ${error.message}`);
+  }
+
+  const unitOverrides = readUnitOverrides(values['unit-override']);
+
+  let dedupeRule;
+  try {
+    dedupeRule = createDedupeRule(readDedupeDefinition(values));
+  } catch (error) {
+    throw new UsageError(error instanceof UsageError ? error.message : `Invalid duplicate rule: ${error.message}`);
+  }
+
+  if (!['csv', 'json', 'both'].includes(values.format)) {
+    throw new UsageError('--format must be one of: csv, json, both');
+  }
+
+  if (!GRANULARITIES.includes(values.granularity)) {
+    throw new UsageError(`--granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 0) {
+    throw new UsageError('--top must be a whole number');
+  }
+
+  let bandScheme;
+  try {
+    bandScheme = createBandScheme(readBandDefinition(values));
+  } catch (error) {
+    throw new UsageError(error instanceof UsageError ? error.message : `Invalid premium bands: ${error.message}`);
+  }
+
+  // A single bound is allowed, so fill the other end with an open-ended month;
+  // a month bound covers the whole month, see createDateRangeMatcher
+  const dateRange = values.from || values.to
+    ? [values.from || '0000-01', values.to || '9999-12']
+    : [null, null];
+
+  return {
+    esisPath: values.esis,
+    swapPath: values.swap,
+    interpolation: values.interpolation,
+    extrapolate: values.extrapolate,
+    matchingPolicy,
+    unitOverrides,
+    dedupeRule,
+    filters: {
+      ...createDefaultFilters(),
+      dateRange,
+      lenders: values.lender || [],
+      ltvRange: values.ltv,
+      ltvBands,
+      productTerm: values.term,
+      purchaseTypes: values['purchase-type'] || [],
+      productTypes: values['product-type'] || []
+    },
+    bandScheme,
+    bands: values.bands ? values.bands.split(',').map(band => band.trim()).filter(Boolean) : null,
+    granularity: values.granularity,
+    top,
+    format: values.format,
+    outDir: values.out,
+    prefix: values.prefix,
+    quiet: values.quiet
+  };
+}
+
+/**
+ * Reads a CSV file into row objects, with the same Papa Parse options as the page
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Array} Parsed rows
+ * @throws {Error} If the CSV cannot be parsed
+ */
+function readCsvFile(filePath) {
+  const results = Papa.parse(fs.readFileSync(filePath, 'utf8'), {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+  });
+
+  if (results.errors.length > 0) {
+    throw new Error(`CSV parsing error in ${filePath}: ${results.errors[0].message}`);
+  }
+
+  return results.data;
+}
+
+/**
+ * Reads the swap rate sheet from an XLSX workbook, using the same sheet choice as the page
+ * @param {string} filePath - Path to the XLSX file
+ * @returns {Array} Parsed rows
+ */
+function readExcelFile(filePath) {
+  return readSwapWorkbook(XLSX.readFile(filePath), path.basename(filePath));
+}
+
+/**
+ * Reads a swap rates file in either supported format
+ * @param {string} filePath - Path to the CSV or XLSX file
+ * @returns {Array} Parsed rows
+ * @throws {Error} If the file extension is not supported
+ */
+function readSwapFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') {
+    return readCsvFile(filePath);
+  }
+  if (extension === '.xlsx') {
+    return readExcelFile(filePath);
+  }
+  throw new Error('Unsupported swap rates file format. Please use CSV or XLSX.');
+}
+
+/**
+ * Builds the report tables from raw ESIS and swap rows
+ * @param {Array} esisRows - Raw ESIS rows
+ * @param {Array} swapRows - Raw swap rate rows
+ * @param {Object} options - Report options from parseCliArgs
+ * @returns {Object} Object with premiumBands, marketShare and trends tables plus a summary
+ */
+function buildReport(esisRows, swapRows, options) {
+  const { records, diagnostics } = runPipeline(esisRows, swapRows, {
+    bandScheme: options.bandScheme,
+    interpolation: options.interpolation,
+    extrapolate: options.extrapolate,
+    matchingPolicy: options.matchingPolicy,
+    unitOverrides: options.unitOverrides,
+    dedupeRule: options.dedupeRule
+  });
+  const filters = options.filters;
+
+  // Premium band x period table, as the results table after "Apply Filters"
+  const filtered = filterRecords(records, filters);
+  const aggregates = aggregateByPremiumBandAndMonth(filtered, options.granularity);
+  const marketTotals = calculateMarketTotals(records, filters);
+  const premiumBands = buildPremiumBandTable(aggregates, marketTotals, filters.lenders.length === 0);
+
+  // Market share and trends use every filter except the lender filter
+  const marketRecords = filterRecords(records, filters, { lenders: false });
+  const bands = options.bands || aggregateByPremiumBandAndMonth(marketRecords).premiumBands;
+  const marketShare = buildMarketShareTable(aggregateLenderMarketShare(marketRecords, bands), bands);
+
+  const monthlyData = groupByMonthAndLender(
+    marketRecords.filter(record => bands.includes(record.PremiumBand)),
+    options.granularity
+  );
+  const trendLenders = options.top > 0 ? findTopLenders(monthlyData, options.top) : findActiveLenders(monthlyData);
+  const trends = buildTrendsTable(monthlyData, trendLenders);
+
+  return {
+    premiumBands: {
+      columns: ['premiumBand', ...aggregates.months, 'total', 'percentageOfMarket'],
+      rows: premiumBands
+    },
+    marketShare: {
+      columns: ['Lender', ...bands.flatMap(band => [band, band + '_pct']), 'Total', 'Total_pct'],
+      rows: marketShare
+    },
+    trends: {
+      columns: [trendsPeriodColumn(monthlyData), 'Label', ...trendLenders],
+      rows: trends
+    },
+    summary: {
+      recordsProcessed: diagnostics.rawRecordCount,
+      recordsEnriched: records.length,
+      recordsFiltered: filtered.length,
+      duplicates: diagnostics.duplicateCount,
+      duplicateGroups: diagnostics.duplicateGroups.length,
+      dedupeRule: options.dedupeRule ? describeDedupeRule(options.dedupeRule) : null,
+      rightToBuyExcluded: diagnostics.rightToBuyExcluded,
+      noSwapRateExcluded: diagnostics.swapRateTracking.excludedRecords,
+      unknownTermExcluded: diagnostics.swapRateTracking.unknownTermRecords,
+      outsideCurveExcluded: diagnostics.swapRateTracking.outsideCurveRecords,
+      ambiguousRateExcluded: diagnostics.swapRateTracking.ambiguousRateRecords,
+      units: diagnostics.units,
+      swapMethods: diagnostics.swapRateTracking.methodCounts,
+      swapPolicy: options.matchingPolicy ? describeMatchingPolicy(options.matchingPolicy) : null,
+      granularity: aggregates.granularity,
+      months: aggregates.months,
+      bandScheme: options.bandScheme ? describeBandScheme(options.bandScheme) : null,
+      bands,
+      filters
+    }
+  };
+}
+
+/**
+ * Writes the report tables to the output directory
+ * @param {Object} report - Output of buildReport
+ * @param {Object} options - Report options from parseCliArgs
+ * @returns {Array} Paths of the files written
+ */
+function writeReport(report, options) {
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const written = [];
+  const outputPath = suffix => path.join(options.outDir, `${options.prefix}-${suffix}`);
+
+  if (options.format === 'csv' || options.format === 'both') {
+    [
+      ['premium-bands.csv', report.premiumBands],
+      ['market-share.csv', report.marketShare],
+      ['trends.csv', report.trends]
+    ].forEach(([suffix, table]) => {
+      fs.writeFileSync(outputPath(suffix), toCsv(table.rows, table.columns));
+      written.push(outputPath(suffix));
+    });
+  }
+
+  if (options.format === 'json' || options.format === 'both') {
+    const json = {
+      generatedAt: new Date().toISOString(),
+      summary: report.summary,
+      premiumBands: report.premiumBands.rows,
+      marketShare: report.marketShare.rows,
+      trends: report.trends.rows
+    };
+    fs.writeFileSync(outputPath('report.json'), JSON.stringify(json, null, 2) + '\n');
+    written.push(outputPath('report.json'));
+  }
+
+  return written;
+}
+
+/**
+ * Runs the CLI
+ * @param {Array} argv - Arguments after the script name
+ * @returns {number} Process exit code
+ */
+function main(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const report = buildReport(readCsvFile(options.esisPath), readSwapFile(options.swapPath), options);
+    const written = writeReport(report, options);
+
+    if (!options.quiet) {
+      const { summary } = report;
+      console.log(`Processed ${summary.recordsProcessed} ESIS records: ${summary.recordsEnriched} priced against swaps, ${summary.recordsFiltered} after filters`);
+      console.log(`Premium bands: ${summary.bandScheme}`);
+      console.log(`Swap rates: ${Object.entries(summary.swapMethods).map(([method, count]) => `${count} ${method}`).join(', ') || 'none'} (${options.interpolation} interpolation, ${summary.swapPolicy})`);
+      console.log(`Excluded: ${summary.duplicates} duplicates from ${summary.duplicateGroups} groups (${summary.dedupeRule}), ${summary.rightToBuyExcluded} Right to Buy, ${summary.unknownTermExcluded} without a tie-in period, ${summary.ambiguousRateExcluded} with an ambiguous rate unit, ${summary.outsideCurveExcluded} with a term outside the swap curve, ${summary.noSwapRateExcluded} without a swap rate`);
+      written.forEach(file => console.log(`Wrote ${file}`));
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  UsageError,
+  parseCliArgs,
+  readCsvFile,
+  readSwapFile,
+  buildReport,
+  writeReport,
+  main
+};
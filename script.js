@@ -14,17 +14,28 @@
 const state = {
     esisData: null,
     swapRatesData: null,
+    swapCurve: null,
     processedData: null,
     table: null,
     marketShareTable: null,
+    pivotTable: null, // Tabulator instance of the pivot table
+    lenderPricingTable: null, // Tabulator instance of the lender pricing summary
+    premiumTrendsChart: null, // Chart.js instance of the premium trends
+    swapOverlayChart: null, // Chart.js instance of the swap rates against ESIS rates
+    repricingTable: null, // Tabulator instance of the repricing estimates
+    repricingChart: null, // Chart.js instance of the repricing lag against pass-through
+    simulatorChart: null, // Chart.js instance of the simulated product's premium bands
+    elasticityChart: null, // Chart.js instance of the projected share by premium change
+    benchmarkTable: null, // Tabulator instance of our lender's benchmark
     filterCache: null,
     filters: {
         dateRange: [null, null],
         lenders: [],
+        lenderGroups: [], // Lender group filter values such as 'peer:Big 6' (src/utils/lenderTaxonomy.js)
         premiumRange: [0, 500],
         productTypes: [],
         purchaseTypes: [],
-        ltvRange: 'all' // 'all', 'below-80', or 'above-80'
+        ltvBands: [] // LTV band labels such as '85-90'; none selects every LTV
     },
     marketShareFilters: {
         selectedPremiumBands: []
@@ -37,7 +48,26 @@ const state = {
     },
     totalMarketByPremiumBand: {}, // For % of market calculation
     overallTotalMarket: 0,      // For overall % of market calculation
-    lenderMarketShareData: null  // For lender market share analysis
+    lenderMarketShareData: null, // For lender market share analysis
+    bandScheme: PremiumBands.createBandScheme(), // Active premium band scheme (src/utils/premiumBands.js)
+    ltvBandScheme: LtvBands.createLtvBandScheme(), // Active LTV band scheme (src/utils/ltvBands.js)
+    granularity: TimePeriods.DEFAULT_GRANULARITY, // Time periods of the results table and trends (src/utils/timePeriods.js)
+    analysisJob: null, // Running upload processing, with a cancel() method
+    excludedRecords: [], // Records left out of the last upload, as { reason, record }
+    dataQualityCharts: [], // Chart.js instances in the Data Quality section
+    columnMappings: { esis: null, swap: null }, // Column mapping of each selected file (src/utils/columnMapping.js)
+    unitOverrides: [], // Rate and LTV unit overrides as { source, column, unit } (src/utils/rateUnits.js)
+    benchmarkSettings: { lender: null, peers: [] }, // Our lender and its peer group (src/utils/benchmark.js)
+    lenderTaxonomy: LenderTaxonomy.createTaxonomy(), // Lender aliases, parent groups and peer groups (src/utils/lenderTaxonomy.js)
+    lenderGrouping: 'lender', // Level lenders are grouped at in the market share table, heatmap and trends
+    dedupeRule: Deduplication.createDedupeRule(), // Deduplication rule of the last upload (src/utils/deduplication.js)
+    duplicateGroups: [], // Duplicate groups collapsed in the last upload, from DataQuality.summarizeDuplicateGroups
+    duplicatesTable: null, // Tabulator instance of the duplicate groups review table
+    datasetStore: null, // Saved datasets in IndexedDB (src/utils/datasetStore.js), null where unavailable
+    datasetId: null, // Id of the saved dataset on the page, whose view is kept up to date
+    heatmapSort: null, // Sorted heatmap column as { band, direction }, null when unsorted
+    pendingView: null, // View from a shared link (src/utils/viewState.js), restored once data is loaded
+    savedViews: [] // Named views as { name, view } (src/utils/viewLibrary.js)
 };
 
 /**
@@ -128,21 +158,118 @@ function initElementReferences() {
     elements.swapFileInput = elements.getElement('swap-file');
     elements.esisFileInfo = elements.getElement('esis-file-info');
     elements.swapFileInfo = elements.getElement('swap-file-info');
+    elements.swapInterpolation = elements.getElement('swap-interpolation');
+    elements.swapPolicy = elements.getElement('swap-policy');
+    elements.swapPolicyDays = elements.getElement('swap-policy-days');
+    elements.swapPolicyDaysGroup = elements.getElement('swap-policy-days-group');
+    elements.swapPolicyDaysLabel = elements.getElement('swap-policy-days-label');
+    elements.dedupePreset = elements.getElement('dedupe-preset');
+    elements.dedupeCustomGroup = elements.getElement('dedupe-custom-group');
+    elements.dedupeFields = elements.getElement('dedupe-fields');
+    elements.dedupeKeep = elements.getElement('dedupe-keep');
+    elements.columnMapping = elements.getElement('column-mapping');
+    elements.esisMapping = elements.getElement('esis-mapping');
+    elements.swapMapping = elements.getElement('swap-mapping');
+    elements.unitOverridesTable = elements.getElement('unit-overrides-table');
+    elements.unitOverridesBody = elements.getElement('unit-overrides-body');
+    elements.addUnitOverrideBtn = elements.getElement('add-unit-override');
+    elements.recentDatasets = elements.getElement('recent-datasets');
+    elements.recentDatasetsList = elements.getElement('recent-datasets-list');
     elements.analyzeBtn = elements.getElement('analyze-btn');
     elements.loadingIndicator = elements.getElement('loading-indicator');
+    elements.progressBar = elements.getElement('progress-bar');
+    elements.progressText = elements.getElement('progress-text');
+    elements.cancelProcessingBtn = elements.getElement('cancel-processing');
     elements.filtersSection = elements.getElement('filters-section');
     elements.resultsSection = elements.getElement('results-section');
     elements.resultsTable = elements.getElement('results-table');
     elements.exportBtn = elements.getElement('export-btn');
+    elements.pivotSection = elements.getElement('pivot-section');
+    elements.pivotRows = elements.getElement('pivot-rows');
+    elements.pivotColumns = elements.getElement('pivot-columns');
+    elements.pivotMeasure = elements.getElement('pivot-measure');
+    elements.exportPivotBtn = elements.getElement('export-pivot-btn');
+    elements.lenderPricingSection = elements.getElement('lender-pricing-section');
+    elements.pricingSplit = elements.getElement('pricing-split');
+    elements.exportPricingBtn = elements.getElement('export-pricing-btn');
+    elements.premiumTrendsSection = elements.getElement('premium-trends-section');
+    elements.premiumTrendsLenders = elements.getElement('premium-trends-lenders');
+    elements.premiumTrendsMarket = elements.getElement('premium-trends-market');
+    elements.premiumTrendsExportBtn = elements.getElement('premium-trends-export-btn');
+    elements.premiumTrendsChart = elements.getElement('premium-trends-chart');
+    elements.swapOverlaySection = elements.getElement('swap-overlay-section');
+    elements.swapOverlayExportBtn = elements.getElement('swap-overlay-export-btn');
+    elements.swapOverlayChart = elements.getElement('swap-overlay-chart');
+    elements.repricingSection = elements.getElement('repricing-section');
+    elements.repricingTerm = elements.getElement('repricing-term');
+    elements.exportRepricingBtn = elements.getElement('export-repricing-btn');
+    elements.repricingChart = elements.getElement('repricing-chart');
+    elements.simulatorSection = elements.getElement('simulator-section');
+    elements.simulatorTerm = elements.getElement('simulator-term');
+    elements.simulatorLtvBand = elements.getElement('simulator-ltv-band');
+    elements.simulatorPurchaseType = elements.getElement('simulator-purchase-type');
+    elements.simulatorLoanSize = elements.getElement('simulator-loan-size');
+    elements.simulatorPrice = elements.getElement('simulator-price');
+    elements.simulatorPriceType = elements.getElement('simulator-price-type');
+    elements.simulateBtn = elements.getElement('simulate-btn');
+    elements.simulatorSummary = elements.getElement('simulator-summary');
+    elements.simulatorBandsChart = elements.getElement('simulator-bands-chart');
+    elements.simulatorLenders = elements.getElement('simulator-lenders');
+    elements.elasticitySection = elements.getElement('elasticity-section');
+    elements.elasticityLender = elements.getElement('elasticity-lender');
+    elements.elasticityTerm = elements.getElement('elasticity-term');
+    elements.elasticityLtvBand = elements.getElement('elasticity-ltv-band');
+    elements.elasticityChange = elements.getElement('elasticity-change');
+    elements.elasticityBtn = elements.getElement('elasticity-btn');
+    elements.elasticitySummary = elements.getElement('elasticity-summary');
+    elements.elasticityChart = elements.getElement('elasticity-chart');
+    elements.benchmarkSection = elements.getElement('benchmark-section');
+    elements.homeLender = elements.getElement('home-lender');
+    elements.peerLenders = elements.getElement('peer-lenders');
+    elements.exportBenchmarkBtn = elements.getElement('export-benchmark-btn');
+    elements.benchmarkTable = elements.getElement('benchmark-table');
     elements.dateStart = elements.getElement('date-start');
     elements.dateEnd = elements.getElement('date-end');
+    elements.timeGranularity = elements.getElement('time-granularity');
     elements.productType = elements.getElement('product-type');
     elements.purchaseType = elements.getElement('purchase-type');
     elements.lenderFilter = elements.getElement('lender-filter');
+    elements.lenderGroupFilter = elements.getElement('lender-group-filter');
+    elements.lenderGrouping = elements.getElement('lender-grouping');
+    elements.taxonomyAliases = elements.getElement('taxonomy-aliases');
+    elements.taxonomyParents = elements.getElement('taxonomy-parents');
+    elements.taxonomyPeerGroups = elements.getElement('taxonomy-peer-groups');
+    elements.applyTaxonomyBtn = elements.getElement('apply-taxonomy');
+    elements.exportTaxonomyBtn = elements.getElement('export-taxonomy');
+    elements.importTaxonomyBtn = elements.getElement('import-taxonomy-btn');
+    elements.importTaxonomyInput = elements.getElement('import-taxonomy');
     elements.ltvFilter = elements.getElement('ltv-filter');
     elements.productTermFilter = elements.getElement('product-term-filter');
+    elements.bandSchemeType = elements.getElement('band-scheme-type');
+    elements.bandFixedOptions = elements.getElement('band-fixed-options');
+    elements.bandBreakpointOptions = elements.getElement('band-breakpoint-options');
+    elements.bandWidth = elements.getElement('band-width');
+    elements.bandMin = elements.getElement('band-min');
+    elements.bandMax = elements.getElement('band-max');
+    elements.bandBreakpoints = elements.getElement('band-breakpoints');
+    elements.bandOpenBottom = elements.getElement('band-open-bottom');
+    elements.bandOpenTop = elements.getElement('band-open-top');
+    elements.applyBandSchemeBtn = elements.getElement('apply-band-scheme');
+    elements.bandSchemeDescription = elements.getElement('band-scheme-description');
+    elements.ltvBreakpoints = elements.getElement('ltv-breakpoints');
+    elements.applyLtvBandsBtn = elements.getElement('apply-ltv-bands');
+    elements.ltvBandDescription = elements.getElement('ltv-band-description');
     elements.applyFiltersBtn = elements.getElement('apply-filters');
     elements.resetFiltersBtn = elements.getElement('reset-filters');
+    elements.copyViewLinkBtn = elements.getElement('copy-view-link');
+    elements.savedViewSelect = elements.getElement('saved-view-select');
+    elements.savedViewName = elements.getElement('saved-view-name');
+    elements.saveViewBtn = elements.getElement('save-view');
+    elements.renameViewBtn = elements.getElement('rename-view');
+    elements.deleteViewBtn = elements.getElement('delete-view');
+    elements.exportViewsBtn = elements.getElement('export-views');
+    elements.importViewsBtn = elements.getElement('import-views-btn');
+    elements.importViewsInput = elements.getElement('import-views');
     elements.errorContainer = elements.getElement('error-container');
     elements.errorText = elements.getElement('error-text');
     elements.dismissError = elements.getElement('dismiss-error');
@@ -162,6 +289,20 @@ function initElementReferences() {
     elements.trendsApplyBtn = elements.getElement('trends-apply-btn');
     elements.trendsExportBtn = elements.getElement('trends-export-btn');
     elements.marketShareTrendsChart = elements.getElement('market-share-trends-chart');
+    elements.dataQualitySection = elements.getElement('data-quality-section');
+    elements.dataQualityOverview = elements.getElement('data-quality-overview');
+    elements.dataQualityExclusions = elements.getElement('data-quality-exclusions');
+    elements.dataQualityExclusionsChart = elements.getElement('data-quality-exclusions-chart');
+    elements.dataQualityTerms = elements.getElement('data-quality-terms');
+    elements.dataQualityTermsChart = elements.getElement('data-quality-terms-chart');
+    elements.dataQualityLtv = elements.getElement('data-quality-ltv');
+    elements.dataQualityUnits = elements.getElement('data-quality-units');
+    elements.dataQualityDuplicates = elements.getElement('data-quality-duplicates');
+    elements.dataQualityDuplicatesSummary = elements.getElement('data-quality-duplicates-summary');
+    elements.dataQualityMissingSwaps = elements.getElement('data-quality-missing-swaps');
+    elements.dataQualityMissingSwapsChart = elements.getElement('data-quality-missing-swaps-chart');
+    elements.exportExclusionsBtn = elements.getElement('export-exclusions-btn');
+    elements.exportDuplicatesBtn = elements.getElement('export-duplicates-btn');
     
     console.log('Element references initialized');
 }
@@ -186,25 +327,84 @@ function initializeApp() {
     if (elements.esisFileInput) elements.esisFileInput.addEventListener('change', handleESISFileSelect);
     if (elements.swapFileInput) elements.swapFileInput.addEventListener('change', handleSwapFileSelect);
     if (elements.analyzeBtn) elements.analyzeBtn.addEventListener('click', processData);
+    if (elements.cancelProcessingBtn) elements.cancelProcessingBtn.addEventListener('click', cancelAnalysis);
     if (elements.exportBtn) elements.exportBtn.addEventListener('click', exportData);
+    if (elements.exportPivotBtn) elements.exportPivotBtn.addEventListener('click', exportPivotData);
+    [elements.pivotRows, elements.pivotColumns, elements.pivotMeasure].forEach(select => {
+        if (select) select.addEventListener('change', renderPivotTable);
+    });
+    if (elements.pricingSplit) elements.pricingSplit.addEventListener('change', renderLenderPricing);
+    if (elements.exportPricingBtn) elements.exportPricingBtn.addEventListener('click', exportLenderPricing);
+    [elements.premiumTrendsLenders, elements.premiumTrendsMarket].forEach(control => {
+        if (control) control.addEventListener('change', renderPremiumTrends);
+    });
+    if (elements.premiumTrendsExportBtn) elements.premiumTrendsExportBtn.addEventListener('click', exportPremiumTrends);
+    if (elements.swapOverlayExportBtn) elements.swapOverlayExportBtn.addEventListener('click', exportSwapOverlay);
+    if (elements.repricingTerm) elements.repricingTerm.addEventListener('change', renderRepricing);
+    if (elements.exportRepricingBtn) elements.exportRepricingBtn.addEventListener('click', exportRepricing);
+    if (elements.simulateBtn) elements.simulateBtn.addEventListener('click', handleSimulate);
+    if (elements.elasticityBtn) elements.elasticityBtn.addEventListener('click', handleEstimateShareResponse);
+    [elements.homeLender, elements.peerLenders].forEach(control => {
+        if (control) control.addEventListener('change', handleBenchmarkSettingsChange);
+    });
+    if (elements.exportBenchmarkBtn) elements.exportBenchmarkBtn.addEventListener('click', exportBenchmark);
     if (elements.applyFiltersBtn) elements.applyFiltersBtn.addEventListener('click', handleApplyFilters);
     if (elements.resetFiltersBtn) elements.resetFiltersBtn.addEventListener('click', resetFilters);
+    if (elements.copyViewLinkBtn) elements.copyViewLinkBtn.addEventListener('click', handleCopyViewLink);
+    if (elements.savedViewSelect) elements.savedViewSelect.addEventListener('change', handleSelectSavedView);
+    if (elements.saveViewBtn) elements.saveViewBtn.addEventListener('click', handleSaveView);
+    if (elements.renameViewBtn) elements.renameViewBtn.addEventListener('click', handleRenameView);
+    if (elements.deleteViewBtn) elements.deleteViewBtn.addEventListener('click', handleDeleteView);
+    if (elements.exportViewsBtn) elements.exportViewsBtn.addEventListener('click', handleExportViews);
+    if (elements.importViewsBtn) elements.importViewsBtn.addEventListener('click', () => elements.importViewsInput.click());
+    if (elements.importViewsInput) elements.importViewsInput.addEventListener('change', handleImportViews);
+    if (elements.lenderGrouping) elements.lenderGrouping.addEventListener('change', handleLenderGroupingChange);
+    if (elements.applyTaxonomyBtn) elements.applyTaxonomyBtn.addEventListener('click', handleApplyTaxonomy);
+    if (elements.exportTaxonomyBtn) elements.exportTaxonomyBtn.addEventListener('click', exportLenderTaxonomy);
+    if (elements.importTaxonomyBtn) elements.importTaxonomyBtn.addEventListener('click', () => elements.importTaxonomyInput.click());
+    if (elements.importTaxonomyInput) elements.importTaxonomyInput.addEventListener('change', handleImportTaxonomy);
     if (elements.dismissError) elements.dismissError.addEventListener('click', dismissError);
     if (elements.applyMarketShareBtn) elements.applyMarketShareBtn.addEventListener('click', updateMarketShareTable);
     if (elements.exportMarketShareBtn) elements.exportMarketShareBtn.addEventListener('click', exportMarketShareData);
-    
-    // Add non-filter event listeners
-    nonFilterListeners.forEach(({ element, event, handler }) => {
-        if (elements[element]) {
-            elements[element].addEventListener(event, handler);
-            console.log(`Added ${event} listener to ${element}`);
-        }
-    });
+    if (elements.exportExclusionsBtn) elements.exportExclusionsBtn.addEventListener('click', exportExcludedRecords);
+    if (elements.exportDuplicatesBtn) elements.exportDuplicatesBtn.addEventListener('click', exportDuplicateGroups);
+    
+    if (elements.applyBandSchemeBtn) elements.applyBandSchemeBtn.addEventListener('click', handleApplyBandScheme);
+    if (elements.bandSchemeType) elements.bandSchemeType.addEventListener('change', syncBandSchemeControls);
+    if (elements.applyLtvBandsBtn) elements.applyLtvBandsBtn.addEventListener('click', handleApplyLtvBands);
+    if (elements.swapPolicy) elements.swapPolicy.addEventListener('change', syncSwapPolicyControls);
+    if (elements.dedupePreset) elements.dedupePreset.addEventListener('change', syncDedupeControls);
+    if (elements.addUnitOverrideBtn) elements.addUnitOverrideBtn.addEventListener('click', handleAddUnitOverride);
+    syncBandSchemeControls();
+    setLtvBandControls();
+    initPivotControls();
+    fillOptionSelect(elements.pricingSplit, PremiumStats.SPLITS, 'both');
+    fillOptionSelect(elements.lenderGrouping, LenderTaxonomy.GROUP_LEVELS, state.lenderGrouping);
+    syncSwapPolicyControls();
+    initDedupeControls();
+    
+    state.unitOverrides = loadUnitOverrides();
+    renderUnitOverrides();
+    state.benchmarkSettings = loadBenchmarkSettings();
+    populateBenchmarkLenders();
+    state.lenderTaxonomy = loadLenderTaxonomy();
+    renderLenderTaxonomy();
+    initDatasetStore();
+    
+    state.savedViews = loadSavedViews();
+    renderSavedViews();
+    
+    // Views shared as links are restored once data is loaded
+    handleViewLink();
+    window.addEventListener('hashchange', handleViewLink);
     
     // Add event listener for product term filter
     if (elements.productTermFilter) {
         elements.productTermFilter.addEventListener('change', handleApplyFilters);
     }
+    if (elements.timeGranularity) {
+        elements.timeGranularity.addEventListener('change', handleGranularityChange);
+    }
     
     console.log('Mortgage Market Analysis Tool initialized with auto-applying filters');
 }
@@ -212,16 +412,35 @@ function initializeApp() {
 // Apply error handling wrappers to critical functions
 // Core data processing functions
 processData = withAsyncErrorHandling(processData, 'processData');
-enrichEsisData = withErrorHandling(enrichEsisData, 'enrichEsisData');
-mapFieldNames = withErrorHandling(mapFieldNames, 'mapFieldNames');
 aggregateByPremiumBandAndMonth = withErrorHandling(aggregateByPremiumBandAndMonth, 'aggregateByPremiumBandAndMonth');
 
 // File handling functions
 parseCSVFile = withAsyncErrorHandling(parseCSVFile, 'parseCSVFile');
 parseExcelFile = withAsyncErrorHandling(parseExcelFile, 'parseExcelFile');
+prepareColumnMapping = withAsyncErrorHandling(prepareColumnMapping, 'prepareColumnMapping');
+handleOpenDataset = withAsyncErrorHandling(handleOpenDataset, 'handleOpenDataset');
+handleRemoveDataset = withAsyncErrorHandling(handleRemoveDataset, 'handleRemoveDataset');
+handleCopyViewLink = withAsyncErrorHandling(handleCopyViewLink, 'handleCopyViewLink');
+handleSaveView = withErrorHandling(handleSaveView, 'handleSaveView');
+handleRenameView = withErrorHandling(handleRenameView, 'handleRenameView');
+handleImportViews = withAsyncErrorHandling(handleImportViews, 'handleImportViews');
+handleImportTaxonomy = withAsyncErrorHandling(handleImportTaxonomy, 'handleImportTaxonomy',
+    error => showError(`Cannot import the lender groups: ${error.message}`));
 
 // UI and visualization functions
 renderTable = withErrorHandling(renderTable, 'renderTable');
+renderPivotTable = withErrorHandling(renderPivotTable, 'renderPivotTable');
+renderLenderPricing = withErrorHandling(renderLenderPricing, 'renderLenderPricing');
+renderPremiumTrends = withErrorHandling(renderPremiumTrends, 'renderPremiumTrends');
+exportPremiumTrends = withErrorHandling(exportPremiumTrends, 'exportPremiumTrends');
+renderSwapOverlay = withErrorHandling(renderSwapOverlay, 'renderSwapOverlay');
+exportSwapOverlay = withErrorHandling(exportSwapOverlay, 'exportSwapOverlay');
+renderRepricing = withErrorHandling(renderRepricing, 'renderRepricing');
+handleSimulate = withErrorHandling(handleSimulate, 'handleSimulate', error => showError(`Cannot simulate the product: ${error.message}`));
+handleEstimateShareResponse = withErrorHandling(handleEstimateShareResponse, 'handleEstimateShareResponse',
+    error => showError(`Cannot estimate the share response: ${error.message}`));
+renderBenchmark = withErrorHandling(renderBenchmark, 'renderBenchmark');
+handleBenchmarkSettingsChange = withErrorHandling(handleBenchmarkSettingsChange, 'handleBenchmarkSettingsChange');
 applyFilters = withErrorHandling(applyFilters, 'applyFilters');
 updateMarketShareTable = withErrorHandling(updateMarketShareTable, 'updateMarketShareTable');
 updateHeatmap = withErrorHandling(updateHeatmap, 'updateHeatmap');
@@ -286,7 +505,7 @@ function ensureHeatmapElementsExist() {
         
         const premiumLabel = document.createElement('label');
         premiumLabel.htmlFor = 'premium-mode';
-        premiumLabel.textContent = 'Market Share Within Premium Bands';
+        premiumLabel.textContent = 'Market Share Within Each Band';
         
         // Append radio buttons and labels
         toggleSwitch.appendChild(lenderRadio);
@@ -295,6 +514,30 @@ function ensureHeatmapElementsExist() {
         toggleSwitch.appendChild(premiumLabel);
         
         controls.appendChild(toggleSwitch);
+        
+        // Create column dimension toggle: premium bands or LTV bands
+        const columnsLabel = document.createElement('label');
+        columnsLabel.textContent = 'Columns:';
+        controls.appendChild(columnsLabel);
+        
+        const columnsSwitch = document.createElement('div');
+        columnsSwitch.className = 'toggle-switch';
+        [['premium-columns', 'premium', 'Premium Bands'], ['ltv-columns', 'ltv', 'LTV Bands']].forEach(([id, value, text]) => {
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.id = id;
+            radio.name = 'heatmap-columns';
+            radio.value = value;
+            radio.checked = value === 'premium';
+            
+            const radioLabel = document.createElement('label');
+            radioLabel.htmlFor = id;
+            radioLabel.textContent = text;
+            
+            columnsSwitch.appendChild(radio);
+            columnsSwitch.appendChild(radioLabel);
+        });
+        controls.appendChild(columnsSwitch);
         container.appendChild(controls);
         
         // Create visualization div
@@ -335,11 +578,13 @@ function handleESISFileSelect(event) {
     const file = event.target.files[0];
     if (!file) {
         elements.esisFileInfo.textContent = 'No file selected';
+        clearColumnMapping('esis');
         checkFilesReady();
         return;
     }
     
     elements.esisFileInfo.textContent = `Selected: ${file.name} (${formatFileSize(file.size)})`;
+    prepareColumnMapping('esis', file);
     checkFilesReady();
 }
 
@@ -347,21 +592,24 @@ function handleSwapFileSelect(event) {
     const file = event.target.files[0];
     if (!file) {
         elements.swapFileInfo.textContent = 'No file selected';
+        clearColumnMapping('swap');
         checkFilesReady();
         return;
     }
     
     elements.swapFileInfo.textContent = `Selected: ${file.name} (${formatFileSize(file.size)})`;
+    prepareColumnMapping('swap', file);
     checkFilesReady();
 }
 
 function checkFilesReady() {
     const esisSelected = elements.esisFileInput.files.length > 0;
     const swapSelected = elements.swapFileInput.files.length > 0;
+    const mappingsValid = isColumnMappingValid('esis') && isColumnMappingValid('swap');
     
-    console.log('File selection status:', { esisSelected, swapSelected });
+    console.log('File selection status:', { esisSelected, swapSelected, mappingsValid });
     
-    if (esisSelected && swapSelected) {
+    if (esisSelected && swapSelected && mappingsValid) {
         elements.analyzeBtn.disabled = false;
     } else {
         elements.analyzeBtn.disabled = true;
@@ -374,306 +622,972 @@ function formatFileSize(bytes) {
     else return (bytes / 1048576).toFixed(1) + ' MB';
 }
 
-// Data Processing Functions
-async function processData() {
-    showLoading(true);
+// Column Mapping Functions
+const MAPPING_PROFILES_KEY = 'mortgageTool.mappingProfiles';
+const MAPPING_PREVIEW_ROWS = 20;
+const MAPPING_FILE_LABELS = { esis: 'ESIS Data', swap: 'Swap Rates' };
+
+/**
+ * Reads the saved column mapping profiles
+ * @returns {Array} Profiles from ColumnMapping.createProfile, empty if none or storage is unavailable
+ */
+function loadMappingProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(MAPPING_PROFILES_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved column mappings:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Stores the column mapping profiles
+ * @param {Array} profiles - Profiles to save
+ */
+function saveMappingProfiles(profiles) {
+    try {
+        localStorage.setItem(MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        showError(`Could not save the column mapping: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the first rows of a selected file for the mapping step
+ * @param {File} file - ESIS or swap rates file
+ * @returns {Promise<Array>} Parsed rows; swap workbooks are read whole as they are small
+ */
+function readFilePreview(file) {
+    if (file.name.endsWith('.xlsx')) {
+        return parseExcelFile(file);
+    }
     
-    // Check if files are selected
-    const esisFile = elements.esisFileInput.files[0];
-    const swapFile = elements.swapFileInput.files[0];
+    return new Promise((resolve, reject) => {
+        Papa.parse(file, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            preview: MAPPING_PREVIEW_ROWS,
+            complete: (results) => resolve(results.data),
+            error: (error) => reject(new Error(`CSV parsing error: ${error.message}`))
+        });
+    });
+}
+
+/**
+ * Detects the columns of a selected file and suggests or re-applies a mapping
+ * @param {string} kind - 'esis' or 'swap'
+ * @param {File} file - Selected file
+ */
+async function prepareColumnMapping(kind, file) {
+    state.columnMappings[kind] = null;
+    
+    const rows = (await readFilePreview(file)) || [];
+    const headers = ColumnMapping.detectHeaders(rows);
+    const suggestion = ColumnMapping.suggestMapping(headers, kind);
+    const profile = ColumnMapping.findProfile(loadMappingProfiles(), kind, headers);
+    
+    state.columnMappings[kind] = {
+        fileName: file.name,
+        headers,
+        rows,
+        mapping: profile ? { ...suggestion.mapping, ...profile.mapping } : suggestion.mapping,
+        confidence: suggestion.confidence,
+        profile
+    };
+    console.log(`${MAPPING_FILE_LABELS[kind]} columns:`, headers, profile ? '(saved mapping applied)' : '(suggested mapping)');
     
-    if (!esisFile || !swapFile) {
-        throw new Error('Please select both ESIS data and Swap Rates files');
+    renderColumnMapping(kind);
+    checkFilesReady();
+}
+
+/**
+ * Forgets the mapping of a file that is no longer selected
+ * @param {string} kind - 'esis' or 'swap'
+ */
+function clearColumnMapping(kind) {
+    state.columnMappings[kind] = null;
+    renderColumnMapping(kind);
+}
+
+/**
+ * Checks whether a file's mapping covers every required field
+ * @param {string} kind - 'esis' or 'swap'
+ * @returns {boolean} True when the mapping is valid
+ */
+function isColumnMappingValid(kind) {
+    const current = state.columnMappings[kind];
+    return Boolean(current) && ColumnMapping.checkMapping(current.mapping, kind, current.headers).valid;
+}
+
+/**
+ * Updates one field of a file's mapping from its column selector
+ * @param {string} kind - 'esis' or 'swap'
+ * @param {string} field - Pipeline field
+ * @param {string} header - Selected column, or '' for not mapped
+ */
+function handleColumnMappingChange(kind, field, header) {
+    const current = state.columnMappings[kind];
+    current.mapping = { ...current.mapping, [field]: header || null };
+    current.confidence = { ...current.confidence, [field]: null }; // Chosen by hand
+    renderColumnMapping(kind);
+    checkFilesReady();
+}
+
+/**
+ * Saves a file's mapping so it is applied to files with the same columns
+ * @param {string} kind - 'esis' or 'swap'
+ */
+function handleSaveColumnMapping(kind) {
+    const current = state.columnMappings[kind];
+    const profile = ColumnMapping.createProfile(kind, current.headers, current.mapping, current.fileName);
+    saveMappingProfiles(ColumnMapping.upsertProfile(loadMappingProfiles(), profile));
+    current.profile = profile;
+    renderColumnMapping(kind);
+    showSuccessMessage(`Column mapping saved for ${MAPPING_FILE_LABELS[kind]} files with these columns`);
+}
+
+/**
+ * Deletes the saved mapping for a file's columns
+ * @param {string} kind - 'esis' or 'swap'
+ */
+function handleForgetColumnMapping(kind) {
+    const current = state.columnMappings[kind];
+    const signature = ColumnMapping.headerSignature(current.headers);
+    saveMappingProfiles(loadMappingProfiles().filter(profile =>
+        profile.kind !== kind || profile.signature !== signature));
+    current.profile = null;
+    renderColumnMapping(kind);
+}
+
+/**
+ * Renders the mapping step for one file: a column selector and match confidence
+ * per field, required-field checks and a preview of the mapped first rows
+ * @param {string} kind - 'esis' or 'swap'
+ */
+function renderColumnMapping(kind) {
+    const panel = kind === 'esis' ? elements.esisMapping : elements.swapMapping;
+    if (!panel) return;
+    
+    const current = state.columnMappings[kind];
+    panel.innerHTML = '';
+    panel.classList.toggle('hidden', !current);
+    if (elements.columnMapping) {
+        elements.columnMapping.classList.toggle('hidden', !state.columnMappings.esis && !state.columnMappings.swap);
     }
+    if (!current) return;
     
-    // Reset market share filters when loading new data
-    state.marketShareFilters.selectedPremiumBands = [];
+    const fields = ColumnMapping.fieldsFor(kind);
     
-    // Parse ESIS data
-    state.esisData = await parseCSVFile(esisFile);
+    const title = document.createElement('h4');
+    title.textContent = `${MAPPING_FILE_LABELS[kind]}: ${current.fileName}`;
+    panel.appendChild(title);
     
-    // DEBUG: Log raw loan total immediately after parsing
-    const rawLoanTotal = state.esisData.reduce((sum, record) => sum + (parseFloat(record.Loan) || 0), 0);
-    console.log('DEBUG - Raw loan total from CSV:', rawLoanTotal.toLocaleString());
+    const status = document.createElement('p');
+    status.className = 'column-mapping-status';
+    status.textContent = current.profile
+        ? `Saved mapping applied (saved ${new Date(current.profile.savedAt).toLocaleDateString()})`
+        : `${current.headers.length} columns detected; mapping suggested from the column names`;
+    panel.appendChild(status);
     
-    // DEBUG: Log sample loan amounts from raw data
-    if (state.esisData.length > 0) {
-        console.log('DEBUG - Sample raw loan amounts from first 5 records:');
-        state.esisData.slice(0, 5).forEach((record, idx) => {
-            console.log(`Record ${idx}: Raw Loan=${record.Loan}, Type=${typeof record.Loan}`);
+    // Field -> column selectors
+    const table = document.createElement('table');
+    table.className = 'column-mapping-table';
+    table.innerHTML = '<thead><tr><th>Field</th><th>Column</th><th>Match</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    fields.forEach(definition => {
+        const row = document.createElement('tr');
+        
+        const fieldCell = document.createElement('td');
+        fieldCell.textContent = definition.required ? `${definition.label} *` : definition.label;
+        row.appendChild(fieldCell);
+        
+        const select = document.createElement('select');
+        select.appendChild(new Option('Not mapped', ''));
+        current.headers.forEach(header => select.appendChild(new Option(header, header)));
+        select.value = current.mapping[definition.field] || '';
+        select.addEventListener('change', () => handleColumnMappingChange(kind, definition.field, select.value));
+        const selectCell = document.createElement('td');
+        selectCell.appendChild(select);
+        row.appendChild(selectCell);
+        
+        const confidence = current.confidence[definition.field];
+        const level = confidence === null ? 'manual' : ColumnMapping.describeConfidence(confidence);
+        const badge = document.createElement('span');
+        badge.className = `mapping-confidence ${level}`;
+        badge.textContent = current.mapping[definition.field] ? level : '-';
+        const confidenceCell = document.createElement('td');
+        confidenceCell.appendChild(badge);
+        row.appendChild(confidenceCell);
+        
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    panel.appendChild(table);
+    
+    // Required-field checks
+    const check = ColumnMapping.checkMapping(current.mapping, kind, current.headers);
+    if (!check.valid) {
+        const errors = document.createElement('ul');
+        errors.className = 'column-mapping-errors';
+        check.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errors.appendChild(item);
         });
+        panel.appendChild(errors);
     }
     
-    // DEBUG: Check for duplicate records in raw data and deduplicate
-    const uniqueIds = new Set();
-    const uniqueRecords = [];
-    const duplicates = [];
-    
-    state.esisData.forEach(record => {
-        // Use id if available, otherwise create a composite key
-        const id = record.id || `${record.Provider}-${record.DocumentDate}-${record.Loan}`;
-        if (uniqueIds.has(id)) {
-            duplicates.push(record);
-        } else {
-            uniqueIds.add(id);
-            uniqueRecords.push(record);
-        }
+    // Preview of the first rows as the pipeline will read them
+    const preview = document.createElement('table');
+    preview.className = 'column-mapping-preview';
+    const headerRow = document.createElement('tr');
+    fields.forEach(definition => {
+        const th = document.createElement('th');
+        th.textContent = definition.label;
+        headerRow.appendChild(th);
     });
-    
-    console.log('DEBUG - Number of potential duplicate records in raw data:', duplicates.length);
-    console.log('DEBUG - Number of unique records after deduplication:', uniqueRecords.length);
-    
-    // Replace the original data with deduplicated data
-    state.esisData = uniqueRecords;
-    
-    // Map field names first, so validateData can use standardized names
-    mapFieldNames(); 
-    
-    // Parse Swap Rates data (CSV or Excel)
-    if (swapFile.name.endsWith('.csv')) {
-        state.swapRatesData = await parseCSVFile(swapFile);
-    } else if (swapFile.name.endsWith('.xlsx')) {
-        const swapData = await parseExcelFile(swapFile);
-        console.log('Raw swapData from Excel:', swapData ? JSON.stringify(swapData.slice(0, 5)) : 'null'); // Log first 5 raw records
-        
-        state.swapRatesData = swapData
-            .map(row => {
-                // Attempt to parse the date. Robustly handle different possible date inputs if necessary.
-                // For now, assuming row.Date is in a format moment() can parse directly or is an Excel date serial number.
-                const effectiveDate = moment(row.Date); 
-                return {
-                    effective_at: effectiveDate.isValid() ? effectiveDate.toDate() : null, // Store as Date object
-                    product_term_in_months: parseInt(row['TieInPeriod'], 10),
-                    rate: parseFloat(row['Rate'])
-                };
-            })
-            .filter(rate => 
-                rate.effective_at instanceof Date && !isNaN(rate.effective_at.getTime()) && // Check for valid Date object
-                !isNaN(rate.product_term_in_months) && 
-                !isNaN(rate.rate)
-            ); // Filter out invalid rates more robustly
-        
-        console.log('Processed state.swapRatesData:', state.swapRatesData ? JSON.stringify(state.swapRatesData.slice(0, 5).map(r => ({...r, effective_at: r.effective_at ? r.effective_at.toISOString() : null }))) : 'null'); // Log with ISO dates
-        if (!state.swapRatesData || state.swapRatesData.length === 0) {
-            console.warn('state.swapRatesData is empty or null after processing. Check Excel sheet and parsing logic.');
-        }
-    } else {
-        throw new Error('Unsupported swap rates file format. Please use CSV or XLSX.');
+    const previewHead = document.createElement('thead');
+    previewHead.appendChild(headerRow);
+    preview.appendChild(previewHead);
+    const previewBody = document.createElement('tbody');
+    ColumnMapping.previewMapping(current.rows, current.mapping, kind).forEach(values => {
+        const tr = document.createElement('tr');
+        fields.forEach(definition => {
+            const td = document.createElement('td');
+            const value = values[definition.field];
+            td.textContent = value instanceof Date ? value.toISOString().substring(0, 10) : (value ?? '');
+            tr.appendChild(td);
+        });
+        previewBody.appendChild(tr);
+    });
+    preview.appendChild(previewBody);
+    panel.appendChild(preview);
+    
+    // Profile actions
+    const actions = document.createElement('div');
+    actions.className = 'column-mapping-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = current.profile ? 'Update Saved Mapping' : 'Save Mapping';
+    saveBtn.disabled = !check.valid;
+    saveBtn.addEventListener('click', () => handleSaveColumnMapping(kind));
+    actions.appendChild(saveBtn);
+    if (current.profile) {
+        const forgetBtn = document.createElement('button');
+        forgetBtn.textContent = 'Forget Saved Mapping';
+        forgetBtn.addEventListener('click', () => handleForgetColumnMapping(kind));
+        actions.appendChild(forgetBtn);
     }
+    panel.appendChild(actions);
+}
+
+// Unit Override Functions
+const UNIT_OVERRIDES_KEY = 'mortgageTool.unitOverrides';
+
+/**
+ * Reads the saved rate and LTV unit overrides
+ * @returns {Array} Overrides as { source, column, unit }, empty if none or storage is unavailable
+ */
+function loadUnitOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(UNIT_OVERRIDES_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved unit overrides:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Stores the rate and LTV unit overrides
+ */
+function saveUnitOverrides() {
+    try {
+        localStorage.setItem(UNIT_OVERRIDES_KEY, JSON.stringify(state.unitOverrides));
+    } catch (error) {
+        showError(`Could not save the unit overrides: ${error.message}`);
+    }
+}
+
+/**
+ * Adds an override row, defaulting to the common case of rates stored as 0.45 for 4.5%
+ */
+function handleAddUnitOverride() {
+    state.unitOverrides.push({ source: '', column: 'Rate', unit: 'tens-of-percent' });
+    saveUnitOverrides();
+    renderUnitOverrides();
+}
+
+/**
+ * Updates one field of an override row
+ * @param {number} index - Row index
+ * @param {string} key - 'source', 'column' or 'unit'
+ * @param {string} value - New value
+ */
+function handleUnitOverrideChange(index, key, value) {
+    state.unitOverrides[index][key] = value;
+    saveUnitOverrides();
+}
+
+/**
+ * Removes an override row
+ * @param {number} index - Row index
+ */
+function handleRemoveUnitOverride(index) {
+    state.unitOverrides.splice(index, 1);
+    saveUnitOverrides();
+    renderUnitOverrides();
+}
+
+/**
+ * Renders the unit override table: lender, column and unit per row
+ */
+function renderUnitOverrides() {
+    if (!elements.unitOverridesBody) return;
     
-    // Validate data (now after mapFieldNames)
-    validateData();
-    
-    // DEBUG: Simple verification total - sum all loans without any grouping
-    const simpleVerificationTotal = state.esisData.reduce((sum, record) => sum + (record.Loan || 0), 0);
-    console.log('DEBUG - Simple verification total (just summing all loans):', simpleVerificationTotal.toLocaleString());
-    
-    // Enrich state.esisData with PremiumBand and Month
-    state.esisData = enrichEsisData(state.esisData);
+    elements.unitOverridesBody.innerHTML = '';
+    if (elements.unitOverridesTable) {
+        elements.unitOverridesTable.classList.toggle('hidden', state.unitOverrides.length === 0);
+    }
     
-    // Initialize the premium band selector for market share trends
-    initializePremiumBandSelector();
+    state.unitOverrides.forEach((override, index) => {
+        const row = document.createElement('tr');
+        
+        const source = document.createElement('input');
+        source.type = 'text';
+        source.placeholder = 'Lender name or *';
+        source.value = override.source;
+        source.addEventListener('change', () => handleUnitOverrideChange(index, 'source', source.value));
+        const sourceCell = document.createElement('td');
+        sourceCell.appendChild(source);
+        row.appendChild(sourceCell);
+        
+        const column = document.createElement('select');
+        Object.keys(RateUnits.UNIT_COLUMNS).forEach(name => column.appendChild(new Option(name, name)));
+        column.value = override.column;
+        column.addEventListener('change', () => handleUnitOverrideChange(index, 'column', column.value));
+        const columnCell = document.createElement('td');
+        columnCell.appendChild(column);
+        row.appendChild(columnCell);
+        
+        const unit = document.createElement('select');
+        Object.keys(RateUnits.UNITS).forEach(name => unit.appendChild(new Option(RateUnits.describeUnit(name), name)));
+        unit.value = override.unit;
+        unit.addEventListener('change', () => handleUnitOverrideChange(index, 'unit', unit.value));
+        const unitCell = document.createElement('td');
+        unitCell.appendChild(unit);
+        row.appendChild(unitCell);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => handleRemoveUnitOverride(index));
+        const removeCell = document.createElement('td');
+        removeCell.appendChild(removeBtn);
+        row.appendChild(removeCell);
+        
+        elements.unitOverridesBody.appendChild(row);
+    });
+}
+
+// Saved Dataset Functions (src/utils/datasetStore.js)
+
+/**
+ * Opens the saved datasets database and lists its datasets
+ * The picker stays hidden where IndexedDB is unavailable, e.g. in private browsing.
+ */
+async function initDatasetStore() {
+    try {
+        state.datasetStore = await DatasetStore.openDatasetStore(window.indexedDB);
+    } catch (error) {
+        console.warn('Saved datasets are unavailable:', error.message);
+        return;
+    }
+    await renderRecentDatasets();
+}
+
+/**
+ * Saves an analysed upload for reopening after a refresh
+ * Failures, such as the browser's storage quota being exceeded, only cost the quick reload.
+ * @param {File} esisFile - ESIS data file
+ * @param {File} swapFile - Swap rates file
+ * @param {Object} result - runPipeline result
+ * @param {Object} settings - Plain JSON settings the files were analysed with
+ */
+async function saveDataset(esisFile, swapFile, result, settings) {
+    if (!state.datasetStore) return;
     
-    // Make sure the market share trends section is visible
-    if (elements.marketShareTrendsSection) {
-        elements.marketShareTrendsSection.classList.remove('hidden');
+    try {
+        const meta = await state.datasetStore.save(DatasetStore.createDatasetEntry(esisFile, swapFile, result, settings));
+        state.datasetId = meta.id;
+        // Keep any view changes made while the dataset was being written
+        saveCurrentView();
+        console.log('Dataset saved for quick reload:', DatasetStore.describeDataset(meta));
+    } catch (error) {
+        console.warn('Could not save the dataset for quick reload:', error.message);
     }
+    await renderRecentDatasets();
+}
+
+/**
+ * Reads the current view of the data: filters, time granularity, selected premium bands, lender grouping,
+ * heatmap mode, columns and sort, and the premium and LTV band schemes
+ * @returns {Object} Plain JSON view
+ */
+function captureView() {
+    const modeElement = document.querySelector('input[name="heatmap-mode"]:checked');
+    return {
+        filters: JSON.parse(JSON.stringify(state.filters)),
+        granularity: state.granularity,
+        productTerm: elements.productTermFilter ? elements.productTermFilter.value : 'all',
+        lenderBands: [...(state.lenderMarketShare.selectedPremiumBands || [])],
+        trendsBands: [...(state.marketShareTrends.selectedPremiumBands || [])],
+        lenderGrouping: state.lenderGrouping,
+        heatmapMode: modeElement ? modeElement.value : 'lender',
+        heatmapColumns: getHeatmapColumns(),
+        heatmapSort: state.heatmapSort,
+        bandScheme: state.bandScheme.definition,
+        ltvBandScheme: state.ltvBandScheme.definition
+    };
+}
+
+/**
+ * Records the current view in the page URL, for sharing, and against the open saved dataset, if any
+ */
+function saveCurrentView() {
+    if (!state.esisData) return;
     
-    // Log product type counts to verify both 2-year and 5-year products are present
-    const twoYearCount = state.esisData.filter(r => r.NormalizedTerm === 24).length;
-    const fiveYearCount = state.esisData.filter(r => r.NormalizedTerm === 60).length;
-    const totalCount = state.esisData.length;
-    const twoYearPercent = ((twoYearCount / totalCount) * 100).toFixed(2);
-    const fiveYearPercent = ((fiveYearCount / totalCount) * 100).toFixed(2);
+    const view = captureView();
+    // Replacing the hash does not fire hashchange, so the view is not restored onto itself
+    history.replaceState(null, '', `#${ViewState.encodeViewHash(view)}`);
     
-    console.log('=== PRODUCT TYPE VERIFICATION ===');
-    console.log(`Total products processed: ${totalCount}`);
-    console.log(`2-year fixed products: ${twoYearCount} (${twoYearPercent}%)`);
-    console.log(`5-year fixed products: ${fiveYearCount} (${fiveYearPercent}%)`);
-    console.log(`Other term products: ${totalCount - twoYearCount - fiveYearCount} (${(100 - parseFloat(twoYearPercent) - parseFloat(fiveYearPercent)).toFixed(2)}%)`);
+    if (!state.datasetStore || !state.datasetId) return;
     
-    // Warning if either product type is missing or significantly imbalanced
-    if (twoYearCount === 0 || fiveYearCount === 0) {
-        console.warn('WARNING: One or more product types are missing from the dataset!');
-    } else if (twoYearCount < 0.1 * totalCount || fiveYearCount < 0.1 * totalCount) {
-        console.warn('WARNING: Product type distribution is significantly imbalanced (one type < 10% of total).');
+    state.datasetStore.saveView(state.datasetId, view).catch(error => {
+        console.warn('Could not save the current view:', error.message);
+    });
+}
+
+/**
+ * Reads the view in the page URL, restoring it now if data is loaded or else once it is
+ */
+function handleViewLink() {
+    let view;
+    try {
+        view = ViewState.decodeViewHash(window.location.hash);
+    } catch (error) {
+        showError(`Could not open the linked view: ${error.message}`);
+        return;
     }
-    console.log('=================================');
+    if (!view) return;
     
-    // DEBUG: Calculate total loan amount after enrichment
-    const postEnrichmentTotal = state.esisData.reduce((sum, record) => sum + (record.Loan || 0), 0);
-    console.log('DEBUG - Total loan amount after enrichment:', postEnrichmentTotal.toLocaleString());
-    
-    // Aggregate the enriched data for charts/processed views
-    state.processedData = aggregateByPremiumBandAndMonth(state.esisData);
-
-    // Store total market figures from the initial full dataset processing
-    if (state.processedData && state.processedData.totals) {
-        state.totalMarketByPremiumBand = { ...state.processedData.totals.byPremiumBand }; // Shallow copy
-        state.overallTotalMarket = state.processedData.totals.overall;
-        console.log('Initial Total Market by Premium Band:', JSON.stringify(state.totalMarketByPremiumBand));
-        console.log('Initial Overall Total Market:', state.overallTotalMarket.toLocaleString());
-        
-        // DEBUG: Compare with our simple verification total
-        console.log('DEBUG - Comparison of totals:', {
-            'Simple verification total': simpleVerificationTotal.toLocaleString(),
-            'Aggregated overall total': state.overallTotalMarket.toLocaleString(),
-            'Ratio (aggregated/simple)': (state.overallTotalMarket / simpleVerificationTotal).toFixed(2)
-        });
+    if (state.esisData && state.esisData.length > 0) {
+        restoreView(view);
     } else {
-        state.totalMarketByPremiumBand = {};
-        state.overallTotalMarket = 0;
-        console.warn('Could not set initial market totals, processedData or its totals are missing.');
+        state.pendingView = view;
+        console.log('Linked view will be restored once data is loaded');
     }
+}
 
-    // Update UI with results - always update filters first
-    updateFilters();
-    renderTable();
+/**
+ * Copies a link to the current view
+ */
+async function handleCopyViewLink() {
+    saveCurrentView();
+    await navigator.clipboard.writeText(window.location.href);
+    showSuccessMessage('Link to this view copied');
+}
 
-    // --- Ensure all sections are shown and populated ---
-    // Show all sections
-    elements.filtersSection.classList.remove('hidden');
-    elements.resultsSection.classList.remove('hidden');
-    elements.marketShareSection.classList.remove('hidden');
-    elements.heatmapSection.classList.remove('hidden');
-    elements.marketShareTrendsSection.classList.remove('hidden');
+/**
+ * Selects the options of a select element whose values are listed
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array} values - Values to select; every other option is deselected
+ */
+function selectOptions(select, values) {
+    if (!select) return;
+    Array.from(select.options).forEach(option => {
+        option.selected = values.includes(option.value);
+    });
+}
+
+/**
+ * Sets the value of a single select element
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} value - Value to select; the first option is selected if it has no such option
+ */
+function selectValue(select, value) {
+    if (!select || select.options.length === 0) return;
+    const exists = Array.from(select.options).some(option => option.value === value);
+    select.value = exists ? value : select.options[0].value;
+}
+
+/**
+ * Restores a view on the loaded data and re-applies the filters
+ * Lenders, options and bands the data does not have are left out.
+ * @param {Object|null} view - View from captureView or a shared link; null keeps the defaults of a fresh upload
+ */
+function restoreView(view) {
+    if (!view) return;
     
-    // Initialize heatmap visualization
-    updateHeatmap();
+    // The view's bands only exist under its band scheme
+    if (view.bandScheme && JSON.stringify(view.bandScheme) !== JSON.stringify(state.bandScheme.definition)) {
+        try {
+            applyBandScheme(PremiumBands.createBandScheme(view.bandScheme));
+            resetMarketShareTrends();
+        } catch (error) {
+            showError(`Invalid premium band scheme: ${error.message}`);
+        }
+    }
     
-    // Make sure event listeners are attached to the radio buttons
-    attachHeatmapModeListeners();
+    if (view.ltvBandScheme) {
+        try {
+            applyLtvBandScheme(LtvBands.createLtvBandScheme(view.ltvBandScheme));
+        } catch (error) {
+            showError(`Invalid LTV bands: ${error.message}`);
+        }
+    }
     
-    // Initialize Market Share section
-    if (state.processedData && state.processedData.premiumBands) {
-        populatePremiumBandSelect(state.processedData.premiumBands);
+    const filters = view.filters || {};
+    if (filters.dateRange && filters.dateRange[0] && filters.dateRange[1]) {
+        setDateRangeInputs(filters.dateRange);
     }
+    state.granularity = view.granularity || TimePeriods.DEFAULT_GRANULARITY;
+    selectValue(elements.timeGranularity, state.granularity);
+    selectOptions(elements.lenderFilter, filters.lenders || []);
+    selectOptions(elements.lenderGroupFilter, filters.lenderGroups || []);
+    state.lenderGrouping = LenderTaxonomy.GROUP_LEVELS[view.lenderGrouping] ? view.lenderGrouping : 'lender';
+    selectValue(elements.lenderGrouping, state.lenderGrouping);
+    selectOptions(elements.productType, filters.productTypes || []);
+    selectOptions(elements.purchaseType, filters.purchaseTypes || []);
+    selectOptions(elements.ltvFilter, filters.ltvBands || []);
+    selectValue(elements.productTermFilter, view.productTerm || 'all');
+    
+    const modeRadio = document.querySelector(`input[name="heatmap-mode"][value="${view.heatmapMode}"]`);
+    if (modeRadio) modeRadio.checked = true;
+    const columnsRadio = document.querySelector(`input[name="heatmap-columns"][value="${view.heatmapColumns || 'premium'}"]`);
+    if (columnsRadio) columnsRadio.checked = true;
+    
+    const bands = new Set(state.esisData.map(record => record.PremiumBand));
+    const lenderBands = (view.lenderBands || []).filter(band => bands.has(band));
+    state.lenderMarketShare.selectedPremiumBands = [...lenderBands];
+    state.marketShareFilters.selectedPremiumBands = [...lenderBands];
+    state.selectedPremiumBands = [...lenderBands];
+    // The heatmap sorts on a premium band or, with LTV columns, an LTV band
+    const columnBands = view.heatmapColumns === 'ltv' ? new Set(LtvBands.ltvBandLabels(state.ltvBandScheme)) : bands;
+    state.heatmapSort = view.heatmapSort && columnBands.has(view.heatmapSort.band) ? { ...view.heatmapSort } : null;
+    
+    const trendsBands = view.trendsBands || [];
+    document.querySelectorAll('#trends-premium-bands-container .premium-band-chip').forEach(chip => {
+        chip.classList.toggle('selected', trendsBands.includes(chip.getAttribute('data-band')));
+    });
+    updateSelectedBandsCount();
     
-    // Initialize Market Share Trends section
-    resetMarketShareTrends();
+    handleApplyFilters();
     
-    // Log the state of filters for debugging
-    console.log('Filters after processing data:', JSON.stringify(state.filters));
+    if (state.marketShareTrends.selectedPremiumBands.length > 0) {
+        updateMarketShareTrendsChart();
+    }
+}
+
+/**
+ * Opens a saved dataset from the recent datasets picker, restoring its last view
+ * A view from a shared link that is waiting for data takes its place.
+ * @param {string} id - Dataset id
+ */
+async function handleOpenDataset(id) {
+    if (!state.datasetStore) return;
     
-    // Ensure we have date range set
-    if (!state.filters.dateRange || !state.filters.dateRange[0] || !state.filters.dateRange[1]) {
-        console.warn('Date range not properly set in filters, setting defaults');
-        // Set default date range if not already set
-        if (state.processedData && state.processedData.months && state.processedData.months.length > 0) {
-            state.filters.dateRange = [
-                state.processedData.months[0],
-                state.processedData.months[state.processedData.months.length - 1]
-            ];
-            console.log('Set default date range:', state.filters.dateRange);
-        }
+    showLoading(true);
+    const entry = await state.datasetStore.load(id);
+    if (!entry) {
+        showLoading(false);
+        await renderRecentDatasets();
+        throw new Error('The saved dataset is no longer available. Please upload the files again.');
     }
     
-    // Hide loading indicator
-    showLoading(false);
+    const { meta, data } = entry;
+    const settings = meta.settings || {};
     
-    // Show success message
-    showSuccess('Data processed successfully!');
+    // Records carry the bands of the scheme they were analysed with; restoreView re-bands them if the view changed it
+    state.bandScheme = PremiumBands.createBandScheme(settings.bandScheme);
+    setBandSchemeControls(state.bandScheme.definition);
+    syncBandSchemeControls();
     
-    return state.processedData;
+    state.datasetId = null;
+    applyAnalysisResult({
+        records: data.records,
+        swapRates: data.swapRates,
+        swapCurve: AnalysisPipeline.indexSwapRates(data.swapRates),
+        aggregates: data.aggregates,
+        diagnostics: data.diagnostics
+    }, Deduplication.createDedupeRule(settings.dedupeRule));
+    state.datasetId = meta.id;
+    
+    const view = state.pendingView || meta.view;
+    state.pendingView = null;
+    restoreView(view);
+    
+    showLoading(false);
+    showSuccessMessage(`Opened ${meta.esisFile.name}`);
+    await renderRecentDatasets();
 }
 
-// Helper function to enrich ESIS data records
-function enrichEsisData(esisDataArray) {
-    // DEBUG: Calculate total loan amount before enrichment
-    const preEnrichmentTotal = esisDataArray.reduce((sum, record) => sum + (record.Loan || 0), 0);
-    console.log('DEBUG - Total loan amount before enrichment:', preEnrichmentTotal.toLocaleString());
-    
-    // Filter out Right to Buy products before any processing
-    const filteredEsisData = esisDataArray.filter(record => {
-        // Check for Right to Buy in various possible fields
-        const productType = (record.ProductType || record.Mortgage_Type || '').toLowerCase();
-        const purchaseType = (record.PurchaseType || '').toLowerCase();
-        const description = (record.Description || record.Product_Description || '').toLowerCase();
-        
-        // Check if any field contains 'right to buy' or 'rtb'
-        const isRightToBuy = 
-            productType.includes('right to buy') || productType.includes('rtb') ||
-            purchaseType.includes('right to buy') || purchaseType.includes('rtb') ||
-            description.includes('right to buy') || description.includes('rtb');
-            
-        // Return false to filter out Right to Buy products
-        return !isRightToBuy;
-    });
+/**
+ * Removes a saved dataset
+ * @param {string} id - Dataset id
+ */
+async function handleRemoveDataset(id) {
+    if (!state.datasetStore) return;
     
-    // Log how many Right to Buy products were filtered out
-    const rightToBuyCount = esisDataArray.length - filteredEsisData.length;
-    console.log(`Filtered out ${rightToBuyCount} Right to Buy products (${((rightToBuyCount / esisDataArray.length) * 100).toFixed(2)}% of total)`);
-    
-    // Use the filtered data for further processing
-    esisDataArray = filteredEsisData;
-    
-    if (!state.swapRatesData || state.swapRatesData.length === 0) {
-        console.warn('Swap rates not loaded or empty. Cannot fully enrich ESIS data.');
-        // Return data with Month and default PremiumBand if swap rates are missing
-        return esisDataArray.map(esisRecord => ({
-            ...esisRecord,
-            SwapRate: null,
-            PremiumOverSwap: null,
-            PremiumBand: assignPremiumBand(null), // Assign default/unknown band
-            Month: extractMonth(esisRecord.DocumentDate)
-        }));
-    }
-
-    // Initialize swap rate tracking if not already done
-    if (!state.swapRateTracking) {
-        state.swapRateTracking = {
-            excludedRecords: 0,
-            excludedLoanAmount: 0,
-            missingDateRanges: {}
-        };
+    await state.datasetStore.remove(id);
+    if (state.datasetId === id) {
+        state.datasetId = null;
     }
+    await renderRecentDatasets();
+}
 
-    // Process each record and filter out those with no matching swap rate or non-standard terms
-    const enrichedData = esisDataArray
-        .map(esisRecord => {
-            // Find matching swap rate using the new wrapper function that handles normalized terms
-            const matchingSwapRate = getMatchingSwapRate(esisRecord);
-            
-            // If no matching swap rate found or non-standard term, return null to filter out this record
-            if (!matchingSwapRate) {
-                return null;
-            }
-            
-            // Calculate premium and determine band
-            const premiumBps = calculatePremiumOverSwap(esisRecord, matchingSwapRate);
-            const premiumBand = assignPremiumBand(premiumBps);
-            const month = extractMonth(esisRecord.DocumentDate);
-            
-            return {
-                ...esisRecord,
-                SwapRate: matchingSwapRate.rate,
-                MatchedSwapDate: matchingSwapRate.effective_at,
-                PremiumOverSwap: premiumBps,
-                PremiumBand: premiumBand,
-                Month: month
-            };
-        })
-        .filter(record => record !== null); // Remove records with no matching swap rate or non-standard terms
-
-    // Log swap rate tracking statistics
-    console.log('Swap Rate Matching Statistics:', {
-        TotalRecords: esisDataArray.length,
-        IncludedRecords: enrichedData.length,
-        ExcludedRecords: state.swapRateTracking.excludedRecords,
-        ExcludedLoanAmount: state.swapRateTracking.excludedLoanAmount.toLocaleString(),
-        ExclusionRate: ((state.swapRateTracking.excludedRecords / esisDataArray.length) * 100).toFixed(2) + '%',
-        MissingDateRanges: Object.keys(state.swapRateTracking.missingDateRanges).map(yearMonth => {
-            return `${yearMonth}: ${state.swapRateTracking.missingDateRanges[yearMonth]} records`;
-        }).join(', ')
+/**
+ * Renders the recent datasets picker, hiding it when nothing is saved
+ */
+async function renderRecentDatasets() {
+    if (!state.datasetStore || !elements.recentDatasetsList) return;
+    
+    let datasets;
+    try {
+        datasets = await state.datasetStore.list();
+    } catch (error) {
+        console.warn('Could not list saved datasets:', error.message);
+        datasets = [];
+    }
+    
+    elements.recentDatasets.classList.toggle('hidden', datasets.length === 0);
+    elements.recentDatasetsList.innerHTML = '';
+    
+    datasets.forEach(meta => {
+        const item = document.createElement('li');
+        item.className = 'recent-dataset';
+        item.classList.toggle('active', meta.id === state.datasetId);
+        
+        const description = document.createElement('span');
+        description.className = 'recent-dataset-description';
+        description.textContent = DatasetStore.describeDataset(meta);
+        item.appendChild(description);
+        
+        const savedAt = document.createElement('span');
+        savedAt.className = 'recent-dataset-saved';
+        savedAt.textContent = `Analysed ${new Date(meta.savedAt).toLocaleString()}`;
+        item.appendChild(savedAt);
+        
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => handleOpenDataset(meta.id));
+        item.appendChild(openBtn);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => handleRemoveDataset(meta.id));
+        item.appendChild(removeBtn);
+        
+        elements.recentDatasetsList.appendChild(item);
+    });
+}
+
+// Saved View Functions (src/utils/viewLibrary.js)
+const SAVED_VIEWS_KEY = 'mortgageTool.savedViews';
+
+/**
+ * Reads the saved views
+ * @returns {Array} Saved views as { name, view }, empty if none or storage is unavailable
+ */
+function loadSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved views:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Stores the saved views and refreshes the dropdown
+ * @param {Array} views - Saved views
+ * @param {string} [selectedName] - Name of the view to select in the dropdown
+ */
+function storeSavedViews(views, selectedName = '') {
+    state.savedViews = views;
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+    } catch (error) {
+        showError(`Could not save the views: ${error.message}`);
+    }
+    renderSavedViews(selectedName);
+}
+
+/**
+ * Fills the saved views dropdown
+ * @param {string} [selectedName] - Name of the view to select
+ */
+function renderSavedViews(selectedName = '') {
+    if (!elements.savedViewSelect) return;
+    
+    elements.savedViewSelect.innerHTML = '';
+    elements.savedViewSelect.appendChild(new Option('-- Choose a saved view --', ''));
+    state.savedViews.forEach(saved => elements.savedViewSelect.appendChild(new Option(saved.name, saved.name)));
+    elements.savedViewSelect.value = selectedName;
+    
+    const hasSelection = selectedName !== '';
+    if (elements.renameViewBtn) elements.renameViewBtn.disabled = !hasSelection;
+    if (elements.deleteViewBtn) elements.deleteViewBtn.disabled = !hasSelection;
+    if (elements.exportViewsBtn) elements.exportViewsBtn.disabled = state.savedViews.length === 0;
+}
+
+/**
+ * Switches to the saved view chosen in the dropdown
+ */
+function handleSelectSavedView() {
+    const name = elements.savedViewSelect.value;
+    renderSavedViews(name);
+    if (!name) return;
+    
+    const saved = ViewLibrary.findView(state.savedViews, name);
+    elements.savedViewName.value = saved.name;
+    restoreView(saved.view);
+    console.log('Saved view applied:', saved.name);
+}
+
+/**
+ * Saves the current view under the name entered, replacing a view of the same name
+ */
+function handleSaveView() {
+    const name = elements.savedViewName.value;
+    const views = ViewLibrary.saveView(state.savedViews, name, captureView());
+    const saved = ViewLibrary.findView(views, name);
+    storeSavedViews(views, saved.name);
+    showSuccessMessage(`View saved as ${saved.name}`);
+}
+
+/**
+ * Renames the selected saved view to the name entered
+ */
+function handleRenameView() {
+    const name = elements.savedViewSelect.value;
+    const views = ViewLibrary.renameView(state.savedViews, name, elements.savedViewName.value);
+    storeSavedViews(views, ViewLibrary.findView(views, elements.savedViewName.value).name);
+}
+
+/**
+ * Deletes the selected saved view
+ */
+function handleDeleteView() {
+    const name = elements.savedViewSelect.value;
+    storeSavedViews(ViewLibrary.removeView(state.savedViews, name));
+    elements.savedViewName.value = '';
+    showSuccessMessage(`Deleted saved view ${name}`);
+}
+
+/**
+ * Downloads the saved views as a JSON file to share with the team
+ */
+function handleExportViews() {
+    downloadFile(ViewLibrary.exportLibrary(state.savedViews), 'saved_views.json', 'application/json');
+    console.log(`Exported ${state.savedViews.length} saved views`);
+}
+
+/**
+ * Merges the views in a chosen JSON file into the saved views
+ * @param {Event} event - Change event of the import file input
+ */
+async function handleImportViews(event) {
+    const file = event.target.files[0];
+    // Clear the input so the same file can be imported again
+    event.target.value = '';
+    if (!file) return;
+    
+    const result = ViewLibrary.importLibrary(await file.text(), state.savedViews);
+    storeSavedViews(result.views, elements.savedViewSelect.value);
+    showSuccessMessage(`Imported ${result.added} new and ${result.replaced} updated saved views`);
+}
+
+// Data Processing Functions
+async function processData() {
+    showLoading(true);
+    
+    // Check if files are selected
+    const esisFile = elements.esisFileInput.files[0];
+    const swapFile = elements.swapFileInput.files[0];
+    
+    if (!esisFile || !swapFile) {
+        throw new Error('Please select both ESIS data and Swap Rates files');
+    }
+    
+    if (!swapFile.name.endsWith('.csv') && !swapFile.name.endsWith('.xlsx')) {
+        throw new Error('Unsupported swap rates file format. Please use CSV or XLSX.');
+    }
+    
+    // Parse both files and run the shared analysis pipeline (src/utils/analysisPipeline.js) in the background
+    const matchingPolicy = SwapCurve.createMatchingPolicy(readSwapPolicyControls());
+    console.log(`Swap matching policy: ${SwapCurve.describeMatchingPolicy(matchingPolicy)}`);
+    const dedupeRule = Deduplication.createDedupeRule(readDedupeControls());
+    console.log(`Deduplication: ${Deduplication.describeDedupeRule(dedupeRule)}`);
+    const result = await runAnalysis(esisFile, swapFile, {
+        bandScheme: state.bandScheme,
+        interpolation: elements.swapInterpolation ? elements.swapInterpolation.value : 'linear',
+        matchingPolicy,
+        dedupeRule,
+        esisMapping: state.columnMappings.esis ? state.columnMappings.esis.mapping : null,
+        swapMapping: state.columnMappings.swap ? state.columnMappings.swap.mapping : null,
+        // Rows without a lender are still being filled in
+        unitOverrides: RateUnits.normalizeOverrides(state.unitOverrides.filter(override => override.source.trim() !== ''))
+    }, updateProgress);
+    
+    if (!result) {
+        console.log('Processing cancelled');
+        showLoading(false);
+        return null;
+    }
+    
+    // Views saved from here on belong to the new dataset once it is stored
+    state.datasetId = null;
+    applyAnalysisResult(result, dedupeRule);
+    
+    // A shared link's view applies to the first data loaded
+    if (state.pendingView) {
+        restoreView(state.pendingView);
+        state.pendingView = null;
+    }
+    saveDataset(esisFile, swapFile, result, {
+        bandScheme: state.bandScheme.definition,
+        interpolation: elements.swapInterpolation ? elements.swapInterpolation.value : 'linear',
+        matchingPolicy,
+        dedupeRule
+    });
+    
+    // Hide loading indicator
+    showLoading(false);
+    
+    // Show success message
+    showSuccessMessage('Data processed successfully!');
+    
+    return state.processedData;
+}
+
+/**
+ * Puts an analysis result on the page: stores it in state and renders every section
+ * Shared by new uploads and saved datasets opened from the recent datasets picker.
+ * @param {Object} result - runPipeline result, with its swap curve
+ * @param {Object} dedupeRule - Deduplication rule the records were analysed with
+ */
+function applyAnalysisResult(result, dedupeRule) {
+    // Reset market share filters when loading new data
+    state.marketShareFilters.selectedPremiumBands = [];
+    
+    const diagnostics = result.diagnostics;
+    
+    // Names in the data are merged by the lender aliases
+    state.esisData = LenderTaxonomy.applyAliases(result.records, state.lenderTaxonomy);
+    state.swapRatesData = result.swapRates;
+    state.swapCurve = result.swapCurve; // Swap rate index built once per upload
+    // The pipeline aggregates by month
+    state.processedData = state.granularity === 'month' ? result.aggregates : aggregateByPremiumBandAndMonth(result.records);
+    state.ltvStats = diagnostics.ltvStats;
+    state.swapRateTracking = diagnostics.swapRateTracking;
+    state.excludedRecords = diagnostics.excluded;
+    state.dedupeRule = dedupeRule;
+    invalidateFilterCache();
+    
+    diagnostics.warnings.forEach(warning => console.warn(warning));
+    console.log('Pipeline diagnostics:', {
+        RawRecords: diagnostics.rawRecordCount,
+        Duplicates: diagnostics.duplicateCount,
+        RightToBuyExcluded: diagnostics.rightToBuyExcluded,
+        UnknownTermExcluded: diagnostics.swapRateTracking.unknownTermRecords,
+        AmbiguousRateUnitExcluded: diagnostics.swapRateTracking.ambiguousRateRecords,
+        OutsideSwapCurveExcluded: diagnostics.swapRateTracking.outsideCurveRecords,
+        NoSwapRateExcluded: diagnostics.swapRateTracking.excludedRecords,
+        ExcludedLoanAmount: diagnostics.swapRateTracking.excludedLoanAmount.toLocaleString(),
+        IncludedRecords: state.esisData.length
     });
+    console.log('Swap rates by method:', diagnostics.swapRateTracking.methodCounts);
+    
+    // Warning if either product type is missing or significantly imbalanced
+    const terms = diagnostics.productTerms;
+    console.log(`Product terms: 2-year=${terms.twoYear}, 5-year=${terms.fiveYear}, other=${terms.other}`);
+    if (terms.twoYear === 0 || terms.fiveYear === 0) {
+        console.warn('WARNING: One or more product types are missing from the dataset!');
+    } else if (terms.twoYear < 0.1 * terms.total || terms.fiveYear < 0.1 * terms.total) {
+        console.warn('WARNING: Product type distribution is significantly imbalanced (one type < 10% of total).');
+    }
+    
+    // Initialize the premium band selector for market share trends
+    initializePremiumBandSelector();
+    
+    // Make sure the market share trends section is visible
+    if (elements.marketShareTrendsSection) {
+        elements.marketShareTrendsSection.classList.remove('hidden');
+    }
+    
+    // Store total market figures from the initial full dataset processing
+    state.totalMarketByPremiumBand = { ...state.processedData.totals.byPremiumBand }; // Shallow copy
+    state.overallTotalMarket = state.processedData.totals.overall;
+    console.log('Initial Overall Total Market:', state.overallTotalMarket.toLocaleString());
+
+    // Update UI with results - always update filters first
+    updateFilters();
+    renderTable();
+    renderPivotTable();
+    renderLenderPricing();
+    populatePremiumTrendsLenders();
+    renderPremiumTrends();
+    renderSwapOverlay();
+    populateRepricingTerms();
+    renderRepricing();
+    populateSimulatorControls();
+    populateElasticityControls();
+    populateBenchmarkLenders();
+    renderBenchmark();
 
-    // Calculate total loan amount after filtering
-    const postEnrichmentTotal = enrichedData.reduce((sum, record) => sum + (record.Loan || 0), 0);
-    console.log('DEBUG - Total loan amount after swap rate filtering:', postEnrichmentTotal.toLocaleString());
-    console.log('DEBUG - Excluded loan amount due to missing swap rates:', state.swapRateTracking.excludedLoanAmount.toLocaleString());
-    console.log('DEBUG - Verification: Original total - Excluded total =', (preEnrichmentTotal - state.swapRateTracking.excludedLoanAmount).toLocaleString());
+    // --- Ensure all sections are shown and populated ---
+    // Show all sections
+    elements.filtersSection.classList.remove('hidden');
+    elements.resultsSection.classList.remove('hidden');
+    elements.pivotSection.classList.remove('hidden');
+    elements.lenderPricingSection.classList.remove('hidden');
+    elements.premiumTrendsSection.classList.remove('hidden');
+    elements.swapOverlaySection.classList.remove('hidden');
+    elements.repricingSection.classList.remove('hidden');
+    elements.simulatorSection.classList.remove('hidden');
+    elements.elasticitySection.classList.remove('hidden');
+    elements.benchmarkSection.classList.remove('hidden');
+    elements.marketShareSection.classList.remove('hidden');
+    elements.heatmapSection.classList.remove('hidden');
+    elements.marketShareTrendsSection.classList.remove('hidden');
+    elements.dataQualitySection.classList.remove('hidden');
+    
+    // Show what was loaded and excluded
+    renderDataQuality(result.records, diagnostics);
+    
+    // Initialize heatmap visualization
+    updateHeatmap();
+    
+    // Make sure event listeners are attached to the radio buttons
+    attachHeatmapModeListeners();
+    
+    // Initialize Market Share section
+    if (state.processedData && state.processedData.premiumBands) {
+        populatePremiumBandSelect(state.processedData.premiumBands);
+    }
+    
+    // Initialize Market Share Trends section
+    resetMarketShareTrends();
+    
+    // Ensure we have date range set
+    if (!state.filters.dateRange || !state.filters.dateRange[0] || !state.filters.dateRange[1]) {
+        // Set default date range if not already set
+        const dataRange = TimePeriods.dayBounds(state.esisData);
+        if (dataRange[0]) {
+            state.filters.dateRange = dataRange;
+            console.log('Set default date range:', state.filters.dateRange);
+        }
+    }
     
-    return enrichedData;
 }
 
 // File Parsing Functions
@@ -706,30 +1620,9 @@ function parseExcelFile(file) {
                 const data = e.target.result;
                 const workbook = XLSX.read(data, { type: 'binary' });
                 
-                // Look for a sheet with 'Swap' in the name
-                let sheetName = workbook.SheetNames.find(name => 
-                    name.includes('Swap') || name.includes('swap') || name.includes('Rate') || name.includes('rate'));
-                
-                // If no swap sheet found, use the first sheet
-                if (!sheetName) {
-                    sheetName = workbook.SheetNames[0];
-                }
-                
-                console.log('Using Excel sheet:', sheetName);
-                
-                const worksheet = workbook.Sheets[sheetName];
-                const jsonData = XLSX.utils.sheet_to_json(worksheet);
-                
-                // Add effective_at date based on the file name if it contains a date
-                const dateMatch = file.name.match(/(\d{2})_(\d{2})_(\d{4})/);
-                if (dateMatch) {
-                    const [_, day, month, year] = dateMatch;
-                    const fileDate = new Date(`${year}-${month}-${day}`);
-                    
-                    jsonData.forEach(record => {
-                        record.effective_at = fileDate;
-                    });
-                }
+                // Sheet choice and file name dates are shared with the worker and CLI (src/utils/swapWorkbook.js)
+                console.log('Using Excel sheet:', SwapWorkbook.findSwapSheet(workbook.SheetNames));
+                const jsonData = SwapWorkbook.readSwapWorkbook(workbook, file.name);
                 
                 console.log('Parsed Excel data:', jsonData.length, 'records');
                 resolve(jsonData);
@@ -747,234 +1640,158 @@ function parseExcelFile(file) {
     });
 }
 
-function validateData() {
-    // Validate ESIS data
-    if (!state.esisData || state.esisData.length === 0) {
-        throw new Error('ESIS data is empty or invalid');
-    }
-    
-    // Check required ESIS fields
-    const requiredESISFields = ['Provider', 'Rate', 'Timestamp'];
-    const firstESISRecord = state.esisData[0];
-    
-    for (const field of requiredESISFields) {
-        if (!(field in firstESISRecord)) {
-            console.warn(`ESIS data is missing recommended field: ${field}`);
-        }
-    }
-    
-    // Validate Swap Rates data
-    if (!state.swapRatesData || state.swapRatesData.length === 0) {
-        throw new Error('Swap Rates data is empty or invalid');
+// Background Processing
+/**
+ * Parses the uploaded files and runs the analysis pipeline in a Web Worker
+ * (src/workers/analysisWorker.js) so the page stays responsive. Falls back to
+ * the main thread where the worker cannot start, e.g. when the page is opened
+ * from file:// or the worker cannot load its scripts.
+ * @param {File} esisFile - ESIS data CSV
+ * @param {File} swapFile - Swap rates CSV or XLSX
+ * @param {Object} options - runPipeline options (bandScheme, interpolation, matchingPolicy)
+ * @param {Function} onProgress - Called with each progress message
+ * @returns {Promise<Object|null>} runPipeline result, or null if processing was cancelled
+ */
+function runAnalysis(esisFile, swapFile, options, onProgress) {
+    let worker;
+    try {
+        worker = new Worker('src/workers/analysisWorker.js');
+    } catch (error) {
+        console.warn('Analysis worker unavailable, processing on the main thread:', error.message);
+        return runAnalysisOnMainThread(esisFile, swapFile, options, onProgress);
     }
-    
-    // Check required Swap Rates fields
-    const requiredSwapFields = ['product_term_in_months', 'rate', 'effective_at'];
-    const firstSwapRecord = state.swapRatesData[0];
-    
-    // Convert date strings to Date objects
-    state.swapRatesData.forEach(record => {
-        if (typeof record.effective_at === 'string') {
-            record.effective_at = new Date(record.effective_at);
-        }
-    });
-    
-    // Map fields from CSV to our internal structure
-    mapFieldNames();
-    
-    // Convert date strings to Date objects in the mapped data
-    state.esisData.forEach(record => {
-        if (record.DocumentDate && typeof record.DocumentDate === 'string') {
-            record.DocumentDate = new Date(record.DocumentDate);
-        }
-    });
-    
-    state.swapRatesData.forEach(record => {
-        // Find the date field
-        const dateField = Object.keys(record).find(key => 
-            key.toLowerCase().includes('date') || 
-            key.toLowerCase().includes('effective') || 
-            key.toLowerCase().includes('timestamp'));
-        
-        if (dateField && typeof record[dateField] === 'string') {
-            record.effective_at = new Date(record[dateField]);
-        } else if (record.effective_at && typeof record.effective_at === 'string') {
-            record.effective_at = new Date(record.effective_at);
-        }
-    });
-}
 
-function mapFieldNames() {
-    console.log('Mapping field names for', state.esisData.length, 'records');
-    
-    // DEBUG: Calculate total loan amount before mapping
-    const preMappingTotal = state.esisData.reduce((sum, record) => sum + (parseFloat(record.Loan) || 0), 0);
-    console.log('DEBUG - Total loan amount before field mapping:', preMappingTotal.toLocaleString());
-        
-        // DEBUG: Analyze LTV distribution in the dataset
-        let ltvData = {
-            total: 0,
-            count: 0,
-            below80Count: 0,
-            above80Count: 0,
-            missingCount: 0,
-            ltvFields: {}
+    return new Promise((resolve, reject) => {
+        let started = false;
+
+        const finish = () => {
+            worker.terminate();
+            state.analysisJob = null;
         };
-        
-        // Check for LTV field names in the data
-        if (state.esisData.length > 0) {
-            const firstRecord = state.esisData[0];
-            Object.keys(firstRecord).forEach(key => {
-                if (key.toLowerCase().includes('ltv') || key.toLowerCase().includes('loan_to_value') || key.toLowerCase().includes('loan-to-value')) {
-                    ltvData.ltvFields[key] = true;
-                }
-            });
-            console.log('DEBUG - Potential LTV field names found:', Object.keys(ltvData.ltvFields));
-        }
-        
-        if (state.esisData.length === 0) {
-            console.warn('mapFieldNames called with no ESIS data.');
-            return;
-        }
-        
-        const firstRecordOriginal = state.esisData[0];
-        // console.log('First record fields (original):', Object.keys(firstRecordOriginal)); // Optional: for deep debugging
-        
-        state.esisData = state.esisData.map((record, index) => {
-            const mappedRecord = { ...record }; // Start with a copy
 
-            // 1. Ensure DocumentDate is a Date object
-            if (record.DocumentDate && !(record.DocumentDate instanceof Date)) {
-                mappedRecord.DocumentDate = new Date(record.DocumentDate);
-            } else if (record.Timestamp && !(record.Timestamp instanceof Date)) {
-                mappedRecord.DocumentDate = new Date(record.Timestamp);
-            } else if (!mappedRecord.DocumentDate || !(mappedRecord.DocumentDate instanceof Date)) {
-                // console.warn(`Record ${index} has invalid or missing date. Defaulting. Original DocumentDate: ${record.DocumentDate}, Timestamp: ${record.Timestamp}`);
-                mappedRecord.DocumentDate = new Date(); // Defaulting to now, review if null is better
-            }
-            
-            // Standardize LTV field
-            let ltv = null;
-            // Check for various LTV field names
-            if (record.LTV !== undefined) {
-                ltv = parseFloat(record.LTV);
-            } else if (record.Loan_To_Value !== undefined) {
-                ltv = parseFloat(record.Loan_To_Value);
-            } else if (record['Loan-to-Value'] !== undefined) {
-                ltv = parseFloat(record['Loan-to-Value']);
-            } else if (record.loan_to_value !== undefined) {
-                ltv = parseFloat(record.loan_to_value);
-            }
-            
-            // Normalize LTV format (some may be stored as percentage, some as decimal)
-            if (ltv !== null && !isNaN(ltv)) {
-                // If LTV is stored as decimal (e.g., 0.76 instead of 76), convert to percentage
-                if (ltv > 0 && ltv < 1) {
-                    ltv = ltv * 100;
-                }
-                
-                // Update LTV statistics
-                ltvData.total += ltv;
-                ltvData.count++;
-                if (ltv < 80) {
-                    ltvData.below80Count++;
-                } else {
-                    ltvData.above80Count++;
-                }
-                
-                // Store the standardized LTV value
-                mappedRecord.StandardizedLTV = ltv;
-            } else {
-                ltvData.missingCount++;
+        state.analysisJob = {
+            cancel: () => {
+                finish();
+                resolve(null);
             }
+        };
 
-            // 2. Derive Month (handle potential errors from new Date() if source is bad)
-            // Try to extract the month, but handle potential errors gracefully
-            if (mappedRecord.DocumentDate instanceof Date && !isNaN(mappedRecord.DocumentDate)) {
-                mappedRecord.Month = extractMonth(mappedRecord.DocumentDate);
-            } else {
-                console.error(`Error extracting month for record ${index}: Invalid date`, mappedRecord.DocumentDate);
-                mappedRecord.Month = null;
-            }
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
 
-            // Log for the first 3 records
-            if (index < 3) {
-                console.log(`mapFieldNames - Record ${index}: DocumentDate=${mappedRecord.DocumentDate instanceof Date && !isNaN(mappedRecord.DocumentDate) ? mappedRecord.DocumentDate.toISOString() : 'Invalid Date'}, Month=${mappedRecord.Month}`);
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'result') {
+                finish();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
             }
+        };
 
-            // 3. Standardize Lender Fields
-            if (record.BaseLender && typeof record.BaseLender === 'string' && record.BaseLender.trim() !== '') {
-                mappedRecord.Provider = record.BaseLender.trim();
-                mappedRecord.BaseLender = record.BaseLender.trim();
-            } else if (record.Provider && typeof record.Provider === 'string' && record.Provider.trim() !== '') {
-                mappedRecord.BaseLender = record.Provider.trim();
-                mappedRecord.Provider = record.Provider.trim();
-            } else {
-                mappedRecord.Provider = '';
-                mappedRecord.BaseLender = '';
-            }
-            
-            // 4. Standardize ProductType/Mortgage_Type
-            if (record.Mortgage_Type && !record.ProductType) {
-                mappedRecord.ProductType = record.Mortgage_Type;
-            } else if (record.ProductType && !record.Mortgage_Type) {
-                mappedRecord.Mortgage_Type = record.ProductType;
-            }
-            
-            // 5. Ensure InitialRate is a number
-            mappedRecord.InitialRate = parseFloat(record.InitialRate || record.Rate);
-            if (isNaN(mappedRecord.InitialRate)) {
-                mappedRecord.InitialRate = 0; 
+        worker.onerror = (event) => {
+            finish();
+            if (started) {
+                reject(new Error(`Analysis worker error: ${event.message}`));
+                return;
             }
 
-            // 6. Ensure Loan is a number
-            const originalLoan = record.Loan;
-            mappedRecord.Loan = parseFloat(record.Loan);
-            if (isNaN(mappedRecord.Loan)){
-                mappedRecord.Loan = 0; 
-            }
-            
-            // DEBUG: Log any significant changes to loan amounts during parsing
-            if (index < 5 || (originalLoan && Math.abs(mappedRecord.Loan - originalLoan) > 1000)) {
-                console.log(`DEBUG - Loan conversion: Record ${index}, Original=${originalLoan} (${typeof originalLoan}), Parsed=${mappedRecord.Loan} (${typeof mappedRecord.Loan})`);
-            }
+            // The worker failed before it reported anything, so its scripts did not load
+            event.preventDefault();
+            console.warn('Analysis worker failed to start, processing on the main thread:', event.message);
+            runAnalysisOnMainThread(esisFile, swapFile, options, onProgress).then(resolve, reject);
+        };
 
-            return mappedRecord;
-        });
-        
-        // DEBUG: Calculate total loan amount after mapping
-        const postMappingTotal = state.esisData.reduce((sum, record) => sum + (record.Loan || 0), 0);
-        console.log('DEBUG - Total loan amount after field mapping:', postMappingTotal.toLocaleString());
-        
-        if (state.esisData.length > 0) {
-            console.log('DEBUG - Sample mapped loan amounts from first 5 records:');
-            state.esisData.slice(0, 5).forEach((record, idx) => {
-                console.log(`Record ${idx}: Mapped Loan=${record.Loan}, Type=${typeof record.Loan}, LTV=${record.StandardizedLTV || 'N/A'}`);
-            });
-            
-            // Output LTV statistics
-            if (ltvData.count > 0) {
-                const avgLTV = ltvData.total / ltvData.count;
-                console.log('\n======== LTV ANALYSIS REPORT ========');
-                console.log(`Total records with LTV data: ${ltvData.count} (${((ltvData.count / state.esisData.length) * 100).toFixed(2)}% of dataset)`);
-                console.log(`Records missing LTV data: ${ltvData.missingCount} (${((ltvData.missingCount / state.esisData.length) * 100).toFixed(2)}% of dataset)`);
-                console.log(`Average LTV across dataset: ${avgLTV.toFixed(2)}%`);
-                console.log(`Records with LTV < 80%: ${ltvData.below80Count} (${((ltvData.below80Count / ltvData.count) * 100).toFixed(2)}% of LTV data)`);
-                console.log(`Records with LTV >= 80%: ${ltvData.above80Count} (${((ltvData.above80Count / ltvData.count) * 100).toFixed(2)}% of LTV data)`);
-                console.log('====================================\n');
-                
-                // Store LTV stats in state for reference
-                state.ltvStats = {
-                    avgLTV: avgLTV,
-                    below80Percent: (ltvData.below80Count / ltvData.count) * 100,
-                    above80Percent: (ltvData.above80Count / ltvData.count) * 100,
-                    recordsWithLTV: ltvData.count,
-                    recordsMissingLTV: ltvData.missingCount
-                };
-            } else {
-                console.warn('No LTV data found in the dataset. Check field names or data quality.');
-            }
+        worker.postMessage({ esisFile, swapFile, options });
+    });
+}
+
+/**
+ * Parses the uploaded files and runs the analysis pipeline on the main thread
+ * Cancelling takes effect between parsing steps, as the pipeline itself blocks the page.
+ * @param {File} esisFile - ESIS data CSV
+ * @param {File} swapFile - Swap rates CSV or XLSX
+ * @param {Object} options - runPipeline options
+ * @param {Function} onProgress - Called with each progress message
+ * @returns {Promise<Object|null>} runPipeline result, or null if processing was cancelled
+ */
+async function runAnalysisOnMainThread(esisFile, swapFile, options, onProgress) {
+    let cancelled = false;
+    state.analysisJob = {
+        cancel: () => {
+            cancelled = true;
         }
+    };
+
+    try {
+        onProgress({ phase: 'parsing', source: 'esis' });
+        const esisRows = await parseCSVFile(esisFile);
+        if (cancelled) return null;
+
+        onProgress({ phase: 'parsing', source: 'swap' });
+        const swapRows = swapFile.name.endsWith('.csv') ? await parseCSVFile(swapFile) : await parseExcelFile(swapFile);
+        if (cancelled) return null;
+
+        return AnalysisPipeline.runPipeline(esisRows, swapRows, { ...options, onProgress });
+    } finally {
+        state.analysisJob = null;
+    }
+}
+
+/**
+ * Cancels the running upload processing, if any
+ */
+function cancelAnalysis() {
+    if (state.analysisJob) {
+        console.log('Cancelling data processing');
+        state.analysisJob.cancel();
+    }
+}
+
+// Share of the progress bar given to each processing phase
+const PROGRESS_PHASES = {
+    esis: { start: 0, end: 40 },
+    swap: { start: 40, end: 45 },
+    enriching: { start: 45, end: 95 },
+    aggregating: { start: 95, end: 100 }
+};
+
+/**
+ * Updates the progress bar and text from a processing progress message
+ * @param {Object|null} progress - Progress message from the analysis worker or pipeline; null resets the bar
+ */
+function updateProgress(progress) {
+    if (!elements.progressBar || !elements.progressText) return;
+
+    if (!progress) {
+        elements.progressBar.value = 0;
+        elements.progressText.textContent = 'Processing data...';
+        return;
+    }
+
+    const phase = PROGRESS_PHASES[progress.phase === 'parsing' ? progress.source : progress.phase];
+    let fraction = 0;
+    let text;
+
+    if (progress.phase === 'parsing' && progress.source === 'esis') {
+        fraction = progress.totalBytes ? progress.bytesParsed / progress.totalBytes : 0;
+        text = progress.rowsParsed !== undefined
+            ? `Parsed ${progress.rowsParsed.toLocaleString()} ESIS rows`
+            : 'Parsing ESIS data...';
+    } else if (progress.phase === 'parsing') {
+        text = 'Parsing swap rates...';
+    } else if (progress.phase === 'enriching') {
+        fraction = progress.total ? progress.processed / progress.total : 1;
+        text = `Enriched ${progress.processed.toLocaleString()} of ${progress.total.toLocaleString()} rows ` +
+            `(${progress.excluded.toLocaleString()} excluded)`;
+    } else {
+        text = `Aggregating ${progress.total.toLocaleString()} rows...`;
+    }
+
+    elements.progressBar.value = phase.start + (phase.end - phase.start) * Math.min(fraction, 1);
+    elements.progressText.textContent = text;
 }
 
 function determinePurchaseType(record) {
@@ -1000,319 +1817,10 @@ function determinePurchaseType(record) {
     return 'Unknown';
 }
 
-// Product Term Normalization Functions
 /**
- * Normalizes product tie-in periods to standard terms (24 months for 2-year fixed, 60 months for 5-year fixed)
- * @param {string|number} tieInPeriod - The tie-in period from the product record
- * @returns {number|null} - Returns 24 for 2-year fixed, 60 for 5-year fixed, or null for non-standard terms
- */
-function normalizeProductTerm(tieInPeriod) {
-    // Convert to number if it's a string
-    const period = parseInt(tieInPeriod) || 0;
-    
-    // Normalize to standard terms
-    if (period >= 24 && period <= 27) {
-        return 24; // 2-year fixed
-    } else if (period >= 60 && period <= 63) {
-        return 60; // 5-year fixed
-    } else {
-        return null; // Non-standard term
-    }
-}
-
-/**
- * Wrapper for findMatchingSwapRate that uses normalized product terms
- * @param {Object} esisRecord - The ESIS record to find a matching swap rate for
- * @returns {Object|null} - The matching swap rate or null if no match found
- */
-function getMatchingSwapRate(esisRecord) {
-    // Add normalized term to the record
-    const normalizedTerm = normalizeProductTerm(esisRecord.TieInPeriod);
-    esisRecord.NormalizedTerm = normalizedTerm;
-    
-    // Skip non-standard terms
-    if (normalizedTerm === null) {
-        return null;
-    }
-    
-    // Use the existing swap rate matching but with normalized term
-    const originalTieInPeriod = esisRecord.TieInPeriod;
-    esisRecord.TieInPeriod = normalizedTerm;
-    
-    const result = findMatchingSwapRate(esisRecord);
-    
-    // Restore original value
-    esisRecord.TieInPeriod = originalTieInPeriod;
-    
-    return result;
-}
-
-// Premium Calculation Functions
-function findMatchingSwapRate(esisRecord) {
-    // Initialize tracking if not already done
-    if (!state.swapRateTracking) {
-        state.swapRateTracking = {
-            excludedRecords: 0,
-            excludedLoanAmount: 0,
-            missingDateRanges: {}
-        };
-    }
-    
-    // Ensure document date is a proper Date object with consistent timezone handling
-    let documentDate;
-    if (esisRecord.DocumentDate instanceof Date) {
-        documentDate = new Date(esisRecord.DocumentDate.getTime());
-    } else if (typeof esisRecord.DocumentDate === 'string') {
-        documentDate = new Date(esisRecord.DocumentDate);
-    } else {
-        // If no valid date, exclude the record
-        console.warn(`Invalid document date for record from ${esisRecord.Provider}, excluding from analysis`);
-        state.swapRateTracking.excludedRecords++;
-        state.swapRateTracking.excludedLoanAmount += (esisRecord.Loan || 0);
-        return null;
-    }
-    
-    // Verify the date is valid
-    if (isNaN(documentDate.getTime())) {
-        console.warn(`Invalid document date for record from ${esisRecord.Provider}: ${esisRecord.DocumentDate}, excluding from analysis`);
-        state.swapRateTracking.excludedRecords++;
-        state.swapRateTracking.excludedLoanAmount += (esisRecord.Loan || 0);
-        return null;
-    }
-    
-    // Get the tie-in period (product term) - default to 60 months (5 years) if not available
-    const tieInPeriod = esisRecord.TieInPeriod || 60;
-    
-    // First try to find rates that match the product term
-    let matchingRates = [...state.swapRatesData]
-        .filter(swap => swap.product_term_in_months === tieInPeriod)
-        .map(swap => {
-            // Ensure effective_at is a proper Date object
-            let effectiveDate;
-            if (swap.effective_at instanceof Date) {
-                effectiveDate = new Date(swap.effective_at.getTime());
-            } else if (typeof swap.effective_at === 'string') {
-                effectiveDate = new Date(swap.effective_at);
-            } else {
-                effectiveDate = new Date(swap.effective_at);
-            }
-            
-            return {
-                ...swap,
-                effective_at: effectiveDate
-            };
-        })
-        .filter(swap => !isNaN(swap.effective_at.getTime())); // Filter out invalid dates
-    
-    // If no rates match the product term, try to find rates for a similar term
-    if (matchingRates.length === 0) {
-        // Get all unique product terms
-        const availableTerms = [...new Set(state.swapRatesData.map(swap => swap.product_term_in_months))];
-        
-        // Find the closest term to the mortgage's tie-in period
-        let closestTerm = availableTerms.reduce((closest, term) => {
-            return Math.abs(term - tieInPeriod) < Math.abs(closest - tieInPeriod) ? term : closest;
-        }, availableTerms[0] || 60);
-        
-        // Get rates for the closest term
-        matchingRates = [...state.swapRatesData]
-            .filter(swap => swap.product_term_in_months === closestTerm)
-            .map(swap => {
-                // Ensure effective_at is a proper Date object
-                let effectiveDate;
-                if (swap.effective_at instanceof Date) {
-                    effectiveDate = new Date(swap.effective_at.getTime());
-                } else if (typeof swap.effective_at === 'string') {
-                    effectiveDate = new Date(swap.effective_at);
-                } else {
-                    effectiveDate = new Date(swap.effective_at);
-                }
-                
-                return {
-                    ...swap,
-                    effective_at: effectiveDate
-                };
-            })
-            .filter(swap => !isNaN(swap.effective_at.getTime())); // Filter out invalid dates
-    }
-    
-    // Sort by effective date
-    matchingRates.sort((a, b) => a.effective_at.getTime() - b.effective_at.getTime());
-    
-    // Find the closest preceding swap rate
-    let matchingRate = null;
-    for (const swap of matchingRates) {
-        if (swap.effective_at <= documentDate) {
-            matchingRate = swap;
-        } else {
-            break;
-        }
-    }
-    
-    // Define tolerance window (±5 business days)
-    const TOLERANCE_DAYS = 5;
-    
-    // If no preceding rate found, check if there's a rate within the tolerance window
-    if (!matchingRate && matchingRates.length > 0) {
-        // Find the closest rate (could be after the document date)
-        const closestRate = matchingRates[0];
-        
-        // Calculate the difference in days
-        const diffTime = Math.abs(closestRate.effective_at.getTime() - documentDate.getTime());
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        // If within tolerance window, use this rate
-        if (diffDays <= TOLERANCE_DAYS) {
-            matchingRate = closestRate;
-            // console.log(`Using swap rate from ${closestRate.effective_at.toISOString().split('T')[0]} for ${esisRecord.Provider} document dated ${documentDate.toISOString().split('T')[0]} (${diffDays} days difference)`);
-        } else {
-            // Track missing date ranges
-            const yearMonth = documentDate.toISOString().substring(0, 7); // YYYY-MM format
-            if (!state.swapRateTracking.missingDateRanges[yearMonth]) {
-                state.swapRateTracking.missingDateRanges[yearMonth] = 0;
-            }
-            state.swapRateTracking.missingDateRanges[yearMonth]++;
-            
-            // Log the exclusion
-            //console.log(`No suitable swap rate found for ${esisRecord.Provider} on ${documentDate.toISOString().split('T')[0]}, excluding from analysis`);
-            state.swapRateTracking.excludedRecords++;
-            state.swapRateTracking.excludedLoanAmount += (esisRecord.Loan || 0);
-            return null;
-        }
-    }
-    
-    // Date comparison example logging commented out to reduce console clutter
-    /*
-    // Log a few examples of date comparisons for verification
-    if (Math.random() < 0.001) { // Log approximately 0.1% of comparisons
-        console.log('Date comparison example:', {
-            Provider: esisRecord.Provider,
-            DaysDifference: matchingRate ? 
-                Math.round((documentDate.getTime() - matchingRate.effective_at.getTime()) / (1000 * 60 * 60 * 24)) : 
-                'N/A'
-        });
-    }
-    */
-    
-    return matchingRate;
-}
-
-function calculatePremiumOverSwap(esisRecord, swapRate) {
-    if (!swapRate) {
-        return null;
-    }
-    
-    // Determine which rate field to use from ESIS record
-    let esisRateValue = null;
-    
-    // Check different possible rate fields in order of preference
-    if (esisRecord.Rate !== undefined && esisRecord.Rate !== null) {
-        esisRateValue = esisRecord.Rate;
-    } else if (esisRecord.InitialRate !== undefined && esisRecord.InitialRate !== null) {
-        esisRateValue = esisRecord.InitialRate;
-    } else {
-        console.warn(`No rate field found for ${esisRecord.Provider}`);
-        return null;
-    }
-    
-    // Normalize the ESIS rate (handle percentage vs decimal format)
-    let esisRate;
-    if (typeof esisRateValue === 'string') {
-        // Remove any % signs and convert to number
-        esisRateValue = esisRateValue.replace('%', '');
-        esisRate = parseFloat(esisRateValue);
-    } else {
-        esisRate = parseFloat(esisRateValue);
-    }
-    
-    // Special case handling for Nationwide Building Society
-    // Their rates appear to be stored as 0.XX instead of X.XX%
-    if (esisRecord.Provider === 'Nationwide Building Society' && esisRate < 0.5) {
-        // Convert from 0.XX to 0.0XX (e.g., 0.49 to 0.049 for 4.9%)
-        // console.log(`Applying Nationwide rate correction: ${esisRate} -> ${esisRate / 10}`);
-        esisRate = esisRate / 10;
-    }
-    // Check if the ESIS rate is likely in percentage format (e.g., 3.99 instead of 0.0399)
-    // Most mortgage rates are between 0.5% and 15%
-    else if (esisRate > 0.5 && esisRate < 15) {
-        // Rate is already in percentage format (e.g., 3.99 for 3.99%)
-        // Convert to decimal for calculation
-        esisRate = esisRate / 100;
-    } else if (esisRate > 15) {
-        // This is likely an error or a special case
-        console.warn(`Unusually high ESIS rate detected: ${esisRate} for ${esisRecord.Provider}`);
-    }
-    
-    // Get and normalize the swap rate value
-    let swapRateValue;
-    if (typeof swapRate.rate === 'string') {
-        swapRateValue = parseFloat(swapRate.rate);
-    } else {
-        swapRateValue = swapRate.rate;
-    }
-    
-    // Validate the values
-    if (isNaN(esisRate)) {
-        console.warn(`Invalid ESIS rate for ${esisRecord.Provider}: ${esisRateValue} (type: ${typeof esisRateValue})`);
-        return null;
-    }
-    
-    if (isNaN(swapRateValue)) {
-        console.warn(`Invalid swap rate for ${esisRecord.Provider}: ${swapRate.rate} (type: ${typeof swapRate.rate})`);
-        return null;
-    }
-    
-    // Calculate premium in basis points (100 basis points = 1%)
-    // Both rates should be in decimal format (e.g., 0.0399 for 3.99%)
-    const premiumBps = Math.round((esisRate - swapRateValue) * 10000);
-    
-    // Log extreme values for investigation
-    if (premiumBps > 300 || premiumBps < -30) {
-        // Premium investigation debug message commented out to reduce console clutter
-        /*
-        console.log('PREMIUM INVESTIGATION:', {
-            Provider: esisRecord.Provider,
-            LoanAmount: esisRecord.Loan,
-            DocumentDate: esisRecord.DocumentDate instanceof Date ? esisRecord.DocumentDate.toISOString() : esisRecord.DocumentDate,
-            ESISRateOriginal: esisRateValue,
-            ESISRateNormalized: esisRate,
-            ESISRateType: typeof esisRateValue,
-            SwapRateOriginal: swapRate.rate,
-            SwapRateNormalized: swapRateValue,
-            SwapRateType: typeof swapRate.rate,
-            SwapRateDate: swapRate.effective_at instanceof Date ? swapRate.effective_at.toISOString() : swapRate.effective_at,
-            PremiumBps: premiumBps,
-            ProductTerm: esisRecord.TieInPeriod || 60,
-            SwapProductTerm: swapRate.product_term_in_months,
-            Calculation: `(${esisRate} - ${swapRateValue}) * 10000 = ${premiumBps}`
-        });
-        */
-    }
-    return premiumBps;
-}
-
-function assignPremiumBand(premiumBps) {
-    if (premiumBps === null) return 'Unknown';
-    
-    // Add validation for extreme negative values
-    // Limit to a reasonable range (-60 to +560 bps)
-    if (premiumBps < -60) {
-        // console.warn(`Unusually low premium detected: ${premiumBps}bps. Capping at -60bps.`);
-        premiumBps = -60;
-    } else if (premiumBps > 560) {
-        // console.warn(`Unusually high premium detected: ${premiumBps}bps. Capping at 560bps.`);
-        premiumBps = 560;
-    }
-    
-    // Floor to nearest 20bps band
-    const lowerBound = Math.floor(premiumBps / 20) * 20;
-    return `${lowerBound}-${lowerBound + 20}`;
-}
-
-/**
- * Filters data by product term (2-year, 5-year, or all)
+ * Filters data by product term (e.g. 2-year, 5-year, or all)
  * @param {Array} data - The dataset to filter
- * @param {string} term - The product term to filter by ('all', '2year', or '5year')
+ * @param {string} term - The product term to filter by ('all' or a MarketReports.PRODUCT_TERMS key)
  * @returns {Array} - Filtered dataset containing only records matching the specified term
  */
 function getDataByProductTerm(data, term) {
@@ -1322,7 +1830,7 @@ function getDataByProductTerm(data, term) {
     }
     
     // Map term values to normalized term values
-    const normalizedTerm = term === '2year' ? 24 : 60;
+    const normalizedTerm = MarketReports.PRODUCT_TERMS[term];
     
     // Filter data by normalized term
     return data.filter(record => record.NormalizedTerm === normalizedTerm);
@@ -1343,152 +1851,16 @@ function applyProductTermFilter(data) {
     return getDataByProductTerm(data, productTermFilter);
 }
 
-function extractMonth(date) {
-    return date.toISOString().substring(0, 7); // Format: YYYY-MM
-}
-
+/**
+ * Aggregates enriched records by premium band and time period via the shared pipeline
+ * @param {Array} records - Enriched ESIS records
+ * @returns {Object} - Object with premiumBands, months (periods of state.granularity), data[band][period] and totals
+ */
 function aggregateByPremiumBandAndMonth(records) {
-    // DEBUG: Calculate simple sum of all loans before aggregation
-    const preAggregationTotal = records.reduce((sum, record) => sum + (record.Loan || 0), 0);
-    console.log('DEBUG - Total loan amount before aggregation:', preAggregationTotal.toLocaleString());
-        if (!records || !Array.isArray(records) || records.length === 0) {
-            console.warn('No valid records to aggregate');
-            return {
-                premiumBands: [],
-                months: [],
-                data: {},
-                totals: {
-                    byPremiumBand: {},
-                    byMonth: {},
-                    overall: 0
-                }
-            };
-        }
-
-        if (records.length > 0) {
-            console.log(`aggregateByPremiumBandAndMonth - First input record: Month=${records[0].Month}, PremiumBand=${records[0].PremiumBand}, Loan=${records[0].Loan}`);
-        }
-        
-        // Get unique premium bands and months
-        const premiumBands = [...new Set(records.map(r => r.PremiumBand).filter(Boolean))].sort((a, b) => {
-            // Sort premium bands numerically, with error handling
-            const aParts = a.split('-');
-            const bParts = b.split('-');
-            
-            if (!aParts[0] || !bParts[0]) {
-                console.error('Invalid premium band format:', a, b);
-                return 0;
-            }
-            
-            const aLower = parseInt(aParts[0]);
-            const bLower = parseInt(bParts[0]);
-            
-            if (isNaN(aLower) || isNaN(bLower)) {
-                console.error('Error parsing premium bands as numbers:', a, b);
-                return 0;
-            }
-            
-            return aLower - bLower;
-        });
-        
-        const months = [...new Set(records.map(r => r.Month).filter(Boolean))].sort();
-        
-        // Create aggregated data structure
-        const aggregatedData = {
-            premiumBands,
-            months,
-            data: {},
-            totals: {
-                byPremiumBand: {},
-                byMonth: {},
-                overall: 0
-            }
-        };
-        
-        // Initialize data structure
-        premiumBands.forEach(band => {
-            aggregatedData.data[band] = {};
-            aggregatedData.totals.byPremiumBand[band] = 0;
-            
-            months.forEach(month => {
-                aggregatedData.data[band][month] = 0;
-            });
-        });
-        
-        months.forEach(month => {
-            aggregatedData.totals.byMonth[month] = 0;
-        });
-        
-        // DEBUG: Create a tracking object to detect potential double-counting
-        const loanTracking = {
-            byBandMonth: 0,
-            byPremiumBand: 0,
-            byMonth: 0,
-            overall: 0
-        };
-        
-        // Aggregate loan amounts
-        records.forEach((record, idx) => {
-            if (record.PremiumBand && record.Month && record.Loan) {
-                // Make sure the band and month exist in our structure
-                if (aggregatedData.data[record.PremiumBand] && 
-                    months.includes(record.Month)) {
-                    
-                    // DEBUG: Track the first few records for detailed analysis
-                    const isTrackedRecord = idx < 3;
-                    if (isTrackedRecord) {
-                        console.log(`DEBUG - Aggregating record ${idx}: Loan=${record.Loan}, PremiumBand=${record.PremiumBand}, Month=${record.Month}`);
-                    }
-                    
-                    aggregatedData.data[record.PremiumBand][record.Month] += record.Loan;
-                    loanTracking.byBandMonth += record.Loan;
-                    
-                    aggregatedData.totals.byPremiumBand[record.PremiumBand] += record.Loan;
-                    loanTracking.byPremiumBand += record.Loan;
-                    
-                    aggregatedData.totals.byMonth[record.Month] += record.Loan;
-                    loanTracking.byMonth += record.Loan;
-                    
-                    aggregatedData.totals.overall += record.Loan;
-                    loanTracking.overall += record.Loan;
-                    
-                    if (isTrackedRecord) {
-                        console.log(`DEBUG - After adding record ${idx}: byBandMonth=${aggregatedData.data[record.PremiumBand][record.Month]}, overall=${aggregatedData.totals.overall}`);
-                    }
-                }
-            }
-        });
-        
-        // DEBUG: Log the tracking totals to identify potential double-counting
-        console.log('DEBUG - Aggregation tracking totals:', {
-            byBandMonth: loanTracking.byBandMonth.toLocaleString(),
-            byPremiumBand: loanTracking.byPremiumBand.toLocaleString(),
-            byMonth: loanTracking.byMonth.toLocaleString(),
-            overall: loanTracking.overall.toLocaleString()
-        });
-        
-        // DEBUG: Verify the overall total matches our expectation
-        console.log('DEBUG - Final aggregated overall total:', aggregatedData.totals.overall.toLocaleString());
-        
-        // DEBUG: Calculate sum of premium band totals as a verification
-        const sumOfBandTotals = Object.values(aggregatedData.totals.byPremiumBand).reduce((sum, val) => sum + val, 0);
-        console.log('DEBUG - Sum of all premium band totals:', sumOfBandTotals.toLocaleString());
-        
-        // DEBUG: Calculate sum of month totals as a verification
-        const sumOfMonthTotals = Object.values(aggregatedData.totals.byMonth).reduce((sum, val) => sum + val, 0);
-        console.log('DEBUG - Sum of all month totals:', sumOfMonthTotals.toLocaleString());
-        
-        // DEBUG: Check if these sums match the overall total
-        console.log('DEBUG - Do totals match?', {
-            'overall === sumOfBandTotals': aggregatedData.totals.overall === sumOfBandTotals,
-            'overall === sumOfMonthTotals': aggregatedData.totals.overall === sumOfMonthTotals,
-            'difference (overall - bandTotals)': aggregatedData.totals.overall - sumOfBandTotals,
-            'difference (overall - monthTotals)': aggregatedData.totals.overall - sumOfMonthTotals
-        });
-        
-        return aggregatedData;
+    return AnalysisPipeline.aggregateByPremiumBandAndMonth(records, state.granularity);
 }
 
+
 // Table Rendering Functions
 function renderTable() {
     // Show/hide market share section in sync with results
@@ -1525,10 +1897,10 @@ function renderTable() {
             { title: "Premium Band (bps)", field: "premiumBand", headerSort: false, frozen: true }
         ];
         
-        // Add month columns
+        // Add a column per time period
         currentAggregatedData.months.forEach(month => {
             tableColumns.push({
-                title: formatMonth(month),
+                title: TimePeriods.formatPeriodLabel(month),
                 field: month,
                 hozAlign: "right",
                 formatter: function(cell) {
@@ -1634,148 +2006,1184 @@ function renderTable() {
 
 // Declare prepareTableData function
 function prepareTableData(currentProcessedData) {
-    const tableData = [];
+    // Market totals use the current time, product and purchase filters but not the lender filter
+    const marketTotals = MarketReports.calculateMarketTotals(state.esisData, state.filters);
+    console.log('Market totals based on current time/product/purchase filters:', marketTotals);
     
-    // Calculate market totals based on current time, product, and purchase filters but without lender filter
-    function calculateMarketTotals() {
-        // Create a custom filter function that only applies date, product, and purchase type filters
-        function marketTotalFilter(record) {
-            // Skip invalid records
-            if (!record || typeof record !== 'object') {
-                return false;
-            }
-            
-            // Filter by date range
-            if (state.filters.dateRange[0] && state.filters.dateRange[1]) {
-                if (!record.Month) { 
-                    return false;
-                }
-                const recordMonth = record.Month; 
-                if (recordMonth < state.filters.dateRange[0] || recordMonth > state.filters.dateRange[1]) {
-                    return false;
-                }
+    // "% of Market" is 100% when "All Lenders" is selected
+    const allLenders = (state.filters.lenderGroups || []).length === 0 && (state.filters.lenders.length === 0 ||
+        (state.filters.lenders.length === 1 && state.filters.lenders[0] === "-- All Lenders --"));
+    
+    return MarketReports.buildPremiumBandTable(currentProcessedData, marketTotals, allLenders);
+}
+
+/**
+ * Fills a select with one option per named entry, labelled by the entry's label
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Object} options - Entries by name, each with a label
+ * @param {string} selected - Name of the entry to select
+ */
+function fillOptionSelect(select, options, selected) {
+    if (!select) return;
+    select.innerHTML = '';
+    Object.keys(options).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = options[name].label;
+        option.selected = name === selected;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Fills the pivot row, column and measure selectors
+ * Rows default to lenders and columns to premium bands, summing loans.
+ */
+function initPivotControls() {
+    fillOptionSelect(elements.pivotRows, PivotTable.DIMENSIONS, 'lender');
+    fillOptionSelect(elements.pivotColumns, PivotTable.DIMENSIONS, 'premiumBand');
+    fillOptionSelect(elements.pivotMeasure, PivotTable.MEASURES, 'loanSum');
+}
+
+/**
+ * Formats a pivot cell value in the unit of its measure
+ * @param {number|null} value - Measure value
+ * @param {string} unit - Unit from PivotTable.MEASURES
+ * @returns {string} Cell text
+ */
+function formatPivotValue(value, unit) {
+    if (value === null || value === undefined) return 'N/A';
+    
+    switch (unit) {
+        case 'currency':
+            return `£${Number((value / 1000000).toFixed(2)).toLocaleString()}m`;
+        case 'count':
+            return value.toLocaleString();
+        case 'bps':
+            return `${value.toFixed(1)} bps`;
+        default:
+            return `${value.toFixed(2)}%`;
+    }
+}
+
+/**
+ * Builds the pivot table from the filtered records and the pivot selectors
+ */
+function renderPivotTable() {
+    if (!state.esisData || !elements.pivotRows) return;
+    
+    const layout = {
+        rows: elements.pivotRows.value,
+        columns: elements.pivotColumns.value,
+        measure: elements.pivotMeasure.value
+    };
+    if (layout.rows === layout.columns) {
+        showError('Choose different dimensions for the pivot rows and columns');
+        return;
+    }
+    
+    const pivot = PivotTable.buildPivot(getCachedFilteredData(state.esisData), layout, { ltvScheme: state.ltvBandScheme });
+    const table = PivotTable.pivotToTable(pivot);
+    const unit = PivotTable.MEASURES[layout.measure].unit;
+    
+    const columns = table.columns.map((column, index) => {
+        if (index === 0) {
+            return { title: column.title, field: column.field, frozen: true, headerSort: false };
+        }
+        return {
+            title: column.title,
+            field: column.field,
+            hozAlign: 'right',
+            headerSort: false,
+            formatter: cell => formatPivotValue(cell.getValue(), unit)
+        };
+    });
+    
+    if (state.pivotTable) {
+        state.pivotTable.destroy();
+    }
+    
+    state.pivotTable = new Tabulator('#pivot-table', {
+        data: table.rows,
+        columns: columns,
+        layout: 'fitColumns',
+        height: '450px',
+        rowFormatter: function(row) {
+            if (layout.rows === 'lender') {
+                highlightHomeLenderRow(row, row.getData().label);
             }
-            
-            // Filter by product type
-            if (state.filters.productTypes.length > 0) {
-                if (!record.ProductType || !state.filters.productTypes.includes(record.ProductType)) {
-                    return false;
-                }
+            // Highlight total row, the last row (a group may also be named Total)
+            if (row.getPosition() === table.rows.length) {
+                row.getElement().style.fontWeight = 'bold';
+                row.getElement().style.backgroundColor = '#eaecee';
             }
-            
-            // Filter by purchase type
-            if (state.filters.purchaseTypes.length > 0) {
-                if (!record.PurchaseType || !state.filters.purchaseTypes.includes(record.PurchaseType)) {
-                    return false;
-                }
+        }
+    });
+}
+
+/**
+ * Downloads the pivot table as CSV
+ */
+function exportPivotData() {
+    if (!state.pivotTable) return;
+    
+    state.pivotTable.download('csv', 'pivot_table.csv');
+}
+
+/**
+ * Builds the lender pricing summary from the filtered records, split as chosen
+ */
+function renderLenderPricing() {
+    if (!state.esisData || !elements.pricingSplit) return;
+    
+    const rows = PremiumStats.buildLenderPricingSummary(getCachedFilteredData(state.esisData), {
+        split: elements.pricingSplit.value,
+        ltvScheme: state.ltvBandScheme
+    });
+    const split = PremiumStats.SPLITS[elements.pricingSplit.value].dimensions;
+    
+    const bpsColumn = (title, field) => ({
+        title: title,
+        field: field,
+        hozAlign: 'right',
+        headerSort: false,
+        formatter: cell => formatPivotValue(cell.getValue(), 'bps')
+    });
+    const columns = [
+        { title: 'Lender', field: 'lender', frozen: true, headerSort: false },
+        { title: 'Product Term', field: 'productTerm', headerSort: false, visible: split.includes('productTerm') },
+        { title: 'LTV Band (%)', field: 'ltvBand', headerSort: false, visible: split.includes('ltvBand') },
+        { title: 'Records', field: 'records', hozAlign: 'right', headerSort: false, formatter: cell => formatPivotValue(cell.getValue(), 'count') },
+        { title: 'Loan Amount', field: 'loanAmount', hozAlign: 'right', headerSort: false, formatter: cell => formatPivotValue(cell.getValue(), 'currency') },
+        bpsColumn('Mean', 'mean'),
+        bpsColumn('P10', 'p10'),
+        bpsColumn('P25', 'p25'),
+        bpsColumn('Median', 'median'),
+        bpsColumn('P75', 'p75'),
+        bpsColumn('P90', 'p90'),
+        bpsColumn('Std Dev', 'standardDeviation')
+    ];
+    
+    if (state.lenderPricingTable) {
+        state.lenderPricingTable.destroy();
+    }
+    
+    state.lenderPricingTable = new Tabulator('#lender-pricing-table', {
+        data: rows,
+        columns: columns,
+        layout: 'fitColumns',
+        height: '450px',
+        rowFormatter: function(row) {
+            // Bold each lender's row across all its records, and the Total Market row
+            const data = row.getData();
+            highlightHomeLenderRow(row, data.lender);
+            if (split.length > 0 && data.productTerm === PremiumStats.ALL && data.ltvBand === PremiumStats.ALL) {
+                row.getElement().style.fontWeight = 'bold';
             }
-            
-            // Skip Right to Buy products
-            if (record.PurchaseType === 'Right to Buy') {
-                return false;
+            if (row.getPosition() === rows.length) {
+                row.getElement().style.fontWeight = 'bold';
+                row.getElement().style.backgroundColor = '#eaecee';
             }
-            
-            return true;
         }
-        
-        // Apply the filter to get market data
-        const marketData = state.esisData.filter(marketTotalFilter);
-        
-        // Calculate totals by premium band
-        const marketTotals = { byPremiumBand: {}, overall: 0 };
-        
-        marketData.forEach(record => {
-            const band = record.PremiumBand;
-            const loanAmount = record.Loan || 0;
-            
-            if (band) {
-                marketTotals.byPremiumBand[band] = (marketTotals.byPremiumBand[band] || 0) + loanAmount;
-                marketTotals.overall += loanAmount;
-            }
-        });
-        
-        return marketTotals;
+    });
+}
+
+/**
+ * Downloads the lender pricing summary as CSV
+ */
+function exportLenderPricing() {
+    if (!state.lenderPricingTable) return;
+    
+    state.lenderPricingTable.download('csv', 'lender_pricing.csv');
+}
+
+/**
+ * Lists every lender in the premium trends selector, selecting the five largest by loan amount
+ * and our lender
+ */
+function populatePremiumTrendsLenders() {
+    if (!elements.premiumTrendsLenders) return;
+    
+    const ranked = PremiumStats.rankLenders(state.esisData);
+    const selected = ranked.slice(0, 5).concat(state.benchmarkSettings.lender || []);
+    elements.premiumTrendsLenders.innerHTML = '';
+    ranked.slice().sort((a, b) => a.localeCompare(b)).forEach(lender => {
+        const option = document.createElement('option');
+        option.value = lender;
+        option.textContent = lender;
+        option.selected = selected.includes(lender);
+        elements.premiumTrendsLenders.appendChild(option);
+    });
+}
+
+/**
+ * Builds the premium trends of the selected lenders from the filtered records
+ * The market statistics cover every lender, whatever the lender filter.
+ * @returns {Object} Output of PremiumStats.buildPremiumTrends
+ */
+function getPremiumTrends() {
+    const lenders = elements.premiumTrendsLenders ?
+        Array.from(elements.getSelectedOptions(elements.premiumTrendsLenders)).map(option => option.value) : [];
+    return PremiumStats.buildPremiumTrends(getCachedFilteredData(state.esisData, { lenders: false }), lenders, state.granularity);
+}
+
+/**
+ * Charts each selected lender's loan-weighted mean premium over swap per period,
+ * optionally with the market mean and its P25–P75 range shaded behind
+ */
+function renderPremiumTrends() {
+    if (!state.esisData || !elements.premiumTrendsChart) return;
+    
+    if (state.premiumTrendsChart) {
+        state.premiumTrendsChart.destroy();
+        state.premiumTrendsChart = null;
     }
     
-    // Get market totals based on current filters
-    const marketTotals = calculateMarketTotals();
-    console.log('Market totals based on current time/product/purchase filters:', marketTotals);
+    const trends = getPremiumTrends();
+    if (trends.months.length === 0) {
+        elements.premiumTrendsChart.innerHTML = '<div class="no-data-message">No data for the selected filters</div>';
+        return;
+    }
+    elements.premiumTrendsChart.innerHTML = '<canvas></canvas>';
+    
+    const datasets = Object.keys(trends.lenders).map(lender => {
+        const color = getRandomColor();
+        return styleHomeLenderLine({
+            label: lender,
+            data: trends.lenders[lender],
+            borderColor: color,
+            backgroundColor: 'transparent',
+            pointBackgroundColor: color,
+            pointRadius: 4,
+            tension: 0.3,
+            spanGaps: true
+        });
+    });
     
-    // Add rows for each premium band
-    currentProcessedData.premiumBands.forEach(band => {
-        const filteredBandTotal = currentProcessedData.totals.byPremiumBand[band] || 0;
-        const marketBandTotal = marketTotals.byPremiumBand[band] || 0;
-        
-        // Calculate percentage - if "All Lenders" is selected, this should be 100%
-        let percentage = 0;
-        if (marketBandTotal > 0) {
-            // Check if "All Lenders" is selected
-            if (state.filters.lenders.length === 0 || 
-                (state.filters.lenders.length === 1 && state.filters.lenders[0] === "-- All Lenders --")) {
-                percentage = 100; // All lenders selected, should be 100%
-            } else {
-                percentage = (filteredBandTotal / marketBandTotal) * 100;
+    if (elements.premiumTrendsMarket && elements.premiumTrendsMarket.checked) {
+        datasets.push({
+            label: 'Market Mean',
+            data: trends.market.mean,
+            borderColor: '#555',
+            backgroundColor: 'transparent',
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0.3
+        });
+        // The range fills from P75 down to P25 and is drawn behind the lines
+        datasets.push({
+            label: 'Market P25–P75',
+            data: trends.market.p75,
+            borderColor: 'transparent',
+            backgroundColor: 'rgba(128, 128, 128, 0.2)',
+            pointRadius: 0,
+            tension: 0.3,
+            fill: '+1',
+            order: 1
+        });
+        datasets.push({
+            label: '',
+            data: trends.market.p25,
+            borderColor: 'transparent',
+            backgroundColor: 'transparent',
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false,
+            order: 1
+        });
+    }
+    
+    state.premiumTrendsChart = new Chart(elements.premiumTrendsChart.querySelector('canvas').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: trends.monthLabels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        filter: item => Boolean(item.text)
+                    }
+                },
+                tooltip: {
+                    filter: item => Boolean(item.dataset.label),
+                    callbacks: {
+                        label: context => {
+                            if (context.dataset.label === 'Market P25–P75') {
+                                const index = context.dataIndex;
+                                return `Market P25–P75: ${formatPivotValue(trends.market.p25[index], 'bps')}–${formatPivotValue(trends.market.p75[index], 'bps')}`;
+                            }
+                            return `${context.dataset.label}: ${formatPivotValue(context.raw, 'bps')}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: TimePeriods.GRANULARITY_LABELS[trends.granularity]
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Premium over Swap (bps)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Downloads the premium trends of the selected lenders and the market as CSV
+ */
+function exportPremiumTrends() {
+    if (!state.esisData) return;
+    
+    downloadCsv(MarketReports.toCsv(PremiumStats.buildPremiumTrendsTable(getPremiumTrends())), 'premium_trends.csv');
+}
+
+/**
+ * Builds the swap overlay of the filtered records over the date range of the filters
+ * @returns {Object} Output of SwapOverlay.buildSwapOverlay
+ */
+function getSwapOverlay() {
+    return SwapOverlay.buildSwapOverlay(getCachedFilteredData(state.esisData), state.swapCurve, {
+        dateRange: state.filters.dateRange,
+        granularity: state.granularity
+    });
+}
+
+/**
+ * Charts the 2 and 5 year swap rates against the loan-weighted average ESIS initial
+ * rate of the same term, with the spread between them on a secondary axis
+ */
+function renderSwapOverlay() {
+    if (!state.esisData || !state.swapCurve || !elements.swapOverlayChart) return;
+    
+    if (state.swapOverlayChart) {
+        state.swapOverlayChart.destroy();
+        state.swapOverlayChart = null;
+    }
+    
+    const overlay = getSwapOverlay();
+    if (overlay.months.length === 0) {
+        elements.swapOverlayChart.innerHTML = '<div class="no-data-message">No data for the selected filters</div>';
+        return;
+    }
+    elements.swapOverlayChart.innerHTML = '<canvas></canvas>';
+    
+    const colors = { 24: '#0078d4', 60: '#e67e22' };
+    const datasets = [];
+    overlay.terms.forEach(term => {
+        const color = colors[term.term];
+        datasets.push({
+            label: `${term.label} Swap`,
+            data: term.swapRate,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            pointRadius: 2,
+            tension: 0.3,
+            yAxisID: 'y'
+        });
+        datasets.push({
+            label: `${term.label} ESIS Rate`,
+            data: term.esisRate,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderDash: [6, 4],
+            pointRadius: 2,
+            tension: 0.3,
+            yAxisID: 'y'
+        });
+        datasets.push({
+            type: 'bar',
+            label: `${term.label} Spread`,
+            data: term.spread,
+            backgroundColor: color + '40',
+            borderColor: color,
+            borderWidth: 1,
+            yAxisID: 'y1',
+            order: 1
+        });
+    });
+    
+    state.swapOverlayChart = new Chart(elements.swapOverlayChart.querySelector('canvas').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: overlay.monthLabels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => {
+                            const unit = context.dataset.yAxisID === 'y1' ? 'bps' : 'percent';
+                            return `${context.dataset.label}: ${formatPivotValue(context.raw, unit)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: TimePeriods.GRANULARITY_LABELS[overlay.granularity]
+                    }
+                },
+                y: {
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Rate (%)'
+                    }
+                },
+                y1: {
+                    position: 'right',
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: 'Spread (bps)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Downloads the swap rates, ESIS rates and spreads of the swap overlay as CSV
+ */
+function exportSwapOverlay() {
+    if (!state.esisData || !state.swapCurve) return;
+    
+    downloadCsv(MarketReports.toCsv(SwapOverlay.buildSwapOverlayTable(getSwapOverlay())), 'swap_overlay.csv');
+}
+
+/**
+ * Estimates each lender's repricing lag and pass-through for the chosen term from the
+ * filtered records, as a table and a chart of lag against pass-through
+ */
+function renderRepricing() {
+    if (!state.esisData || !state.swapCurve || !elements.repricingTerm) return;
+    
+    const rows = Repricing.estimateRepricing(getCachedFilteredData(state.esisData), state.swapCurve, {
+        term: elements.repricingTerm.value
+    });
+    
+    const formatEstimate = (value, format) => (value === null || value === undefined ? 'N/A' : format(value));
+    const columns = [
+        { title: 'Lender', field: 'lender', frozen: true },
+        { title: 'Rate Changes', field: 'observations', hozAlign: 'right', formatter: cell => formatPivotValue(cell.getValue(), 'count') },
+        { title: 'Fitted Changes', field: 'lagObservations', hozAlign: 'right', formatter: cell => formatEstimate(cell.getValue(), value => formatPivotValue(value, 'count')) },
+        { title: 'Lag (days)', field: 'lagDays', hozAlign: 'right', formatter: cell => formatEstimate(cell.getValue(), value => value) },
+        { title: 'Pass-through', field: 'passThrough', hozAlign: 'right', formatter: cell => formatEstimate(cell.getValue(), value => formatPivotValue(value * 100, 'percent')) },
+        { title: 'Std Error', field: 'standardError', hozAlign: 'right', formatter: cell => formatEstimate(cell.getValue(), value => formatPivotValue(value * 100, 'percent')) },
+        { title: 'R²', field: 'rSquared', hozAlign: 'right', formatter: cell => formatEstimate(cell.getValue(), value => value.toFixed(2)) },
+        { title: 'Note', field: 'insufficientData', formatter: cell => cell.getValue() || '' }
+    ];
+    
+    if (state.repricingTable) {
+        state.repricingTable.destroy();
+    }
+    
+    state.repricingTable = new Tabulator('#repricing-table', {
+        data: rows,
+        columns: columns,
+        layout: 'fitColumns',
+        height: '350px',
+        rowFormatter: function(row) {
+            highlightHomeLenderRow(row, row.getData().lender);
+            // Highlight the Total Market row
+            if (row.getData().lender === PremiumStats.TOTAL_MARKET) {
+                row.getElement().style.fontWeight = 'bold';
+                row.getElement().style.backgroundColor = '#eaecee';
+            }
+        }
+    });
+    
+    if (state.repricingChart) {
+        state.repricingChart.destroy();
+        state.repricingChart = null;
+    }
+    
+    const estimated = rows.filter(row => row.lagDays !== null);
+    if (estimated.length === 0) {
+        elements.repricingChart.innerHTML = '<div class="no-data-message">Insufficient data to estimate repricing</div>';
+        return;
+    }
+    elements.repricingChart.innerHTML = '<canvas></canvas>';
+    
+    // One point per lender: fast repricers sit left, full pass-through near 100%
+    const datasets = estimated.map(row => {
+        const color = row.lender === PremiumStats.TOTAL_MARKET ? '#555' : getRandomColor();
+        return {
+            label: row.lender,
+            data: [{ x: row.lagDays, y: row.passThrough * 100 }],
+            backgroundColor: color,
+            borderColor: color,
+            pointRadius: 6,
+            pointStyle: row.lender === PremiumStats.TOTAL_MARKET ? 'rectRot' : 'circle'
+        };
+    });
+    
+    state.repricingChart = new Chart(elements.repricingChart.querySelector('canvas').getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.raw.x} days, ${formatPivotValue(context.raw.y, 'percent')} passed through`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Repricing Lag (days)'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Pass-through (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Downloads the repricing estimates as CSV
+ */
+function exportRepricing() {
+    if (!state.repricingTable) return;
+    
+    state.repricingTable.download('csv', 'repricing.csv');
+}
+
+/**
+ * Fills the repricing product term selector with the terms in the loaded data,
+ * keeping the term chosen if it is still there and otherwise choosing 2 years
+ */
+function populateRepricingTerms() {
+    if (!elements.repricingTerm) return;
+    
+    const terms = Repricing.listTerms(state.esisData);
+    const previous = elements.repricingTerm.value;
+    fillOptionSelect(elements.repricingTerm, terms, terms[previous] ? previous : String(Repricing.DEFAULT_TERM));
+}
+
+/**
+ * Fills the what-if product term, purchase type and loan size selectors from the loaded data
+ * The LTV bands follow the active scheme, see setLtvBandControls.
+ */
+function populateSimulatorControls() {
+    if (!elements.simulatorTerm) return;
+    
+    fillOptionSelect(elements.simulatorTerm, Repricing.listTerms(state.esisData), String(Repricing.DEFAULT_TERM));
+    
+    const purchaseTypes = { '': { label: 'Any' } };
+    [...new Set(state.esisData.map(record => record.PurchaseType).filter(Boolean))].sort().forEach(type => {
+        purchaseTypes[type] = { label: type };
+    });
+    fillOptionSelect(elements.simulatorPurchaseType, purchaseTypes, '');
+    
+    const loanSizes = { '': { label: 'Any' } };
+    PivotTable.LOAN_SIZE_BANDS.forEach(band => {
+        loanSizes[band.label] = { label: band.label };
+    });
+    fillOptionSelect(elements.simulatorLoanSize, loanSizes, '');
+}
+
+/**
+ * Places the product entered in the what-if form within the filtered market
+ */
+function handleSimulate() {
+    if (!state.esisData) return;
+    
+    const price = parseFloat(elements.simulatorPrice.value);
+    if (isNaN(price)) {
+        showError('Enter the product\'s initial rate or premium over swap to simulate it');
+        return;
+    }
+    const product = {
+        term: Number(elements.simulatorTerm.value),
+        ltvBand: elements.simulatorLtvBand.value,
+        purchaseType: elements.simulatorPurchaseType.value,
+        loanSize: elements.simulatorLoanSize.value,
+        [elements.simulatorPriceType.value]: price
+    };
+    
+    // The market covers every lender, whatever the lender filter
+    const result = PricingSimulator.simulateProduct(getCachedFilteredData(state.esisData, { lenders: false }), product, {
+        swaps: state.swapCurve,
+        bandScheme: state.bandScheme,
+        ltvScheme: state.ltvBandScheme
+    });
+    
+    const amount = value => formatPivotValue(value, 'currency');
+    const measures = [
+        { measure: 'Premium over Swap', value: formatPivotValue(result.premium, 'bps') },
+        { measure: 'Premium Band', value: `${result.band} bps` },
+        { measure: 'Premium Percentile', value: formatPivotValue(result.percentile, 'percent') },
+        { measure: 'Comparable Records', value: formatPivotValue(result.comparables.records, 'count') },
+        { measure: 'Comparable Lending', value: amount(result.comparables.loanAmount) },
+        { measure: 'Lending in Cheaper Bands', value: amount(result.volume.cheaper) },
+        { measure: 'Lending in the Same Band', value: amount(result.volume.same) },
+        { measure: 'Lending in Dearer Bands', value: amount(result.volume.dearer) }
+    ];
+    if (result.swapRate !== null) {
+        measures.unshift({ measure: 'Swap Rate', value: formatPivotValue(result.swapRate, 'percent') });
+    }
+    renderDataQualityTable(elements.simulatorSummary, measures, [
+        { key: 'measure', title: 'Measure' },
+        { key: 'value', title: 'Value' }
+    ]);
+    
+    renderDataQualityTable(elements.simulatorLenders, result.lenders, [
+        { key: 'lender', title: 'Lender' },
+        { key: 'mean', title: 'Average Premium', format: value => formatPivotValue(value, 'bps') },
+        { key: 'difference', title: 'Versus Product', format: value => `${value > 0 ? '+' : ''}${formatPivotValue(value, 'bps')}` },
+        { key: 'share', title: 'Share of Lending', format: value => formatPivotValue(value, 'percent') }
+    ], 'No comparable lending.');
+    
+    if (state.simulatorChart) {
+        state.simulatorChart.destroy();
+    }
+    state.simulatorChart = renderDataQualityChart(elements.simulatorBandsChart, 'bar',
+        result.bands.map(band => band.band), result.bands.map(band => band.loanAmount));
+    if (state.simulatorChart) {
+        // Colour the bands cheaper than, level with and dearer than the product
+        const positionColors = { cheaper: '#27ae60', same: '#f39c12', dearer: '#c0392b' };
+        const dataset = state.simulatorChart.data.datasets[0];
+        dataset.label = 'Loan Amount';
+        dataset.backgroundColor = result.bands.map(band => positionColors[band.position]);
+        state.simulatorChart.update();
+    }
+}
+
+/**
+ * Lists every lender and product term in the share response selectors, keeping the lender chosen
+ * if it is still there and otherwise choosing our lender
+ * The LTV bands follow the active scheme, see setLtvBandControls.
+ */
+function populateElasticityControls() {
+    if (!elements.elasticityLender) return;
+    
+    const previous = elements.elasticityLender.value;
+    const lenders = {};
+    PremiumStats.rankLenders(state.esisData).sort((a, b) => a.localeCompare(b)).forEach(lender => {
+        lenders[lender] = { label: lender };
+    });
+    fillOptionSelect(elements.elasticityLender, lenders, previous || state.benchmarkSettings.lender);
+    
+    if (!elements.elasticityTerm) return;
+    const previousTerm = elements.elasticityTerm.value;
+    const terms = Repricing.listTerms(state.esisData);
+    fillOptionSelect(elements.elasticityTerm, terms, previousTerm);
+    // Terms are numeric keys, which an object lists first, so "Any" is added in front of them here
+    elements.elasticityTerm.insertBefore(new Option('Any', '', false, !terms[previousTerm]), elements.elasticityTerm.firstChild);
+}
+
+/**
+ * Estimates the chosen lender's share of the chosen product after the premium change entered,
+ * with a chart of the share across changes either side of the current premium
+ */
+function handleEstimateShareResponse() {
+    if (!state.esisData || !elements.elasticityLender) return;
+    
+    const change = parseFloat(elements.elasticityChange.value);
+    if (isNaN(change)) {
+        showError('Enter the premium change in basis points, e.g. 10 to go up 10bps');
+        return;
+    }
+    
+    // Shares are of every lender's lending of the product, whatever the lender filter
+    const product = {
+        term: elements.elasticityTerm ? elements.elasticityTerm.value : '',
+        ltvBand: elements.elasticityLtvBand ? elements.elasticityLtvBand.value : ''
+    };
+    const result = ShareElasticity.simulateShareChange(getCachedFilteredData(state.esisData, { lenders: false }),
+        elements.elasticityLender.value, change, { product, ltvScheme: state.ltvBandScheme, granularity: state.granularity });
+    const productLabel = [
+        product.term ? PivotTable.formatProductTerm(Number(product.term)) : 'All terms',
+        product.ltvBand ? `${product.ltvBand}% LTV` : 'all LTVs'
+    ].join(', ');
+    
+    const percent = value => formatPivotValue(value, 'percent');
+    const amount = value => formatPivotValue(value, 'currency');
+    renderDataQualityTable(elements.elasticitySummary, [
+        { measure: 'Product', value: productLabel },
+        { measure: 'Current Share', value: percent(result.share) },
+        { measure: `Share at ${change > 0 ? '+' : ''}${change} bps`, value: percent(result.projected.share) },
+        { measure: '95% Confidence Interval', value: `${percent(result.projected.low)} to ${percent(result.projected.high)}` },
+        { measure: 'Change in Share', value: `${result.projected.share >= result.share ? '+' : ''}${(result.projected.share - result.share).toFixed(2)} pts` },
+        { measure: 'Current Lending', value: amount(result.loanAmount) },
+        { measure: 'Projected Lending', value: amount(result.projected.loanAmount) },
+        { measure: 'Share Change per 10 bps', value: `${((Math.exp(result.fit.slope * 10) - 1) * 100).toFixed(1)}%` },
+        { measure: 'Fitted On', value: `${result.fit.observations.toLocaleString()} lender ${TimePeriods.GRANULARITY_LABELS[state.granularity].toLowerCase()}s across ${result.fit.lenders} lenders` }
+    ], [
+        { key: 'measure', title: 'Measure' },
+        { key: 'value', title: 'Value' }
+    ]);
+    
+    if (state.elasticityChart) {
+        state.elasticityChart.destroy();
+    }
+    const labels = result.scenarios.map(scenario => `${scenario.changeBps > 0 ? '+' : ''}${scenario.changeBps}`);
+    state.elasticityChart = new Chart(elements.elasticityChart.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [
+                {
+                    label: 'Projected Share',
+                    data: result.scenarios.map(scenario => scenario.share),
+                    borderColor: '#0078d4',
+                    backgroundColor: 'transparent',
+                    pointRadius: result.scenarios.map(scenario => (scenario.changeBps === change ? 6 : 2))
+                },
+                // The confidence interval fills from its upper to its lower bound behind the line
+                {
+                    label: '95% Confidence Interval',
+                    data: result.scenarios.map(scenario => scenario.high),
+                    borderColor: 'transparent',
+                    backgroundColor: 'rgba(0, 120, 212, 0.15)',
+                    pointRadius: 0,
+                    fill: '+1',
+                    order: 1
+                },
+                {
+                    label: '',
+                    data: result.scenarios.map(scenario => scenario.low),
+                    borderColor: 'transparent',
+                    backgroundColor: 'transparent',
+                    pointRadius: 0,
+                    fill: false,
+                    order: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        filter: item => Boolean(item.text)
+                    }
+                },
+                tooltip: {
+                    filter: item => Boolean(item.dataset.label),
+                    callbacks: {
+                        label: context => {
+                            const scenario = result.scenarios[context.dataIndex];
+                            return context.datasetIndex === 0
+                                ? `Share: ${percent(scenario.share)}`
+                                : `95% CI: ${percent(scenario.low)} to ${percent(scenario.high)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Premium Change (bps)'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Market Share (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Benchmark Functions
+const BENCHMARK_SETTINGS_KEY = 'mortgageTool.benchmarkSettings';
+const HOME_LENDER_COLOR = '#d35400';
+
+/**
+ * Reads the saved benchmark settings
+ * @returns {Object} { lender, peers }, without a lender if none or storage is unavailable
+ */
+function loadBenchmarkSettings() {
+    try {
+        return Benchmark.normalizeBenchmarkSettings(JSON.parse(localStorage.getItem(BENCHMARK_SETTINGS_KEY)));
+    } catch (error) {
+        console.warn('Could not read saved benchmark settings:', error.message);
+        return Benchmark.normalizeBenchmarkSettings(null);
+    }
+}
+
+/**
+ * Stores our lender and its peer group
+ */
+function saveBenchmarkSettings() {
+    try {
+        localStorage.setItem(BENCHMARK_SETTINGS_KEY, JSON.stringify(state.benchmarkSettings));
+    } catch (error) {
+        showError(`Could not save the benchmark settings: ${error.message}`);
+    }
+}
+
+/**
+ * Tells whether a lender is our lender
+ * @param {string} lender - Lender name
+ * @returns {boolean} True for our lender, false if none is set
+ */
+function isHomeLender(lender) {
+    return Boolean(state.benchmarkSettings.lender) && lender === state.benchmarkSettings.lender;
+}
+
+/**
+ * Highlights a Tabulator row if it is our lender's
+ * @param {RowComponent} row - Tabulator row
+ * @param {string} lender - Lender of the row
+ */
+function highlightHomeLenderRow(row, lender) {
+    row.getElement().classList.toggle('home-lender', isHomeLender(lender));
+}
+
+/**
+ * Draws our lender's line thicker, in its own colour and in front of the others
+ * @param {Object} dataset - Chart.js line dataset labelled with its lender
+ * @returns {Object} The dataset
+ */
+function styleHomeLenderLine(dataset) {
+    if (isHomeLender(dataset.label)) {
+        Object.assign(dataset, {
+            borderColor: HOME_LENDER_COLOR,
+            pointBackgroundColor: HOME_LENDER_COLOR,
+            borderWidth: 4,
+            order: -1
+        });
+    }
+    return dataset;
+}
+
+/**
+ * Lists the lenders in the our lender and peer group selectors
+ * Saved lenders missing from the data stay listed so they are not lost.
+ */
+function populateBenchmarkLenders() {
+    if (!elements.homeLender || !elements.peerLenders) return;
+    
+    const settings = state.benchmarkSettings;
+    const lenders = [...new Set(PremiumStats.rankLenders(state.esisData)
+        .concat(settings.lender ? [settings.lender] : [], settings.peers))]
+        .sort((a, b) => a.localeCompare(b));
+    
+    const homeOptions = { '': { label: 'None' } };
+    lenders.forEach(lender => {
+        homeOptions[lender] = { label: lender };
+    });
+    fillOptionSelect(elements.homeLender, homeOptions, settings.lender || '');
+    
+    elements.peerLenders.innerHTML = '';
+    lenders.filter(lender => lender !== settings.lender).forEach(lender => {
+        const option = document.createElement('option');
+        option.value = lender;
+        option.textContent = lender;
+        option.selected = settings.peers.includes(lender);
+        elements.peerLenders.appendChild(option);
+    });
+}
+
+/**
+ * Saves our lender and peer group as chosen, and refreshes the highlighting and the benchmark
+ */
+function handleBenchmarkSettingsChange() {
+    state.benchmarkSettings = Benchmark.normalizeBenchmarkSettings({
+        lender: elements.homeLender.value,
+        peers: Array.from(elements.getSelectedOptions(elements.peerLenders)).map(option => option.value)
+    });
+    saveBenchmarkSettings();
+    populateBenchmarkLenders();
+    
+    if (!state.esisData) return;
+    
+    // Our lender joins the premium trends lenders so its line is shown
+    if (elements.premiumTrendsLenders) {
+        Array.from(elements.premiumTrendsLenders.options).forEach(option => {
+            if (isHomeLender(option.value)) option.selected = true;
+        });
+    }
+    
+    // Tables are reformatted in place; charts and the heatmap are redrawn
+    [state.pivotTable, state.lenderPricingTable, state.repricingTable, state.marketShareTable].forEach(table => {
+        if (table) table.getRows().forEach(row => row.reformat());
+    });
+    renderPremiumTrends();
+    updateMarketShareTrendsChart();
+    updateHeatmap();
+    renderBenchmark();
+}
+
+/**
+ * Benchmarks our lender against the market and its peers from the filtered records,
+ * for the whole market and each product term and LTV band
+ */
+function renderBenchmark() {
+    if (!state.esisData || !elements.benchmarkTable) return;
+    
+    if (state.benchmarkTable) {
+        state.benchmarkTable.destroy();
+        state.benchmarkTable = null;
+    }
+    
+    if (!state.benchmarkSettings.lender) {
+        elements.benchmarkTable.innerHTML = '<div class="no-data-message">Choose our lender to benchmark it against the market</div>';
+        return;
+    }
+    
+    // Rank, share and peers are of every lender's lending, whatever the lender filter
+    const rows = Benchmark.buildBenchmark(getCachedFilteredData(state.esisData, { lenders: false }), state.benchmarkSettings, {
+        ltvScheme: state.ltvBandScheme
+    });
+    
+    const bpsColumn = (title, field) => ({
+        title: title,
+        field: field,
+        hozAlign: 'right',
+        headerSort: false,
+        formatter: cell => formatPivotValue(cell.getValue(), 'bps')
+    });
+    const columns = [
+        { title: 'Dimension', field: 'dimension', headerSort: false },
+        { title: 'Segment', field: 'segment', headerSort: false },
+        {
+            title: 'Rank',
+            field: 'rank',
+            hozAlign: 'right',
+            headerSort: false,
+            formatter: cell => (cell.getValue() === null ? 'N/A' : `${cell.getValue()} of ${cell.getRow().getData().lenders}`)
+        },
+        { title: 'Share', field: 'share', hozAlign: 'right', headerSort: false, formatter: cell => formatPivotValue(cell.getValue(), 'percent') },
+        bpsColumn('Our Premium', 'premium'),
+        bpsColumn('Peer Median', 'peerMedian'),
+        {
+            title: 'Gap to Peers',
+            field: 'gap',
+            hozAlign: 'right',
+            headerSort: false,
+            formatter: cell => (cell.getValue() === null ? 'N/A' : `${cell.getValue() > 0 ? '+' : ''}${formatPivotValue(cell.getValue(), 'bps')}`)
+        },
+        { title: 'Peers', field: 'peers', hozAlign: 'right', headerSort: false }
+    ];
+    
+    state.benchmarkTable = new Tabulator('#benchmark-table', {
+        data: rows,
+        columns: columns,
+        layout: 'fitColumns',
+        rowFormatter: function(row) {
+            // Highlight the whole market row
+            if (row.getPosition() === 1) {
+                row.getElement().style.fontWeight = 'bold';
+                row.getElement().style.backgroundColor = '#eaecee';
             }
         }
+    });
+}
+
+/**
+ * Downloads our lender's benchmark as CSV
+ */
+function exportBenchmark() {
+    if (!state.benchmarkTable) return;
+    
+    state.benchmarkTable.download('csv', 'benchmark.csv');
+}
+
+// Lender Group Functions
+const LENDER_TAXONOMY_KEY = 'mortgageTool.lenderTaxonomy';
+
+/**
+ * Reads the saved lender aliases, parent groups and peer groups
+ * @returns {Object} Taxonomy, empty if none or storage is unavailable
+ */
+function loadLenderTaxonomy() {
+    try {
+        return LenderTaxonomy.createTaxonomy(JSON.parse(localStorage.getItem(LENDER_TAXONOMY_KEY)) || {});
+    } catch (error) {
+        console.warn('Could not read saved lender groups:', error.message);
+        return LenderTaxonomy.createTaxonomy();
+    }
+}
+
+/**
+ * Stores the lender aliases, parent groups and peer groups
+ */
+function saveLenderTaxonomy() {
+    try {
+        localStorage.setItem(LENDER_TAXONOMY_KEY, JSON.stringify(state.lenderTaxonomy.definition));
+    } catch (error) {
+        showError(`Could not save the lender groups: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the lender groups in their editor and lists them in the lender group filter,
+ * keeping the groups selected that still exist
+ */
+function renderLenderTaxonomy() {
+    const texts = LenderTaxonomy.formatTaxonomyText(state.lenderTaxonomy);
+    if (elements.taxonomyAliases) elements.taxonomyAliases.value = texts.aliases;
+    if (elements.taxonomyParents) elements.taxonomyParents.value = texts.parents;
+    if (elements.taxonomyPeerGroups) elements.taxonomyPeerGroups.value = texts.peerGroups;
+    
+    if (!elements.lenderGroupFilter) return;
+    const selected = Array.from(elements.getSelectedOptions(elements.lenderGroupFilter)).map(option => option.value);
+    const groups = LenderTaxonomy.listGroupFilters(state.lenderTaxonomy);
+    elements.lenderGroupFilter.innerHTML = '';
+    Object.keys(groups).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = groups[value].label;
+        option.selected = selected.includes(value);
+        elements.lenderGroupFilter.appendChild(option);
+    });
+}
+
+/**
+ * Saves a lender taxonomy and re-applies it to the loaded data, keeping the current view
+ * Lenders merged into another by an alias drop out of the lender selections.
+ * @param {Object} taxonomy - Output of LenderTaxonomy.createTaxonomy
+ */
+function applyLenderTaxonomy(taxonomy) {
+    state.lenderTaxonomy = taxonomy;
+    saveLenderTaxonomy();
+    renderLenderTaxonomy();
+    
+    if (!state.esisData || state.esisData.length === 0) return;
+    
+    const view = captureView();
+    state.esisData = LenderTaxonomy.applyAliases(state.esisData, taxonomy);
+    invalidateFilterCache();
+    updateFilters();
+    populatePremiumTrendsLenders();
+    populateElasticityControls();
+    populateBenchmarkLenders();
+    restoreView(view);
+}
+
+/**
+ * Applies the lender groups as edited
+ */
+function handleApplyTaxonomy() {
+    let taxonomy;
+    try {
+        taxonomy = LenderTaxonomy.parseTaxonomyText({
+            aliases: elements.taxonomyAliases.value,
+            parents: elements.taxonomyParents.value,
+            peerGroups: elements.taxonomyPeerGroups.value
+        });
+    } catch (error) {
+        showError(`Invalid lender groups: ${error.message}`);
+        return;
+    }
+    
+    applyLenderTaxonomy(taxonomy);
+}
 
-        const rowData = {
-            premiumBand: band,
-            total: filteredBandTotal,
-            percentageOfMarket: percentage
-        };
-        
-        // Add data for each month
-        currentProcessedData.months.forEach(month => {
-            rowData[month] = currentProcessedData.data[band]?.[month] || 0;
-        });
-        
-        tableData.push(rowData);
-    });
+/**
+ * Downloads the lender groups as a JSON file
+ */
+function exportLenderTaxonomy() {
+    downloadFile(LenderTaxonomy.exportTaxonomy(state.lenderTaxonomy), 'lender_groups.json', 'application/json');
+}
+
+/**
+ * Replaces the lender groups with those in a chosen JSON file
+ * @param {Event} event - Change event of the import file input
+ */
+async function handleImportTaxonomy(event) {
+    const file = event.target.files[0];
+    // Clear the input so the same file can be imported again
+    event.target.value = '';
+    if (!file) return;
     
-    // Add total row
-    const grandFilteredTotal = currentProcessedData.totals.overall || 0;
-    const grandMarketTotal = marketTotals.overall || 0;
-    
-    // Calculate total percentage - if "All Lenders" is selected, this should be 100%
-    let grandPercentage = 0;
-    if (grandMarketTotal > 0) {
-        // Check if "All Lenders" is selected
-        if (state.filters.lenders.length === 0 || 
-            (state.filters.lenders.length === 1 && state.filters.lenders[0] === "-- All Lenders --")) {
-            grandPercentage = 100; // All lenders selected, should be 100%
-        } else {
-            grandPercentage = (grandFilteredTotal / grandMarketTotal) * 100;
-        }
-    }
+    applyLenderTaxonomy(LenderTaxonomy.importTaxonomy(await file.text()));
+    showSuccessMessage('Imported the lender groups');
+}
 
-    const totalRow = {
-        premiumBand: "Total",
-        total: grandFilteredTotal,
-        percentageOfMarket: grandPercentage
-    };
+/**
+ * Groups lenders in the market share table, heatmap and trends at the level chosen
+ */
+function handleLenderGroupingChange() {
+    state.lenderGrouping = elements.lenderGrouping.value;
+    if (!state.esisData) return;
     
-    currentProcessedData.months.forEach(month => {
-        totalRow[month] = currentProcessedData.totals.byMonth[month] || 0;
-    });
+    handleApplyFilters();
     
-    tableData.push(totalRow);
+    if (state.marketShareTrends.selectedPremiumBands.length > 0) {
+        updateMarketShareTrendsChart();
+    }
+}
+
+/**
+ * Gets the records of the market views, all filters except the lender filter, with each lender
+ * relabelled by its group at the chosen grouping level
+ * @returns {Array} Filtered records, cached like getCachedFilteredData
+ */
+function getGroupedMarketData() {
+    const records = getCachedFilteredData(state.esisData, { lenders: false });
+    if (state.lenderGrouping === 'lender') {
+        return records;
+    }
     
-    return tableData;
+    const cacheKey = JSON.stringify({ grouping: state.lenderGrouping, filters: state.filters });
+    if (!state.filterCache) state.filterCache = {};
+    if (!state.filterCache[cacheKey]) {
+        state.filterCache[cacheKey] = LenderTaxonomy.groupRecords(records, state.lenderTaxonomy, state.lenderGrouping);
+    }
+    return state.filterCache[cacheKey];
 }
 
 // Filter Functions
 function updateFilters() {
-    // Update date range options
-    const months = state.processedData.months;
-    if (months && months.length > 0) {
-        const startMonth = months[0];
-        const endMonth = months[months.length - 1];
-        
-        // Format dates for input[type="month"]
-        elements.dateStart.value = startMonth;
-        elements.dateEnd.value = endMonth;
-        
-        state.filters.dateRange = [startMonth, endMonth];
+    // Update date range options to the first and last day of the data
+    const dataRange = TimePeriods.dayBounds(state.esisData);
+    if (dataRange[0]) {
+        setDateRangeInputs(dataRange);
+        state.filters.dateRange = dataRange;
     }
         
         // Set default premium range (even though it's not in the UI anymore)
@@ -1903,8 +3311,9 @@ function applyFilters() {
     // Premium range filter removed from UI but maintained in state
     const premiumMin = 0;
     const premiumMax = 500;
-    // Get LTV filter value
-    const ltvRange = elements.ltvFilter ? elements.ltvFilter.value : 'all';
+    // Get selected LTV bands
+    const selectedLtvBands = elements.ltvFilter ?
+        Array.from(elements.getSelectedOptions(elements.ltvFilter)).map(option => option.value) : [];
         
         // Add null checks to prevent errors if lenderFilter is not fully initialized
         const lenderOptions = elements.lenderFilter ? elements.getOptions(elements.lenderFilter) : [];
@@ -1915,6 +3324,8 @@ function applyFilters() {
         // Get selected lenders with null checks
         const selectedLenders = elements.lenderFilter ? 
             Array.from(elements.getSelectedOptions(elements.lenderFilter)).map(option => option.value) : [];
+        const selectedLenderGroups = elements.lenderGroupFilter ?
+            Array.from(elements.getSelectedOptions(elements.lenderGroupFilter)).map(option => option.value) : [];
         
         // Get selected product types with null checks
         const selectedProductTypes = elements.productType ? 
@@ -1936,10 +3347,11 @@ function applyFilters() {
         // Update state
         state.filters.dateRange = [dateStart, dateEnd];
         state.filters.lenders = selectedLenders.filter(l => l !== ""); // Remove empty selections (All Lenders option)
+        state.filters.lenderGroups = selectedLenderGroups;
         state.filters.premiumRange = [premiumMin, premiumMax];
         state.filters.productTypes = selectedProductTypes;
         state.filters.purchaseTypes = selectedPurchaseTypes;
-        state.filters.ltvRange = ltvRange;
+        state.filters.ltvBands = selectedLtvBands;
         
         // Log lender filter state for debugging using safe helper methods
         console.log('Lender filter state after processing:', {
@@ -2047,8 +3459,8 @@ function applyFilters() {
                 if (state.processedData.premiumBands && state.processedData.premiumBands.length > 0) {
                     // Update the market share table with default selection
                     if (state.processedData.premiumBands.length > 0) {
-                        // Select the first premium band by default
-                        state.marketShareFilters.selectedPremiumBands = [state.processedData.premiumBands[0]];
+                        // Select the band containing a zero premium by default
+                        state.marketShareFilters.selectedPremiumBands = [PremiumBands.defaultBand(state.bandScheme, state.processedData.premiumBands)];
                         // Update the market share table
                         updateMarketShareTable();
                     }
@@ -2088,8 +3500,9 @@ function handleApplyFilters() {
         // Premium range filter removed from UI but maintained in state
         const premiumMin = 0;
         const premiumMax = 500;
-        // Get LTV filter value
-        const ltvRange = elements.ltvFilter ? elements.ltvFilter.value : 'all';
+        // Get selected LTV bands
+        const selectedLtvBands = elements.ltvFilter ?
+            Array.from(elements.getSelectedOptions(elements.ltvFilter)).map(option => option.value) : [];
         
         // Add null checks to prevent errors if lenderFilter is not fully initialized
         const lenderOptions = elements.lenderFilter ? elements.getOptions(elements.lenderFilter) : [];
@@ -2100,6 +3513,8 @@ function handleApplyFilters() {
         // Get selected lenders with null checks
         const selectedLenders = elements.lenderFilter ? 
             Array.from(elements.getSelectedOptions(elements.lenderFilter)).map(option => option.value) : [];
+        const selectedLenderGroups = elements.lenderGroupFilter ?
+            Array.from(elements.getSelectedOptions(elements.lenderGroupFilter)).map(option => option.value) : [];
         
         // Get selected product types with null checks
         const selectedProductTypes = elements.productType ? 
@@ -2114,17 +3529,20 @@ function handleApplyFilters() {
             dateRange: [dateStart, dateEnd],
             premiumRange: [premiumMin, premiumMax],
             lenders: selectedLenders,
+            lenderGroups: selectedLenderGroups,
             productTypes: selectedProductTypes,
-            purchaseTypes: selectedPurchaseTypes
+            purchaseTypes: selectedPurchaseTypes,
+            ltvBands: selectedLtvBands
         });
         
         // Update state
         state.filters.dateRange = [dateStart, dateEnd];
         state.filters.lenders = selectedLenders.filter(l => l !== ""); // Remove empty selections (All Lenders option)
+        state.filters.lenderGroups = selectedLenderGroups;
         state.filters.premiumRange = [premiumMin, premiumMax];
         state.filters.productTypes = selectedProductTypes;
         state.filters.purchaseTypes = selectedPurchaseTypes;
-        state.filters.ltvRange = ltvRange;
+        state.filters.ltvBands = selectedLtvBands;
         
         // Apply all filters including product term filter in one step with caching
         state.filteredData = getCachedFilteredData(state.esisData);
@@ -2165,6 +3583,12 @@ function handleApplyFilters() {
         
         // Update table
         renderTable();
+        renderPivotTable();
+        renderLenderPricing();
+        renderPremiumTrends();
+        renderSwapOverlay();
+        renderRepricing();
+        renderBenchmark();
 
         // --- Ensure premium bands are always populated after filters are applied ---
         if (state.processedData && state.processedData.premiumBands) {
@@ -2190,8 +3614,8 @@ function handleApplyFilters() {
                 if (state.processedData.premiumBands && state.processedData.premiumBands.length > 0) {
                     // Update the market share table with default selection
                     if (state.processedData.premiumBands.length > 0) {
-                        // Select the first premium band by default
-                        state.marketShareFilters.selectedPremiumBands = [state.processedData.premiumBands[0]];
+                        // Select the band containing a zero premium by default
+                        state.marketShareFilters.selectedPremiumBands = [PremiumBands.defaultBand(state.bandScheme, state.processedData.premiumBands)];
                         // Update the market share table
                         updateMarketShareTable();
                     }
@@ -2202,6 +3626,7 @@ function handleApplyFilters() {
         }
         
         console.log('Filters applied successfully. Filtered data count:', state.filteredData.length);
+        saveCurrentView();
         showLoading(false);
     } catch (error) {
         console.error('Error applying filters:', error);
@@ -2210,6 +3635,30 @@ function handleApplyFilters() {
     }
 }
 
+/**
+ * Sets the date range inputs, which take days; month bounds cover their whole month
+ * @param {Array} dateRange - [start, end] as YYYY-MM-DD or YYYY-MM
+ */
+function setDateRangeInputs(dateRange) {
+    const [firstDay, lastDay] = TimePeriods.toDayRange(dateRange);
+    if (elements.dateStart && firstDay) elements.dateStart.value = firstDay;
+    if (elements.dateEnd && lastDay) elements.dateEnd.value = lastDay;
+}
+
+/**
+ * Regroups the results table and trends chart by the time periods chosen in the filters
+ */
+function handleGranularityChange() {
+    state.granularity = TimePeriods.validateGranularity(elements.timeGranularity.value);
+    if (!state.esisData) return;
+    
+    handleApplyFilters();
+    
+    if (state.marketShareTrends.selectedPremiumBands.length > 0) {
+        updateMarketShareTrendsChart();
+    }
+}
+
 /**
  * Unified filter function that can be configured to apply specific filters
  * This function replaces multiple separate filtering implementations to reduce 
@@ -2223,6 +3672,7 @@ function handleApplyFilters() {
  * @param {boolean} [options.productTypes=true] - Whether to apply product types filter
  * @param {boolean} [options.purchaseTypes=true] - Whether to apply purchase types filter
  * @param {boolean} [options.ltvRange=true] - Whether to apply LTV range filter
+ * @param {boolean} [options.ltvBands=true] - Whether to apply LTV bands filter
  * @param {boolean} [options.productTerm=true] - Whether to apply product term filter
  * @returns {Array} - Filtered dataset
  * 
@@ -2241,160 +3691,26 @@ function applyFilters(data, options = {}) {
         return [];
     }
     
-    // Default options - apply all filters
-    const filterOptions = {
-        dateRange: true,
-        lenders: true,
-        premiumRange: true,
-        productTypes: true,
-        purchaseTypes: true,
-        ltvRange: true,
-        productTerm: true,
-        ...options
-    };
+    return MarketReports.filterRecords(data, getActiveFilters(), options);
+}
+
+/**
+ * Collects the current filter values in the shape used by MarketReports.filterRecords
+ * The premium range control was removed from the UI, so the default [0, 500]
+ * range is treated as inactive rather than silently dropping negative premiums.
+ * @returns {Object} - Filter values from state plus the product term dropdown and the lender taxonomy
+ */
+function getActiveFilters() {
+    const productTermFilter = document.getElementById('product-term-filter');
+    const premiumRange = state.filters.premiumRange;
+    const isDefaultPremiumRange = !premiumRange || (premiumRange[0] === 0 && premiumRange[1] === 500);
     
-    // *** OPTIMIZATION: Early return when no filters are active ***
-    const noActiveFilters = (
-        // No date range filter
-        (!state.filters.dateRange[0] || !state.filters.dateRange[1] || !filterOptions.dateRange) &&
-        // No lender filter
-        (!state.filters.lenders || state.filters.lenders.length === 0 || !filterOptions.lenders) &&
-        // No product type filter
-        (!state.filters.productTypes || state.filters.productTypes.length === 0 || !filterOptions.productTypes) &&
-        // No purchase type filter
-        (!state.filters.purchaseTypes || state.filters.purchaseTypes.length === 0 || !filterOptions.purchaseTypes) &&
-        // No LTV filter
-        (state.filters.ltvRange === 'all' || !filterOptions.ltvRange) &&
-        // No product term filter
-        (!filterOptions.productTerm || document.getElementById('product-term-filter')?.value === 'all' || !document.getElementById('product-term-filter')) &&
-        // Using default premium range
-        (state.filters.premiumRange[0] === 0 && state.filters.premiumRange[1] === 500)
-    );
-    
-    if (noActiveFilters) {
-        console.log('No active filters - returning all data quickly');
-        return [...data]; // Return shallow copy for consistency
-    }
-    
-    // Apply filters with optimized order
-    return data.filter(record => {
-        try {
-            // Skip invalid records
-            if (!record || typeof record !== 'object') {
-                return false;
-            }
-            
-            // *** OPTIMIZATION: Apply filters in order of expected restrictiveness ***
-            
-            // 1. Lender filter (often very restrictive when applied)
-            if (filterOptions.lenders && state.filters.lenders && state.filters.lenders.length > 0) {
-                const provider = (record.Provider || '').trim();
-                const baseLender = (record.BaseLender || '').trim();
-                const matchesLender = state.filters.lenders.some(lender => {
-                    return provider === lender || baseLender === lender;
-                });
-                if (!matchesLender) {
-                    return false;
-                }
-            }
-            
-            // 2. Date range filter (usually restrictive)
-            if (filterOptions.dateRange && state.filters.dateRange[0] && state.filters.dateRange[1]) {
-                if (!record.Month) { 
-                    return false;
-                }
-                const recordMonth = record.Month; 
-                if (recordMonth < state.filters.dateRange[0] || recordMonth > state.filters.dateRange[1]) {
-                    return false;
-                }
-            }
-            
-            // 3. Product term filter (very restrictive when used)
-            if (filterOptions.productTerm) {
-                const productTermFilter = document.getElementById('product-term-filter');
-                if (productTermFilter && productTermFilter.value !== 'all') {
-                    // Map term values to normalized term values
-                    const normalizedTerm = productTermFilter.value === '2year' ? 24 : 60;
-                    
-                    // Filter by normalized term
-                    if (record.NormalizedTerm !== normalizedTerm) {
-                        return false;
-                    }
-                }
-            }
-            
-            // 4. LTV range filter
-            if (filterOptions.ltvRange && state.filters.ltvRange !== 'all') {
-                // Use our standardized LTV field from mapping
-                let ltv = record.StandardizedLTV;
-                
-                // If LTV is available, filter by it
-                if (ltv !== undefined && ltv !== null && !isNaN(ltv)) {
-                    if (state.filters.ltvRange === 'below-80' && ltv >= 80) {
-                        return false;
-                    } else if (state.filters.ltvRange === 'above-80' && ltv < 80) {
-                        return false;
-                    } else if (state.filters.ltvRange === 'above-85' && ltv <= 85) {
-                        return false;
-                    } else if (state.filters.ltvRange === 'above-90' && ltv <= 90) {
-                        return false;
-                    }
-                }
-            }
-            
-            // 5. Product type filter
-            if (filterOptions.productTypes && state.filters.productTypes && state.filters.productTypes.length > 0) {
-                if (!record.ProductType || !state.filters.productTypes.includes(record.ProductType)) {
-                    return false;
-                }
-            }
-            
-            // 6. Purchase type filter
-            if (filterOptions.purchaseTypes && state.filters.purchaseTypes && state.filters.purchaseTypes.length > 0) {
-                if (!record.PurchaseType || !state.filters.purchaseTypes.includes(record.PurchaseType)) {
-                    return false;
-                }
-            }
-            
-            // 7. Premium range filter (likely least restrictive)
-            if (filterOptions.premiumRange) {
-                if (record.PremiumBand === 'N/A') {
-                    if (state.filters.premiumRange[0] > -50 || state.filters.premiumRange[1] < 250) { 
-                        return false;
-                    }
-                } else if (record.PremiumOverSwap === null || record.PremiumOverSwap === undefined) {
-                    // Handle records where PremiumOverSwap is not defined but we have a PremiumBand
-                    if (record.PremiumBand) {
-                        // Extract the bounds of the premium band (e.g., '60-80' -> [60, 80])
-                        const bandBounds = record.PremiumBand.split('-').map(Number);
-                        const bandMin = bandBounds[0];
-                        const bandMax = bandBounds[1] || bandBounds[0]; // Handle single value bands
-                        
-                        // Check if the band overlaps with the filter range
-                        const filterMin = state.filters.premiumRange[0];
-                        const filterMax = state.filters.premiumRange[1];
-                        
-                        // Check if the band is completely outside the filter range
-                        if (bandMin > filterMax || bandMax < filterMin) {
-                            return false;
-                        }
-                        // Otherwise keep it (there's some overlap)
-                        return true;
-                    }
-                    // If no PremiumBand, we can't determine if it should be filtered
-                    return false;
-                } else if (record.PremiumOverSwap < state.filters.premiumRange[0] || record.PremiumOverSwap > state.filters.premiumRange[1]) {
-                    // For records with explicit PremiumOverSwap values, filter based on that
-                    return false;
-                }
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Error filtering record in applyFilters:', error, record);
-            return false;
-        }
-    });
+    return {
+        ...state.filters,
+        premiumRange: isDefaultPremiumRange ? null : premiumRange,
+        productTerm: productTermFilter ? productTermFilter.value : 'all',
+        lenderTaxonomy: state.lenderTaxonomy
+    };
 }
 
 /**
@@ -2478,7 +3794,7 @@ function testOptimization() {
         premiumRange: [0, 500],
         productTypes: [],
         purchaseTypes: [],
-        ltvRange: 'all' // 'all', 'below-80', 'above-80', 'above-85', or 'above-90'
+        ltvBands: []
     };
     
     // Run the test
@@ -2509,9 +3825,9 @@ function resetFilters() {
     showLoading(true);
     
     // Reset filter controls
-    if (state.processedData && state.processedData.months && state.processedData.months.length > 0) {
-        elements.dateStart.value = state.processedData.months[0];
-        elements.dateEnd.value = state.processedData.months[state.processedData.months.length - 1];
+    const dataRange = TimePeriods.dayBounds(state.esisData);
+    if (dataRange[0]) {
+        setDateRangeInputs(dataRange);
     }
         
         // Store previous date range for comparison
@@ -2520,23 +3836,24 @@ function resetFilters() {
         
         // Deselect all options in multi-select dropdowns
         Array.from(elements.lenderFilter.options).forEach(option => option.selected = false);
+        if (elements.lenderGroupFilter) {
+            Array.from(elements.lenderGroupFilter.options).forEach(option => option.selected = false);
+        }
         Array.from(elements.productType.options).forEach(option => option.selected = false);
         Array.from(elements.purchaseType.options).forEach(option => option.selected = false);
-        
-        // Reset LTV filter to 'all'
-        elements.ltvFilter.value = 'all';
+        Array.from(elements.ltvFilter.options).forEach(option => option.selected = false);
         
         // Premium range filter removed from UI but maintained in state
         
         // Reset state
         state.filters = {
-            dateRange: state.processedData && state.processedData.months && state.processedData.months.length > 0 ? 
-                [state.processedData.months[0], state.processedData.months[state.processedData.months.length - 1]] : 
-                [null, null],
+            dateRange: dataRange,
             lenders: [],
+            lenderGroups: [],
             premiumRange: [0, 500],
             productTypes: [],
-            purchaseTypes: []
+            purchaseTypes: [],
+            ltvBands: []
         };
         
         // Restore original processed data
@@ -2544,6 +3861,12 @@ function resetFilters() {
         
         // Update table
         renderTable();
+        renderPivotTable();
+        renderLenderPricing();
+        renderPremiumTrends();
+        renderSwapOverlay();
+        renderRepricing();
+        renderBenchmark();
         // --- MARKET SHARE: Populate dropdown and render section if data ---
         if (state.processedData && state.processedData.premiumBands) {
             populatePremiumBandSelect(state.processedData.premiumBands);
@@ -2564,6 +3887,7 @@ function resetFilters() {
         }
         
         console.log('Filters reset successfully');
+        saveCurrentView();
         showLoading(false);
 }
 
@@ -2632,6 +3956,7 @@ function populatePremiumBandSelect(bands) {
             
             // Important: Apply the market share analysis to update the table
             applyMarketShareAnalysis();
+            saveCurrentView();
         });
         
         container.appendChild(chip);
@@ -2692,202 +4017,285 @@ function resetMarketShareTrends() {
     updatePremiumBandSelector();
 }
 
-// --- MARKET SHARE: Aggregate data by lender and premium band ---
-function aggregateLenderMarketShare(selectedBands) {
-    // Temporarily adjust premium range to include 500-520 band if it's selected
-    const originalPremiumRange = [...state.filters.premiumRange];
+// Labels for the days input, by the day setting of the swap matching policy
+const SWAP_POLICY_DAY_LABELS = {
+    toleranceDays: 'Days after document date allowed:',
+    lagDays: 'Lag (days):',
+    windowDays: 'Window (days):'
+};
+
+/**
+ * Reads the swap matching policy definition from the swap fixing controls
+ * @returns {Object} Definition for SwapCurve.createMatchingPolicy
+ */
+function readSwapPolicyControls() {
+    const name = elements.swapPolicy ? elements.swapPolicy.value : 'latest';
+    const definition = { name };
+    const daysKey = SwapCurve.POLICY_DAY_SETTINGS[name];
+    if (daysKey && elements.swapPolicyDays && elements.swapPolicyDays.value !== '') {
+        definition[daysKey] = Number(elements.swapPolicyDays.value);
+    }
+    return definition;
+}
+
+/**
+ * Shows the days input for swap matching policies that use one
+ */
+function syncSwapPolicyControls() {
+    const daysKey = elements.swapPolicy ? SwapCurve.POLICY_DAY_SETTINGS[elements.swapPolicy.value] : null;
+    if (elements.swapPolicyDaysGroup) elements.swapPolicyDaysGroup.classList.toggle('hidden', !daysKey);
+    if (daysKey) {
+        if (elements.swapPolicyDaysLabel) elements.swapPolicyDaysLabel.textContent = SWAP_POLICY_DAY_LABELS[daysKey];
+        if (elements.swapPolicyDays) {
+            // Start from the policy's default number of days
+            elements.swapPolicyDays.value = SwapCurve.createMatchingPolicy(elements.swapPolicy.value)[daysKey];
+            elements.swapPolicyDays.min = daysKey === 'windowDays' ? 1 : 0;
+        }
+    }
+}
+
+// Value of the preset select for a key built from the field checkboxes
+const CUSTOM_DEDUPE_PRESET = 'custom';
+
+/**
+ * Fills the duplicates controls from the presets, keep options and key fields of Deduplication
+ */
+function initDedupeControls() {
+    if (!elements.dedupePreset || !elements.dedupeKeep) return;
     
-    // If 500-520 band is selected, ensure the premium range includes it
-    if (selectedBands.includes('500-520') && state.filters.premiumRange[1] < 520) {
-        console.log(`DIAGNOSTIC - Adjusting premium range from [${state.filters.premiumRange[0]}-${state.filters.premiumRange[1]}] to [${state.filters.premiumRange[0]}-520] to include 500-520 band`);
-        state.filters.premiumRange[1] = 520;
+    Object.keys(Deduplication.DEDUPE_PRESETS).forEach(name => {
+        elements.dedupePreset.appendChild(new Option(Deduplication.DEDUPE_PRESETS[name].label, name));
+    });
+    elements.dedupePreset.appendChild(new Option('Custom fields', CUSTOM_DEDUPE_PRESET));
+    elements.dedupePreset.value = Deduplication.DEFAULT_PRESET;
+    
+    Object.keys(Deduplication.KEEP_OPTIONS).forEach(keep => {
+        elements.dedupeKeep.appendChild(new Option(Deduplication.KEEP_OPTIONS[keep], keep));
+    });
+    
+    if (elements.dedupeFields) {
+        const defaultFields = ['lender', 'documentDate', 'loan'];
+        Object.keys(Deduplication.DEDUPE_FIELDS).forEach(field => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field;
+            checkbox.checked = defaultFields.includes(field);
+            const label = document.createElement('label');
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(Deduplication.DEDUPE_FIELDS[field].label));
+            elements.dedupeFields.appendChild(label);
+        });
     }
     
-    // Get filtered data without lender filter
-    console.log('Getting filtered data for market share analysis (without lender filter)');
-    let filtered = getCachedFilteredData(state.esisData, { lenders: false });
-    console.log(`Market Share Analysis: Using ${filtered.length} records (respecting all filters except lender)`);
+    syncDedupeControls();
+}
+
+/**
+ * Shows the field checkboxes for a custom key and selects the chosen preset's keep option
+ */
+function syncDedupeControls() {
+    const preset = Deduplication.DEDUPE_PRESETS[elements.dedupePreset.value];
+    if (elements.dedupeCustomGroup) elements.dedupeCustomGroup.classList.toggle('hidden', Boolean(preset));
+    if (preset && elements.dedupeKeep) {
+        elements.dedupeKeep.value = preset.rule.keep;
+    }
+}
+
+/**
+ * Reads the deduplication rule definition from the duplicates controls
+ * @returns {Object} Definition for Deduplication.createDedupeRule
+ */
+function readDedupeControls() {
+    if (!elements.dedupePreset || !elements.dedupeKeep) {
+        return Deduplication.DEDUPE_PRESETS[Deduplication.DEFAULT_PRESET].rule;
+    }
     
-    // Restore original premium range
-    state.filters.premiumRange = originalPremiumRange;
+    const keep = elements.dedupeKeep.value;
+    const preset = Deduplication.DEDUPE_PRESETS[elements.dedupePreset.value];
+    if (preset) {
+        return { keys: preset.rule.keys, keep, match: preset.rule.match };
+    }
     
-    // DIAGNOSTIC: Check for 500-520 band records in the filtered data
-    const highPremiumRecords = filtered.filter(item => item.PremiumBand === '500-520');
-    console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Records in 500-520 band after filtering: ${highPremiumRecords.length}`);
+    const fields = Array.from(elements.dedupeFields.querySelectorAll('input:checked')).map(input => input.value);
+    if (fields.length === 0) {
+        throw new Error('Choose at least one field to match duplicate records on');
+    }
+    return { keys: [fields], keep };
+}
+
+/**
+ * Reads the band scheme definition from the band scheme controls
+ * @returns {Object} Definition for PremiumBands.createBandScheme
+ */
+function readBandSchemeControls() {
+    const definition = {
+        type: elements.bandSchemeType ? elements.bandSchemeType.value : 'fixed',
+        openBottom: elements.bandOpenBottom ? elements.bandOpenBottom.checked : false,
+        openTop: elements.bandOpenTop ? elements.bandOpenTop.checked : false
+    };
     
-    if (highPremiumRecords.length > 0) {
-        // Calculate total loan amount in this band
-        const totalLoanAmount = highPremiumRecords.reduce((sum, record) => sum + (record.Loan || 0), 0);
-        console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Total loan amount in 500-520 band: £${totalLoanAmount.toLocaleString()}`);
+    if (definition.type === 'breakpoints') {
+        const text = elements.bandBreakpoints ? elements.bandBreakpoints.value : '';
+        definition.breakpoints = text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+    } else {
+        definition.width = elements.bandWidth ? Number(elements.bandWidth.value) : 20;
+        definition.min = elements.bandMin ? Number(elements.bandMin.value) : -60;
+        definition.max = elements.bandMax ? Number(elements.bandMax.value) : 580;
     }
     
-    // DIAGNOSTIC: Check if 500-520 band is in the selected bands
-    console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Is 500-520 band selected: ${selectedBands.includes('500-520')}`);
-    console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Selected bands:`, selectedBands);
+    return definition;
+}
+
+/**
+ * Fills the premium band scheme controls from a scheme definition
+ * @param {Object} definition - Normalized definition, as in the definition of a band scheme
+ */
+function setBandSchemeControls(definition) {
+    if (elements.bandSchemeType) elements.bandSchemeType.value = definition.type;
+    if (elements.bandOpenBottom) elements.bandOpenBottom.checked = definition.openBottom;
+    if (elements.bandOpenTop) elements.bandOpenTop.checked = definition.openTop;
     
-    // Get unique lenders
-    const lenders = [...new Set(filtered.map(r => r.BaseLender || r.Provider).filter(Boolean))].sort();
+    if (definition.type === 'breakpoints') {
+        if (elements.bandBreakpoints) elements.bandBreakpoints.value = definition.breakpoints.join(', ');
+    } else {
+        if (elements.bandWidth) elements.bandWidth.value = String(definition.width);
+        if (elements.bandMin) elements.bandMin.value = definition.min;
+        if (elements.bandMax) elements.bandMax.value = definition.max;
+    }
+}
+
+/**
+ * Shows the options for the selected band scheme type and describes the active scheme
+ */
+function syncBandSchemeControls() {
+    const isBreakpoints = elements.bandSchemeType && elements.bandSchemeType.value === 'breakpoints';
+    if (elements.bandFixedOptions) elements.bandFixedOptions.classList.toggle('hidden', isBreakpoints);
+    if (elements.bandBreakpointOptions) elements.bandBreakpointOptions.classList.toggle('hidden', !isBreakpoints);
     
-    // Build structure: { lender: { band1: {amount, pct, below80, above80, below80_pct, above80_pct}, band2: ...}, ... }
-    const bandTotals = {};
-    selectedBands.forEach(band => {
-        bandTotals[band] = 0;
-        bandTotals[band + '_below80'] = 0;
-        bandTotals[band + '_above80'] = 0;
-    });
+    if (elements.bandSchemeDescription) {
+        elements.bandSchemeDescription.textContent = `Active: ${PremiumBands.describeBandScheme(state.bandScheme)}`;
+    }
+}
+
+/**
+ * Makes a band scheme active and re-bands the loaded data
+ * Premiums are already calculated, so only the band labels and market totals change
+ * @param {Object} scheme - Scheme from PremiumBands.createBandScheme
+ * @returns {boolean} True if loaded data was re-banded
+ */
+function applyBandScheme(scheme) {
+    state.bandScheme = scheme;
+    setBandSchemeControls(scheme.definition);
+    syncBandSchemeControls();
+    console.log('Premium band scheme applied:', PremiumBands.describeBandScheme(scheme));
     
-    const lenderData = {};
-    lenders.forEach(lender => {
-        lenderData[lender] = {};
-        selectedBands.forEach(band => {
-            lenderData[lender][band] = 0;
-            lenderData[lender][band + '_pct'] = 0;
-            lenderData[lender][band + '_below80'] = 0;
-            lenderData[lender][band + '_below80_pct'] = 0;
-            lenderData[lender][band + '_above80'] = 0;
-            lenderData[lender][band + '_above80_pct'] = 0;
-        });
-        lenderData[lender].Total = 0;
-        lenderData[lender].Total_pct = 0;
-        lenderData[lender].Total_below80 = 0;
-        lenderData[lender].Total_above80 = 0;
-    });
+    if (!state.esisData || state.esisData.length === 0) {
+        return false;
+    }
     
-    // DIAGNOSTIC: Check if 500-520 band is in the bandTotals
-    console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Is 500-520 band in bandTotals: ${bandTotals.hasOwnProperty('500-520')}`);
-    
-    // Aggregate
-    let highPremiumCount = 0;
-    filtered.forEach(r => {
-        const lender = r.BaseLender || r.Provider;
-        const band = r.PremiumBand;
-        
-        // DIAGNOSTIC: Count records in 500-520 band that have a lender
-        if (band === '500-520' && lender) {
-            highPremiumCount++;
-            console.log(`DIAGNOSTIC - 500-520 band record:`, {
-                Provider: r.Provider,
-                BaseLender: r.BaseLender,
-                Loan: r.Loan,
-                PremiumBand: r.PremiumBand
-            });
-        }
-        
-        // Make sure we're processing records for all the selected bands
-        // This is the critical fix - ensure we're checking the band is in selectedBands
-        if (lender && selectedBands.includes(band)) {
-            const loanAmount = r.Loan || 0;
-            lenderData[lender][band] += loanAmount;
-            bandTotals[band] += loanAmount;
-            
-            // Split by LTV
-            const ltv = r.StandardizedLTV;
-            if (ltv !== undefined && ltv !== null && !isNaN(ltv)) {
-                if (ltv < 80) {
-                    lenderData[lender][band + '_below80'] += loanAmount;
-                    bandTotals[band + '_below80'] += loanAmount;
-                } else {
-                    lenderData[lender][band + '_above80'] += loanAmount;
-                    bandTotals[band + '_above80'] += loanAmount;
-                }
-            } else {
-                // If LTV is not available, we still count it in the total but not in LTV breakdowns
-                console.log(`Record without LTV data in band ${band} for lender ${lender}`);
-            }
-        }
-    });
+    state.esisData = AnalysisPipeline.rebandRecords(state.esisData, scheme);
+    invalidateFilterCache();
+    
+    // Previously selected bands no longer exist under the new scheme
+    state.marketShareFilters.selectedPremiumBands = [];
+    state.lenderMarketShare.selectedPremiumBands = [];
+    state.marketShareTrends.selectedPremiumBands = [];
+    state.selectedPremiumBands = [];
     
-    // DIAGNOSTIC: Report on 500-520 band records with lenders
-    console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Records in 500-520 band with lenders: ${highPremiumCount}`);
-    if (bandTotals.hasOwnProperty('500-520')) {
-        console.log(`DIAGNOSTIC - aggregateLenderMarketShare: Total in bandTotals for 500-520: £${bandTotals['500-520'].toLocaleString()}`);
+    // Market totals per band are taken from the full dataset, as in processData
+    const fullAggregates = aggregateByPremiumBandAndMonth(state.esisData);
+    state.totalMarketByPremiumBand = { ...fullAggregates.totals.byPremiumBand };
+    state.overallTotalMarket = fullAggregates.totals.overall;
+    return true;
+}
+
+/**
+ * Applies the band scheme from the controls and re-bands the loaded data
+ */
+function handleApplyBandScheme() {
+    let scheme;
+    try {
+        scheme = PremiumBands.createBandScheme(readBandSchemeControls());
+    } catch (error) {
+        showError(`Invalid premium band scheme: ${error.message}`);
+        return;
     }
     
-    // Calculate totals and percentages
-    let overallTotal = 0;
-    let overallTotal_below80 = 0;
-    let overallTotal_above80 = 0;
+    if (applyBandScheme(scheme)) {
+        handleApplyFilters();
+        resetMarketShareTrends();
+    }
+}
+
+/**
+ * Fills the LTV band controls from the active LTV band scheme
+ * The LTV filter lists the scheme's bands, keeping selected bands the scheme still has.
+ */
+function setLtvBandControls() {
+    const scheme = state.ltvBandScheme;
+    if (elements.ltvBreakpoints) elements.ltvBreakpoints.value = scheme.definition.breakpoints.join(', ');
+    if (elements.ltvBandDescription) {
+        elements.ltvBandDescription.textContent = `Active: ${LtvBands.describeLtvBandScheme(scheme)}`;
+    }
     
-    selectedBands.forEach(band => {
-        overallTotal += bandTotals[band];
-        overallTotal_below80 += bandTotals[band + '_below80'];
-        overallTotal_above80 += bandTotals[band + '_above80'];
+    if (!elements.ltvFilter) return;
+    const selected = Array.from(elements.getSelectedOptions(elements.ltvFilter)).map(option => option.value);
+    elements.ltvFilter.innerHTML = '';
+    LtvBands.ltvBandLabels(scheme).forEach(label => {
+        const option = document.createElement('option');
+        option.value = label;
+        option.textContent = `${label}%`;
+        option.selected = selected.includes(label);
+        elements.ltvFilter.appendChild(option);
     });
     
-    // Calculate percentages for each lender and band
-    lenders.forEach(lender => {
-        let lenderTotal = 0;
-        let lenderTotal_below80 = 0;
-        let lenderTotal_above80 = 0;
-        
-        selectedBands.forEach(band => {
-            // Total for this band
-            lenderTotal += lenderData[lender][band];
-            lenderTotal_below80 += lenderData[lender][band + '_below80'];
-            lenderTotal_above80 += lenderData[lender][band + '_above80'];
-            
-            // Calculate percentage of this band's total
-            if (bandTotals[band] > 0) {
-                lenderData[lender][band + '_pct'] = (lenderData[lender][band] / bandTotals[band]) * 100;
-            }
-            
-            // Calculate percentage of this band's below 80% LTV total
-            if (bandTotals[band + '_below80'] > 0) {
-                lenderData[lender][band + '_below80_pct'] = (lenderData[lender][band + '_below80'] / bandTotals[band + '_below80']) * 100;
-            }
-            
-            // Calculate percentage of this band's above 80% LTV total
-            if (bandTotals[band + '_above80'] > 0) {
-                lenderData[lender][band + '_above80_pct'] = (lenderData[lender][band + '_above80'] / bandTotals[band + '_above80']) * 100;
-            }
-        });
-        
-        lenderData[lender].Total = lenderTotal;
-        lenderData[lender].Total_below80 = lenderTotal_below80;
-        lenderData[lender].Total_above80 = lenderTotal_above80;
-        
-        // Calculate percentage of overall total
-        if (overallTotal > 0) {
-            lenderData[lender].Total_pct = (lenderTotal / overallTotal) * 100;
-        }
-        
-        // Calculate percentage of overall below 80% LTV total
-        if (overallTotal_below80 > 0) {
-            lenderData[lender].Total_below80_pct = (lenderTotal_below80 / overallTotal_below80) * 100;
-        }
-        
-        // Calculate percentage of overall above 80% LTV total
-        if (overallTotal_above80 > 0) {
-            lenderData[lender].Total_above80_pct = (lenderTotal_above80 / overallTotal_above80) * 100;
-        }
+    const ltvBands = { '': { label: 'Any' } };
+    LtvBands.ltvBandLabels(scheme).forEach(label => {
+        ltvBands[label] = { label: `${label}%` };
     });
+    fillOptionSelect(elements.simulatorLtvBand, ltvBands, elements.simulatorLtvBand ? elements.simulatorLtvBand.value : '');
+    fillOptionSelect(elements.elasticityLtvBand, ltvBands, elements.elasticityLtvBand ? elements.elasticityLtvBand.value : '');
+}
+
+/**
+ * Makes an LTV band scheme active
+ * Records keep their LTVs, so only the LTV filter options and breakdowns change
+ * @param {Object} scheme - Scheme from LtvBands.createLtvBandScheme
+ */
+function applyLtvBandScheme(scheme) {
+    state.ltvBandScheme = scheme;
+    setLtvBandControls();
+    console.log('LTV band scheme applied:', LtvBands.describeLtvBandScheme(scheme));
+}
+
+/**
+ * Applies the LTV bands from the breakpoints control and refreshes the analysis
+ */
+function handleApplyLtvBands() {
+    let scheme;
+    try {
+        const text = elements.ltvBreakpoints ? elements.ltvBreakpoints.value : '';
+        scheme = LtvBands.createLtvBandScheme({
+            breakpoints: text.split(',').map(value => value.trim()).filter(Boolean)
+        });
+    } catch (error) {
+        showError(`Invalid LTV bands: ${error.message}`);
+        return;
+    }
     
-    // Create summary row for total market
-    const summary = { Lender: 'Total Market' };
-    selectedBands.forEach(band => {
-        summary[band] = bandTotals[band];
-        summary[band + '_pct'] = 100; // Always 100% of itself
-        summary[band + '_below80'] = bandTotals[band + '_below80'];
-        summary[band + '_below80_pct'] = 100;
-        summary[band + '_above80'] = bandTotals[band + '_above80'];
-        summary[band + '_above80_pct'] = 100;
-    });
-    summary.Total = overallTotal;
-    summary.Total_pct = 100; // Always 100% of itself
-    summary.Total_below80 = overallTotal_below80;
-    summary.Total_below80_pct = 100;
-    summary.Total_above80 = overallTotal_above80;
-    summary.Total_above80_pct = 100;
+    applyLtvBandScheme(scheme);
+    if (state.esisData && state.esisData.length > 0) {
+        handleApplyFilters();
+    }
+}
+
+// --- MARKET SHARE: Aggregate data by lender and premium band ---
+function aggregateLenderMarketShare(selectedBands) {
+    // Market share respects all filters except the lender filter, with lenders grouped as chosen
+    const filtered = getGroupedMarketData();
+    console.log(`Market Share Analysis: Using ${filtered.length} records (respecting all filters except lender)`);
     
-    return {
-        lenders,
-        lenderData,
-        bandTotals,
-        overallTotal,
-        overallTotal_below80,
-        overallTotal_above80,
-        summary
-    };
+    return MarketReports.aggregateLenderMarketShare(filtered, selectedBands, state.ltvBandScheme);
 }
 
 function applyMarketShareAnalysis() {
@@ -2936,17 +4344,18 @@ function applyMarketShareAnalysis() {
         'state.marketShareFilters.selectedPremiumBands': state.marketShareFilters.selectedPremiumBands
     });
     
-    // Ensure we have at least one band selected, otherwise default to '0-20'
-    if (selectedBands.length === 0) {
-        state.lenderMarketShare.selectedPremiumBands = ['0-20'];
-        state.marketShareFilters.selectedPremiumBands = ['0-20'];
+    // Ensure we have at least one band selected, otherwise default to the band containing a zero premium
+    const defaultBand = PremiumBands.defaultBand(state.bandScheme, state.processedData ? state.processedData.premiumBands : state.bandScheme.labels);
+    if (selectedBands.length === 0 && defaultBand) {
+        state.lenderMarketShare.selectedPremiumBands = [defaultBand];
+        state.marketShareFilters.selectedPremiumBands = [defaultBand];
         
-        console.log('DIAGNOSTIC - No bands selected, defaulting to 0-20');
+        console.log(`DIAGNOSTIC - No bands selected, defaulting to ${defaultBand}`);
         
         // Update the UI to reflect this default selection
         const chips = document.querySelectorAll('#premium-bands-container .premium-band-chip');
         chips.forEach(chip => {
-            if (chip.getAttribute('data-band') === '0-20' || chip.dataset.value === '0-20') {
+            if (chip.getAttribute('data-band') === defaultBand || chip.dataset.value === defaultBand) {
                 chip.classList.add('selected');
             }
         });
@@ -2964,19 +4373,12 @@ function applyMarketShareAnalysis() {
 
 // New function to update the market share table based on current filters
 function updateMarketShareTable() {
-    console.log('DIAGNOSTIC - updateMarketShareTable called');
-    
     // Make sure we have ESIS data to work with
     if (!state.esisData || !Array.isArray(state.esisData)) {
         console.error('Cannot update market share table: ESIS data is not available');
         return;
     }
     
-    // Create a custom filtered dataset that respects all filters EXCEPT lender filter
-    const data = getCachedFilteredData(state.esisData, { lenders: false });
-    
-    console.log(`Market Share Analysis: Using ${data.length} records (respecting all filters except lender)`);
-    
     // Make sure we have lender market share state initialized
     if (!state.lenderMarketShare) {
         state.lenderMarketShare = { selectedPremiumBands: [] };
@@ -2989,222 +4391,51 @@ function updateMarketShareTable() {
     
     // Get the selected premium bands directly from the state
     const selectedBands = state.lenderMarketShare.selectedPremiumBands;
-    console.log('DIAGNOSTIC - Selected bands from state:', selectedBands);
     
     if (!selectedBands || selectedBands.length === 0) {
-        console.log('DIAGNOSTIC - No bands selected, nothing to update');
         return;
     }
     
-    // DIAGNOSTIC: Check for records in the 500-520 band (safely)
-    let highPremiumRecords = [];
-    if (data && Array.isArray(data)) {
-        highPremiumRecords = data.filter(item => item && item.PremiumBand === '500-520');
-        console.log(`DIAGNOSTIC - Records in 500-520 band after filtering: ${highPremiumRecords.length}`);
-    } else {
-        console.log('DIAGNOSTIC - Cannot check for 500-520 band records: data is not an array');
-    }
-    
-    if (highPremiumRecords && highPremiumRecords.length > 0) {
-        // Calculate total loan amount in this band
-        const totalLoanAmount = highPremiumRecords.reduce((sum, record) => sum + (record.Loan || 0), 0);
-        console.log(`DIAGNOSTIC - Total loan amount in 500-520 band: £${totalLoanAmount.toLocaleString()}`);
-        
-        // Group by provider
-        const providerSummary = {};
-        highPremiumRecords.forEach(record => {
-            const provider = record.Provider || 'Unknown';
-            if (!providerSummary[provider]) {
-                providerSummary[provider] = {
-                    count: 0,
-                    totalLoan: 0
-                };
-            }
-            providerSummary[provider].count++;
-            providerSummary[provider].totalLoan += (record.Loan || 0);
-        });
-        
-        // Show top providers
-        console.log('DIAGNOSTIC - Provider summary for 500-520 band:');
-        Object.entries(providerSummary)
-            .sort((a, b) => b[1].totalLoan - a[1].totalLoan)
-            .forEach(([provider, stats]) => {
-                console.log(`${provider}: ${stats.count} records, £${stats.totalLoan.toLocaleString()}`);
-            });
-    }
-    
-    // Aggregate and render
-    console.log('DIAGNOSTIC - About to call aggregateLenderMarketShare with bands:', selectedBands);
-    
-    // We'll directly calculate the market share data from our filtered dataset
-    // that ignores the lender filter
-    
-    // Temporarily adjust premium range to include 500-520 band if it's selected
-    const originalPremiumRange = [...state.filters.premiumRange];
-    
-    // If 500-520 band is selected, ensure the premium range includes it
-    if (selectedBands.includes('500-520') && state.filters.premiumRange[1] < 520) {
-        console.log(`DIAGNOSTIC - Adjusting premium range from [${state.filters.premiumRange[0]}-${state.filters.premiumRange[1]}] to [${state.filters.premiumRange[0]}-520] to include 500-520 band`);
-        state.filters.premiumRange[1] = 520;
-    }
-    
-    // Get unique lenders from our filtered data
-    const lenders = [...new Set(data.map(r => r.BaseLender || r.Provider).filter(Boolean))].sort();
-    
-    // Build structure for band totals
-    const bandTotals = {};
-    selectedBands.forEach(band => {
-        bandTotals[band] = 0;
-        bandTotals[band + '_below80'] = 0;
-        bandTotals[band + '_above80'] = 0;
-    });
-    
-    // Initialize lender data structure
-    const lenderData = {};
-    lenders.forEach(lender => {
-        lenderData[lender] = {};
-        selectedBands.forEach(band => {
-            lenderData[lender][band] = 0;
-            lenderData[lender][band + '_pct'] = 0;
-            lenderData[lender][band + '_below80'] = 0;
-            lenderData[lender][band + '_below80_pct'] = 0;
-            lenderData[lender][band + '_above80'] = 0;
-            lenderData[lender][band + '_above80_pct'] = 0;
-        });
-        lenderData[lender].Total = 0;
-        lenderData[lender].Total_pct = 0;
-        lenderData[lender].Total_below80 = 0;
-        lenderData[lender].Total_above80 = 0;
-    });
-    
-    // Aggregate data
-    data.forEach(r => {
-        const lender = r.BaseLender || r.Provider;
-        const band = r.PremiumBand;
-        
-        // Make sure we're processing records for all the selected bands
-        if (lender && selectedBands.includes(band)) {
-            const loanAmount = r.Loan || 0;
-            lenderData[lender][band] += loanAmount;
-            bandTotals[band] += loanAmount;
-            
-            // Split by LTV
-            const ltv = r.StandardizedLTV;
-            if (ltv !== undefined && ltv !== null && !isNaN(ltv)) {
-                if (ltv < 80) {
-                    lenderData[lender][band + '_below80'] += loanAmount;
-                    bandTotals[band + '_below80'] += loanAmount;
-                } else {
-                    lenderData[lender][band + '_above80'] += loanAmount;
-                    bandTotals[band + '_above80'] += loanAmount;
-                }
-            }
-        }
-    });
-    
-    // Calculate totals and percentages
-    let overallTotal = 0;
-    let overallTotal_below80 = 0;
-    let overallTotal_above80 = 0;
-    
-    selectedBands.forEach(band => {
-        overallTotal += bandTotals[band];
-        overallTotal_below80 += bandTotals[band + '_below80'];
-        overallTotal_above80 += bandTotals[band + '_above80'];
-    });
-    
-    // Calculate percentages for each lender and band
-    lenders.forEach(lender => {
-        let lenderTotal = 0;
-        let lenderTotal_below80 = 0;
-        let lenderTotal_above80 = 0;
-        
-        selectedBands.forEach(band => {
-            // Total for this band
-            lenderTotal += lenderData[lender][band];
-            lenderTotal_below80 += lenderData[lender][band + '_below80'];
-            lenderTotal_above80 += lenderData[lender][band + '_above80'];
-            
-            // Calculate percentage of this band's total
-            if (bandTotals[band] > 0) {
-                lenderData[lender][band + '_pct'] = (lenderData[lender][band] / bandTotals[band]) * 100;
-            }
-            
-            // Calculate percentage of this band's below 80% LTV total
-            if (bandTotals[band + '_below80'] > 0) {
-                lenderData[lender][band + '_below80_pct'] = (lenderData[lender][band + '_below80'] / bandTotals[band + '_below80']) * 100;
-            }
-            
-            // Calculate percentage of this band's above 80% LTV total
-            if (bandTotals[band + '_above80'] > 0) {
-                lenderData[lender][band + '_above80_pct'] = (lenderData[lender][band + '_above80'] / bandTotals[band + '_above80']) * 100;
-            }
-        });
-        
-        lenderData[lender].Total = lenderTotal;
-        lenderData[lender].Total_below80 = lenderTotal_below80;
-        lenderData[lender].Total_above80 = lenderTotal_above80;
-        
-        // Calculate percentage of overall total
-        if (overallTotal > 0) {
-            lenderData[lender].Total_pct = (lenderTotal / overallTotal) * 100;
-        }
-        
-        // Calculate percentage of overall below 80% LTV total
-        if (overallTotal_below80 > 0) {
-            lenderData[lender].Total_below80_pct = (lenderTotal_below80 / overallTotal_below80) * 100;
-        }
-        
-        // Calculate percentage of overall above 80% LTV total
-        if (overallTotal_above80 > 0) {
-            lenderData[lender].Total_above80_pct = (lenderTotal_above80 / overallTotal_above80) * 100;
-        }
-    });
-    
-    // Create summary row for total market
-    const summary = { Lender: 'Total Market' };
-    selectedBands.forEach(band => {
-        summary[band] = bandTotals[band];
-        summary[band + '_pct'] = 100; // Always 100% of itself
-        summary[band + '_below80'] = bandTotals[band + '_below80'];
-        summary[band + '_below80_pct'] = 100;
-        summary[band + '_above80'] = bandTotals[band + '_above80'];
-        summary[band + '_above80_pct'] = 100;
-    });
-    summary.Total = overallTotal;
-    summary.Total_pct = 100; // Always 100% of itself
-    summary.Total_below80 = overallTotal_below80;
-    summary.Total_below80_pct = 100;
-    summary.Total_above80 = overallTotal_above80;
-    summary.Total_above80_pct = 100;
-    
-    // Restore original premium range
-    state.filters.premiumRange = originalPremiumRange;
-    
-    // Create the final data object for rendering
-    const dataForRender = {
-        lenders,
-        lenderData,
-        bandTotals,
-        overallTotal,
-        overallTotal_below80,
-        overallTotal_above80,
-        summary
-    };
-    
+    // Aggregate over all filters except the lender filter, then render
+    const dataForRender = aggregateLenderMarketShare(selectedBands);
     state.lenderMarketShareData = dataForRender;
     
-    // DIAGNOSTIC: Check if 500-520 band data is in the aggregated data
-    if (dataForRender.bandTotals && dataForRender.bandTotals['500-520']) {
-        console.log(`DIAGNOSTIC - 500-520 band total in aggregated data: £${dataForRender.bandTotals['500-520'].toLocaleString()}`);
-    } else {
-        console.log('DIAGNOSTIC - 500-520 band is missing from aggregated data bandTotals');
-    }
-    
-    console.log('DIAGNOSTIC - Calling renderLenderMarketShareTable with bands:', selectedBands);
     renderLenderMarketShareTable(dataForRender, selectedBands);
 }
 
+/**
+ * Builds a market share table column showing a lending amount with its share
+ * @param {string} title - Column title
+ * @param {string} field - Row field of the amount; its share is in field + '_pct'
+ * @param {string} color - Colour of the share bar
+ * @returns {Object} Tabulator column definition
+ */
+function marketShareColumn(title, field, color) {
+    return {
+        title: title,
+        field: field,
+        hozAlign: 'right',
+        sorter: 'number',
+        formatter: function(cell) {
+            const amt = cell.getValue() || 0;
+            const pct = cell.getRow().getData()[field + '_pct'];
+            // Visual: horizontal bar
+            const barWidth = Math.min(100, pct || 0);
+            const amtInMillions = (amt / 1000000).toFixed(2);
+            // Format the millions with commas
+            const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
+            return `<div style="display:flex;align-items:center;">
+                <div style="background:${color};height:16px;width:${barWidth}px;max-width:60px;margin-right:4px;"></div>
+                <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
+                    £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
+                </span>
+            </div>`;
+        },
+        headerSort: true,
+        tooltip: true
+    };
+}
+
 // --- MARKET SHARE: Render Tabulator table ---
 function renderLenderMarketShareTable(data, selectedBands) {
     // Note about values being in millions removed as requested
@@ -3243,7 +4474,7 @@ function renderLenderMarketShareTable(data, selectedBands) {
     }
     // Build columns
     const columns = [
-        { title: 'Lender', field: 'Lender', frozen: true, headerSort: true }
+        { title: LenderTaxonomy.GROUP_LEVELS[state.lenderGrouping].label, field: 'Lender', frozen: true, headerSort: true }
     ];
     
     // Only use the bands that were actually selected
@@ -3260,150 +4491,25 @@ function renderLenderMarketShareTable(data, selectedBands) {
     console.log('DIAGNOSTIC - Actual bands used in table:', actualSelectedBands);
     console.log('DIAGNOSTIC - All available bands in data.bandTotals:', Object.keys(data.bandTotals || {}));
     
+    // One column per LTV band under each premium band, limited to the LTV bands filtered on
+    const ltvBands = state.filters.ltvBands && state.filters.ltvBands.length > 0
+        ? data.ltvBands.filter(ltvBand => state.filters.ltvBands.includes(ltvBand))
+        : data.ltvBands;
+    
     // Use the verified bands to build columns
     actualSelectedBands.forEach(band => {
         columns.push({
             title: band,
-            columns: [
-                {
-                    title: 'Total',
-                    field: band,
-                    hozAlign: 'right',
-                    sorter: 'number',
-                    formatter: function(cell) {
-                        const amt = cell.getValue();
-                        const pct = cell.getRow().getData()[band + '_pct'];
-                        // Visual: horizontal bar
-                        const barWidth = Math.min(100, pct || 0);
-                        const amtInMillions = (amt / 1000000).toFixed(2);
-                        // Format the millions with commas
-                        const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                        return `<div style="display:flex;align-items:center;">
-                            <div style="background:#b3d1ff;height:16px;width:${barWidth}px;max-width:60px;margin-right:4px;"></div>
-                            <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                                £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                            </span>
-                        </div>`;
-                    },
-                    headerSort: true,
-                    tooltip: true
-                },
-                {
-                    title: '<80% LTV',
-                    field: band + '_below80',
-                    hozAlign: 'right',
-                    sorter: 'number',
-                    formatter: function(cell) {
-                        const amt = cell.getValue();
-                        const pct = cell.getRow().getData()[band + '_below80_pct'];
-                        // Visual: horizontal bar - light blue for below 80% LTV
-                        const barWidth = Math.min(100, pct || 0);
-                        const amtInMillions = (amt / 1000000).toFixed(2);
-                        // Format the millions with commas
-                        const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                        return `<div style="display:flex;align-items:center;">
-                            <div style="background:#d1e6ff;height:16px;width:${barWidth}px;max-width:60px;margin-right:4px;"></div>
-                            <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                                £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                            </span>
-                        </div>`;
-                    },
-                    headerSort: true,
-                    tooltip: true
-                },
-                {
-                    title: '>80% LTV',
-                    field: band + '_above80',
-                    hozAlign: 'right',
-                    sorter: 'number',
-                    formatter: function(cell) {
-                        const amt = cell.getValue();
-                        const pct = cell.getRow().getData()[band + '_above80_pct'];
-                        // Visual: horizontal bar - darker blue for above 80% LTV
-                        const barWidth = Math.min(100, pct || 0);
-                        const amtInMillions = (amt / 1000000).toFixed(2);
-                        // Format the millions with commas
-                        const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                        return `<div style="display:flex;align-items:center;">
-                            <div style="background:#80b3ff;height:16px;width:${barWidth}px;max-width:60px;margin-right:4px;"></div>
-                            <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                                £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                            </span>
-                        </div>`;
-                    },
-                    headerSort: true,
-                    tooltip: true
-                }
-            ]
+            columns: [marketShareColumn('Total', band, '#b3d1ff')].concat(
+                ltvBands.map(ltvBand => marketShareColumn(`${ltvBand}% LTV`, MarketReports.ltvShareKey(band, ltvBand), '#80b3ff'))
+            )
         });
     });
     columns.push({
         title: 'Total',
-        columns: [
-            {
-                title: 'Total',
-                field: 'Total',
-                hozAlign: 'right',
-                sorter: 'number',
-                formatter: function(cell) {
-                    const amt = cell.getValue();
-                    const pct = cell.getRow().getData().Total_pct;
-                    const amtInMillions = (amt / 1000000).toFixed(2);
-                    // Format the millions with commas
-                    const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                    return `<div style="display:flex;align-items:center;">
-                        <div style="background:#b3ffc6;height:16px;width:${Math.min(100, pct || 0)}px;max-width:60px;margin-right:4px;"></div>
-                        <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                            £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                        </span>
-                    </div>`;
-                },
-                headerSort: true,
-                tooltip: true
-            },
-            {
-                title: '<80% LTV',
-                field: 'Total_below80',
-                hozAlign: 'right',
-                sorter: 'number',
-                formatter: function(cell) {
-                    const amt = cell.getValue();
-                    const pct = cell.getRow().getData().Total_below80_pct;
-                    const amtInMillions = (amt / 1000000).toFixed(2);
-                    // Format the millions with commas
-                    const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                    return `<div style="display:flex;align-items:center;">
-                        <div style="background:#d1ffdb;height:16px;width:${Math.min(100, pct || 0)}px;max-width:60px;margin-right:4px;"></div>
-                        <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                            £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                        </span>
-                    </div>`;
-                },
-                headerSort: true,
-                tooltip: true
-            },
-            {
-                title: '>80% LTV',
-                field: 'Total_above80',
-                hozAlign: 'right',
-                sorter: 'number',
-                formatter: function(cell) {
-                    const amt = cell.getValue();
-                    const pct = cell.getRow().getData().Total_above80_pct;
-                    const amtInMillions = (amt / 1000000).toFixed(2);
-                    // Format the millions with commas
-                    const formattedAmtInMillions = Number(amtInMillions).toLocaleString();
-                    return `<div style="display:flex;align-items:center;">
-                        <div style="background:#80e699;height:16px;width:${Math.min(100, pct || 0)}px;max-width:60px;margin-right:4px;"></div>
-                        <span title="£${amt.toLocaleString()} (${pct ? pct.toFixed(2) : '0.00'}%)">
-                            £${formattedAmtInMillions}m<br><span style='font-size:11px;color:#555;'>${pct ? pct.toFixed(2) : '0.00'}%</span>
-                        </span>
-                    </div>`;
-                },
-                headerSort: true,
-                tooltip: true
-            }
-        ]
+        columns: [marketShareColumn('Total', 'Total', '#b3ffc6')].concat(
+            ltvBands.map(ltvBand => marketShareColumn(`${ltvBand}% LTV`, MarketReports.ltvShareKey('Total', ltvBand), '#80e699'))
+        )
     });
     // Prepare data rows
     const tableData = [];
@@ -3411,26 +4517,18 @@ function renderLenderMarketShareTable(data, selectedBands) {
     // Add data for each lender
     data.lenders.forEach(lender => {
         const row = { Lender: lender };
+        const fields = actualSelectedBands.concat(['Total']);
         
         // Add data for each band - use the actual selected bands that exist in the data
-        actualSelectedBands.forEach(band => {
+        fields.forEach(band => {
             row[band] = data.lenderData[lender][band];
             row[band + '_pct'] = data.lenderData[lender][band + '_pct'];
-            row[band + '_below80'] = data.lenderData[lender][band + '_below80'];
-            row[band + '_below80_pct'] = data.lenderData[lender][band + '_below80_pct'];
-            row[band + '_above80'] = data.lenderData[lender][band + '_above80'];
-            row[band + '_above80_pct'] = data.lenderData[lender][band + '_above80_pct'];
+            ltvBands.forEach(ltvBand => {
+                const key = MarketReports.ltvShareKey(band, ltvBand);
+                row[key] = data.lenderData[lender][key];
+                row[key + '_pct'] = data.lenderData[lender][key + '_pct'];
+            });
         });
-        row.Total = data.lenderData[lender].Total;
-        row.Total_pct = data.lenderData[lender].Total_pct;
-        row.Total_below80 = data.lenderData[lender].Total_below80;
-        row.Total_below80_pct = data.lenderData[lender].Total_below80_pct;
-        row.Total = data.lenderData[lender].Total;
-        row.Total_pct = data.lenderData[lender].Total_pct;
-        row.Total_below80 = data.lenderData[lender].Total_below80;
-        row.Total_below80_pct = data.lenderData[lender].Total_below80_pct;
-        row.Total_above80 = data.lenderData[lender].Total_above80;
-        row.Total_above80_pct = data.lenderData[lender].Total_above80_pct;
         tableData.push(row);
     });
     // Add summary row
@@ -3444,6 +4542,7 @@ function renderLenderMarketShareTable(data, selectedBands) {
         movableColumns: true,
         initialSort: [{ column: actualSelectedBands.length > 0 ? actualSelectedBands[0] : 'Lender', dir: 'desc' }],
         rowFormatter: function(row) {
+            highlightHomeLenderRow(row, row.getData().Lender);
             if (row.getData().Lender === 'Total Market') {
                 row.getElement().style.fontWeight = 'bold';
                 row.getElement().style.backgroundColor = '#eaecee';
@@ -3460,22 +4559,42 @@ function exportMarketShareData() {
 }
 
 // --- HEATMAP: Data Processing Function ---
-function prepareHeatmapData(filteredData) {
-    // Get unique lenders and premium bands
+/**
+ * Reads the heatmap column dimension from the columns toggle
+ * @returns {string} 'premium' for premium bands or 'ltv' for LTV bands
+ */
+function getHeatmapColumns() {
+    const columnsElement = document.querySelector('input[name="heatmap-columns"]:checked');
+    return columnsElement ? columnsElement.value : 'premium';
+}
+
+/**
+ * Finds the heatmap column of a record
+ * @param {Object} record - Enriched ESIS record
+ * @param {string} dimension - 'premium' or 'ltv'
+ * @returns {string|null} Premium band or LTV band label; null if the record has none
+ */
+function heatmapColumnOf(record, dimension) {
+    return dimension === 'ltv'
+        ? LtvBands.assignLtvBand(record.StandardizedLTV, state.ltvBandScheme)
+        : record.PremiumBand;
+}
+
+function prepareHeatmapData(filteredData, dimension = 'premium') {
+    // Get unique lenders and column bands
     const lenders = [...new Set(filteredData.map(r => r.BaseLender || r.Provider))].sort();
     
-    // Custom sort function for premium bands to ensure correct numerical order
-    const premiumBands = [...new Set(filteredData.map(r => r.PremiumBand))].sort((a, b) => {
-        // Extract the starting number from each band (e.g., "0-20" -> 0, "20-40" -> 20)
-        const aStart = parseInt(a.split('-')[0]);
-        const bStart = parseInt(b.split('-')[0]);
-        return aStart - bStart;
-    });
+    // Premium bands in numerical order; LTV bands in the order of the scheme
+    const present = new Set(filteredData.map(r => heatmapColumnOf(r, dimension)).filter(Boolean));
+    const premiumBands = dimension === 'ltv'
+        ? LtvBands.ltvBandLabels(state.ltvBandScheme).filter(band => present.has(band))
+        : PremiumBands.sortBands([...present]);
     
     // Initialize data structure
     const heatmapData = {
         lenders: lenders,
-        premiumBands: premiumBands,
+        premiumBands: premiumBands, // Column bands, premium or LTV
+        dimension: dimension,
         lenderMode: {}, // Lender-centric view
         premiumMode: {}  // Premium-centric view
     };
@@ -3498,7 +4617,7 @@ function prepareHeatmapData(filteredData) {
     // Aggregate the data
     filteredData.forEach(record => {
         const lender = record.BaseLender || record.Provider;
-        const band = record.PremiumBand;
+        const band = heatmapColumnOf(record, dimension);
         const loanAmount = record.Loan || 0;
         
         if (lender && band && lenders.includes(lender) && premiumBands.includes(band)) {
@@ -3552,17 +4671,27 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
     const container = document.getElementById('heatmap-visualization');
     container.innerHTML = '';
     
+    // A sort column from the other column dimension does not apply
+    if (sortBy && !heatmapData.premiumBands.includes(sortBy)) {
+        sortBy = null;
+    }
+    const columnName = heatmapData.dimension === 'ltv' ? 'LTV' : 'premium';
+    const columnTitle = heatmapData.dimension === 'ltv' ? 'LTV' : 'Premium';
+    
+    // Remember the sort so re-renders and shared links keep it
+    state.heatmapSort = sortBy ? { band: sortBy, direction: sortDirection } : null;
+    
     // Create table element
     const table = document.createElement('table');
     table.className = 'heatmap-table';
     table.setAttribute('role', 'grid');
-    table.setAttribute('aria-label', mode === 'lender' ? 'Distribution of Each Lender\'s Volume' : 'Market Share Within Premium Bands');
+    table.setAttribute('aria-label', mode === 'lender' ? 'Distribution of Each Lender\'s Volume' : `Market Share Within ${columnTitle} Bands`);
     
     // Create caption for screen readers
     const caption = document.createElement('caption');
     caption.textContent = mode === 'lender' 
-        ? 'Heatmap showing distribution of each lender\'s volume across premium bands' 
-        : 'Heatmap showing market share within premium bands across lenders';
+        ? `Heatmap showing distribution of each lender's volume across ${columnName} bands` 
+        : `Heatmap showing market share within ${columnName} bands across lenders`;
     table.appendChild(caption);
     
     // Create header row
@@ -3572,7 +4701,7 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
     // Add empty cell for top-left corner
     const cornerCell = document.createElement('th');
     cornerCell.setAttribute('scope', 'col');
-    cornerCell.setAttribute('aria-label', 'Lenders / Premium Bands');
+    cornerCell.setAttribute('aria-label', `Lenders / ${columnTitle} Bands`);
     headerRow.appendChild(cornerCell);
     
     // Add premium band headers with sorting functionality
@@ -3599,6 +4728,7 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
             }
             // Re-render with new sort parameters
             renderHeatmap(heatmapData, mode, band, newDirection);
+            saveCurrentView();
         });
         
         headerRow.appendChild(th);
@@ -3637,6 +4767,9 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
     // Add rows for each lender (now potentially sorted)
     sortedLenders.forEach(lender => {
         const row = document.createElement('tr');
+        if (isHomeLender(lender)) {
+            row.classList.add('home-lender');
+        }
         
         // Add lender name cell with truncation
         const lenderCell = document.createElement('th');
@@ -3677,7 +4810,7 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
             // Add data attributes for tooltips
             cell.setAttribute('data-value', formatCurrency(value));
             cell.setAttribute('data-percentage', percentage.toFixed(1) + '%');
-            cell.setAttribute('aria-label', `${lender} in ${band} band: ${formatCurrency(value)} (${percentage.toFixed(1)}%)`);
+            cell.setAttribute('aria-label', `${lender} in ${band} ${columnName} band: ${formatCurrency(value)} (${percentage.toFixed(1)}%)`);
             
             // Add tooltip event listeners
             cell.addEventListener('mouseover', showTooltip);
@@ -3711,7 +4844,7 @@ function renderHeatmap(heatmapData, mode = 'lender', sortBy = null, sortDirectio
                 <span class="legend-label">High</span>
             </div>
         </div>
-        <p class="sort-instructions">Click on any premium band header to sort lenders by that column.</p>
+        <p class="sort-instructions">Click on any ${columnName} band header to sort lenders by that column.</p>
         </div>
     `;
     
@@ -3758,7 +4891,7 @@ function formatCurrency(value) {
 // --- HEATMAP: Helper function to get data without lender filter ---
 function getHeatmapData() {
     console.log('Getting filtered data for heatmap visualization (without lender filter)');
-    return getCachedFilteredData(state.esisData, { lenders: false });
+    return getGroupedMarketData();
 }
 
 // --- HEATMAP: Update Function ---
@@ -3797,22 +4930,23 @@ function updateHeatmap() {
             return;
         }
         
-        // Check if we have enough unique lenders and premium bands for a meaningful heatmap
+        // Check if we have enough unique lenders and column bands for a meaningful heatmap
+        const dimension = getHeatmapColumns();
         const uniqueLenders = new Set(filteredData.map(r => r.BaseLender || r.Provider));
-        const uniquePremiumBands = new Set(filteredData.map(r => r.PremiumBand));
+        const uniqueBands = new Set(filteredData.map(r => heatmapColumnOf(r, dimension)).filter(Boolean));
         
-        if (uniqueLenders.size <= 1 || uniquePremiumBands.size <= 1) {
+        if (uniqueLenders.size <= 1 || uniqueBands.size <= 1) {
             console.warn('Not enough unique lenders or premium bands for a meaningful heatmap');
             vizElement.innerHTML = 
                 '<p class="warning">Not enough data variation for a meaningful heatmap. ' + 
-                'Please adjust filters to include multiple lenders and premium bands.</p>';
+                `Please adjust filters to include multiple lenders and ${dimension === 'ltv' ? 'LTV' : 'premium'} bands.</p>`;
             return;
         }
         
         // Use setTimeout to allow the loading indicator to render before processing data
         setTimeout(() => {
             // Prepare data for the heatmap
-            const heatmapData = prepareHeatmapData(filteredData);
+            const heatmapData = prepareHeatmapData(filteredData, dimension);
             
             // Get current visualization mode with fallback
             const modeElement = document.querySelector('input[name="heatmap-mode"]:checked');
@@ -3870,42 +5004,37 @@ function updateHeatmapWithCurrentFilters() {
             return;
         }
         
-        // Check if we have enough unique lenders and premium bands for a meaningful heatmap
+        // Check if we have enough unique lenders and column bands for a meaningful heatmap
+        const dimension = getHeatmapColumns();
         const uniqueLenders = new Set(filteredData.map(r => r.BaseLender || r.Provider));
-        const uniquePremiumBands = new Set(filteredData.map(r => r.PremiumBand));
+        const uniqueBands = new Set(filteredData.map(r => heatmapColumnOf(r, dimension)).filter(Boolean));
         
-        if (uniqueLenders.size <= 1 || uniquePremiumBands.size <= 1) {
+        if (uniqueLenders.size <= 1 || uniqueBands.size <= 1) {
             console.warn('Not enough unique lenders or premium bands for a meaningful heatmap');
             finalVizElement.innerHTML = 
                 '<p class="warning">Not enough data variation for a meaningful heatmap. ' + 
-                'Please adjust filters to include multiple lenders and premium bands.</p>';
+                `Please adjust filters to include multiple lenders and ${dimension === 'ltv' ? 'LTV' : 'premium'} bands.</p>`;
             return;
         }
         
+        // Read the sort now: a heatmap render already scheduled may change it before this one runs
+        const sort = state.heatmapSort;
+        
         // Use setTimeout to allow the loading indicator to render before processing data
         setTimeout(() => {
             // Prepare data for the heatmap
-            const heatmapData = prepareHeatmapData(filteredData);
+            const heatmapData = prepareHeatmapData(filteredData, dimension);
             
             // Get current visualization mode with fallback
             const modeElement = document.querySelector('input[name="heatmap-mode"]:checked');
             const mode = modeElement ? modeElement.value : 'lender'; // Default to lender mode if not found
             console.log('Current heatmap mode:', mode);
             
-            // Get current sort parameters if they exist
-            let sortBy = null;
-            let sortDirection = 'desc';
-            
-            // Check if we have any sorted columns
-            const sortedHeader = document.querySelector('.heatmap-table th.sorted');
-            if (sortedHeader) {
-                sortBy = sortedHeader.textContent;
-                sortDirection = sortedHeader.classList.contains('asc') ? 'asc' : 'desc';
-                console.log(`Preserving sort: ${sortBy} (${sortDirection})`);
-            }
-            
             // Render the heatmap with preserved sort parameters
-            renderHeatmap(heatmapData, mode, sortBy, sortDirection);
+            if (sort) {
+                console.log(`Preserving sort: ${sort.band} (${sort.direction})`);
+            }
+            renderHeatmap(heatmapData, mode, sort ? sort.band : null, sort ? sort.direction : 'desc');
             
             // Re-attach event listeners to radio buttons
             attachHeatmapModeListeners();
@@ -3916,7 +5045,7 @@ function updateHeatmapWithCurrentFilters() {
 
 // Function to attach event listeners to heatmap mode radio buttons
 function attachHeatmapModeListeners() {
-    const radioButtons = document.querySelectorAll('input[name="heatmap-mode"]');
+    const radioButtons = document.querySelectorAll('input[name="heatmap-mode"], input[name="heatmap-columns"]');
     console.log('Attaching listeners to', radioButtons.length, 'radio buttons');
     
     radioButtons.forEach(radio => {
@@ -3932,6 +5061,7 @@ function updateHeatmapOnModeChange(event) {
     console.log('Heatmap mode changed to:', event.target.value);
     // Use the new function that preserves state
     updateHeatmapWithCurrentFilters();
+    saveCurrentView();
 }
 
 // Chart.js Configuration and Functions
@@ -4169,13 +5299,8 @@ function populatePremiumBands() {
         return;
     }
     
-    // Get all unique premium bands from the data
-    const premiumBands = [...new Set(state.esisData.map(r => r.PremiumBand))].sort((a, b) => {
-        // Sort numerically by the first number in each band
-        const aNum = parseInt(a.split('-')[0]);
-        const bNum = parseInt(b.split('-')[0]);
-        return aNum - bNum;
-    });
+    // Get all unique premium bands from the data, in scheme order
+    const premiumBands = PremiumBands.sortBands([...new Set(state.esisData.map(r => r.PremiumBand))]);
     
     console.log(`Found ${premiumBands.length} unique premium bands`);
     
@@ -4247,6 +5372,7 @@ function updateSelectedBandsCount() {
         state.marketShareTrends = {};
     }
     state.marketShareTrends.selectedPremiumBands = selectedBands;
+    saveCurrentView();
     
     // Log the count for debugging
     console.log(`DIAGNOSTIC - Updated trends premium bands counter: ${selectedCount} selected`);
@@ -4309,38 +5435,9 @@ function updateMarketShareTrendsChart() {
         
         console.log('Using date range filter:', state.filters.dateRange);
         
-        // Get data filtered by the main date range filter, LTV filter, and premium bands (but NOT by lender filter)
-        const filteredByDate = state.esisData.filter(record => {
-            // Skip records with invalid dates
-            if (!record.Month) return false;
-            
-            // Apply date range filter
-            const inDateRange = !state.filters.dateRange || 
-                (record.Month >= state.filters.dateRange[0] && 
-                 record.Month <= state.filters.dateRange[1]);
-            
-            // Apply premium band filter
-            const inSelectedBands = selectedBands.length === 0 || selectedBands.includes(record.PremiumBand);
-            
-            // Apply LTV filter
-            let ltvFilterPassed = true;
-            if (state.filters.ltvRange && state.filters.ltvRange !== 'all') {
-                let ltv = record.StandardizedLTV;
-                if (ltv !== undefined && ltv !== null && !isNaN(ltv)) {
-                    if (state.filters.ltvRange === 'below-80' && ltv >= 80) {
-                        ltvFilterPassed = false;
-                    } else if (state.filters.ltvRange === 'above-80' && ltv < 80) {
-                        ltvFilterPassed = false;
-                    } else if (state.filters.ltvRange === 'above-85' && ltv <= 85) {
-                        ltvFilterPassed = false;
-                    } else if (state.filters.ltvRange === 'above-90' && ltv <= 90) {
-                        ltvFilterPassed = false;
-                    }
-                }
-            }
-            
-            return inDateRange && inSelectedBands && ltvFilterPassed;
-        });
+        // Trends use the same records as the market share table: all filters except lender
+        const filteredByDate = getGroupedMarketData()
+            .filter(record => selectedBands.includes(record.PremiumBand));
         
         if (filteredByDate.length === 0) {
             if (elements.marketShareTrendsChart) {
@@ -4387,8 +5484,12 @@ function processMarketShareTrendsData(filteredData, selectedBands) {
     // Group data by month and lender for the chart
     const monthlyData = groupByMonthAndLender(filteredByBands);
     
-    // Find lenders who were in the top 5 by market share at any point
+    // Find lenders who were in the top 5 by market share at any point, and our lender
     const topLenders = findTopLenders(monthlyData, 5);
+    if (state.benchmarkSettings.lender && !topLenders.includes(state.benchmarkSettings.lender) &&
+        findActiveLenders(monthlyData).includes(state.benchmarkSettings.lender)) {
+        topLenders.push(state.benchmarkSettings.lender);
+    }
     
     if (topLenders.length === 0) {
         if (elements.marketShareTrendsChart) {
@@ -4410,153 +5511,19 @@ function processMarketShareTrendsData(filteredData, selectedBands) {
     console.log('Market share trends chart updated successfully');
 }
 
-// Group data by month and lender for the trends chart
+// Group data by time period (state.granularity) and lender for the trends chart
 function groupByMonthAndLender(data) {
-    // Initialize result structure
-    const result = {};
-    
-    // Format months as 'MMM YY' (e.g., 'Jan 24')
-    const formatMonth = date => {
-        const d = new Date(date);
-        return d.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-    };
-    
-    // Track all months for sorting
-    const months = [];
-    const monthLabels = [];
-    
-    // Get the date range filter to ensure we only include months within the selected range
-    const dateRangeStart = state.filters.dateRange ? new Date(state.filters.dateRange[0]) : null;
-    const dateRangeEnd = state.filters.dateRange ? new Date(state.filters.dateRange[1]) : null;
-    
-    // If we have a date range, set time to beginning/end of month for proper comparison
-    if (dateRangeStart) {
-        dateRangeStart.setDate(1);
-        dateRangeStart.setHours(0, 0, 0, 0);
-    }
-    
-    if (dateRangeEnd) {
-        // Set to last day of the month
-        dateRangeEnd.setMonth(dateRangeEnd.getMonth() + 1);
-        dateRangeEnd.setDate(0);
-        dateRangeEnd.setHours(23, 59, 59, 999);
-    }
-    
-    // Group data by month and lender
-    data.forEach(record => {
-        const date = new Date(record.DocumentDate);
-        const monthKey = date.getFullYear() + '-' + (date.getMonth() + 1).toString().padStart(2, '0');
-        const monthLabel = formatMonth(date);
-        const lender = record.Provider;
-        
-        // Skip if missing essential data
-        if (!lender) return;
-        
-        // Check if this month is within the selected date range
-        const monthDate = new Date(date.getFullYear(), date.getMonth(), 1);
-        if (dateRangeStart && monthDate < dateRangeStart) return;
-        if (dateRangeEnd && monthDate > dateRangeEnd) return;
-        
-        // Add month to tracking array if not already present
-        if (!result[monthKey]) {
-            result[monthKey] = {
-                lenders: {},
-                total: 0
-            };
-            
-            months.push({
-                key: monthKey,
-                label: monthLabel,
-                date: monthDate
-            });
-        }
-        
-        // Add loan amount to lender's total for this month
-        const loan = record.Loan || 0;
-        
-        if (!result[monthKey].lenders[lender]) {
-            result[monthKey].lenders[lender] = 0;
-        }
-        
-        result[monthKey].lenders[lender] += loan;
-        result[monthKey].total += loan;
-    });
-    
-    // Sort months chronologically
-    months.sort((a, b) => a.date - b.date);
-    
-    // Calculate market share percentages
-    Object.keys(result).forEach(month => {
-        const monthData = result[month];
-        const totalLoanAmount = monthData.total;
-        
-        if (totalLoanAmount > 0) {
-            Object.keys(monthData.lenders).forEach(lender => {
-                const lenderAmount = monthData.lenders[lender];
-                monthData.lenders[lender + '_pct'] = (lenderAmount / totalLoanAmount) * 100;
-            });
-        }
-    });
-    
-    // Log the months being displayed for debugging
-    console.log('Displaying months:', months.map(m => m.label).join(', '));
-    
-    return {
-        months: months.map(m => m.key),
-        monthLabels: months.map(m => m.label),
-        data: result
-    };
+    return MarketReports.groupByMonthAndLender(data, state.granularity);
 }
 
 // Find lenders who have market share in any month
 function findActiveLenders(monthlyData) {
-    // Find all lenders who have market share in any month
-    const lenderSet = new Set();
-    
-    Object.values(monthlyData.data).forEach(month => {
-        Object.keys(month.lenders).forEach(lender => {
-            // Only include actual lender names, not percentage keys
-            if (!lender.endsWith('_pct')) {
-                lenderSet.add(lender);
-            }
-        });
-    });
-    
-    return Array.from(lenderSet).sort();
+    return MarketReports.findActiveLenders(monthlyData);
 }
 
 // Find lenders who were in the top 5 by market share at any point during the time range
 function findTopLenders(monthlyData, maxLenders = 5) {
-    // Track which lenders were in the top N for any month
-    const topLendersSet = new Set();
-    
-    // For each month, find the top lenders
-    Object.keys(monthlyData.data).forEach(month => {
-        const monthData = monthlyData.data[month];
-        const lenderShares = [];
-        
-        // Get all lenders and their market share percentages for this month
-        Object.keys(monthData.lenders).forEach(lender => {
-            // Only include actual lender names, not percentage keys
-            if (!lender.endsWith('_pct')) {
-                lenderShares.push({
-                    lender: lender,
-                    share: monthData.lenders[lender + '_pct'] || 0
-                });
-            }
-        });
-        
-        // Sort by market share (descending)
-        lenderShares.sort((a, b) => b.share - a.share);
-        
-        // Add the top N lenders to our set
-        lenderShares.slice(0, maxLenders).forEach(item => {
-            topLendersSet.add(item.lender);
-        });
-    });
-    
-    // Convert set to sorted array
-    return Array.from(topLendersSet).sort();
+    return MarketReports.findTopLenders(monthlyData, maxLenders);
 }
 
 // Render the market share trends chart
@@ -4602,7 +5569,7 @@ function renderTrendsChart(monthlyData, lenders) {
         // Add a note about showing only top lenders
         const noteDiv = document.createElement('div');
         noteDiv.className = 'chart-note';
-        noteDiv.textContent = `Showing lenders who were in the top 5 by market share at any point during the selected time range. Total lenders shown: ${lenders.length}`;
+        noteDiv.textContent = `Showing lenders who were in the top 5 by market share at any point during the selected time range${state.benchmarkSettings.lender ? ', and our lender' : ''}. Total lenders shown: ${lenders.length}`;
         elements.marketShareTrendsChart.insertBefore(noteDiv, canvas);
         
         // Prepare datasets for each lender
@@ -4627,7 +5594,7 @@ function renderTrendsChart(monthlyData, lenders) {
             });
             
             // Create dataset
-            datasets.push({
+            datasets.push(styleHomeLenderLine({
                 label: lender,
                 data: data,
                 borderColor: color,
@@ -4635,7 +5602,7 @@ function renderTrendsChart(monthlyData, lenders) {
                 pointBackgroundColor: color,
                 pointRadius: 4,
                 tension: 0.3 // Makes the line curved
-            });
+            }));
         });
         
         // Prepare lender data for tooltips
@@ -4689,9 +5656,9 @@ function createFallbackTable(monthlyData, lenders) {
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
     
-    // Add Month header
+    // Add the period header, e.g. Month or Week
     const monthHeader = document.createElement('th');
-    monthHeader.textContent = 'Month';
+    monthHeader.textContent = MarketReports.trendsPeriodColumn(monthlyData);
     headerRow.appendChild(monthHeader);
     
     // Add lender headers
@@ -4761,7 +5728,7 @@ function exportTrendsData() {
     }
     
     // Validate date filters
-    // Note: state.filters.dateRange stores dates in 'YYYY-MM' format strings, not Date objects
+    // Note: state.filters.dateRange stores days as 'YYYY-MM-DD' strings (months as 'YYYY-MM' in older views), not Date objects
     if (!state.filters.dateRange || !state.filters.dateRange[0] || !state.filters.dateRange[1]) {
         showError('Invalid date range. Please set a valid date range in the filters.');
         return;
@@ -4774,13 +5741,8 @@ function exportTrendsData() {
     
     setTimeout(() => {
         // Get data filtered by the main date range filter
-        const filteredByDate = state.esisData.filter(record => {
-            // Skip records with invalid dates
-            if (!record.Month) return false;
-            
-            // Filter by month string (YYYY-MM format)
-            return record.Month >= state.filters.dateRange[0] && record.Month <= state.filters.dateRange[1];
-        });
+        const filteredByDate = LenderTaxonomy.groupRecords(state.esisData, state.lenderTaxonomy, state.lenderGrouping)
+            .filter(TimePeriods.createDateRangeMatcher(state.filters.dateRange));
         
         if (filteredByDate.length === 0) {
             // Restore original chart content
@@ -4801,7 +5763,7 @@ function exportTrendsData() {
             return;
         }
         
-        // Group data by month and lender
+        // Group data by time period and lender
         const monthlyData = groupByMonthAndLender(filteredData);
         
         // Find active lenders
@@ -4815,7 +5777,7 @@ function exportTrendsData() {
         }
         
         // Create CSV content
-        let csvContent = 'Month,';
+        let csvContent = `${MarketReports.trendsPeriodColumn(monthlyData)},`;
         
         // Add header row with lender names
         lenders.forEach(lender => {
@@ -4858,6 +5820,271 @@ function exportTrendsData() {
     }, 10);
 }
 
+// Data Quality Functions
+/**
+ * Renders the Data Quality section for an upload
+ * @param {Array} records - Enriched records from the pipeline
+ * @param {Object} diagnostics - Pipeline diagnostics
+ */
+function renderDataQuality(records, diagnostics) {
+    const report = DataQuality.buildDataQualityReport(records, diagnostics);
+    const count = value => value.toLocaleString();
+    const amount = value => `£${(value / 1000000).toFixed(2)}m`;
+    const percent = value => `${value.toFixed(1)}%`;
+    const formatters = { count, amount, percent };
+    const checkColumns = [
+        { key: 'check', title: 'Check' },
+        { key: 'value', title: 'Value' }
+    ];
+    const formatChecks = rows => rows.map(row => ({ check: row.check, value: formatters[row.unit](row.value) }));
+    
+    renderDataQualityTable(elements.dataQualityOverview, formatChecks(report.overview), checkColumns);
+    
+    renderDataQualityTable(elements.dataQualityExclusions, report.exclusions, [
+        { key: 'reason', title: 'Reason' },
+        { key: 'records', title: 'Records', format: count },
+        { key: 'loanAmount', title: 'Loan Amount', format: amount }
+    ], 'No records were excluded.');
+    
+    renderDataQualityTable(elements.dataQualityTerms, report.productTerms, [
+        { key: 'label', title: 'Term' },
+        { key: 'records', title: 'Records', format: count },
+        { key: 'percentage', title: 'Share', format: percent }
+    ], 'No records were analysed.');
+    
+    renderDataQualityTable(elements.dataQualityLtv, formatChecks(report.ltv), checkColumns, 'The upload has no LTV data.');
+    
+    renderDataQualityTable(elements.dataQualityUnits, report.units, [
+        { key: 'column', title: 'Column' },
+        { key: 'lender', title: 'Lender' },
+        { key: 'unit', title: 'Unit' },
+        { key: 'source', title: 'Decided By' },
+        { key: 'records', title: 'Records', format: count },
+        { key: 'ambiguous', title: 'Ambiguous', format: count }
+    ], 'The upload has no rate or LTV values.');
+    
+    renderDuplicateGroups(report.duplicateGroups, amount);
+    
+    renderDataQualityTable(elements.dataQualityMissingSwaps, report.missingSwapDates, [
+        { key: 'label', title: 'Month' },
+        { key: 'records', title: 'Records Without Swap Rate', format: count }
+    ], 'Every dated record found a swap rate.');
+    
+    // Replace the charts of the previous upload
+    state.dataQualityCharts.forEach(chart => chart.destroy());
+    state.dataQualityCharts = [
+        renderDataQualityChart(elements.dataQualityExclusionsChart, 'bar',
+            report.exclusions.map(row => row.reason), report.exclusions.map(row => row.records)),
+        renderDataQualityChart(elements.dataQualityTermsChart, 'doughnut',
+            report.productTerms.map(row => row.label), report.productTerms.map(row => row.records)),
+        renderDataQualityChart(elements.dataQualityMissingSwapsChart, 'bar',
+            report.missingSwapDates.map(row => row.label), report.missingSwapDates.map(row => row.records))
+    ].filter(Boolean);
+    
+    if (elements.exportExclusionsBtn) {
+        elements.exportExclusionsBtn.disabled = state.excludedRecords.length === 0;
+    }
+    if (elements.exportDuplicatesBtn) {
+        elements.exportDuplicatesBtn.disabled = report.duplicateGroups.length === 0;
+    }
+}
+
+/**
+ * Renders the duplicate groups review table: one expandable row per group,
+ * with the kept record first and then each dropped one
+ * @param {Array} groups - Rows from DataQuality.summarizeDuplicateGroups
+ * @param {Function} formatAmount - Formats a loan amount
+ */
+function renderDuplicateGroups(groups, formatAmount) {
+    state.duplicateGroups = groups;
+    if (state.duplicatesTable) {
+        state.duplicatesTable.destroy();
+        state.duplicatesTable = null;
+    }
+    if (!elements.dataQualityDuplicates) return;
+    elements.dataQualityDuplicates.innerHTML = '';
+    
+    const dropped = groups.reduce((sum, group) => sum + group.records - 1, 0);
+    const droppedLoanAmount = groups.reduce((sum, group) => sum + group.droppedLoanAmount, 0);
+    const rule = Deduplication.describeDedupeRule(state.dedupeRule);
+    if (elements.dataQualityDuplicatesSummary) {
+        elements.dataQualityDuplicatesSummary.textContent = groups.length > 0
+            ? `${groups.length.toLocaleString()} groups collapsed, dropping ${dropped.toLocaleString()} records (${formatAmount(droppedLoanAmount)}). Rule: ${rule}.`
+            : `No duplicates found. Rule: ${rule}.`;
+    }
+    if (groups.length === 0) return;
+    
+    const recordColumns = ({ lender, documentDate, loan, rate, ltv, caseReference }) =>
+        ({ lender, documentDate, loan, rate, ltv, caseReference });
+    const tableData = groups.map(group => Object.assign(recordColumns(group.members[0]), {
+        label: `Group ${group.group}`,
+        matchedOn: group.matchedOn,
+        records: group.records,
+        droppedLoanAmount: group.droppedLoanAmount,
+        _children: group.members.map(member => Object.assign(recordColumns(member), { label: member.status }))
+    }));
+    
+    state.duplicatesTable = new Tabulator(elements.dataQualityDuplicates, {
+        data: tableData,
+        dataTree: true,
+        dataTreeStartExpanded: false,
+        layout: 'fitColumns',
+        pagination: true,
+        paginationSize: 20,
+        columns: [
+            { title: 'Group', field: 'label', headerSort: false },
+            { title: 'Matched On', field: 'matchedOn', headerSort: false },
+            { title: 'Records', field: 'records', hozAlign: 'right' },
+            { title: 'Dropped Loan Amount', field: 'droppedLoanAmount', hozAlign: 'right',
+                formatter: cell => (cell.getValue() === undefined ? '' : formatAmount(cell.getValue())) },
+            { title: 'Lender', field: 'lender' },
+            { title: 'Document Date', field: 'documentDate' },
+            { title: 'Loan', field: 'loan', hozAlign: 'right' },
+            { title: 'Rate', field: 'rate', hozAlign: 'right' },
+            { title: 'LTV', field: 'ltv', hozAlign: 'right' },
+            { title: 'Case Reference', field: 'caseReference' }
+        ]
+    });
+}
+
+/**
+ * Renders rows as a simple table, or a message when there are none
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Columns as { key, title, format }
+ * @param {string} [emptyMessage] - Text shown when there are no rows
+ */
+function renderDataQualityTable(container, rows, columns, emptyMessage) {
+    if (!container) return;
+    container.innerHTML = '';
+    
+    if (rows.length === 0) {
+        const message = document.createElement('p');
+        message.className = 'data-quality-empty';
+        message.textContent = emptyMessage || 'No data.';
+        container.appendChild(message);
+        return;
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'data-quality-table';
+    
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.title;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        if (row.lender !== undefined && isHomeLender(row.lender)) {
+            tr.classList.add('home-lender');
+        }
+        columns.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = column.format ? column.format(row[column.key]) : row[column.key];
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    container.appendChild(table);
+}
+
+/**
+ * Draws a single-series Data Quality chart
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {string} type - Chart.js chart type ('bar' or 'doughnut')
+ * @param {Array} labels - Category labels
+ * @param {Array} data - Record counts per label
+ * @returns {Chart|null} The chart, or null when there is nothing to draw
+ */
+function renderDataQualityChart(canvas, type, labels, data) {
+    if (!canvas) return null;
+    canvas.parentElement.classList.toggle('hidden', labels.length === 0);
+    if (labels.length === 0) return null;
+    
+    return new Chart(canvas.getContext('2d'), {
+        type: type,
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Records',
+                data: data,
+                backgroundColor: type === 'doughnut' ? labels.map(() => getRandomColor()) : '#3498db'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: type === 'doughnut', position: 'right' }
+            }
+        }
+    });
+}
+
+/**
+ * Saves CSV text as a file download
+ * @param {string} csvContent - CSV text
+ * @param {string} fileName - Name of the downloaded file
+ */
+function downloadCsv(csvContent, fileName) {
+    downloadFile(csvContent, fileName, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Saves text as a file download
+ * @param {string} content - File text
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} type - MIME type of the file
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads every excluded record of the last upload with its exclusion reason
+ */
+function exportExcludedRecords() {
+    if (state.excludedRecords.length === 0) {
+        showError('No records were excluded from the last upload.');
+        return;
+    }
+    
+    downloadCsv(DataQuality.excludedRecordsToCsv(state.excludedRecords), 'excluded_records.csv');
+    console.log(`Exported ${state.excludedRecords.length} excluded records`);
+}
+
+/**
+ * Downloads the duplicate groups of the last upload, one row per record
+ */
+function exportDuplicateGroups() {
+    if (state.duplicateGroups.length === 0) {
+        showError('No duplicate records were found in the last upload.');
+        return;
+    }
+    
+    downloadCsv(DataQuality.duplicateGroupsToCsv(state.duplicateGroups), 'duplicate_groups.csv');
+    console.log(`Exported ${state.duplicateGroups.length} duplicate groups`);
+}
+
 // Export Functions
 function exportData() {
     if (!state.table) return;
@@ -4868,6 +6095,7 @@ function exportData() {
 // UI Helper Functions
 function showLoading(show) {
     if (show) {
+        updateProgress(null);
         elements.loadingIndicator.classList.remove('hidden');
         elements.analyzeBtn.disabled = true;
     } else {
@@ -4980,11 +6208,6 @@ function dismissSuccessMessage() {
     }
 }
 
-function formatMonth(monthStr) {
-    const date = new Date(monthStr + '-01');
-    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-}
-
 function validatePremiumRange() {
     const min = parseInt(elements.premiumMin.value);
     const max = parseInt(elements.premiumMax.value);
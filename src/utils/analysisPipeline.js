@@ -0,0 +1,913 @@
+/**
+ * Analysis pipeline for the Mortgage Market Analysis Tool
+ *
+ * Pure, DOM-free implementation of the ESIS to premium-band pipeline:
+ * deduplication, field mapping, swap rate matching (interpolated across the
+ * swap curve, see swapCurve.js), premium calculation, premium banding and
+ * aggregation by premium band and month.
+ *
+ * The browser loads this file with a plain <script> tag, which exposes it as
+ * the global `AnalysisPipeline`; Node scripts and tests require() it. Both
+ * therefore produce the same enriched records and aggregates.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./premiumBands'),
+      require('./swapCurve'),
+      require('./columnMapping'),
+      require('./rateUnits'),
+      require('./deduplication'),
+      require('./timePeriods')
+    );
+  } else {
+    root.AnalysisPipeline = factory(root.PremiumBands, root.SwapCurve, root.ColumnMapping, root.RateUnits, root.Deduplication, root.TimePeriods);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PremiumBands, SwapCurve, ColumnMapping, RateUnits, Deduplication, TimePeriods) {
+  const DEFAULT_BAND_SCHEME = PremiumBands.createBandScheme();
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  // How many records enrichEsisData processes between progress reports
+  const PROGRESS_INTERVAL = 10000;
+
+  // Why a record was left out of the analysis, as reported in the excluded records list
+  const EXCLUSION_REASONS = {
+    duplicate: 'Duplicate',
+    rightToBuy: 'Right to Buy',
+    noTieInPeriod: 'No tie-in period',
+    noDocumentDate: 'No document date',
+    noSwapRate: 'No matching swap rate',
+    outsideSwapCurve: 'Term outside the swap curve',
+    ambiguousRateUnit: 'Ambiguous rate unit'
+  };
+
+  // Excel stores dates as days since 1899-12-30
+  const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+  /**
+   * Creates an empty swap rate tracking object
+   * @returns {Object} Tracking counters for records excluded during enrichment
+   */
+  function createSwapRateTracking() {
+    return {
+      excludedRecords: 0,
+      excludedLoanAmount: 0,
+      missingDateRanges: {},
+      unknownTermRecords: 0,
+      unknownTermLoanAmount: 0,
+      outsideCurveRecords: 0,
+      outsideCurveLoanAmount: 0,
+      ambiguousRateRecords: 0,
+      methodCounts: {}
+    };
+  }
+
+  /**
+   * Removes duplicate ESIS records under a deduplication rule, see deduplication.js
+   * @param {Array} records - Raw ESIS records
+   * @param {Object|string} [rule] - Rule or preset name; defaults to keying on `id`, else Provider/DocumentDate/Loan
+   * @returns {Object} Object with unique records, the dropped duplicates and the collapsed duplicate groups
+   */
+  function deduplicateRecords(records, rule) {
+    return Deduplication.deduplicateRecords(records, rule);
+  }
+
+  /**
+   * Extracts the YYYY-MM month key from a date
+   * @param {Date} date - The date to extract the month from
+   * @returns {string} Month key in YYYY-MM format
+   */
+  function extractMonth(date) {
+    return date.toISOString().substring(0, 7);
+  }
+
+  /**
+   * Converts a value to a Date, returning null when it cannot be parsed
+   * @param {Date|string|number} value - The value to convert
+   * @returns {Date|null} Parsed date or null
+   */
+  function toDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Parses a swap rate date, including Excel serial day numbers
+   * @param {Date|string|number} value - The raw date value from the swap file
+   * @returns {Date|null} Parsed date or null
+   */
+  function parseSwapDate(value) {
+    if (typeof value === 'number' && value > 0 && value < 100000) {
+      return new Date(EXCEL_EPOCH_MS + Math.round(value * MS_PER_DAY));
+    }
+    return toDate(value);
+  }
+
+  /**
+   * Reads the raw LTV of an ESIS record across the known field spellings
+   * @param {Object} record - ESIS record
+   * @returns {*} Raw LTV value, undefined when the record has none
+   */
+  function rawLtv(record) {
+    if (record.LTV !== undefined) {
+      return record.LTV;
+    }
+    if (record.Loan_To_Value !== undefined) {
+      return record.Loan_To_Value;
+    }
+    if (record['Loan-to-Value'] !== undefined) {
+      return record['Loan-to-Value'];
+    }
+    return record.loan_to_value;
+  }
+
+  /**
+   * Reads the raw rate of an ESIS record, preferring Rate to InitialRate
+   * @param {Object} record - ESIS record
+   * @returns {*} Raw rate value, undefined when the record has none
+   */
+  function rawRate(record) {
+    if (record.Rate !== undefined && record.Rate !== null) {
+      return record.Rate;
+    }
+    return record.InitialRate;
+  }
+
+  /**
+   * Creates an empty per-lender unit summary for a column
+   * @param {Object} detection - Result of RateUnits.detectUnits
+   * @returns {Object} Summary with the file-level unit and per-lender rows keyed by lender
+   */
+  function createUnitSummary(detection) {
+    return { column: detection.column, unit: detection.unit, mixed: detection.mixed, lenders: new Map() };
+  }
+
+  /**
+   * Counts a record against its lender in a unit summary
+   * @param {Object} summary - Summary from createUnitSummary
+   * @param {string} lender - Record's lender
+   * @param {Object} resolved - Resolved { unit, source } for the lender
+   * @param {boolean} ambiguous - Whether the record was flagged
+   */
+  function countUnit(summary, lender, resolved, ambiguous) {
+    if (!summary.lenders.has(lender)) {
+      summary.lenders.set(lender, { lender, unit: resolved.unit, source: resolved.source, records: 0, ambiguous: 0 });
+    }
+    const row = summary.lenders.get(lender);
+    row.records++;
+    if (ambiguous) {
+      row.ambiguous++;
+    }
+  }
+
+  /**
+   * Finishes a unit summary for diagnostics
+   * @param {Object} summary - Summary from createUnitSummary
+   * @returns {Object} { column, unit, mixed, ambiguous, lenders } with lenders sorted by name
+   */
+  function finishUnitSummary(summary) {
+    const lenders = [...summary.lenders.values()].sort((a, b) => a.lender.localeCompare(b.lender));
+    return {
+      column: summary.column,
+      unit: summary.unit,
+      mixed: summary.mixed,
+      ambiguous: lenders.reduce((sum, row) => sum + row.ambiguous, 0),
+      lenders
+    };
+  }
+
+  /**
+   * Maps ESIS field names and values to the standardized format used downstream
+   * Rate and LTV units are detected per column across the file, and per lender
+   * when the file mixes units (see rateUnits.js). Each record gets RateUnit,
+   * RateUnitSource and RateUnitAmbiguous, and LTVUnit and LTVUnitAmbiguous;
+   * StandardizedLTV is only set when the LTV is plausible in its unit.
+   * @param {Array} records - Deduplicated ESIS records
+   * @param {Object} [options] - Options
+   * @param {Array} [options.unitOverrides] - Unit overrides as { source, column, unit }, see RateUnits
+   * @returns {Object} Object with mapped records, LTV statistics (null if no LTV data) and
+   *   per-lender unit summaries for Rate and LTV
+   * @throws {Error} If a unit override is invalid
+   */
+  function mapFieldNames(records, options = {}) {
+    const overrides = RateUnits.normalizeOverrides(options.unitOverrides);
+    const ltvData = {
+      total: 0,
+      count: 0,
+      below80Count: 0,
+      above80Count: 0,
+      missingCount: 0,
+      ambiguousCount: 0
+    };
+
+    const ltvValues = [];
+    const rateValues = [];
+    const mapped = (records || []).map(record => {
+      const mappedRecord = { ...record };
+
+      // 1. Ensure DocumentDate is a Date object, falling back to Timestamp
+      mappedRecord.DocumentDate = toDate(record.DocumentDate) || toDate(record.Timestamp);
+
+      // 2. Read LTV across the known field spellings; it is standardized once units are known
+      ltvValues.push(RateUnits.parseValue(rawLtv(record)));
+      rateValues.push(RateUnits.parseValue(rawRate(record)));
+
+      // 3. Derive Month and Day
+      mappedRecord.Month = mappedRecord.DocumentDate ? extractMonth(mappedRecord.DocumentDate) : null;
+      mappedRecord.Day = TimePeriods.dayKey(mappedRecord.DocumentDate);
+
+      // 4. Standardize lender fields
+      if (typeof record.BaseLender === 'string' && record.BaseLender.trim() !== '') {
+        mappedRecord.Provider = record.BaseLender.trim();
+        mappedRecord.BaseLender = record.BaseLender.trim();
+      } else if (typeof record.Provider === 'string' && record.Provider.trim() !== '') {
+        mappedRecord.BaseLender = record.Provider.trim();
+        mappedRecord.Provider = record.Provider.trim();
+      } else {
+        mappedRecord.Provider = '';
+        mappedRecord.BaseLender = '';
+      }
+
+      // 5. Standardize ProductType/Mortgage_Type
+      if (record.Mortgage_Type && !record.ProductType) {
+        mappedRecord.ProductType = record.Mortgage_Type;
+      } else if (record.ProductType && !record.Mortgage_Type) {
+        mappedRecord.Mortgage_Type = record.ProductType;
+      }
+
+      // 6. Ensure InitialRate and Loan are numbers
+      mappedRecord.InitialRate = parseFloat(rawRate(record));
+      if (isNaN(mappedRecord.InitialRate)) {
+        mappedRecord.InitialRate = 0;
+      }
+
+      mappedRecord.Loan = parseFloat(record.Loan);
+      if (isNaN(mappedRecord.Loan)) {
+        mappedRecord.Loan = 0;
+      }
+
+      return mappedRecord;
+    });
+
+    // 7. Resolve Rate and LTV units per lender and flag values implausible in their unit
+    const lenders = mapped.map(record => record.Provider);
+    const rateDetection = RateUnits.detectUnits(rateValues, lenders, 'Rate');
+    const ltvDetection = RateUnits.detectUnits(ltvValues, lenders, 'LTV');
+    const resolveRateUnit = RateUnits.createUnitResolver(rateDetection, overrides);
+    const resolveLtvUnit = RateUnits.createUnitResolver(ltvDetection, overrides);
+    const rateSummary = createUnitSummary(rateDetection);
+    const ltvSummary = createUnitSummary(ltvDetection);
+
+    mapped.forEach((record, index) => {
+      const rate = rateValues[index];
+      const rateUnit = resolveRateUnit(record.Provider);
+      record.RateUnit = rateUnit.unit;
+      record.RateUnitSource = rateUnit.source;
+      record.RateUnitAmbiguous = RateUnits.hasValue(rate) &&
+        (!rateUnit.unit || !RateUnits.isPlausible(rate, rateUnit.unit, 'Rate'));
+      if (RateUnits.hasValue(rate)) {
+        countUnit(rateSummary, record.Provider, rateUnit, record.RateUnitAmbiguous);
+      }
+
+      const ltv = ltvValues[index];
+      if (isNaN(ltv)) {
+        ltvData.missingCount++;
+        return;
+      }
+      const ltvUnit = resolveLtvUnit(record.Provider);
+      record.LTVUnit = ltvUnit.unit;
+      record.LTVUnitAmbiguous = !ltvUnit.unit || !RateUnits.isPlausible(ltv, ltvUnit.unit, 'LTV');
+      countUnit(ltvSummary, record.Provider, ltvUnit, record.LTVUnitAmbiguous);
+      if (record.LTVUnitAmbiguous) {
+        ltvData.ambiguousCount++;
+        return;
+      }
+
+      const standardizedLtv = RateUnits.toDecimal(ltv, ltvUnit.unit) * 100;
+      ltvData.total += standardizedLtv;
+      ltvData.count++;
+      if (standardizedLtv < 80) {
+        ltvData.below80Count++;
+      } else {
+        ltvData.above80Count++;
+      }
+      record.StandardizedLTV = standardizedLtv;
+    });
+
+    let ltvStats = null;
+    if (ltvData.count > 0) {
+      ltvStats = {
+        avgLTV: ltvData.total / ltvData.count,
+        below80Percent: (ltvData.below80Count / ltvData.count) * 100,
+        above80Percent: (ltvData.above80Count / ltvData.count) * 100,
+        recordsWithLTV: ltvData.count,
+        recordsMissingLTV: ltvData.missingCount,
+        recordsAmbiguousLTV: ltvData.ambiguousCount
+      };
+    }
+
+    return {
+      records: mapped,
+      ltvStats,
+      units: { Rate: finishUnitSummary(rateSummary), LTV: finishUnitSummary(ltvSummary) }
+    };
+  }
+
+  /**
+   * Normalizes swap rate rows from either the CSV or XLSX layout
+   * CSV files use product_term_in_months/rate/effective_at, XLSX sheets use
+   * TieInPeriod/Rate/Date. A Date column wins over effective_at, which the
+   * XLSX parser fills from the file name. Rows without a valid date, term or
+   * rate are dropped.
+   * @param {Array} rows - Raw swap rate rows
+   * @returns {Array} Swap rates with Date effective_at and numeric term and rate
+   */
+  function normalizeSwapRates(rows) {
+    return (rows || [])
+      .map(row => {
+        let rawDate = row.Date !== undefined ? row.Date : row.effective_at;
+        if (rawDate === undefined) {
+          const dateField = Object.keys(row).find(key =>
+            key.toLowerCase().includes('date') ||
+            key.toLowerCase().includes('effective') ||
+            key.toLowerCase().includes('timestamp'));
+          rawDate = dateField ? row[dateField] : undefined;
+        }
+
+        const rawTerm = row.product_term_in_months !== undefined ? row.product_term_in_months : row.TieInPeriod;
+        const rawRate = row.rate !== undefined ? row.rate : row.Rate;
+
+        return {
+          ...row,
+          effective_at: parseSwapDate(rawDate),
+          product_term_in_months: parseInt(rawTerm, 10),
+          rate: parseFloat(rawRate)
+        };
+      })
+      .filter(swap =>
+        swap.effective_at instanceof Date &&
+        !isNaN(swap.product_term_in_months) &&
+        !isNaN(swap.rate));
+  }
+
+  /**
+   * Validates the pipeline inputs
+   * @param {Array} esisRecords - ESIS records
+   * @param {Array} swapRates - Swap rate records
+   * @returns {Array} Warnings about required ESIS fields (see ColumnMapping.ESIS_FIELDS) that the
+   *   first record has under none of their known column names
+   * @throws {Error} If either dataset is empty
+   */
+  function validateData(esisRecords, swapRates) {
+    if (!esisRecords || esisRecords.length === 0) {
+      throw new Error('ESIS data is empty or invalid');
+    }
+
+    if (!swapRates || swapRates.length === 0) {
+      throw new Error('Swap Rates data is empty or invalid');
+    }
+
+    const warnings = [];
+    const firstESISRecord = esisRecords[0];
+    ColumnMapping.ESIS_FIELDS.filter(definition => definition.required).forEach(definition => {
+      if (!definition.aliases.some(alias => alias in firstESISRecord)) {
+        warnings.push(`ESIS data is missing recommended field: ${definition.field}`);
+      }
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Checks whether a record is a Right to Buy product
+   * @param {Object} record - The ESIS record
+   * @returns {boolean} True if any descriptive field mentions Right to Buy
+   */
+  function isRightToBuy(record) {
+    const productType = (record.ProductType || record.Mortgage_Type || '').toLowerCase();
+    const purchaseType = (record.PurchaseType || '').toLowerCase();
+    const description = (record.Description || record.Product_Description || '').toLowerCase();
+
+    return productType.includes('right to buy') || productType.includes('rtb') ||
+      purchaseType.includes('right to buy') || purchaseType.includes('rtb') ||
+      description.includes('right to buy') || description.includes('rtb');
+  }
+
+  /**
+   * Normalizes product tie-in periods to product terms
+   * Fixes that end on a set date run up to 3 months past a whole number of
+   * years (e.g. 24-27 months for a 2-year fix), so those snap to the year.
+   * @param {string|number} tieInPeriod - The tie-in period from the product record
+   * @returns {number|null} Term in months (e.g. 24, 36, 60, 120), or null without a tie-in period
+   */
+  function normalizeProductTerm(tieInPeriod) {
+    const period = parseInt(tieInPeriod) || 0;
+    if (period <= 0) {
+      return null;
+    }
+
+    const overrun = period % 12;
+    if (period >= 12 && overrun <= 3) {
+      return period - overrun;
+    }
+    return period;
+  }
+
+  /**
+   * Records an ESIS record as excluded in the tracking object
+   * @param {Object} tracking - Swap rate tracking object
+   * @param {Object} esisRecord - The excluded record
+   */
+  function trackExclusion(tracking, esisRecord) {
+    tracking.excludedRecords++;
+    tracking.excludedLoanAmount += (esisRecord.Loan || 0);
+  }
+
+  // Curves built for swap rate arrays passed straight to findMatchingSwapRate
+  const curveCache = new WeakMap();
+
+  /**
+   * Returns the swap rate index for normalized swap rates, building it once per array
+   * Swap rate arrays must not be modified after they have been indexed.
+   * @param {Array|Object} swapRates - Normalized swap rates, or a curve from SwapCurve.buildSwapCurve
+   * @returns {Object} Swap curve indexed by tenor and date
+   */
+  function indexSwapRates(swapRates) {
+    if (SwapCurve.isSwapCurve(swapRates)) {
+      return swapRates;
+    }
+    const rates = swapRates || [];
+    if (!curveCache.has(rates)) {
+      curveCache.set(rates, SwapCurve.buildSwapCurve(rates));
+    }
+    return curveCache.get(rates);
+  }
+
+  /**
+   * Reads the swap rate for a term off the curve
+   * @param {Object} curve - Swap curve from indexSwapRates
+   * @param {Date} documentDate - ESIS document date
+   * @param {number} term - Product term in months
+   * @param {Object} policy - Policy from SwapCurve.createMatchingPolicy
+   * @param {string} interpolation - Interpolation method
+   * @param {boolean} extrapolate - Whether terms outside the curve take the nearest tenor's rate
+   * @returns {Object|null} Match as returned by findMatchingSwapRate, { outsideCurve: true } for a
+   *   term outside the curve without extrapolation, or null
+   */
+  function matchOnCurve(curve, documentDate, term, policy, interpolation, extrapolate) {
+    const points = SwapCurve.curveAsOf(curve, documentDate, policy);
+    if (!extrapolate && points.length > 0 && !SwapCurve.coversTerm(points, term)) {
+      return { outsideCurve: true };
+    }
+    const match = SwapCurve.interpolateRate(points, term, interpolation, { extrapolate });
+    if (!match) {
+      return null;
+    }
+
+    return {
+      rate: match.rate,
+      effective_at: match.effective_at,
+      lagDays: SwapCurve.lagInDays(documentDate, match.effective_at),
+      policy: policy.name,
+      product_term_in_months: term,
+      tenors: match.tenors,
+      method: match.method
+    };
+  }
+
+  /**
+   * Updates the tracking object with the outcome of a swap rate match
+   * @param {Object} tracking - Swap rate tracking object
+   * @param {Object} esisRecord - The matched record
+   * @param {Date} documentDate - The record's document date
+   * @param {Object|null} match - Match from matchOnCurve
+   */
+  function trackMatch(tracking, esisRecord, documentDate, match) {
+    if (match && match.outsideCurve) {
+      tracking.outsideCurveRecords++;
+      tracking.outsideCurveLoanAmount += (esisRecord.Loan || 0);
+      return;
+    }
+    if (!match) {
+      const yearMonth = extractMonth(documentDate);
+      tracking.missingDateRanges[yearMonth] = (tracking.missingDateRanges[yearMonth] || 0) + 1;
+      trackExclusion(tracking, esisRecord);
+      return;
+    }
+    tracking.methodCounts[match.method] = (tracking.methodCounts[match.method] || 0) + 1;
+  }
+
+  /**
+   * Finds the swap rate an ESIS record was priced against
+   * Reads the swap curve for the document date under the matching policy (by
+   * default each tenor's latest rate on or before it, else its first rate
+   * within 5 days) and interpolates the rate for the record's term, normalized
+   * as by normalizeProductTerm, across the tenors.
+   * @param {Object} esisRecord - The ESIS record (TieInPeriod in months)
+   * @param {Array|Object} swapRates - Normalized swap rates, or a curve from SwapCurve.buildSwapCurve
+   * @param {Object} tracking - Swap rate tracking object updated on exclusion
+   * @param {Object} [options] - Options
+   * @param {string} [options.interpolation='linear'] - 'linear' or 'monotone-cubic'
+   * @param {Object|string} [options.matchingPolicy='latest'] - Definition for SwapCurve.createMatchingPolicy
+   * @param {boolean} [options.extrapolate=false] - Price terms outside the curve off the nearest tenor
+   * @returns {Object|null} { rate, effective_at, lagDays, policy, product_term_in_months, tenors, method }
+   *   or null without a tie-in period, a document date or a swap rate for the term
+   */
+  function findMatchingSwapRate(esisRecord, swapRates, tracking = createSwapRateTracking(), options = {}) {
+    const term = normalizeProductTerm(esisRecord.TieInPeriod);
+    if (term === null) {
+      tracking.unknownTermRecords++;
+      tracking.unknownTermLoanAmount += (esisRecord.Loan || 0);
+      return null;
+    }
+
+    const documentDate = toDate(esisRecord.DocumentDate);
+    if (!documentDate) {
+      trackExclusion(tracking, esisRecord);
+      return null;
+    }
+
+    const match = matchOnCurve(
+      indexSwapRates(swapRates),
+      documentDate,
+      term,
+      SwapCurve.createMatchingPolicy(options.matchingPolicy),
+      options.interpolation || SwapCurve.DEFAULT_INTERPOLATION,
+      Boolean(options.extrapolate)
+    );
+    trackMatch(tracking, esisRecord, documentDate, match);
+    return match && !match.outsideCurve ? match : null;
+  }
+
+  /**
+   * Reads the initial rate of an ESIS record as a decimal
+   * The rate is read in the record's RateUnit, set by mapFieldNames. Records
+   * without one are classified by magnitude, and ambiguous rates are unreadable.
+   * @param {Object} esisRecord - The ESIS record
+   * @returns {number|null} Rate as a decimal, e.g. 0.0425, or null if it cannot be read
+   */
+  function readEsisRate(esisRecord) {
+    const esisRate = RateUnits.parseValue(rawRate(esisRecord));
+    // Records from mapFieldNames carry the unit resolved for their lender; a lone record is classified on its own
+    const unit = esisRecord.RateUnit !== undefined ? esisRecord.RateUnit : RateUnits.classifyValue(esisRate, 'Rate');
+    if (!unit || !RateUnits.isPlausible(esisRate, unit, 'Rate')) {
+      return null;
+    }
+    return RateUnits.toDecimal(esisRate, unit);
+  }
+
+  /**
+   * Calculates the premium of an ESIS rate over its swap rate in basis points
+   * Records whose rate readEsisRate cannot read get no premium.
+   * @param {Object} esisRecord - The ESIS record
+   * @param {Object} swapRate - The matching swap rate record (rate as a decimal)
+   * @returns {number|null} Premium in basis points or null if calculation not possible
+   */
+  function calculatePremiumOverSwap(esisRecord, swapRate) {
+    if (!swapRate) {
+      return null;
+    }
+
+    const esisRate = readEsisRate(esisRecord);
+    if (esisRate === null) {
+      return null;
+    }
+
+    const swapRateValue = typeof swapRate.rate === 'string' ? parseFloat(swapRate.rate) : swapRate.rate;
+
+    if (swapRateValue === undefined || isNaN(swapRateValue)) {
+      return null;
+    }
+
+    return Math.round((esisRate - swapRateValue) * 10000);
+  }
+
+  /**
+   * Assigns a premium band using a band scheme
+   * @param {number|null} premiumBps - Premium over swap in basis points
+   * @param {Object} [scheme] - Scheme from PremiumBands.createBandScheme; defaults to 20bps bands over -60..580
+   * @returns {string} Premium band label (e.g. '100-120') or 'Unknown'
+   */
+  function assignPremiumBand(premiumBps, scheme = DEFAULT_BAND_SCHEME) {
+    return PremiumBands.assignBand(premiumBps, scheme);
+  }
+
+  /**
+   * Reassigns premium bands on enriched records, e.g. after the band scheme changes
+   * @param {Array} records - Enriched ESIS records
+   * @param {Object} scheme - Scheme from PremiumBands.createBandScheme
+   * @returns {Array} New records with PremiumBand recalculated from PremiumOverSwap
+   */
+  function rebandRecords(records, scheme) {
+    return records.map(record => ({
+      ...record,
+      PremiumBand: assignPremiumBand(record.PremiumOverSwap, scheme)
+    }));
+  }
+
+  /**
+   * Reports enrichment progress to an onProgress callback
+   * @param {Function} [onProgress] - Callback; nothing is reported without one
+   * @param {number} processed - Records processed so far, including Right to Buy exclusions
+   * @param {number} total - Records to process
+   * @param {number} rightToBuyExcluded - Right to Buy records excluded
+   * @param {Object} tracking - Swap rate tracking from createSwapRateTracking
+   */
+  function reportEnrichment(onProgress, processed, total, rightToBuyExcluded, tracking) {
+    if (!onProgress) {
+      return;
+    }
+    onProgress({
+      phase: 'enriching',
+      processed,
+      total,
+      excluded: rightToBuyExcluded + tracking.unknownTermRecords + tracking.ambiguousRateRecords +
+        tracking.outsideCurveRecords + tracking.excludedRecords
+    });
+  }
+
+  /**
+   * Enriches mapped ESIS records with swap rate, premium, premium band and month
+   * Each record also gets an audit trail of its swap rate: MatchedSwapDate,
+   * SwapLagDays and SwapPolicy for the fixing used, and SwapTenors and
+   * SwapMethod for how the rate was read off the curve. Right to Buy products, records without a
+   * tie-in period, records flagged by mapFieldNames as having an ambiguous rate unit, records whose
+   * term is outside the swap curve (unless extrapolating) and records without a matching swap rate
+   * are excluded, and listed with the reason in `excluded`.
+   * @param {Array} records - Mapped ESIS records
+   * @param {Array|Object} swapRates - Normalized swap rates, or a prebuilt curve from indexSwapRates
+   * @param {Object} [options] - Options
+   * @param {Object} [options.bandScheme] - Premium band scheme; defaults to 20bps bands
+   * @param {string} [options.interpolation='linear'] - Swap curve interpolation, 'linear' or 'monotone-cubic'
+   * @param {Object|string} [options.matchingPolicy='latest'] - Swap matching policy, see SwapCurve.MATCHING_POLICIES
+   * @param {boolean} [options.extrapolate=false] - Price terms outside the swap curve flat off the nearest tenor
+   *   instead of excluding them
+   * @param {Function} [options.onProgress] - Called every 10,000 records and once at the end with
+   *   { phase: 'enriching', processed, total, excluded }
+   * @returns {Object} Object with enriched records, Right to Buy count, swap rate tracking and
+   *   the excluded records as { reason, record }
+   */
+  function enrichEsisData(records, swapRates, options = {}) {
+    const bandScheme = options.bandScheme || DEFAULT_BAND_SCHEME;
+    const tracking = createSwapRateTracking();
+    const excluded = [];
+    const eligible = [];
+    (records || []).forEach(record => {
+      if (isRightToBuy(record)) {
+        excluded.push({ reason: EXCLUSION_REASONS.rightToBuy, record });
+      } else {
+        eligible.push(record);
+      }
+    });
+    const total = (records || []).length;
+    const rightToBuyExcluded = excluded.length;
+
+    const curve = indexSwapRates(swapRates);
+    if (curve.tenors.length === 0) {
+      reportEnrichment(options.onProgress, total, total, rightToBuyExcluded, tracking);
+      return {
+        records: eligible.map(record => ({
+          ...record,
+          SwapRate: null,
+          PremiumOverSwap: null,
+          PremiumBand: assignPremiumBand(null, bandScheme),
+          Month: record.DocumentDate ? extractMonth(record.DocumentDate) : null,
+          Day: TimePeriods.dayKey(record.DocumentDate)
+        })),
+        rightToBuyExcluded,
+        swapRateTracking: tracking,
+        excluded
+      };
+    }
+
+    const policy = SwapCurve.createMatchingPolicy(options.matchingPolicy);
+    const interpolation = options.interpolation || SwapCurve.DEFAULT_INTERPOLATION;
+    const extrapolate = Boolean(options.extrapolate);
+
+    // Records with the same term and document date share a match (term -> time -> match),
+    // so each is read off the curve once
+    const matches = new Map();
+
+    const enriched = [];
+    eligible.forEach((record, index) => {
+      if (index > 0 && index % PROGRESS_INTERVAL === 0) {
+        reportEnrichment(options.onProgress, rightToBuyExcluded + index, total, rightToBuyExcluded, tracking);
+      }
+
+      const normalizedTerm = normalizeProductTerm(record.TieInPeriod);
+      if (normalizedTerm === null) {
+        tracking.unknownTermRecords++;
+        tracking.unknownTermLoanAmount += (record.Loan || 0);
+        excluded.push({ reason: EXCLUSION_REASONS.noTieInPeriod, record });
+        return;
+      }
+
+      const documentDate = record.DocumentDate instanceof Date ? record.DocumentDate : toDate(record.DocumentDate);
+      if (!documentDate || isNaN(documentDate.getTime())) {
+        trackExclusion(tracking, record);
+        excluded.push({ reason: EXCLUSION_REASONS.noDocumentDate, record });
+        return;
+      }
+
+      if (record.RateUnitAmbiguous) {
+        tracking.ambiguousRateRecords++;
+        excluded.push({ reason: EXCLUSION_REASONS.ambiguousRateUnit, record });
+        return;
+      }
+
+      if (!matches.has(normalizedTerm)) {
+        matches.set(normalizedTerm, new Map());
+      }
+      const termMatches = matches.get(normalizedTerm);
+      const time = documentDate.getTime();
+      if (!termMatches.has(time)) {
+        termMatches.set(time, matchOnCurve(curve, documentDate, normalizedTerm, policy, interpolation, extrapolate));
+      }
+      const swapRate = termMatches.get(time);
+      trackMatch(tracking, record, documentDate, swapRate);
+      if (swapRate && swapRate.outsideCurve) {
+        excluded.push({ reason: EXCLUSION_REASONS.outsideSwapCurve, record });
+        return;
+      }
+      if (!swapRate) {
+        excluded.push({ reason: EXCLUSION_REASONS.noSwapRate, record });
+        return;
+      }
+
+      // Object.assign rather than spread: V8 is far slower spreading into a literal with this many extra keys
+      const premiumBps = calculatePremiumOverSwap(record, swapRate);
+      enriched.push(Object.assign({}, record, {
+        NormalizedTerm: normalizedTerm,
+        SwapRate: swapRate.rate,
+        MatchedSwapDate: swapRate.effective_at,
+        SwapLagDays: swapRate.lagDays,
+        SwapPolicy: swapRate.policy,
+        SwapTenors: swapRate.tenors,
+        SwapMethod: swapRate.method,
+        PremiumOverSwap: premiumBps,
+        PremiumBand: assignPremiumBand(premiumBps, bandScheme),
+        Month: record.Month || extractMonth(documentDate),
+        Day: record.Day || TimePeriods.dayKey(documentDate)
+      }));
+    });
+
+    reportEnrichment(options.onProgress, total, total, rightToBuyExcluded, tracking);
+    return { records: enriched, rightToBuyExcluded, swapRateTracking: tracking, excluded };
+  }
+
+  /**
+   * Aggregates loan amounts by premium band and time period
+   * The periods are listed under `months` and totalled under `byMonth` whatever
+   * the granularity, so month-based callers read every granularity alike.
+   * @param {Array} records - Enriched ESIS records
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year', see timePeriods.js
+   * @returns {Object} Object with granularity, premiumBands, months (period keys), data[band][period] and totals
+   * @throws {Error} If the granularity is unknown
+   */
+  function aggregateByPremiumBandAndMonth(records, granularity = TimePeriods.DEFAULT_GRANULARITY) {
+    TimePeriods.validateGranularity(granularity);
+    const aggregatedData = {
+      granularity,
+      premiumBands: [],
+      months: [],
+      data: {},
+      totals: {
+        byPremiumBand: {},
+        byMonth: {},
+        overall: 0
+      }
+    };
+
+    if (!records || !Array.isArray(records) || records.length === 0) {
+      return aggregatedData;
+    }
+
+    aggregatedData.premiumBands = PremiumBands.sortBands([...new Set(records.map(r => r.PremiumBand).filter(Boolean))]);
+    const periods = records.map(r => TimePeriods.recordPeriod(r, granularity));
+    aggregatedData.months = [...new Set(periods.filter(Boolean))].sort();
+
+    aggregatedData.premiumBands.forEach(band => {
+      aggregatedData.data[band] = {};
+      aggregatedData.totals.byPremiumBand[band] = 0;
+      aggregatedData.months.forEach(month => {
+        aggregatedData.data[band][month] = 0;
+      });
+    });
+
+    aggregatedData.months.forEach(month => {
+      aggregatedData.totals.byMonth[month] = 0;
+    });
+
+    records.forEach((record, index) => {
+      const period = periods[index];
+      if (record.PremiumBand && period && record.Loan && aggregatedData.data[record.PremiumBand]) {
+        aggregatedData.data[record.PremiumBand][period] += record.Loan;
+        aggregatedData.totals.byPremiumBand[record.PremiumBand] += record.Loan;
+        aggregatedData.totals.byMonth[period] += record.Loan;
+        aggregatedData.totals.overall += record.Loan;
+      }
+    });
+
+    return aggregatedData;
+  }
+
+  /**
+   * Counts enriched records by normalized product term
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Object} Counts of 2-year, 5-year and other term records
+   */
+  function summarizeProductTerms(records) {
+    const summary = { twoYear: 0, fiveYear: 0, other: 0, total: records.length };
+    records.forEach(record => {
+      if (record.NormalizedTerm === 24) {
+        summary.twoYear++;
+      } else if (record.NormalizedTerm === 60) {
+        summary.fiveYear++;
+      } else {
+        summary.other++;
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Runs the full pipeline from raw ESIS and swap rows to aggregates
+   * @param {Array} esisRows - Raw ESIS rows as parsed from the CSV
+   * @param {Array} swapRows - Raw swap rate rows from the CSV or XLSX file
+   * @param {Object} [options] - Options passed to enrichEsisData (bandScheme, interpolation, matchingPolicy,
+   *   extrapolate, onProgress); onProgress is also called with { phase: 'aggregating' } before aggregation
+   * @param {Object} [options.esisMapping] - Column mapping applied to the ESIS rows, see ColumnMapping
+   * @param {Object} [options.swapMapping] - Column mapping applied to the swap rate rows
+   * @param {Array} [options.unitOverrides] - Rate and LTV unit overrides passed to mapFieldNames
+   * @param {Object|string} [options.dedupeRule] - Deduplication rule or preset, see Deduplication
+   * @returns {Object} Object with enriched records, normalized swap rates, their swap curve index,
+   *   aggregates and diagnostics; diagnostics.excluded lists every dropped record with its reason
+   *   diagnostics.duplicateGroups the collapsed duplicate groups and diagnostics.units the Rate
+   *   and LTV units used per lender
+   * @throws {Error} If either dataset is empty after parsing
+   */
+  function runPipeline(esisRows, swapRows, options = {}) {
+    const esisInput = options.esisMapping ? ColumnMapping.applyMapping(esisRows, options.esisMapping, 'esis') : esisRows;
+    const swapInput = options.swapMapping ? ColumnMapping.applyMapping(swapRows, options.swapMapping, 'swap') : swapRows;
+
+    const deduplicated = deduplicateRecords(esisInput, options.dedupeRule);
+    const mapped = mapFieldNames(deduplicated.records, { unitOverrides: options.unitOverrides });
+    const swapRates = normalizeSwapRates(swapInput);
+    const warnings = validateData(mapped.records, swapRates);
+    const swapCurve = indexSwapRates(swapRates);
+    const enrichment = enrichEsisData(mapped.records, swapCurve, options);
+
+    if (options.onProgress) {
+      options.onProgress({ phase: 'aggregating', total: enrichment.records.length });
+    }
+
+    return {
+      records: enrichment.records,
+      swapRates,
+      swapCurve,
+      aggregates: aggregateByPremiumBandAndMonth(enrichment.records),
+      diagnostics: {
+        rawRecordCount: (esisRows || []).length,
+        duplicateCount: deduplicated.duplicates.length,
+        duplicateGroups: deduplicated.groups,
+        ltvStats: mapped.ltvStats,
+        units: mapped.units,
+        rightToBuyExcluded: enrichment.rightToBuyExcluded,
+        swapRateTracking: enrichment.swapRateTracking,
+        productTerms: summarizeProductTerms(enrichment.records),
+        excluded: deduplicated.duplicates
+          .map(record => ({ reason: EXCLUSION_REASONS.duplicate, record }))
+          .concat(enrichment.excluded),
+        warnings
+      }
+    };
+  }
+
+  return {
+    EXCLUSION_REASONS,
+    createSwapRateTracking,
+    deduplicateRecords,
+    extractMonth,
+    parseSwapDate,
+    mapFieldNames,
+    normalizeSwapRates,
+    validateData,
+    isRightToBuy,
+    normalizeProductTerm,
+    indexSwapRates,
+    findMatchingSwapRate,
+    readEsisRate,
+    calculatePremiumOverSwap,
+    assignPremiumBand,
+    rebandRecords,
+    enrichEsisData,
+    aggregateByPremiumBandAndMonth,
+    summarizeProductTerms,
+    runPipeline
+  };
+});
@@ -0,0 +1,138 @@
+/**
+ * Home lender benchmarking for the Mortgage Market Analysis Tool
+ *
+ * Benchmarks "our" lender against the market and an optional peer group, for
+ * the whole market and for each product term and LTV band: our rank by loan
+ * amount, our share, our loan-weighted premium over swap and its gap to the
+ * median premium of the peers. Without a peer group every other lender is a
+ * peer.
+ *
+ * Groups use the lender, product term and LTV band dimensions of
+ * pivotTable.js. Pure and DOM-free: loaded by the page as the global
+ * `Benchmark` (after ltvBands.js, pivotTable.js and premiumStats.js) and
+ * required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./ltvBands'), require('./pivotTable'), require('./premiumStats'));
+  } else {
+    root.Benchmark = factory(root.LtvBands, root.PivotTable, root.PremiumStats);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LtvBands, PivotTable, PremiumStats) {
+  // Dimensions the market is segmented by, after the whole market
+  const SEGMENT_DIMENSIONS = ['productTerm', 'ltvBand'];
+
+  /**
+   * Normalizes benchmark settings, as stored or entered
+   * @param {Object} [settings] - { lender, peers }
+   * @returns {Object} { lender: name or null, peers: distinct names without our lender }
+   */
+  function normalizeBenchmarkSettings(settings) {
+    const lender = settings && typeof settings.lender === 'string' && settings.lender.trim() !== '' ? settings.lender.trim() : null;
+    const peers = settings && Array.isArray(settings.peers) ? settings.peers : [];
+    return {
+      lender,
+      peers: [...new Set(peers.filter(peer => typeof peer === 'string' && peer.trim() !== '').map(peer => peer.trim()))]
+        .filter(peer => peer !== lender)
+    };
+  }
+
+  /**
+   * Finds the median of some numbers
+   * @param {Array} values - Numbers
+   * @returns {number|null} Median, or null without values
+   */
+  function median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Benchmarks our lender within one segment of the market
+   * @param {Array} records - Records of the segment
+   * @param {Object} settings - Normalized settings
+   * @returns {Object} { lenders, loanAmount, rank, share, premium, peers, peerMedian, gap }
+   */
+  function benchmarkSegment(records, settings) {
+    const byLender = new Map();
+    records.forEach(record => {
+      const lender = PivotTable.DIMENSIONS.lender.value(record);
+      if (!lender) return;
+      if (!byLender.has(lender)) {
+        byLender.set(lender, []);
+      }
+      byLender.get(lender).push(record);
+    });
+
+    const lenders = Array.from(byLender.keys()).map(lender => ({ lender, summary: PremiumStats.summarizePremiums(byLender.get(lender)) }))
+      .sort((a, b) => b.summary.loanAmount - a.summary.loanAmount || a.lender.localeCompare(b.lender));
+    const loanAmount = lenders.reduce((sum, lender) => sum + lender.summary.loanAmount, 0);
+    const ours = lenders.find(lender => lender.lender === settings.lender);
+
+    const isPeer = settings.peers.length > 0
+      ? lender => settings.peers.includes(lender)
+      : lender => lender !== settings.lender;
+    const peerPremiums = lenders
+      .filter(lender => isPeer(lender.lender) && lender.summary.mean !== null)
+      .map(lender => lender.summary.mean);
+    const peerMedian = median(peerPremiums);
+    const premium = ours ? ours.summary.mean : null;
+
+    return {
+      lenders: lenders.length,
+      loanAmount,
+      rank: ours ? lenders.indexOf(ours) + 1 : null,
+      share: ours && loanAmount > 0 ? (ours.summary.loanAmount / loanAmount) * 100 : 0,
+      premium,
+      peers: peerPremiums.length,
+      peerMedian,
+      gap: premium !== null && peerMedian !== null ? premium - peerMedian : null
+    };
+  }
+
+  /**
+   * Benchmarks our lender across the market and each product term and LTV band
+   * @param {Array} records - Enriched ESIS records (already filtered, across every lender)
+   * @param {Object} settings - { lender, peers }
+   * @param {Object} [options] - { ltvScheme: LTV band scheme }
+   * @returns {Array} Rows { dimension, segment, lenders, loanAmount, rank, share, premium, peers, peerMedian, gap },
+   *   the whole market first ('All'); share in percent, premiums and gap in bps
+   * @throws {Error} If no lender is set
+   */
+  function buildBenchmark(records, settings, options = {}) {
+    const normalized = normalizeBenchmarkSettings(settings);
+    if (!normalized.lender) {
+      throw new Error('Choose our lender to benchmark');
+    }
+    const context = { ltvScheme: options.ltvScheme || LtvBands.createLtvBandScheme() };
+
+    const rows = [Object.assign({ dimension: PremiumStats.ALL, segment: PremiumStats.ALL }, benchmarkSegment(records || [], normalized))];
+    SEGMENT_DIMENSIONS.forEach(name => {
+      const dimension = PivotTable.DIMENSIONS[name];
+      const segments = new Map();
+      (records || []).forEach(record => {
+        const segment = dimension.value(record, context);
+        if (!segment) return;
+        if (!segments.has(segment)) {
+          segments.set(segment, []);
+        }
+        segments.get(segment).push(record);
+      });
+      dimension.sort(Array.from(segments.keys()), context).forEach(segment => {
+        rows.push(Object.assign({ dimension: dimension.label, segment }, benchmarkSegment(segments.get(segment), normalized)));
+      });
+    });
+    return rows;
+  }
+
+  return {
+    SEGMENT_DIMENSIONS,
+    normalizeBenchmarkSettings,
+    median,
+    buildBenchmark
+  };
+});
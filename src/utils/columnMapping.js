@@ -0,0 +1,404 @@
+/**
+ * Column mapping functions for the Mortgage Market Analysis Tool
+ *
+ * Maps the columns of an ESIS or swap rates export onto the fields the
+ * pipeline reads. Headers are matched against each field's known spellings to
+ * suggest a mapping with a confidence, required fields are checked, and a
+ * confirmed mapping is applied to the parsed rows before the pipeline runs.
+ *
+ * A mapping is plain JSON ({ field: header }) so it can be saved as a profile
+ * and re-applied when an export with the same headers is uploaded again.
+ * Loaded by the page as the global `ColumnMapping` and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ColumnMapping = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Fields read from ESIS exports. Aliases are in order of preference, and
+  // `overrides` lists columns the pipeline would otherwise read ahead of a
+  // column mapped onto the field.
+  const ESIS_FIELDS = [
+    {
+      field: 'Provider',
+      label: 'Lender',
+      required: true,
+      aliases: ['Provider', 'BaseLender', 'Lender', 'LenderName', 'ProviderName', 'Brand'],
+      keywords: ['lender', 'provider'],
+      overrides: ['BaseLender']
+    },
+    {
+      field: 'DocumentDate',
+      label: 'Document date',
+      required: true,
+      aliases: ['DocumentDate', 'Timestamp', 'Date', 'ESISDate', 'IssueDate'],
+      keywords: ['date', 'timestamp'],
+      overrides: ['Timestamp']
+    },
+    {
+      field: 'Rate',
+      label: 'Initial rate (%)',
+      required: true,
+      aliases: ['Rate', 'InitialRate', 'InterestRate'],
+      keywords: ['rate'],
+      overrides: ['InitialRate']
+    },
+    {
+      field: 'TieInPeriod',
+      label: 'Tie-in period (months)',
+      required: true,
+      aliases: ['TieInPeriod', 'FixedPeriod', 'FixedTerm', 'TermMonths', 'InitialPeriod'],
+      keywords: ['tiein', 'period', 'term'],
+      overrides: []
+    },
+    {
+      field: 'Loan',
+      label: 'Loan amount',
+      required: true,
+      aliases: ['Loan', 'LoanAmount', 'Amount', 'Advance'],
+      keywords: ['loan', 'amount', 'advance'],
+      overrides: []
+    },
+    {
+      field: 'LTV',
+      label: 'LTV',
+      required: false,
+      aliases: ['LTV', 'Loan_To_Value', 'Loan-to-Value', 'loan_to_value', 'LoanToValue'],
+      keywords: ['ltv', 'loantovalue'],
+      overrides: []
+    },
+    {
+      field: 'ProductType',
+      label: 'Product type',
+      required: false,
+      aliases: ['ProductType', 'Mortgage_Type', 'MortgageType'],
+      keywords: ['producttype', 'mortgagetype'],
+      overrides: ['Mortgage_Type']
+    },
+    {
+      field: 'PurchaseType',
+      label: 'Purchase type',
+      required: false,
+      aliases: ['PurchaseType', 'Purchase_Type', 'TransactionType'],
+      keywords: ['purchase'],
+      overrides: []
+    },
+    {
+      field: 'CaseReference',
+      label: 'Case reference',
+      required: false,
+      aliases: ['CaseReference', 'CaseRef', 'CaseId', 'ApplicationReference', 'ApplicationId'],
+      keywords: ['case'],
+      overrides: []
+    }
+  ];
+
+  // Fields read from swap rate files. A Date column is preferred to the
+  // effective_at the XLSX reader takes from the file name.
+  const SWAP_FIELDS = [
+    {
+      field: 'effective_at',
+      label: 'Effective date',
+      required: true,
+      aliases: ['Date', 'effective_at', 'EffectiveDate', 'AsOfDate', 'FixingDate'],
+      keywords: ['date', 'effective', 'timestamp'],
+      overrides: ['Date']
+    },
+    {
+      field: 'product_term_in_months',
+      label: 'Term (months)',
+      required: true,
+      aliases: ['product_term_in_months', 'TieInPeriod', 'Term', 'TermMonths', 'Tenor'],
+      keywords: ['term', 'tenor', 'period'],
+      overrides: ['TieInPeriod']
+    },
+    {
+      field: 'rate',
+      label: 'Swap rate',
+      required: true,
+      aliases: ['rate', 'Rate', 'SwapRate', 'swap_rate'],
+      keywords: ['rate'],
+      overrides: ['Rate']
+    }
+  ];
+
+  const FIELD_SETS = {
+    esis: ESIS_FIELDS,
+    swap: SWAP_FIELDS
+  };
+
+  // Confidence of a suggested column, by how it matched the field
+  const CONFIDENCE = {
+    exact: 1,
+    normalized: 0.8,
+    keyword: 0.5
+  };
+
+  /**
+   * Returns the field definitions for a kind of file
+   * @param {string} kind - 'esis' or 'swap'
+   * @returns {Array} Field definitions
+   * @throws {Error} If the kind is unknown
+   */
+  function fieldsFor(kind) {
+    const fields = FIELD_SETS[kind];
+    if (!fields) {
+      throw new Error(`Unknown file kind: ${kind}`);
+    }
+    return fields;
+  }
+
+  /**
+   * Normalizes a header for loose matching
+   * @param {string} header - Column header
+   * @returns {string} Lower case header without spaces or punctuation
+   */
+  function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Collects the column headers of parsed rows
+   * @param {Array} rows - Parsed rows
+   * @param {number} [sampleSize=50] - Number of rows to read headers from
+   * @returns {Array} Headers in first-seen order
+   */
+  function detectHeaders(rows, sampleSize = 50) {
+    const headers = new Set();
+    (rows || []).slice(0, sampleSize).forEach(row => {
+      Object.keys(row).forEach(key => headers.add(key));
+    });
+    return [...headers];
+  }
+
+  /**
+   * Scores how well a header matches a field
+   * @param {Object} definition - Field definition
+   * @param {string} header - Column header
+   * @returns {Object|null} { confidence, rank } where a lower rank is a preferred alias, or null
+   */
+  function scoreHeader(definition, header) {
+    const exactRank = definition.aliases.indexOf(header);
+    if (exactRank !== -1) {
+      return { confidence: CONFIDENCE.exact, rank: exactRank };
+    }
+
+    const normalized = normalizeHeader(header);
+    const normalizedRank = definition.aliases.findIndex(alias => normalizeHeader(alias) === normalized);
+    if (normalizedRank !== -1) {
+      return { confidence: CONFIDENCE.normalized, rank: normalizedRank };
+    }
+
+    const keywordRank = definition.keywords.findIndex(keyword => normalized.includes(keyword));
+    if (keywordRank !== -1) {
+      return { confidence: CONFIDENCE.keyword, rank: keywordRank };
+    }
+
+    return null;
+  }
+
+  /**
+   * Suggests a column for each field from the detected headers
+   * Each header is used for at most one field; the strongest matches are taken first.
+   * @param {Array} headers - Detected column headers
+   * @param {string} kind - 'esis' or 'swap'
+   * @returns {Object} { mapping: { field: header|null }, confidence: { field: number } }
+   */
+  function suggestMapping(headers, kind) {
+    const fields = fieldsFor(kind);
+    const candidates = [];
+    fields.forEach((definition, fieldIndex) => {
+      headers.forEach(header => {
+        const score = scoreHeader(definition, header);
+        if (score) {
+          candidates.push({ field: definition.field, header, fieldIndex, ...score });
+        }
+      });
+    });
+    candidates.sort((a, b) => b.confidence - a.confidence || a.rank - b.rank || a.fieldIndex - b.fieldIndex);
+
+    const mapping = {};
+    const confidence = {};
+    fields.forEach(definition => {
+      mapping[definition.field] = null;
+      confidence[definition.field] = 0;
+    });
+
+    const usedHeaders = new Set();
+    candidates.forEach(candidate => {
+      if (mapping[candidate.field] === null && !usedHeaders.has(candidate.header)) {
+        mapping[candidate.field] = candidate.header;
+        confidence[candidate.field] = candidate.confidence;
+        usedHeaders.add(candidate.header);
+      }
+    });
+
+    return { mapping, confidence };
+  }
+
+  /**
+   * Describes a suggestion confidence for display
+   * @param {number} confidence - Confidence from suggestMapping
+   * @returns {string} 'high', 'medium', 'low' or 'none'
+   */
+  function describeConfidence(confidence) {
+    if (confidence >= CONFIDENCE.exact) return 'high';
+    if (confidence >= CONFIDENCE.normalized) return 'medium';
+    if (confidence > 0) return 'low';
+    return 'none';
+  }
+
+  /**
+   * Checks a mapping against the required fields and the available headers
+   * @param {Object} mapping - { field: header|null }
+   * @param {string} kind - 'esis' or 'swap'
+   * @param {Array} [headers] - Headers of the file; when given, mapped headers must exist
+   * @returns {Object} { valid, errors } with one message per problem
+   */
+  function checkMapping(mapping, kind, headers) {
+    const errors = [];
+    const fieldsByHeader = {};
+
+    fieldsFor(kind).forEach(definition => {
+      const header = mapping[definition.field];
+      if (!header) {
+        if (definition.required) {
+          errors.push(`${definition.label} is required`);
+        }
+        return;
+      }
+      if (headers && !headers.includes(header)) {
+        errors.push(`${definition.label} is mapped to missing column "${header}"`);
+      }
+      (fieldsByHeader[header] = fieldsByHeader[header] || []).push(definition.label);
+    });
+
+    Object.keys(fieldsByHeader).forEach(header => {
+      if (fieldsByHeader[header].length > 1) {
+        errors.push(`Column "${header}" is mapped to ${fieldsByHeader[header].join(' and ')}`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Applies a mapping to parsed rows
+   * Columns mapped onto a field under a different name are copied to the
+   * field, and the columns the pipeline would read ahead of them are dropped.
+   * Fields mapped to their own name are left to the pipeline as they are.
+   * @param {Array} rows - Parsed rows
+   * @param {Object} mapping - { field: header|null }
+   * @param {string} kind - 'esis' or 'swap'
+   * @returns {Array} New rows, or the same array when the mapping renames nothing
+   */
+  function applyMapping(rows, mapping, kind) {
+    const renames = fieldsFor(kind).filter(definition =>
+      mapping[definition.field] && mapping[definition.field] !== definition.field);
+    if (renames.length === 0) {
+      return rows;
+    }
+
+    return (rows || []).map(row => {
+      const mapped = Object.assign({}, row);
+      renames.forEach(definition => {
+        definition.overrides.forEach(column => {
+          delete mapped[column];
+        });
+        mapped[definition.field] = row[mapping[definition.field]];
+      });
+      return mapped;
+    });
+  }
+
+  /**
+   * Builds preview rows showing the value each field will take
+   * @param {Array} rows - Parsed rows
+   * @param {Object} mapping - { field: header|null }
+   * @param {string} kind - 'esis' or 'swap'
+   * @param {number} [limit=5] - Number of rows to preview
+   * @returns {Array} Rows keyed by field, with undefined for unmapped fields
+   */
+  function previewMapping(rows, mapping, kind, limit = 5) {
+    const fields = fieldsFor(kind);
+    return (rows || []).slice(0, limit).map(row => {
+      const preview = {};
+      fields.forEach(definition => {
+        const header = mapping[definition.field];
+        preview[definition.field] = header ? row[header] : undefined;
+      });
+      return preview;
+    });
+  }
+
+  /**
+   * Builds the key identifying a header set, regardless of column order
+   * @param {Array} headers - Column headers
+   * @returns {string} Signature of the header set
+   */
+  function headerSignature(headers) {
+    return [...new Set(headers)].sort().join('|');
+  }
+
+  /**
+   * Creates a mapping profile to re-apply to exports with the same headers
+   * @param {string} kind - 'esis' or 'swap'
+   * @param {Array} headers - Column headers of the file
+   * @param {Object} mapping - Confirmed mapping
+   * @param {string} [name] - Name shown for the profile, e.g. the file name
+   * @returns {Object} Profile with kind, signature, mapping, name and savedAt
+   */
+  function createProfile(kind, headers, mapping, name) {
+    fieldsFor(kind);
+    return {
+      kind,
+      signature: headerSignature(headers),
+      mapping: { ...mapping },
+      name: name || '',
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Finds the saved profile for a header set
+   * @param {Array} profiles - Saved profiles
+   * @param {string} kind - 'esis' or 'swap'
+   * @param {Array} headers - Column headers of the file
+   * @returns {Object|null} Matching profile or null
+   */
+  function findProfile(profiles, kind, headers) {
+    const signature = headerSignature(headers);
+    return (profiles || []).find(profile => profile.kind === kind && profile.signature === signature) || null;
+  }
+
+  /**
+   * Adds or replaces a profile in a list of profiles
+   * @param {Array} profiles - Saved profiles
+   * @param {Object} profile - Profile from createProfile
+   * @returns {Array} New list with the profile replacing any for the same kind and headers
+   */
+  function upsertProfile(profiles, profile) {
+    return (profiles || [])
+      .filter(saved => saved.kind !== profile.kind || saved.signature !== profile.signature)
+      .concat([profile]);
+  }
+
+  return {
+    ESIS_FIELDS,
+    SWAP_FIELDS,
+    fieldsFor,
+    normalizeHeader,
+    detectHeaders,
+    suggestMapping,
+    describeConfidence,
+    checkMapping,
+    applyMapping,
+    previewMapping,
+    headerSignature,
+    createProfile,
+    findProfile,
+    upsertProfile
+  };
+});
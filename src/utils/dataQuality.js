@@ -0,0 +1,270 @@
+/**
+ * Data quality report functions for the Mortgage Market Analysis Tool
+ *
+ * Turns the diagnostics of analysisPipeline.runPipeline into the tables shown
+ * in the page's Data Quality section: what was loaded and excluded, LTV
+ * coverage, the rate and LTV units used per lender, the duplicate groups that
+ * were collapsed, the product term split and months without swap rates, plus a CSV
+ * of every excluded record with its reason so totals can be reconciled with
+ * the source extract.
+ *
+ * Loaded by the page as the global `DataQuality` and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./marketReports'), require('./rateUnits'), require('./deduplication'));
+  } else {
+    root.DataQuality = factory(root.MarketReports, root.RateUnits, root.Deduplication);
+  }
+})(typeof self !== 'undefined' ? self : this, function (MarketReports, RateUnits, Deduplication) {
+  // How each unit was decided, as shown in the units table
+  const UNIT_SOURCE_LABELS = {
+    override: 'Override',
+    column: 'Whole file',
+    lender: 'Lender'
+  };
+
+  /**
+   * Reads a loan amount from a raw or mapped record
+   * @param {Object} record - ESIS record
+   * @returns {number} Loan amount, 0 when missing
+   */
+  function loanAmount(record) {
+    const loan = parseFloat(record.Loan);
+    return isNaN(loan) ? 0 : loan;
+  }
+
+  /**
+   * Counts excluded records and loan amounts per exclusion reason
+   * @param {Array} excluded - Excluded records as { reason, record }
+   * @returns {Array} Rows of { reason, records, loanAmount }, most records first
+   */
+  function summarizeExclusions(excluded) {
+    const byReason = new Map();
+    (excluded || []).forEach(({ reason, record }) => {
+      if (!byReason.has(reason)) {
+        byReason.set(reason, { reason, records: 0, loanAmount: 0 });
+      }
+      const row = byReason.get(reason);
+      row.records++;
+      row.loanAmount += loanAmount(record);
+    });
+    return [...byReason.values()].sort((a, b) => b.records - a.records);
+  }
+
+  /**
+   * Labels a product term in months
+   * @param {number} months - Normalized product term
+   * @returns {string} Label such as '2 years' or '18 months'
+   */
+  function formatTerm(months) {
+    if (months % 12 === 0) {
+      const years = months / 12;
+      return `${years} year${years === 1 ? '' : 's'}`;
+    }
+    return `${months} months`;
+  }
+
+  /**
+   * Splits the analysed records by product term
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Array} Rows of { term, label, records, loanAmount, percentage }, shortest term first
+   */
+  function summarizeProductTerms(records) {
+    const byTerm = new Map();
+    (records || []).forEach(record => {
+      const term = record.NormalizedTerm;
+      if (!byTerm.has(term)) {
+        byTerm.set(term, { term, label: formatTerm(term), records: 0, loanAmount: 0 });
+      }
+      const row = byTerm.get(term);
+      row.records++;
+      row.loanAmount += loanAmount(record);
+    });
+
+    const total = (records || []).length;
+    return [...byTerm.values()]
+      .sort((a, b) => a.term - b.term)
+      .map(row => ({ ...row, percentage: total > 0 ? (row.records / total) * 100 : 0 }));
+  }
+
+  /**
+   * Lists the months with records that found no swap rate
+   * @param {Object} missingDateRanges - Record counts keyed by YYYY-MM, from the swap rate tracking
+   * @returns {Array} Rows of { month, label, records } in month order
+   */
+  function summarizeMissingSwapDates(missingDateRanges) {
+    return Object.keys(missingDateRanges || {})
+      .sort()
+      .map(month => ({
+        month,
+        label: MarketReports.formatMonthLabel(month),
+        records: missingDateRanges[month]
+      }));
+  }
+
+  /**
+   * Lists the rate and LTV units used for each lender
+   * @param {Object} units - Unit summaries keyed by column, from the runPipeline diagnostics
+   * @returns {Array} Rows of { column, lender, unit, source, records, ambiguous }, Rate first
+   */
+  function summarizeUnits(units) {
+    const rows = [];
+    ['Rate', 'LTV'].forEach(column => {
+      const summary = units && units[column];
+      if (!summary) {
+        return;
+      }
+      summary.lenders.forEach(row => {
+        rows.push({
+          column,
+          lender: row.lender || '(no lender)',
+          unit: RateUnits.describeUnit(row.unit),
+          source: UNIT_SOURCE_LABELS[row.source] || 'Not detected',
+          records: row.records,
+          ambiguous: row.ambiguous
+        });
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Describes one record of a duplicate group for review
+   * @param {Object} record - Raw ESIS record
+   * @param {string} status - 'Kept' or 'Dropped'
+   * @returns {Object} { status, lender, documentDate, loan, rate, ltv, caseReference }
+   */
+  function describeDuplicate(record, status) {
+    const read = field => {
+      const value = Deduplication.DEDUPE_FIELDS[field].read(record);
+      return value instanceof Date ? value.toISOString().substring(0, 10) : (value === undefined ? '' : value);
+    };
+    return {
+      status,
+      lender: read('lender'),
+      documentDate: read('documentDate'),
+      loan: read('loan'),
+      rate: read('rate'),
+      ltv: read('ltv'),
+      caseReference: read('caseReference')
+    };
+  }
+
+  /**
+   * Lists the collapsed duplicate groups for review, largest first
+   * @param {Array} groups - Groups from the runPipeline diagnostics, as { fields, records, kept, dropped }
+   * @returns {Array} Rows of { group, matchedOn, records, droppedLoanAmount, members }, where members
+   *   describes the kept record and then each dropped one
+   */
+  function summarizeDuplicateGroups(groups) {
+    return (groups || [])
+      .map(group => ({
+        matchedOn: group.fields.map(field => Deduplication.DEDUPE_FIELDS[field].label).join(' + '),
+        records: group.records,
+        droppedLoanAmount: group.dropped.reduce((sum, record) => sum + loanAmount(record), 0),
+        members: [describeDuplicate(group.kept, 'Kept')].concat(group.dropped.map(record => describeDuplicate(record, 'Dropped')))
+      }))
+      .sort((a, b) => b.records - a.records)
+      .map((row, index) => Object.assign({ group: index + 1 }, row));
+  }
+
+  /**
+   * Serializes duplicate groups to CSV, one row per record
+   * @param {Array} rows - Rows from summarizeDuplicateGroups
+   * @returns {string} CSV text with the group number, key fields and whether each record was kept
+   */
+  function duplicateGroupsToCsv(rows) {
+    const records = [];
+    (rows || []).forEach(row => {
+      row.members.forEach(member => {
+        records.push({
+          Group: row.group,
+          MatchedOn: row.matchedOn,
+          Status: member.status,
+          Lender: member.lender,
+          DocumentDate: member.documentDate,
+          Loan: member.loan,
+          Rate: member.rate,
+          LTV: member.ltv,
+          CaseReference: member.caseReference
+        });
+      });
+    });
+    return MarketReports.toCsv(records, ['Group', 'MatchedOn', 'Status', 'Lender', 'DocumentDate', 'Loan', 'Rate', 'LTV', 'CaseReference']);
+  }
+
+  /**
+   * Builds the data quality report for an upload
+   * @param {Array} records - Enriched records from runPipeline
+   * @param {Object} diagnostics - Diagnostics from runPipeline
+   * @returns {Object} Report with exclusions, units, duplicateGroups, productTerms, missingSwapDates
+   *   and overview and ltv rows of { check, value, unit }, where unit is 'count', 'amount' or 'percent'
+   */
+  function buildDataQualityReport(records, diagnostics) {
+    const exclusions = summarizeExclusions(diagnostics.excluded);
+    const excludedRecords = exclusions.reduce((sum, row) => sum + row.records, 0);
+    const excludedLoanAmount = exclusions.reduce((sum, row) => sum + row.loanAmount, 0);
+    const includedLoanAmount = (records || []).reduce((sum, record) => sum + loanAmount(record), 0);
+    const ltvStats = diagnostics.ltvStats;
+    const ambiguousLTV = ltvStats ? ltvStats.recordsAmbiguousLTV || 0 : 0;
+    const ltvRecords = ltvStats ? ltvStats.recordsWithLTV + ltvStats.recordsMissingLTV + ambiguousLTV : 0;
+
+    const overview = [
+      { check: 'Rows in upload', value: diagnostics.rawRecordCount, unit: 'count' },
+      { check: 'Records analysed', value: (records || []).length, unit: 'count' },
+      { check: 'Records excluded', value: excludedRecords, unit: 'count' },
+      { check: 'Loan amount analysed', value: includedLoanAmount, unit: 'amount' },
+      { check: 'Loan amount excluded', value: excludedLoanAmount, unit: 'amount' }
+    ];
+
+    const ltv = ltvStats
+      ? [
+        { check: 'Records with LTV', value: ltvStats.recordsWithLTV, unit: 'count' },
+        { check: 'Records missing LTV', value: ltvStats.recordsMissingLTV, unit: 'count' },
+        { check: 'Records with an ambiguous LTV unit', value: ambiguousLTV, unit: 'count' },
+        { check: 'LTV coverage', value: ltvRecords > 0 ? (ltvStats.recordsWithLTV / ltvRecords) * 100 : 0, unit: 'percent' },
+        { check: 'Average LTV', value: ltvStats.avgLTV, unit: 'percent' },
+        { check: 'Below 80% LTV', value: ltvStats.below80Percent, unit: 'percent' },
+        { check: '80% LTV and above', value: ltvStats.above80Percent, unit: 'percent' }
+      ]
+      : [];
+
+    return {
+      overview,
+      exclusions,
+      ltv,
+      units: summarizeUnits(diagnostics.units),
+      duplicateGroups: summarizeDuplicateGroups(diagnostics.duplicateGroups),
+      productTerms: summarizeProductTerms(records),
+      missingSwapDates: summarizeMissingSwapDates(diagnostics.swapRateTracking && diagnostics.swapRateTracking.missingDateRanges)
+    };
+  }
+
+  /**
+   * Serializes excluded records to CSV, one row per record with its exclusion reason
+   * @param {Array} excluded - Excluded records as { reason, record }
+   * @returns {string} CSV text with ExclusionReason first, then every field seen on the records
+   */
+  function excludedRecordsToCsv(excluded) {
+    const fields = new Set(['ExclusionReason']);
+    (excluded || []).forEach(({ record }) => {
+      Object.keys(record).forEach(key => fields.add(key));
+    });
+
+    const rows = (excluded || []).map(({ reason, record }) => Object.assign({ ExclusionReason: reason }, record));
+    return MarketReports.toCsv(rows, [...fields]);
+  }
+
+  return {
+    summarizeExclusions,
+    formatTerm,
+    summarizeProductTerms,
+    summarizeUnits,
+    summarizeDuplicateGroups,
+    duplicateGroupsToCsv,
+    summarizeMissingSwapDates,
+    buildDataQualityReport,
+    excludedRecordsToCsv
+  };
+});
@@ -0,0 +1,269 @@
+/**
+ * Saved datasets for the Mortgage Market Analysis Tool
+ *
+ * Keeps the last few analysed uploads in IndexedDB so the page can reopen them
+ * after a refresh without re-reading and re-processing the files. Each dataset
+ * is stored twice over: a small metadata entry (the files it came from, when it
+ * was analysed, the settings used and the last view of it) listed by the
+ * recent datasets picker, and a data entry holding the runPipeline result,
+ * which is only read when the dataset is opened.
+ *
+ * A view is plain JSON ({ filters, productTerm, lenderBands, trendsBands,
+ * heatmapMode, bandScheme }). Loaded by the page as the global `DatasetStore`
+ * and required by Node scripts, which have no IndexedDB and only use the
+ * helpers.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DatasetStore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DB_NAME = 'mortgageTool';
+  const DB_VERSION = 1;
+
+  // Object stores: metadata listed by the picker, and the analysed data
+  const META_STORE = 'datasets';
+  const DATA_STORE = 'datasetData';
+
+  // Datasets kept before the least recently opened are removed
+  const MAX_DATASETS = 5;
+
+  /**
+   * Reads the identifying details of an uploaded file
+   * @param {File|Object} file - File, or an object with name, size and lastModified
+   * @returns {Object} { name, size, lastModified }
+   */
+  function describeFile(file) {
+    return {
+      name: file.name,
+      size: file.size,
+      lastModified: file.lastModified
+    };
+  }
+
+  /**
+   * Builds the id of a dataset from its files
+   * Re-analysing the same two files replaces their saved dataset.
+   * @param {File|Object} esisFile - ESIS data file
+   * @param {File|Object} swapFile - Swap rates file
+   * @returns {string} Dataset id
+   */
+  function datasetId(esisFile, swapFile) {
+    return [esisFile, swapFile]
+      .map(file => `${file.name}:${file.size}:${file.lastModified}`)
+      .join('|');
+  }
+
+  /**
+   * Creates the metadata and data entries of a dataset
+   * @param {File|Object} esisFile - ESIS data file
+   * @param {File|Object} swapFile - Swap rates file
+   * @param {Object} result - runPipeline result
+   * @param {Object} [settings] - Plain JSON settings the data was analysed with
+   * @param {Date} [now] - Time the dataset is saved
+   * @returns {Object} { meta, data }; the swap curve is left out as it is rebuilt from the swap rates
+   */
+  function createDatasetEntry(esisFile, swapFile, result, settings = {}, now = new Date()) {
+    const id = datasetId(esisFile, swapFile);
+    const months = (result.aggregates && result.aggregates.months) || [];
+
+    return {
+      meta: {
+        id,
+        esisFile: describeFile(esisFile),
+        swapFile: describeFile(swapFile),
+        savedAt: now.toISOString(),
+        openedAt: now.toISOString(),
+        recordCount: result.records.length,
+        months: months.length > 0 ? [months[0], months[months.length - 1]] : [],
+        settings,
+        view: null
+      },
+      data: {
+        id,
+        records: result.records,
+        swapRates: result.swapRates,
+        aggregates: result.aggregates,
+        diagnostics: result.diagnostics
+      }
+    };
+  }
+
+  /**
+   * Describes a dataset for the recent datasets picker
+   * @param {Object} meta - Metadata entry from createDatasetEntry
+   * @returns {string} Description such as 'esis.csv + swaps.xlsx: 1,200 records, 2023-01 to 2023-06'
+   */
+  function describeDataset(meta) {
+    const files = `${meta.esisFile.name} + ${meta.swapFile.name}`;
+    const records = `${meta.recordCount.toLocaleString('en-GB')} records`;
+    const months = meta.months.length > 0 ? `, ${meta.months[0]} to ${meta.months[1]}` : '';
+    return `${files}: ${records}${months}`;
+  }
+
+  /**
+   * Orders datasets most recently opened first
+   * @param {Array} metas - Metadata entries
+   * @returns {Array} Sorted copy
+   */
+  function sortDatasets(metas) {
+    return [...(metas || [])].sort((a, b) => (a.openedAt < b.openedAt ? 1 : a.openedAt > b.openedAt ? -1 : 0));
+  }
+
+  /**
+   * Picks the datasets to remove so that at most a number are kept
+   * @param {Array} metas - Metadata entries
+   * @param {number} [max] - Datasets to keep
+   * @returns {Array} Ids of the least recently opened datasets beyond the limit
+   */
+  function pruneDatasets(metas, max = MAX_DATASETS) {
+    return sortDatasets(metas).slice(max).map(meta => meta.id);
+  }
+
+  /**
+   * Wraps an IndexedDB request in a promise
+   * @param {IDBRequest} request - Request
+   * @returns {Promise} Resolves with the request result
+   */
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Waits for a transaction to commit
+   * @param {IDBTransaction} transaction - Transaction
+   * @returns {Promise} Resolves once committed, rejects if it fails or is aborted
+   */
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Saved datasets transaction was aborted'));
+    });
+  }
+
+  /**
+   * Opens the saved datasets database
+   * @param {IDBFactory} indexedDB - The browser's indexedDB
+   * @returns {Promise<Object>} Store with list, load, save, saveView and remove, all returning promises
+   * @throws {Error} Rejects if IndexedDB is unavailable or the database cannot be opened
+   */
+  async function openDatasetStore(indexedDB) {
+    if (!indexedDB) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      }
+    };
+    const db = await requestResult(request);
+
+    /**
+     * Lists the saved datasets
+     * @returns {Promise<Array>} Metadata entries, most recently opened first
+     */
+    async function list() {
+      const transaction = db.transaction(META_STORE, 'readonly');
+      return sortDatasets(await requestResult(transaction.objectStore(META_STORE).getAll()));
+    }
+
+    /**
+     * Removes saved datasets
+     * @param {Array} ids - Dataset ids
+     * @returns {Promise} Resolves once removed
+     */
+    function removeAll(ids) {
+      const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+      ids.forEach(id => {
+        transaction.objectStore(META_STORE).delete(id);
+        transaction.objectStore(DATA_STORE).delete(id);
+      });
+      return transactionDone(transaction);
+    }
+
+    /**
+     * Saves a dataset, replacing one from the same files, and removes the oldest beyond the limit
+     * @param {Object} entry - Entry from createDatasetEntry
+     * @returns {Promise<Object>} The saved metadata entry
+     */
+    async function save(entry) {
+      const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+      transaction.objectStore(META_STORE).put(entry.meta);
+      transaction.objectStore(DATA_STORE).put(entry.data);
+      await transactionDone(transaction);
+
+      const stale = pruneDatasets(await list());
+      if (stale.length > 0) {
+        await removeAll(stale);
+      }
+      return entry.meta;
+    }
+
+    /**
+     * Opens a saved dataset and marks it as the most recently opened
+     * @param {string} id - Dataset id
+     * @param {Date} [now] - Time the dataset is opened
+     * @returns {Promise<Object|null>} { meta, data }, or null if it is no longer saved
+     */
+    async function load(id, now = new Date()) {
+      const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+      const metaStore = transaction.objectStore(META_STORE);
+      const meta = await requestResult(metaStore.get(id));
+      const data = await requestResult(transaction.objectStore(DATA_STORE).get(id));
+      if (meta) {
+        meta.openedAt = now.toISOString();
+        metaStore.put(meta);
+      }
+      await transactionDone(transaction);
+      return meta && data ? { meta, data } : null;
+    }
+
+    /**
+     * Stores the current view of a saved dataset
+     * @param {string} id - Dataset id
+     * @param {Object} view - Plain JSON view
+     * @returns {Promise<boolean>} False if the dataset is no longer saved
+     */
+    async function saveView(id, view) {
+      const transaction = db.transaction(META_STORE, 'readwrite');
+      const metaStore = transaction.objectStore(META_STORE);
+      const meta = await requestResult(metaStore.get(id));
+      if (meta) {
+        meta.view = view;
+        metaStore.put(meta);
+      }
+      await transactionDone(transaction);
+      return Boolean(meta);
+    }
+
+    return {
+      list,
+      load,
+      save,
+      saveView,
+      remove: id => removeAll([id])
+    };
+  }
+
+  return {
+    MAX_DATASETS,
+    datasetId,
+    createDatasetEntry,
+    describeDataset,
+    sortDatasets,
+    pruneDatasets,
+    openDatasetStore
+  };
+});
@@ -0,0 +1,283 @@
+/**
+ * Deduplication rules for the Mortgage Market Analysis Tool
+ *
+ * Decides which ESIS rows are copies of the same document or case. A rule
+ * lists key sets, each a list of fields such as lender + document date + loan;
+ * a record is keyed on the first set it has every field for, and records
+ * without any complete key set are never treated as duplicates. Records with
+ * the same key form a group, of which one record is kept: the first in the
+ * file, or the latest re-issue by document date.
+ *
+ * Rules matching values exactly instead reproduce the tool's original key,
+ * `record.id || ${Provider}-${DocumentDate}-${Loan}`: columns are read as
+ * written, and the last key set is used even with fields missing.
+ *
+ * A rule is plain JSON ({ keys: [[field, ...], ...], keep, match }) so it can
+ * be passed to the worker and saved. Loaded by the page as the global
+ * `Deduplication` and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Deduplication = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Fields a key can be built from, read from the raw (column mapped) ESIS rows;
+  // exact matching reads only the field's column, normalized matching falls back to its aliases
+  const DEDUPE_FIELDS = {
+    id: { label: 'Record id', column: 'id', read: record => record.id },
+    caseReference: { label: 'Case reference', column: 'CaseReference', read: record => record.CaseReference },
+    lender: { label: 'Lender', column: 'Provider', read: record => firstPresent(record.BaseLender, record.Provider) },
+    documentDate: { label: 'Document date', column: 'DocumentDate', read: record => firstPresent(record.DocumentDate, record.Timestamp) },
+    loan: { label: 'Loan', column: 'Loan', read: record => record.Loan },
+    rate: { label: 'Rate', column: 'Rate', read: record => firstPresent(record.Rate, record.InitialRate) },
+    ltv: {
+      label: 'LTV',
+      column: 'LTV',
+      read: record => firstPresent(record.LTV, record.Loan_To_Value, record['Loan-to-Value'], record.loan_to_value)
+    },
+    tieInPeriod: { label: 'Tie-in period', column: 'TieInPeriod', read: record => record.TieInPeriod },
+    productType: { label: 'Product type', column: 'ProductType', read: record => firstPresent(record.ProductType, record.Mortgage_Type) },
+    purchaseType: { label: 'Purchase type', column: 'PurchaseType', read: record => record.PurchaseType }
+  };
+
+  // Which record of a duplicate group is kept
+  const KEEP_OPTIONS = {
+    first: 'First in the file',
+    latest: 'Latest re-issue by document date'
+  };
+
+  // How field values are compared
+  const MATCH_OPTIONS = {
+    normalized: 'Ignoring case and surrounding spaces, never collapsing records with a field missing',
+    exact: 'As written, missing fields included, as the original key'
+  };
+
+  const DEDUPE_PRESETS = {
+    original: {
+      label: 'Record id, else provider + date + loan, as written (original)',
+      rule: { keys: [['id'], ['lender', 'documentDate', 'loan']], keep: 'first', match: 'exact' }
+    },
+    'lender-date-loan-rate-ltv': {
+      label: 'Lender + date + loan + rate + LTV',
+      rule: { keys: [['lender', 'documentDate', 'loan', 'rate', 'ltv']], keep: 'first' }
+    },
+    'case-reference': {
+      label: 'Case reference, keeping the latest re-issue',
+      rule: { keys: [['caseReference']], keep: 'latest' }
+    },
+    none: {
+      label: 'Keep every record',
+      rule: { keys: [], keep: 'first' }
+    }
+  };
+
+  const DEFAULT_PRESET = 'original';
+
+  // Separates values in a key; it does not occur in CSV text
+  const KEY_SEPARATOR = '\u001f';
+
+  /**
+   * Returns the first value that is not missing
+   * @param {...*} values - Candidate values
+   * @returns {*} First value other than undefined, null or '', else undefined
+   */
+  function firstPresent(...values) {
+    return values.find(value => value !== undefined && value !== null && value !== '');
+  }
+
+  /**
+   * Normalizes a field value for comparison
+   * @param {*} value - Raw value
+   * @returns {string|null} Comparable text, or null when the value is missing
+   */
+  function keyValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    const text = String(value).trim().toLowerCase();
+    return text === '' ? null : text;
+  }
+
+  /**
+   * Creates a deduplication rule from a definition
+   * @param {Object|string} [definition] - Preset name, or { keys, keep, match }
+   * @returns {Object} Normalized rule { keys, keep, match }
+   * @throws {Error} If the preset, a field, the keep or the match option is unknown, or a key set is empty
+   */
+  function createDedupeRule(definition = DEFAULT_PRESET) {
+    if (typeof definition === 'string') {
+      if (!DEDUPE_PRESETS[definition]) {
+        throw new Error(`Unknown deduplication preset: ${definition}`);
+      }
+      return createDedupeRule(DEDUPE_PRESETS[definition].rule);
+    }
+
+    const keep = definition.keep || 'first';
+    if (!KEEP_OPTIONS[keep]) {
+      throw new Error(`Unknown deduplication keep option: ${keep}. Use one of ${Object.keys(KEEP_OPTIONS).join(', ')}`);
+    }
+
+    const match = definition.match || 'normalized';
+    if (!MATCH_OPTIONS[match]) {
+      throw new Error(`Unknown deduplication match option: ${match}. Use one of ${Object.keys(MATCH_OPTIONS).join(', ')}`);
+    }
+
+    const keys = (definition.keys || []).map(fields => {
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error('Each deduplication key needs at least one field');
+      }
+      fields.forEach(field => {
+        if (!DEDUPE_FIELDS[field]) {
+          throw new Error(`Unknown deduplication field: ${field}`);
+        }
+      });
+      return [...fields];
+    });
+
+    return { keys, keep, match };
+  }
+
+  /**
+   * Describes a rule in words for labels and report summaries
+   * @param {Object} rule - Rule from createDedupeRule
+   * @returns {string} Description such as 'lender + document date + loan, keeping the first in the file'
+   */
+  function describeDedupeRule(rule) {
+    if (rule.keys.length === 0) {
+      return 'no deduplication';
+    }
+    const keys = rule.keys
+      .map(fields => fields.map(field => DEDUPE_FIELDS[field].label.toLowerCase()).join(' + '))
+      .join(', else ');
+    const match = rule.match === 'exact' ? ' as written' : '';
+    return `${keys}${match}, keeping the ${KEEP_OPTIONS[rule.keep].toLowerCase()}`;
+  }
+
+  /**
+   * Builds the duplicate key of a record from its columns as written
+   * As the original `id || Provider-DocumentDate-Loan`, a key set is skipped
+   * while one of its values is falsy, except the last, which always keys the
+   * record with missing values written as "undefined".
+   * @param {Object} record - Raw ESIS record
+   * @param {Array} keys - Key sets of the rule
+   * @returns {Object|null} { key, fields }, or null for a rule without key sets
+   */
+  function exactRecordKey(record, keys) {
+    for (let set = 0; set < keys.length; set++) {
+      const values = keys[set].map(field => record[DEDUPE_FIELDS[field].column]);
+      if (set === keys.length - 1 || values.every(Boolean)) {
+        return { key: values.map(String).join('-'), fields: keys[set] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Builds the duplicate key of a record
+   * @param {Object} record - Raw ESIS record
+   * @param {Array} keys - Key sets of the rule
+   * @returns {Object|null} { key, fields } for the first complete key set, or null
+   */
+  function recordKey(record, keys) {
+    for (let set = 0; set < keys.length; set++) {
+      const values = [];
+      for (const field of keys[set]) {
+        const value = keyValue(DEDUPE_FIELDS[field].read(record));
+        if (value === null) {
+          break;
+        }
+        values.push(value);
+      }
+      if (values.length === keys[set].length) {
+        return { key: set + KEY_SEPARATOR + values.join(KEY_SEPARATOR), fields: keys[set] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads the document date of a record for keeping the latest re-issue
+   * @param {Object} record - Raw ESIS record
+   * @returns {number} Time of the document date, -Infinity when missing or invalid
+   */
+  function documentTime(record) {
+    const value = DEDUPE_FIELDS.documentDate.read(record);
+    if (value === undefined) {
+      return -Infinity;
+    }
+    const time = (value instanceof Date ? value : new Date(value)).getTime();
+    return isNaN(time) ? -Infinity : time;
+  }
+
+  /**
+   * Removes duplicate ESIS records under a rule
+   * @param {Array} records - Raw ESIS records
+   * @param {Object|string} [rule] - Rule or preset name; defaults to the original id or lender/date/loan key
+   * @returns {Object} { records, duplicates, groups }: the kept records and the dropped duplicates,
+   *   both in file order, and every collapsed group as { fields, records, kept, dropped }
+   */
+  function deduplicateRecords(records, rule) {
+    const { keys, keep, match } = createDedupeRule(rule);
+    const keyOf = match === 'exact' ? exactRecordKey : recordKey;
+    const rows = records || [];
+    const groups = new Map();
+    const keptIndex = new Map();
+
+    rows.forEach((record, index) => {
+      const key = keyOf(record, keys);
+      if (!key) {
+        return;
+      }
+      if (!groups.has(key.key)) {
+        groups.set(key.key, { fields: key.fields, indices: [] });
+        keptIndex.set(key.key, index);
+      }
+      groups.get(key.key).indices.push(index);
+      // Ties go to the later row, the re-issue
+      if (keep === 'latest' && documentTime(record) >= documentTime(rows[keptIndex.get(key.key)])) {
+        keptIndex.set(key.key, index);
+      }
+    });
+
+    const dropped = new Set();
+    const collapsed = [];
+    groups.forEach((group, key) => {
+      if (group.indices.length < 2) {
+        return;
+      }
+      const kept = keptIndex.get(key);
+      const droppedIndices = group.indices.filter(index => index !== kept);
+      droppedIndices.forEach(index => dropped.add(index));
+      collapsed.push({
+        fields: group.fields,
+        records: group.indices.length,
+        kept: rows[kept],
+        dropped: droppedIndices.map(index => rows[index])
+      });
+    });
+
+    const unique = [];
+    const duplicates = [];
+    rows.forEach((record, index) => {
+      (dropped.has(index) ? duplicates : unique).push(record);
+    });
+
+    return { records: unique, duplicates, groups: collapsed };
+  }
+
+  return {
+    DEDUPE_FIELDS,
+    KEEP_OPTIONS,
+    MATCH_OPTIONS,
+    DEDUPE_PRESETS,
+    DEFAULT_PRESET,
+    createDedupeRule,
+    describeDedupeRule,
+    deduplicateRecords
+  };
+});
@@ -0,0 +1,352 @@
+/**
+ * Lender taxonomy for the Mortgage Market Analysis Tool
+ *
+ * Lender names come from the data as they are, so brands and subsidiaries of
+ * one lender appear separately. A taxonomy tidies them up in three ways:
+ *
+ * - aliases merge other names into one lender, e.g. "Lloyds Bank: Lloyds, Lloyds TSB"
+ * - parent groups roll lenders up, e.g. "Lloyds Banking Group: Lloyds Bank, Halifax"
+ * - peer groups are custom sets of lenders, e.g. "Big 6" or "Specialist"
+ *
+ * A lender belongs to at most one parent group but may be in several peer
+ * groups. Group members may be written as aliases. Aliases match regardless of
+ * case; names are otherwise exact.
+ *
+ * A taxonomy is created from plain JSON so it can be saved and shared:
+ *
+ *   { "version": 1, "aliases": { "Lender": ["Other name"] },
+ *     "parents": { "Group": ["Lender"] }, "peerGroups": { "Group": ["Lender"] } }
+ *
+ * Pure and DOM-free: loaded by the page as the global `LenderTaxonomy` and
+ * required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LenderTaxonomy = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TAXONOMY_VERSION = 1;
+
+  // Parts of a taxonomy, as named in messages
+  const SECTIONS = {
+    aliases: 'aliases',
+    parents: 'parent groups',
+    peerGroups: 'peer groups'
+  };
+
+  // Levels lenders can be grouped at in the market share table, heatmap and trends
+  const GROUP_LEVELS = {
+    lender: { label: 'Lender' },
+    parent: { label: 'Parent Group' },
+    peerGroup: { label: 'Peer Group' }
+  };
+
+  // Group of lenders in no peer group, when grouping by peer group
+  const OTHER_GROUP = 'Other';
+
+  // Kinds of group a lender group filter value ('kind:name') can select
+  const FILTER_KINDS = {
+    parent: { section: 'parents', label: 'parent group' },
+    peer: { section: 'peerGroups', label: 'peer group' }
+  };
+
+  /**
+   * Reads one part of a taxonomy definition as trimmed names and members
+   * @param {Object} definition - Taxonomy definition
+   * @param {string} section - Key of SECTIONS
+   * @returns {Array} [name, members] pairs in the order given
+   * @throws {Error} If the part is not an object of lists, or a name is blank
+   */
+  function readSection(definition, section) {
+    const entries = definition[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`The ${SECTIONS[section]} must map each name to a list of lenders`);
+    }
+    return Object.keys(entries).map(name => {
+      const trimmed = name.trim();
+      if (!trimmed) {
+        throw new Error(`A name in the ${SECTIONS[section]} is blank`);
+      }
+      if (!Array.isArray(entries[name])) {
+        throw new Error(`${trimmed} in the ${SECTIONS[section]} must list its lenders`);
+      }
+      const members = [...new Set(entries[name].map(member => String(member).trim()).filter(Boolean))];
+      if (section !== 'aliases' && members.length === 0) {
+        throw new Error(`${trimmed} in the ${SECTIONS[section]} has no lenders`);
+      }
+      return [trimmed, members];
+    });
+  }
+
+  /**
+   * Creates a lender taxonomy
+   * @param {Object} [definition] - { aliases, parents, peerGroups }, each mapping a name to a list
+   * @returns {Object} Taxonomy with its normalized definition and lookups by lender
+   * @throws {Error} If the definition is malformed, a name is the alias of two lenders or an
+   *   alias of one lender has aliases of its own, or a lender is in two parent groups
+   */
+  function createTaxonomy(definition = {}) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Lender groups must be an object of aliases, parent groups and peer groups');
+    }
+
+    // Each lender with aliases, and each alias, by lower case name
+    const canonical = new Map();
+    const aliases = readSection(definition, 'aliases');
+    aliases.forEach(([lender]) => canonical.set(lender.toLowerCase(), lender));
+    aliases.forEach(([lender, names]) => {
+      names.forEach(name => {
+        const existing = canonical.get(name.toLowerCase());
+        if (existing === lender) return;
+        if (existing !== undefined) {
+          throw new Error(existing.toLowerCase() === name.toLowerCase()
+            ? `${name} has aliases, so it cannot also be an alias of ${lender}`
+            : `${name} is an alias of both ${existing} and ${lender}`);
+        }
+        canonical.set(name.toLowerCase(), lender);
+      });
+    });
+    const resolve = name => canonical.get(name.toLowerCase()) || name;
+
+    const parentOf = new Map();
+    const parents = readSection(definition, 'parents').map(([group, members]) => {
+      const lenders = [...new Set(members.map(resolve))];
+      lenders.forEach(lender => {
+        if (parentOf.has(lender) && parentOf.get(lender) !== group) {
+          throw new Error(`${lender} is in both parent groups ${parentOf.get(lender)} and ${group}`);
+        }
+        parentOf.set(lender, group);
+      });
+      return [group, lenders];
+    });
+
+    const peerGroupsOf = new Map();
+    const peerGroups = readSection(definition, 'peerGroups').map(([group, members]) => {
+      const lenders = [...new Set(members.map(resolve))];
+      lenders.forEach(lender => {
+        peerGroupsOf.set(lender, (peerGroupsOf.get(lender) || []).concat(group));
+      });
+      return [group, lenders];
+    });
+
+    const toObject = pairs => pairs.reduce((object, [name, members]) => Object.assign(object, { [name]: members }), {});
+    return {
+      definition: {
+        aliases: toObject(aliases),
+        parents: toObject(parents),
+        peerGroups: toObject(peerGroups)
+      },
+      canonical,
+      parentOf,
+      peerGroupsOf
+    };
+  }
+
+  /**
+   * Finds the lender a name belongs to
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @param {string} name - Lender name as in the data
+   * @returns {string} The lender the name is an alias of, or the trimmed name itself
+   */
+  function resolveLender(taxonomy, name) {
+    const trimmed = String(name || '').trim();
+    return taxonomy.canonical.get(trimmed.toLowerCase()) || trimmed;
+  }
+
+  /**
+   * Merges aliases in records into their lenders
+   * The name in the data is kept as SourceLender, so a changed taxonomy can be applied again.
+   * @param {Array} records - Enriched ESIS records
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @returns {Array} Records, with copies of those whose lender changed setting Provider and BaseLender
+   */
+  function applyAliases(records, taxonomy) {
+    return (records || []).map(record => {
+      const current = record.BaseLender || record.Provider;
+      const source = record.SourceLender || current;
+      if (!source) return record;
+      const lender = resolveLender(taxonomy, source);
+      if (lender === current) return record;
+      return Object.assign({}, record, { Provider: lender, BaseLender: lender, SourceLender: source });
+    });
+  }
+
+  /**
+   * Finds the group a lender is counted in at a grouping level
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @param {string} lender - Lender, after alias merging
+   * @param {string} level - Key of GROUP_LEVELS
+   * @returns {string} The lender itself; its parent group, or itself without one; or its first
+   *   peer group, or 'Other' without one
+   * @throws {Error} If the level is unknown
+   */
+  function groupOf(taxonomy, lender, level) {
+    switch (level) {
+      case 'lender':
+        return lender;
+      case 'parent':
+        return taxonomy.parentOf.get(lender) || lender;
+      case 'peerGroup':
+        return (taxonomy.peerGroupsOf.get(lender) || [OTHER_GROUP])[0];
+      default:
+        throw new Error(`Unknown lender grouping: ${level}`);
+    }
+  }
+
+  /**
+   * Relabels records with their lender's group, so reports keyed by lender report groups
+   * @param {Array} records - Enriched ESIS records, after alias merging
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @param {string} level - Key of GROUP_LEVELS
+   * @returns {Array} The records themselves at lender level, else copies with Provider and
+   *   BaseLender set to the group
+   * @throws {Error} If the level is unknown
+   */
+  function groupRecords(records, taxonomy, level) {
+    if (!GROUP_LEVELS[level]) {
+      throw new Error(`Unknown lender grouping: ${level}`);
+    }
+    if (level === 'lender') {
+      return records || [];
+    }
+    const groups = new Map();
+    return (records || []).map(record => {
+      const lender = record.BaseLender || record.Provider;
+      if (!lender) return record;
+      if (!groups.has(lender)) {
+        groups.set(lender, groupOf(taxonomy, lender, level));
+      }
+      return Object.assign({}, record, { Provider: groups.get(lender), BaseLender: groups.get(lender) });
+    });
+  }
+
+  /**
+   * Lists the groups the lender group filter can select
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @returns {Object} Entries by filter value ('parent:Name' or 'peer:Name'), each with a label
+   */
+  function listGroupFilters(taxonomy) {
+    const options = {};
+    Object.keys(FILTER_KINDS).forEach(kind => {
+      Object.keys(taxonomy.definition[FILTER_KINDS[kind].section]).forEach(group => {
+        options[`${kind}:${group}`] = { label: `${group} (${FILTER_KINDS[kind].label})` };
+      });
+    });
+    return options;
+  }
+
+  /**
+   * Creates a check of records against a selection of lender groups
+   * @param {Object} [taxonomy] - Output of createTaxonomy; none has no groups
+   * @param {Array} values - Selected filter values from listGroupFilters; none selects every lender
+   * @returns {Function} (record) => true if the record's lender is in any selected group
+   * @throws {Error} If a value is not a lender group filter value
+   */
+  function createGroupMatcher(taxonomy, values) {
+    const groups = (values || []).map(value => {
+      const separator = String(value).indexOf(':');
+      const kind = FILTER_KINDS[String(value).slice(0, separator)];
+      if (separator < 0 || !kind) {
+        throw new Error(`Unknown lender group: ${value}`);
+      }
+      const members = taxonomy ? taxonomy.definition[kind.section][String(value).slice(separator + 1)] : null;
+      return new Set(members || []);
+    });
+    return function matchesLenderGroups(record) {
+      if (groups.length === 0) {
+        return true;
+      }
+      const lender = (record.BaseLender || record.Provider || '').trim();
+      return groups.some(members => members.has(lender));
+    };
+  }
+
+  /**
+   * Reads a taxonomy from the text of its editor, one "Name: lender, lender" line per entry
+   * Blank lines and lines starting with # are skipped. Names cannot contain a colon.
+   * @param {Object} texts - { aliases, parents, peerGroups } text
+   * @returns {Object} Taxonomy (see createTaxonomy)
+   * @throws {Error} If a line has no name and colon, or the taxonomy is invalid
+   */
+  function parseTaxonomyText(texts) {
+    const definition = {};
+    Object.keys(SECTIONS).forEach(section => {
+      definition[section] = {};
+      String((texts && texts[section]) || '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const separator = trimmed.indexOf(':');
+        if (separator < 1) {
+          throw new Error(`Line ${index + 1} of the ${SECTIONS[section]} needs a name and a colon, e.g. "Name: Lender A, Lender B"`);
+        }
+        const name = trimmed.slice(0, separator).trim();
+        const members = trimmed.slice(separator + 1).split(',');
+        definition[section][name] = (definition[section][name] || []).concat(members);
+      });
+    });
+    return createTaxonomy(definition);
+  }
+
+  /**
+   * Writes a taxonomy as the text of its editor
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @returns {Object} { aliases, parents, peerGroups } text, one "Name: lender, lender" line per entry
+   */
+  function formatTaxonomyText(taxonomy) {
+    const texts = {};
+    Object.keys(SECTIONS).forEach(section => {
+      const entries = taxonomy.definition[section];
+      texts[section] = Object.keys(entries).map(name => `${name}: ${entries[name].join(', ')}`).join('\n');
+    });
+    return texts;
+  }
+
+  /**
+   * Serializes a taxonomy for a lender groups file
+   * @param {Object} taxonomy - Output of createTaxonomy
+   * @returns {string} JSON text
+   */
+  function exportTaxonomy(taxonomy) {
+    return JSON.stringify(Object.assign({ version: TAXONOMY_VERSION }, taxonomy.definition), null, 2);
+  }
+
+  /**
+   * Reads a lender groups file
+   * @param {string} text - JSON text from exportTaxonomy
+   * @returns {Object} Taxonomy (see createTaxonomy)
+   * @throws {Error} If the text is not a lender groups file or the taxonomy in it is invalid
+   */
+  function importTaxonomy(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not a lender groups file: it is not valid JSON');
+    }
+    if (!file || typeof file !== 'object' || !Object.keys(SECTIONS).some(section => section in file)) {
+      throw new Error('The file is not a lender groups file: it has no aliases, parent groups or peer groups');
+    }
+    if (file.version > TAXONOMY_VERSION) {
+      throw new Error(`Lender groups file version ${file.version} is newer than this tool supports`);
+    }
+    return createTaxonomy({ aliases: file.aliases, parents: file.parents, peerGroups: file.peerGroups });
+  }
+
+  return {
+    GROUP_LEVELS,
+    OTHER_GROUP,
+    createTaxonomy,
+    resolveLender,
+    applyAliases,
+    groupOf,
+    groupRecords,
+    listGroupFilters,
+    createGroupMatcher,
+    parseTaxonomyText,
+    formatTaxonomyText,
+    exportTaxonomy,
+    importTaxonomy
+  };
+});
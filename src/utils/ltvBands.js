@@ -0,0 +1,141 @@
+/**
+ * LTV band schemes for the Mortgage Market Analysis Tool
+ *
+ * Splits loan-to-value percentages into bands at configurable breakpoints,
+ * e.g. 60, 75, 85, 90, 95 gives 0-60, 60-75, 75-85, 85-90, 90-95 and 95+.
+ * Each band includes its lower bound and excludes its upper bound, so an 85%
+ * LTV falls in 85-90. Band labels describe their own bounds, so a filter can
+ * hold the labels alone and still be applied under any scheme.
+ *
+ * A scheme is created from plain JSON ({ breakpoints }) so it can be saved and
+ * shared. Loaded by the page as the global `LtvBands` and required by Node
+ * scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LtvBands = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_LTV_BREAKPOINTS = [60, 75, 85, 90, 95];
+
+  // Highest breakpoint accepted, in LTV percent
+  const MAX_LTV_BREAKPOINT = 150;
+
+  const BAND_PATTERN = /^(\d+)(?:-(\d+)|\+)$/;
+
+  /**
+   * Creates an LTV band scheme
+   * @param {Object} [definition] - { breakpoints }: ascending whole LTV percentages
+   * @returns {Object} Scheme with its normalized definition and bands as { label, lower, upper }
+   * @throws {Error} If there are no breakpoints, or they are not ascending whole percentages
+   */
+  function createLtvBandScheme(definition = { breakpoints: DEFAULT_LTV_BREAKPOINTS }) {
+    const breakpoints = (definition.breakpoints || []).map(Number);
+    if (breakpoints.length === 0) {
+      throw new Error('LTV bands need at least one breakpoint');
+    }
+    breakpoints.forEach((breakpoint, index) => {
+      if (!Number.isInteger(breakpoint) || breakpoint <= 0 || breakpoint > MAX_LTV_BREAKPOINT) {
+        throw new Error(`LTV breakpoints must be whole percentages from 1 to ${MAX_LTV_BREAKPOINT}`);
+      }
+      if (index > 0 && breakpoint <= breakpoints[index - 1]) {
+        throw new Error('LTV breakpoints must be in ascending order');
+      }
+    });
+
+    const bounds = [0].concat(breakpoints);
+    const bands = bounds.map((lower, index) => {
+      const upper = index < breakpoints.length ? breakpoints[index] : Infinity;
+      return { label: upper === Infinity ? `${lower}+` : `${lower}-${upper}`, lower, upper };
+    });
+
+    return { definition: { breakpoints }, bands };
+  }
+
+  /**
+   * Lists the band labels of a scheme
+   * @param {Object} scheme - Scheme from createLtvBandScheme
+   * @returns {Array} Labels, lowest band first
+   */
+  function ltvBandLabels(scheme) {
+    return scheme.bands.map(band => band.label);
+  }
+
+  /**
+   * Describes a scheme for labels and report summaries
+   * @param {Object} scheme - Scheme from createLtvBandScheme
+   * @returns {string} Description such as '0-60, 60-75, 75-85, 85-90, 90-95, 95+'
+   */
+  function describeLtvBandScheme(scheme) {
+    return ltvBandLabels(scheme).join(', ');
+  }
+
+  /**
+   * Reads the bounds of a band from its label
+   * @param {string} label - Band label such as '85-90' or '95+'
+   * @returns {Object} { lower, upper }, upper being Infinity for an open band
+   * @throws {Error} If the label is not an LTV band
+   */
+  function parseLtvBand(label) {
+    const match = BAND_PATTERN.exec(String(label).trim());
+    if (!match || (match[2] !== undefined && Number(match[2]) <= Number(match[1]))) {
+      throw new Error(`Invalid LTV band: ${label}. Use bands such as 85-90 or 95+`);
+    }
+    return {
+      lower: Number(match[1]),
+      upper: match[2] === undefined ? Infinity : Number(match[2])
+    };
+  }
+
+  /**
+   * Checks whether an LTV has a value to band
+   * @param {number|null} ltv - Standardized LTV percentage
+   * @returns {boolean} True for a number
+   */
+  function hasLtv(ltv) {
+    return ltv !== undefined && ltv !== null && !isNaN(ltv);
+  }
+
+  /**
+   * Finds the band of an LTV
+   * @param {number|null} ltv - Standardized LTV percentage
+   * @param {Object} scheme - Scheme from createLtvBandScheme
+   * @returns {string|null} Band label, or null without an LTV
+   */
+  function assignLtvBand(ltv, scheme) {
+    if (!hasLtv(ltv)) {
+      return null;
+    }
+    const band = scheme.bands.find(candidate => ltv >= candidate.lower && ltv < candidate.upper);
+    return band ? band.label : null;
+  }
+
+  /**
+   * Creates a check of LTVs against a selection of bands
+   * Records without LTV data always pass, as with the LTV range filter.
+   * @param {Array} labels - Selected band labels; none selects every LTV
+   * @returns {Function} (ltv) => true if the LTV is in any selected band
+   * @throws {Error} If a label is not an LTV band
+   */
+  function createLtvBandMatcher(labels) {
+    const bounds = (labels || []).map(parseLtvBand);
+    return function matchesLtvBands(ltv) {
+      if (bounds.length === 0 || !hasLtv(ltv)) {
+        return true;
+      }
+      return bounds.some(band => ltv >= band.lower && ltv < band.upper);
+    };
+  }
+
+  return {
+    DEFAULT_LTV_BREAKPOINTS,
+    createLtvBandScheme,
+    ltvBandLabels,
+    describeLtvBandScheme,
+    parseLtvBand,
+    assignLtvBand,
+    createLtvBandMatcher
+  };
+});
@@ -0,0 +1,565 @@
+/**
+ * Market report functions for the Mortgage Market Analysis Tool
+ *
+ * Pure, DOM-free filtering and report building on top of the enriched records
+ * produced by analysisPipeline.js: record filters, the premium band x month
+ * table, lender market share and market share trends, plus CSV serialization.
+ * Loaded by the page as the global `MarketReports` (after ltvBands.js,
+ * timePeriods.js and lenderTaxonomy.js) and required by the CLI.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./ltvBands'), require('./timePeriods'), require('./lenderTaxonomy'));
+  } else {
+    root.MarketReports = factory(root.LtvBands, root.TimePeriods, root.LenderTaxonomy);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LtvBands, TimePeriods, LenderTaxonomy) {
+  const PRODUCT_TERMS = {
+    '2year': 24,
+    '3year': 36,
+    '5year': 60,
+    '7year': 84,
+    '10year': 120
+  };
+
+  const LTV_RANGES = ['all', 'below-80', 'above-80', 'above-85', 'above-90'];
+
+  /**
+   * Creates a filter state with no active filters
+   * @returns {Object} Default filters
+   */
+  function createDefaultFilters() {
+    return {
+      dateRange: [null, null],
+      lenders: [],
+      lenderGroups: [],
+      premiumRange: null,
+      productTypes: [],
+      purchaseTypes: [],
+      ltvRange: 'all',
+      ltvBands: [],
+      productTerm: 'all'
+    };
+  }
+
+  /**
+   * Checks a standardized LTV against an LTV range option
+   * Records without LTV data always pass, matching the page filter.
+   * @param {number|null} ltv - Standardized LTV percentage
+   * @param {string} ltvRange - 'all', 'below-80', 'above-80', 'above-85' or 'above-90'
+   * @returns {boolean} True if the LTV is inside the range
+   */
+  function matchesLtvRange(ltv, ltvRange) {
+    if (!ltvRange || ltvRange === 'all' || ltv === undefined || ltv === null || isNaN(ltv)) {
+      return true;
+    }
+
+    switch (ltvRange) {
+      case 'below-80':
+        return ltv < 80;
+      case 'above-80':
+        return ltv >= 80;
+      case 'above-85':
+        return ltv > 85;
+      case 'above-90':
+        return ltv > 90;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Checks a record's premium against a [min, max] bps range
+   * @param {Object} record - Enriched ESIS record
+   * @param {Array} premiumRange - [min, max] in basis points
+   * @returns {boolean} True if the premium (or its band) falls inside the range
+   */
+  function matchesPremiumRange(record, premiumRange) {
+    const [min, max] = premiumRange;
+
+    if (record.PremiumOverSwap === null || record.PremiumOverSwap === undefined) {
+      if (!record.PremiumBand) {
+        return false;
+      }
+
+      // Keep records whose band overlaps the range (e.g. '60-80' -> [60, 80])
+      const bounds = /^(-?\d+)-(-?\d+)$/.exec(record.PremiumBand);
+      if (!bounds) {
+        return false;
+      }
+      return !(Number(bounds[1]) > max || Number(bounds[2]) < min);
+    }
+
+    return record.PremiumOverSwap >= min && record.PremiumOverSwap <= max;
+  }
+
+  /**
+   * Filters enriched records
+   * The LTV range and LTV bands filters both apply when both are set. Lender groups are part
+   * of the lender filter: a record must be in a selected group as well as a selected lender,
+   * and skipping the lender filter skips both.
+   * @param {Array} records - Enriched ESIS records
+   * @param {Object} filters - Filter values (see createDefaultFilters); ltvBands are LTV band labels,
+   *   dateRange bounds are days (YYYY-MM-DD) or months (YYYY-MM), lenderGroups are values from
+   *   LenderTaxonomy.listGroupFilters of the lenderTaxonomy
+   * @param {Object} [options] - Set a filter name to false to skip that filter
+   * @returns {Array} Records matching all active filters
+   */
+  function filterRecords(records, filters = {}, options = {}) {
+    if (!records || !Array.isArray(records)) {
+      return [];
+    }
+
+    const active = {
+      dateRange: true,
+      lenders: true,
+      premiumRange: true,
+      productTypes: true,
+      purchaseTypes: true,
+      ltvRange: true,
+      ltvBands: true,
+      productTerm: true,
+      ...options
+    };
+
+    const matchesDateRange = TimePeriods.createDateRangeMatcher(active.dateRange ? filters.dateRange : null);
+    const lenders = active.lenders ? (filters.lenders || []).filter(Boolean) : [];
+    const matchesLenderGroups = LenderTaxonomy.createGroupMatcher(filters.lenderTaxonomy, active.lenders ? filters.lenderGroups : []);
+    const productTypes = active.productTypes ? (filters.productTypes || []) : [];
+    const purchaseTypes = active.purchaseTypes ? (filters.purchaseTypes || []) : [];
+    const ltvRange = active.ltvRange ? (filters.ltvRange || 'all') : 'all';
+    const matchesLtvBands = LtvBands.createLtvBandMatcher(active.ltvBands ? filters.ltvBands : []);
+    const productTerm = active.productTerm ? PRODUCT_TERMS[filters.productTerm] : undefined;
+    const premiumRange = active.premiumRange ? filters.premiumRange : null;
+
+    return records.filter(record => {
+      if (!record || typeof record !== 'object') {
+        return false;
+      }
+
+      if (lenders.length > 0) {
+        const provider = (record.Provider || '').trim();
+        const baseLender = (record.BaseLender || '').trim();
+        if (!lenders.some(lender => provider === lender || baseLender === lender)) {
+          return false;
+        }
+      }
+
+      if (!matchesLenderGroups(record)) {
+        return false;
+      }
+
+      if (!matchesDateRange(record)) {
+        return false;
+      }
+
+      if (productTerm !== undefined && record.NormalizedTerm !== productTerm) {
+        return false;
+      }
+
+      if (!matchesLtvRange(record.StandardizedLTV, ltvRange) || !matchesLtvBands(record.StandardizedLTV)) {
+        return false;
+      }
+
+      if (productTypes.length > 0 && (!record.ProductType || !productTypes.includes(record.ProductType))) {
+        return false;
+      }
+
+      if (purchaseTypes.length > 0 && (!record.PurchaseType || !purchaseTypes.includes(record.PurchaseType))) {
+        return false;
+      }
+
+      if (premiumRange && !matchesPremiumRange(record, premiumRange)) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Calculates whole-market totals by premium band for the "% of Market" column
+   * Only the date range, product type and purchase type filters apply, so the
+   * totals describe the market the selected lenders compete in.
+   * @param {Array} records - Enriched ESIS records
+   * @param {Object} filters - Filter values
+   * @returns {Object} Object with byPremiumBand and overall totals
+   */
+  function calculateMarketTotals(records, filters = {}) {
+    const marketData = filterRecords(records, filters, {
+      lenders: false,
+      premiumRange: false,
+      ltvRange: false,
+      ltvBands: false,
+      productTerm: false
+    }).filter(record => record.PurchaseType !== 'Right to Buy');
+
+    const marketTotals = { byPremiumBand: {}, overall: 0 };
+    marketData.forEach(record => {
+      if (record.PremiumBand) {
+        const loanAmount = record.Loan || 0;
+        marketTotals.byPremiumBand[record.PremiumBand] = (marketTotals.byPremiumBand[record.PremiumBand] || 0) + loanAmount;
+        marketTotals.overall += loanAmount;
+      }
+    });
+
+    return marketTotals;
+  }
+
+  /**
+   * Builds the premium band x month table rows shown in the results table
+   * @param {Object} aggregates - Output of aggregateByPremiumBandAndMonth for the filtered records
+   * @param {Object} marketTotals - Output of calculateMarketTotals
+   * @param {boolean} allLenders - True when no lender filter is active
+   * @returns {Array} Rows with premiumBand, one key per month, total and percentageOfMarket, ending with a Total row
+   */
+  function buildPremiumBandTable(aggregates, marketTotals, allLenders) {
+    const percentageOf = (amount, marketAmount) => {
+      if (marketAmount <= 0) {
+        return 0;
+      }
+      return allLenders ? 100 : (amount / marketAmount) * 100;
+    };
+
+    const rows = aggregates.premiumBands.map(band => {
+      const total = aggregates.totals.byPremiumBand[band] || 0;
+      const row = {
+        premiumBand: band,
+        total,
+        percentageOfMarket: percentageOf(total, marketTotals.byPremiumBand[band] || 0)
+      };
+      aggregates.months.forEach(month => {
+        row[month] = (aggregates.data[band] && aggregates.data[band][month]) || 0;
+      });
+      return row;
+    });
+
+    const totalRow = {
+      premiumBand: 'Total',
+      total: aggregates.totals.overall || 0,
+      percentageOfMarket: percentageOf(aggregates.totals.overall || 0, marketTotals.overall || 0)
+    };
+    aggregates.months.forEach(month => {
+      totalRow[month] = aggregates.totals.byMonth[month] || 0;
+    });
+    rows.push(totalRow);
+
+    return rows;
+  }
+
+  /**
+   * Builds the key of a lender market share value within one LTV band
+   * @param {string} band - Premium band, or 'Total'
+   * @param {string} ltvBand - LTV band label
+   * @returns {string} Key such as '100-120_ltv85-90'
+   */
+  function ltvShareKey(band, ltvBand) {
+    return `${band}_ltv${ltvBand}`;
+  }
+
+  /**
+   * Aggregates lender market share within the selected premium bands, split by LTV band
+   * Each premium band (and the Total) has an amount and share per LTV band under
+   * ltvShareKey(band, ltvBand), alongside the amount and share across all LTVs.
+   * @param {Array} records - Enriched ESIS records (already filtered, lender filter excluded)
+   * @param {Array} selectedBands - Premium bands to include
+   * @param {Object} [ltvScheme] - LTV band scheme from LtvBands.createLtvBandScheme (default bands if omitted)
+   * @returns {Object} Object with lenders, ltvBands, lenderData, bandTotals, overallTotal,
+   *   overallTotalsByLtv and a Total Market summary row
+   */
+  function aggregateLenderMarketShare(records, selectedBands, ltvScheme = LtvBands.createLtvBandScheme()) {
+    const lenders = [...new Set(records.map(r => r.BaseLender || r.Provider).filter(Boolean))].sort();
+    const ltvBands = LtvBands.ltvBandLabels(ltvScheme);
+    const columns = selectedBands.concat(['Total']);
+
+    const bandTotals = {};
+    selectedBands.forEach(band => {
+      bandTotals[band] = 0;
+      ltvBands.forEach(ltvBand => {
+        bandTotals[ltvShareKey(band, ltvBand)] = 0;
+      });
+    });
+
+    const lenderData = {};
+    lenders.forEach(lender => {
+      lenderData[lender] = {};
+      columns.forEach(band => {
+        lenderData[lender][band] = 0;
+        lenderData[lender][band + '_pct'] = 0;
+        ltvBands.forEach(ltvBand => {
+          lenderData[lender][ltvShareKey(band, ltvBand)] = 0;
+          lenderData[lender][ltvShareKey(band, ltvBand) + '_pct'] = 0;
+        });
+      });
+    });
+
+    records.forEach(r => {
+      const lender = r.BaseLender || r.Provider;
+      const band = r.PremiumBand;
+      if (!lender || !selectedBands.includes(band)) {
+        return;
+      }
+
+      const loanAmount = r.Loan || 0;
+      lenderData[lender][band] += loanAmount;
+      bandTotals[band] += loanAmount;
+
+      // Records without LTV count towards the band total but not the LTV split
+      const ltvBand = LtvBands.assignLtvBand(r.StandardizedLTV, ltvScheme);
+      if (ltvBand) {
+        lenderData[lender][ltvShareKey(band, ltvBand)] += loanAmount;
+        bandTotals[ltvShareKey(band, ltvBand)] += loanAmount;
+      }
+    });
+
+    let overallTotal = 0;
+    const overallTotalsByLtv = {};
+    ltvBands.forEach(ltvBand => {
+      overallTotalsByLtv[ltvBand] = 0;
+    });
+    selectedBands.forEach(band => {
+      overallTotal += bandTotals[band];
+      ltvBands.forEach(ltvBand => {
+        overallTotalsByLtv[ltvBand] += bandTotals[ltvShareKey(band, ltvBand)];
+      });
+    });
+
+    const shareOf = (amount, total) => (total > 0 ? (amount / total) * 100 : 0);
+
+    lenders.forEach(lender => {
+      const data = lenderData[lender];
+      selectedBands.forEach(band => {
+        data.Total += data[band];
+        data[band + '_pct'] = shareOf(data[band], bandTotals[band]);
+        ltvBands.forEach(ltvBand => {
+          const key = ltvShareKey(band, ltvBand);
+          data[ltvShareKey('Total', ltvBand)] += data[key];
+          data[key + '_pct'] = shareOf(data[key], bandTotals[key]);
+        });
+      });
+
+      data.Total_pct = shareOf(data.Total, overallTotal);
+      ltvBands.forEach(ltvBand => {
+        const key = ltvShareKey('Total', ltvBand);
+        data[key + '_pct'] = shareOf(data[key], overallTotalsByLtv[ltvBand]);
+      });
+    });
+
+    const summary = { Lender: 'Total Market' };
+    selectedBands.forEach(band => {
+      summary[band] = bandTotals[band];
+      summary[band + '_pct'] = 100;
+      ltvBands.forEach(ltvBand => {
+        summary[ltvShareKey(band, ltvBand)] = bandTotals[ltvShareKey(band, ltvBand)];
+        summary[ltvShareKey(band, ltvBand) + '_pct'] = 100;
+      });
+    });
+    summary.Total = overallTotal;
+    summary.Total_pct = 100;
+    ltvBands.forEach(ltvBand => {
+      summary[ltvShareKey('Total', ltvBand)] = overallTotalsByLtv[ltvBand];
+      summary[ltvShareKey('Total', ltvBand) + '_pct'] = 100;
+    });
+
+    return {
+      lenders,
+      ltvBands,
+      lenderData,
+      bandTotals,
+      overallTotal,
+      overallTotalsByLtv,
+      summary
+    };
+  }
+
+  /**
+   * Flattens lender market share into table rows, largest lender first
+   * @param {Object} marketShare - Output of aggregateLenderMarketShare
+   * @param {Array} selectedBands - Premium bands included in the market share
+   * @returns {Array} Rows with Lender, per-band amount and share, Total and Total_pct, ending with Total Market
+   */
+  function buildMarketShareTable(marketShare, selectedBands) {
+    const toRow = (lender, data) => {
+      const row = { Lender: lender };
+      selectedBands.forEach(band => {
+        row[band] = data[band];
+        row[band + '_pct'] = data[band + '_pct'];
+      });
+      row.Total = data.Total;
+      row.Total_pct = data.Total_pct;
+      return row;
+    };
+
+    const rows = marketShare.lenders
+      .filter(lender => marketShare.lenderData[lender].Total > 0)
+      .map(lender => toRow(lender, marketShare.lenderData[lender]))
+      .sort((a, b) => b.Total - a.Total);
+    rows.push(toRow('Total Market', marketShare.summary));
+
+    return rows;
+  }
+
+  /**
+   * Formats a YYYY-MM month key as 'MMM YY' (e.g. 'Jan 24')
+   * @param {string} monthKey - Month key in YYYY-MM format
+   * @returns {string} Short month label
+   */
+  function formatMonthLabel(monthKey) {
+    return TimePeriods.formatPeriodLabel(monthKey);
+  }
+
+  /**
+   * Groups loan amounts by time period and lender and calculates market share in each period
+   * The periods are listed under `months` whatever the granularity, as in aggregateByPremiumBandAndMonth.
+   * @param {Array} records - Enriched ESIS records (already filtered)
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year', see timePeriods.js
+   * @returns {Object} Object with granularity, sorted months (period keys), monthLabels and data[period] = { lenders, total }
+   * @throws {Error} If the granularity is unknown
+   */
+  function groupByMonthAndLender(records, granularity = TimePeriods.DEFAULT_GRANULARITY) {
+    TimePeriods.validateGranularity(granularity);
+    const data = {};
+
+    records.forEach(record => {
+      const lender = record.Provider;
+      const period = lender ? TimePeriods.recordPeriod(record, granularity) : null;
+      if (!period) return;
+
+      if (!data[period]) {
+        data[period] = { lenders: {}, total: 0 };
+      }
+
+      const loan = record.Loan || 0;
+      data[period].lenders[lender] = (data[period].lenders[lender] || 0) + loan;
+      data[period].total += loan;
+    });
+
+    Object.values(data).forEach(monthData => {
+      if (monthData.total > 0) {
+        Object.keys(monthData.lenders).forEach(lender => {
+          monthData.lenders[lender + '_pct'] = (monthData.lenders[lender] / monthData.total) * 100;
+        });
+      }
+    });
+
+    const months = Object.keys(data).sort();
+    return {
+      granularity,
+      months,
+      monthLabels: months.map(TimePeriods.formatPeriodLabel),
+      data
+    };
+  }
+
+  /**
+   * Lists every lender with lending in any month
+   * @param {Object} monthlyData - Output of groupByMonthAndLender
+   * @returns {Array} Sorted lender names
+   */
+  function findActiveLenders(monthlyData) {
+    const lenderSet = new Set();
+    Object.values(monthlyData.data).forEach(month => {
+      Object.keys(month.lenders)
+        .filter(lender => !lender.endsWith('_pct'))
+        .forEach(lender => lenderSet.add(lender));
+    });
+    return Array.from(lenderSet).sort();
+  }
+
+  /**
+   * Lists lenders that ranked in the top N by market share in any month
+   * @param {Object} monthlyData - Output of groupByMonthAndLender
+   * @param {number} [maxLenders=5] - Number of lenders to take from each month
+   * @returns {Array} Sorted lender names
+   */
+  function findTopLenders(monthlyData, maxLenders = 5) {
+    const topLendersSet = new Set();
+
+    Object.values(monthlyData.data).forEach(monthData => {
+      Object.keys(monthData.lenders)
+        .filter(lender => !lender.endsWith('_pct'))
+        .map(lender => ({ lender, share: monthData.lenders[lender + '_pct'] || 0 }))
+        .sort((a, b) => b.share - a.share)
+        .slice(0, maxLenders)
+        .forEach(item => topLendersSet.add(item.lender));
+    });
+
+    return Array.from(topLendersSet).sort();
+  }
+
+  /**
+   * Names the period column of the trend rows after the granularity, e.g. 'Week'
+   * @param {Object} monthlyData - Output of groupByMonthAndLender
+   * @returns {string} Column name; 'Month' for monthly data
+   */
+  function trendsPeriodColumn(monthlyData) {
+    return TimePeriods.GRANULARITY_LABELS[monthlyData.granularity || TimePeriods.DEFAULT_GRANULARITY];
+  }
+
+  /**
+   * Builds market share trend rows, one per period with a share column per lender
+   * @param {Object} monthlyData - Output of groupByMonthAndLender
+   * @param {Array} lenders - Lenders to include as columns
+   * @returns {Array} Rows with the period under Month, Week, Quarter or Year (see trendsPeriodColumn),
+   *   Label and one market share percentage per lender
+   */
+  function buildTrendsTable(monthlyData, lenders) {
+    const periodColumn = trendsPeriodColumn(monthlyData);
+    return monthlyData.months.map((month, index) => {
+      const row = { [periodColumn]: month, Label: monthlyData.monthLabels[index] };
+      lenders.forEach(lender => {
+        row[lender] = monthlyData.data[month].lenders[lender + '_pct'] || 0;
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Escapes a value for a CSV cell
+   * @param {*} value - Cell value
+   * @returns {string} CSV-safe cell text
+   */
+  function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serializes rows to CSV
+   * @param {Array} rows - Row objects
+   * @param {Array} [columns] - Column keys in order (defaults to the keys of the first row)
+   * @returns {string} CSV text with a header row
+   */
+  function toCsv(rows, columns) {
+    const keys = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+    const lines = [keys.map(escapeCsvValue).join(',')];
+    rows.forEach(row => {
+      lines.push(keys.map(key => escapeCsvValue(row[key])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    PRODUCT_TERMS,
+    LTV_RANGES,
+    createDefaultFilters,
+    matchesLtvRange,
+    matchesPremiumRange,
+    filterRecords,
+    calculateMarketTotals,
+    buildPremiumBandTable,
+    ltvShareKey,
+    aggregateLenderMarketShare,
+    buildMarketShareTable,
+    formatMonthLabel,
+    groupByMonthAndLender,
+    trendsPeriodColumn,
+    findActiveLenders,
+    findTopLenders,
+    buildTrendsTable,
+    toCsv
+  };
+});
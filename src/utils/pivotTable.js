@@ -0,0 +1,365 @@
+/**
+ * Pivot tables for the Mortgage Market Analysis Tool
+ *
+ * Cross-tabulates enriched records by any two dimensions (lender, premium band,
+ * month, quarter, LTV band, purchase type, product term or loan size band) with
+ * one measure per cell: loan sum, record count, average premium, loan-weighted
+ * average premium, or share of the column or row. Every row and column has a
+ * total, and records without a value for a dimension are grouped as 'Unknown'.
+ *
+ * Pure and DOM-free: the page renders the output in Tabulator. Loaded by the
+ * page as the global `PivotTable` (after premiumBands.js and ltvBands.js) and
+ * required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./premiumBands'), require('./ltvBands'));
+  } else {
+    root.PivotTable = factory(root.PremiumBands, root.LtvBands);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PremiumBands, LtvBands) {
+  const UNKNOWN = 'Unknown';
+
+  // Upper bounds of the loan size bands, in pounds
+  const LOAN_SIZE_BREAKPOINTS = [100000, 200000, 300000, 500000, 1000000];
+
+  /**
+   * Formats a loan amount for a loan size band label
+   * @param {number} amount - Amount in pounds
+   * @returns {string} Label such as '£250k' or '£1m'
+   */
+  function formatLoanBound(amount) {
+    return amount >= 1000000 ? `£${amount / 1000000}m` : `£${amount / 1000}k`;
+  }
+
+  const LOAN_SIZE_BANDS = LOAN_SIZE_BREAKPOINTS.map((upper, index) => {
+    const lower = index === 0 ? 0 : LOAN_SIZE_BREAKPOINTS[index - 1];
+    return {
+      label: index === 0 ? `<${formatLoanBound(upper)}` : `${formatLoanBound(lower)}-${formatLoanBound(upper)}`,
+      lower,
+      upper
+    };
+  }).concat([{
+    label: `${formatLoanBound(LOAN_SIZE_BREAKPOINTS[LOAN_SIZE_BREAKPOINTS.length - 1])}+`,
+    lower: LOAN_SIZE_BREAKPOINTS[LOAN_SIZE_BREAKPOINTS.length - 1],
+    upper: Infinity
+  }]);
+
+  /**
+   * Finds the loan size band of a loan amount
+   * @param {number} loan - Loan amount in pounds
+   * @returns {string|null} Band label such as '£200k-£300k', or null without a loan amount
+   */
+  function assignLoanSizeBand(loan) {
+    if (typeof loan !== 'number' || isNaN(loan) || loan <= 0) {
+      return null;
+    }
+    return LOAN_SIZE_BANDS.find(band => loan >= band.lower && loan < band.upper).label;
+  }
+
+  /**
+   * Formats a YYYY-MM month key as its quarter
+   * @param {string} month - Month key in YYYY-MM format
+   * @returns {string|null} Quarter such as '2024 Q1'
+   */
+  function monthToQuarter(month) {
+    if (!month) {
+      return null;
+    }
+    const [year, monthNumber] = month.split('-').map(Number);
+    return `${year} Q${Math.ceil(monthNumber / 3)}`;
+  }
+
+  /**
+   * Formats a normalized product term
+   * @param {number} term - Term in months
+   * @returns {string|null} Label such as '5 Year', or months for terms that are not whole years
+   */
+  function formatProductTerm(term) {
+    if (!term) {
+      return null;
+    }
+    return term % 12 === 0 ? `${term / 12} Year` : `${term} Months`;
+  }
+
+  /**
+   * Reads the number of months from a product term label
+   * @param {string} label - Label from formatProductTerm
+   * @returns {number} Term in months
+   */
+  function productTermMonths(label) {
+    const number = parseInt(label, 10);
+    return label.endsWith('Year') ? number * 12 : number;
+  }
+
+  /**
+   * Orders labels in the order of a list of known labels, others alphabetically after them
+   * @param {Array} order - Known labels in order
+   * @returns {Function} Comparator for Array.prototype.sort
+   */
+  function byListOrder(order) {
+    return (a, b) => {
+      const aIndex = order.indexOf(a);
+      const bIndex = order.indexOf(b);
+      if (aIndex === -1 || bIndex === -1) {
+        return (aIndex === -1 ? 1 : 0) - (bIndex === -1 ? 1 : 0) || a.localeCompare(b);
+      }
+      return aIndex - bIndex;
+    };
+  }
+
+  /**
+   * Orders labels alphabetically
+   * @param {string} a - Label
+   * @param {string} b - Label
+   * @returns {number} Sort order
+   */
+  function alphabetical(a, b) {
+    return a.localeCompare(b, 'en-GB', { sensitivity: 'base' });
+  }
+
+  // Dimensions records can be grouped by: value(record, context) reads a record's
+  // group, sort(keys, context) orders the groups found
+  const DIMENSIONS = {
+    lender: {
+      label: 'Lender',
+      value: record => record.BaseLender || record.Provider,
+      sort: keys => keys.sort(alphabetical)
+    },
+    premiumBand: {
+      label: 'Premium Band (bps)',
+      value: record => record.PremiumBand,
+      sort: keys => PremiumBands.sortBands(keys)
+    },
+    month: {
+      label: 'Month',
+      value: record => record.Month,
+      sort: keys => keys.sort()
+    },
+    quarter: {
+      label: 'Quarter',
+      value: record => monthToQuarter(record.Month),
+      sort: keys => keys.sort()
+    },
+    ltvBand: {
+      label: 'LTV Band (%)',
+      value: (record, context) => LtvBands.assignLtvBand(record.StandardizedLTV, context.ltvScheme),
+      sort: (keys, context) => keys.sort(byListOrder(LtvBands.ltvBandLabels(context.ltvScheme)))
+    },
+    purchaseType: {
+      label: 'Purchase Type',
+      value: record => record.PurchaseType,
+      sort: keys => keys.sort(alphabetical)
+    },
+    productTerm: {
+      label: 'Product Term',
+      value: record => formatProductTerm(record.NormalizedTerm),
+      sort: keys => keys.sort((a, b) => productTermMonths(a) - productTermMonths(b))
+    },
+    loanSize: {
+      label: 'Loan Size',
+      value: record => assignLoanSizeBand(record.Loan),
+      sort: keys => keys.sort(byListOrder(LOAN_SIZE_BANDS.map(band => band.label)))
+    }
+  };
+
+  // Measures of a group of records: value(cell, row, column, all) reads the measure
+  // from the cell's totals and those of its row, its column and the whole table
+  const MEASURES = {
+    loanSum: {
+      label: 'Loan Sum',
+      unit: 'currency',
+      value: cell => cell.loan
+    },
+    count: {
+      label: 'Count',
+      unit: 'count',
+      value: cell => cell.count
+    },
+    averagePremium: {
+      label: 'Average Premium (bps)',
+      unit: 'bps',
+      value: cell => (cell.premiumCount > 0 ? cell.premiumSum / cell.premiumCount : null)
+    },
+    weightedPremium: {
+      label: 'Loan-Weighted Average Premium (bps)',
+      unit: 'bps',
+      value: cell => (cell.premiumLoan > 0 ? cell.weightedPremiumSum / cell.premiumLoan : null)
+    },
+    columnShare: {
+      label: 'Share of Column (%)',
+      unit: 'percent',
+      value: (cell, row, column) => (column.loan > 0 ? (cell.loan / column.loan) * 100 : null)
+    },
+    rowShare: {
+      label: 'Share of Row (%)',
+      unit: 'percent',
+      value: (cell, row) => (row.loan > 0 ? (cell.loan / row.loan) * 100 : null)
+    }
+  };
+
+  /**
+   * Creates the running totals of a group of records
+   * @returns {Object} Totals with loan, count and premium sums
+   */
+  function createCell() {
+    return { loan: 0, count: 0, premiumSum: 0, premiumCount: 0, weightedPremiumSum: 0, premiumLoan: 0 };
+  }
+
+  /**
+   * Adds a record to the running totals of a group
+   * @param {Object} cell - Totals from createCell
+   * @param {Object} record - Enriched ESIS record
+   */
+  function addRecord(cell, record) {
+    const loan = record.Loan || 0;
+    cell.loan += loan;
+    cell.count++;
+
+    const premium = record.PremiumOverSwap;
+    if (premium !== null && premium !== undefined && !isNaN(premium)) {
+      cell.premiumSum += premium;
+      cell.premiumCount++;
+      cell.weightedPremiumSum += premium * loan;
+      cell.premiumLoan += loan;
+    }
+  }
+
+  /**
+   * Checks a pivot dimension or measure name
+   * @param {Object} options - Names of the registry entries
+   * @param {string} name - Name to check
+   * @param {string} kind - 'dimension' or 'measure', for the error message
+   * @throws {Error} If the name is not in the registry
+   */
+  function checkName(options, name, kind) {
+    if (!Object.prototype.hasOwnProperty.call(options, name)) {
+      throw new Error(`Unknown pivot ${kind}: ${name}. Use one of: ${Object.keys(options).join(', ')}`);
+    }
+  }
+
+  /**
+   * Cross-tabulates records by two dimensions
+   * @param {Array} records - Enriched ESIS records (already filtered)
+   * @param {Object} layout - { rows, columns, measure }: dimension and measure names
+   * @param {Object} [context] - { ltvScheme } for LTV bands (default bands if omitted)
+   * @returns {Object} Pivot with the layout, rowKeys, columnKeys, values[row][column],
+   *   rowTotals[row], columnTotals[column] and total, as measure values (null where undefined)
+   * @throws {Error} If a dimension or the measure is unknown, or rows and columns are the same
+   */
+  function buildPivot(records, layout, context = {}) {
+    const { rows, columns, measure } = layout;
+    checkName(DIMENSIONS, rows, 'dimension');
+    checkName(DIMENSIONS, columns, 'dimension');
+    checkName(MEASURES, measure, 'measure');
+    if (rows === columns) {
+      throw new Error('Choose different dimensions for the pivot rows and columns');
+    }
+
+    const dimensionContext = { ltvScheme: context.ltvScheme || LtvBands.createLtvBandScheme() };
+    const rowDimension = DIMENSIONS[rows];
+    const columnDimension = DIMENSIONS[columns];
+
+    const cells = {};
+    const rowCells = {};
+    const columnCells = {};
+    const all = createCell();
+
+    (records || []).forEach(record => {
+      const rowKey = rowDimension.value(record, dimensionContext) || UNKNOWN;
+      const columnKey = columnDimension.value(record, dimensionContext) || UNKNOWN;
+
+      if (!cells[rowKey]) {
+        cells[rowKey] = {};
+        rowCells[rowKey] = createCell();
+      }
+      if (!cells[rowKey][columnKey]) {
+        cells[rowKey][columnKey] = createCell();
+      }
+      if (!columnCells[columnKey]) {
+        columnCells[columnKey] = createCell();
+      }
+
+      addRecord(cells[rowKey][columnKey], record);
+      addRecord(rowCells[rowKey], record);
+      addRecord(columnCells[columnKey], record);
+      addRecord(all, record);
+    });
+
+    // Unknown groups go last
+    const sortKeys = (keys, dimension) => {
+      const known = dimension.sort(keys.filter(key => key !== UNKNOWN), dimensionContext);
+      return keys.includes(UNKNOWN) ? known.concat([UNKNOWN]) : known;
+    };
+    const rowKeys = sortKeys(Object.keys(rowCells), rowDimension);
+    const columnKeys = sortKeys(Object.keys(columnCells), columnDimension);
+
+    const measureOf = MEASURES[measure].value;
+    const values = {};
+    const rowTotals = {};
+    rowKeys.forEach(rowKey => {
+      values[rowKey] = {};
+      columnKeys.forEach(columnKey => {
+        const cell = cells[rowKey][columnKey] || createCell();
+        values[rowKey][columnKey] = measureOf(cell, rowCells[rowKey], columnCells[columnKey], all);
+      });
+      // The total column holds every column, so it is its own column
+      rowTotals[rowKey] = measureOf(rowCells[rowKey], rowCells[rowKey], all, all);
+    });
+
+    const columnTotals = {};
+    columnKeys.forEach(columnKey => {
+      columnTotals[columnKey] = measureOf(columnCells[columnKey], all, columnCells[columnKey], all);
+    });
+
+    return {
+      layout: { rows, columns, measure },
+      rowKeys,
+      columnKeys,
+      values,
+      rowTotals,
+      columnTotals,
+      total: measureOf(all, all, all, all)
+    };
+  }
+
+  /**
+   * Lays a pivot out as table rows
+   * Column fields are numbered (c0, c1, ...) because group names such as lender
+   * names may contain characters tables treat specially.
+   * @param {Object} pivot - Output of buildPivot
+   * @returns {Object} { columns: [{ field, title }], rows }: a label column, one column
+   *   per column key and a Total column; rows end with a Total row
+   */
+  function pivotToTable(pivot) {
+    const columns = [{ field: 'label', title: DIMENSIONS[pivot.layout.rows].label }]
+      .concat(pivot.columnKeys.map((key, index) => ({ field: `c${index}`, title: key })))
+      .concat([{ field: 'total', title: 'Total' }]);
+
+    const toRow = (label, valueOf, total) => {
+      const row = { label };
+      pivot.columnKeys.forEach((key, index) => {
+        row[`c${index}`] = valueOf(key);
+      });
+      row.total = total;
+      return row;
+    };
+
+    const rows = pivot.rowKeys.map(rowKey => toRow(rowKey, key => pivot.values[rowKey][key], pivot.rowTotals[rowKey]));
+    rows.push(toRow('Total', key => pivot.columnTotals[key], pivot.total));
+
+    return { columns, rows };
+  }
+
+  return {
+    UNKNOWN,
+    LOAN_SIZE_BANDS,
+    DIMENSIONS,
+    MEASURES,
+    assignLoanSizeBand,
+    monthToQuarter,
+    formatProductTerm,
+    buildPivot,
+    pivotToTable
+  };
+});
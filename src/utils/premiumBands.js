@@ -0,0 +1,256 @@
+/**
+ * Premium band scheme functions for the Mortgage Market Analysis Tool
+ *
+ * A band scheme turns a premium over swap (in basis points) into a band label.
+ * Schemes are either fixed width (e.g. 20bps from -60 to 580) or custom
+ * breakpoints (e.g. 0, 50, 100, 200, 300), and either end can be open-ended,
+ * giving buckets such as '<0' and '300+'. With a closed end, premiums outside
+ * the range fall into the first or last band.
+ *
+ * Scheme definitions are plain JSON so they can be stored and shared. Loaded
+ * by the page as the global `PremiumBands` and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PremiumBands = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIXED_WIDTHS = [10, 20, 25, 50];
+
+  const UNKNOWN_BAND = 'Unknown';
+
+  // 20bps bands clamped to -60..580, the scheme the tool has always used
+  const DEFAULT_BAND_DEFINITION = {
+    type: 'fixed',
+    width: 20,
+    min: -60,
+    max: 580,
+    openBottom: false,
+    openTop: false
+  };
+
+  // Guards against definitions that would produce an unusable number of chips
+  const MAX_BANDS = 200;
+
+  /**
+   * Builds the breakpoints for a fixed width definition
+   * @param {Object} definition - Fixed width band definition
+   * @returns {Array} Breakpoints from min to max in steps of width
+   * @throws {Error} If width, min or max are invalid
+   */
+  function fixedBreakpoints(definition) {
+    const width = Number(definition.width);
+    const min = Number(definition.min);
+    const max = Number(definition.max);
+
+    if (!FIXED_WIDTHS.includes(width)) {
+      throw new Error(`Band width must be one of ${FIXED_WIDTHS.join(', ')}bps`);
+    }
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) {
+      throw new Error('Band range maximum must be greater than the minimum');
+    }
+    if ((max - min) % width !== 0) {
+      throw new Error(`Band range ${min} to ${max} is not a whole number of ${width}bps bands`);
+    }
+
+    const breakpoints = [];
+    for (let value = min; value <= max; value += width) {
+      breakpoints.push(value);
+    }
+    return breakpoints;
+  }
+
+  /**
+   * Validates custom breakpoints
+   * @param {Object} definition - Breakpoint band definition
+   * @returns {Array} Sorted, de-duplicated breakpoints
+   * @throws {Error} If the breakpoints cannot form at least one band
+   */
+  function customBreakpoints(definition) {
+    const values = (definition.breakpoints || []).map(Number);
+    if (values.some(value => !Number.isFinite(value))) {
+      throw new Error('Band breakpoints must be numbers');
+    }
+
+    const breakpoints = [...new Set(values)].sort((a, b) => a - b);
+    const openEnds = (definition.openBottom ? 1 : 0) + (definition.openTop ? 1 : 0);
+    if (breakpoints.length === 0 || breakpoints.length + openEnds < 2) {
+      throw new Error('Band breakpoints must define at least one band');
+    }
+    return breakpoints;
+  }
+
+  /**
+   * Creates a band scheme from a definition
+   * @param {Object} [definition] - { type: 'fixed', width, min, max } or
+   *   { type: 'breakpoints', breakpoints }, plus optional openBottom/openTop
+   * @returns {Object} Scheme with the normalized definition, breakpoints and ordered bands
+   * @throws {Error} If the definition is invalid
+   */
+  function createBandScheme(definition = DEFAULT_BAND_DEFINITION) {
+    let normalized;
+    let breakpoints;
+
+    if (definition.type === 'fixed') {
+      breakpoints = fixedBreakpoints(definition);
+      normalized = {
+        type: 'fixed',
+        width: Number(definition.width),
+        min: Number(definition.min),
+        max: Number(definition.max)
+      };
+    } else if (definition.type === 'breakpoints') {
+      breakpoints = customBreakpoints(definition);
+      normalized = { type: 'breakpoints', breakpoints };
+    } else {
+      throw new Error(`Unknown band scheme type: ${definition.type}`);
+    }
+
+    normalized.openBottom = Boolean(definition.openBottom);
+    normalized.openTop = Boolean(definition.openTop);
+
+    const bands = [];
+    if (normalized.openBottom) {
+      bands.push({ label: `<${breakpoints[0]}`, lower: -Infinity, upper: breakpoints[0] });
+    }
+    for (let i = 0; i < breakpoints.length - 1; i++) {
+      bands.push({ label: `${breakpoints[i]}-${breakpoints[i + 1]}`, lower: breakpoints[i], upper: breakpoints[i + 1] });
+    }
+    if (normalized.openTop) {
+      const last = breakpoints[breakpoints.length - 1];
+      bands.push({ label: `${last}+`, lower: last, upper: Infinity });
+    }
+
+    if (bands.length > MAX_BANDS) {
+      throw new Error(`Band scheme has ${bands.length} bands; the maximum is ${MAX_BANDS}`);
+    }
+
+    return {
+      definition: normalized,
+      breakpoints,
+      bands,
+      labels: bands.map(band => band.label)
+    };
+  }
+
+  /**
+   * Assigns a premium to a band of the scheme
+   * @param {number|null} premiumBps - Premium over swap in basis points
+   * @param {Object} scheme - Scheme from createBandScheme
+   * @returns {string} Band label, or 'Unknown' for a missing premium
+   */
+  function assignBand(premiumBps, scheme) {
+    if (premiumBps === null || premiumBps === undefined || isNaN(premiumBps)) {
+      return UNKNOWN_BAND;
+    }
+
+    const bands = scheme.bands;
+    if (premiumBps < bands[0].upper) {
+      return bands[0].label;
+    }
+    if (premiumBps >= bands[bands.length - 1].lower) {
+      return bands[bands.length - 1].label;
+    }
+
+    // Binary search for the band with lower <= premium < upper
+    let low = 0;
+    let high = bands.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (premiumBps >= bands[mid].upper) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return bands[low].label;
+  }
+
+  /**
+   * Returns the lower bound a band label sorts by
+   * @param {string} label - Band label ('<0', '0-20', '-20-0', '300+' or 'Unknown')
+   * @returns {number} Sort key; NaN for labels that are not bands
+   */
+  function bandSortKey(label) {
+    if (typeof label !== 'string') {
+      return NaN;
+    }
+    if (label.startsWith('<')) {
+      return -Infinity;
+    }
+    return parseInt(label, 10);
+  }
+
+  /**
+   * Sorts band labels from lowest to highest premium, non-band labels last
+   * @param {Array} labels - Band labels
+   * @returns {Array} New sorted array
+   */
+  function sortBands(labels) {
+    return [...labels].sort((a, b) => {
+      const aKey = bandSortKey(a);
+      const bKey = bandSortKey(b);
+      if (isNaN(aKey) || isNaN(bKey)) {
+        return (isNaN(aKey) ? 1 : 0) - (isNaN(bKey) ? 1 : 0);
+      }
+      return aKey - bKey;
+    });
+  }
+
+  /**
+   * Picks the band to preselect in band pickers: the one containing a zero premium
+   * @param {Object} scheme - Scheme from createBandScheme
+   * @param {Array} [available] - Labels present in the data; defaults to all scheme bands
+   * @returns {string|null} Band label or null when there are none
+   */
+  function defaultBand(scheme, available = scheme.labels) {
+    const zeroBand = assignBand(0, scheme);
+    if (available.includes(zeroBand)) {
+      return zeroBand;
+    }
+    return sortBands(available)[0] || null;
+  }
+
+  /**
+   * Describes a scheme in words for labels and report headers
+   * @param {Object} scheme - Scheme from createBandScheme
+   * @returns {string} Description such as '20bps bands from -60 to 580'
+   */
+  function describeBandScheme(scheme) {
+    const { definition, breakpoints } = scheme;
+    const ends = [];
+    if (definition.openBottom) ends.push(`below ${breakpoints[0]}`);
+    if (definition.openTop) ends.push(`${breakpoints[breakpoints.length - 1]}+`);
+    const suffix = ends.length > 0 ? `, open-ended ${ends.join(' and ')}` : '';
+
+    if (definition.type === 'fixed') {
+      return `${definition.width}bps bands from ${definition.min} to ${definition.max}${suffix}`;
+    }
+    return `Custom bands at ${breakpoints.join(', ')}bps${suffix}`;
+  }
+
+  /**
+   * Checks whether two definitions produce the same scheme
+   * @param {Object} a - First definition
+   * @param {Object} b - Second definition
+   * @returns {boolean} True if both schemes have identical bands
+   */
+  function sameBandScheme(a, b) {
+    return createBandScheme(a).labels.join('|') === createBandScheme(b).labels.join('|');
+  }
+
+  return {
+    FIXED_WIDTHS,
+    UNKNOWN_BAND,
+    DEFAULT_BAND_DEFINITION,
+    createBandScheme,
+    assignBand,
+    bandSortKey,
+    sortBands,
+    defaultBand,
+    describeBandScheme,
+    sameBandScheme
+  };
+});
@@ -0,0 +1,293 @@
+/**
+ * Loan-weighted premium statistics for the Mortgage Market Analysis Tool
+ *
+ * Summarizes what lenders actually charge: the loan-weighted mean, median,
+ * P10/P25/P75/P90 and standard deviation of premium over swap, with record
+ * counts, per lender and optionally per product term and LTV band. Each record
+ * counts in proportion to its loan amount, so the statistics describe the
+ * pricing of the lending written rather than of the applications. The same
+ * statistics per time period give each lender's premium trend against the
+ * market's.
+ *
+ * Groups use the lender, product term and LTV band dimensions of
+ * pivotTable.js, and the time periods of timePeriods.js. Pure and DOM-free:
+ * loaded by the page as the global `PremiumStats` (after ltvBands.js,
+ * timePeriods.js and pivotTable.js) and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./ltvBands'), require('./timePeriods'), require('./pivotTable'));
+  } else {
+    root.PremiumStats = factory(root.LtvBands, root.TimePeriods, root.PivotTable);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LtvBands, TimePeriods, PivotTable) {
+  // Group label of a dimension that is not split, and of the whole market
+  const ALL = 'All';
+  const TOTAL_MARKET = 'Total Market';
+
+  // Percentiles reported besides the median
+  const PERCENTILES = { p10: 0.1, p25: 0.25, p75: 0.75, p90: 0.9 };
+
+  // Dimensions each split breaks a lender's records down by
+  const SPLITS = {
+    none: { label: 'Lender Only', dimensions: [] },
+    productTerm: { label: 'Product Term', dimensions: ['productTerm'] },
+    ltvBand: { label: 'LTV Band', dimensions: ['ltvBand'] },
+    both: { label: 'Product Term and LTV Band', dimensions: ['productTerm', 'ltvBand'] }
+  };
+
+  /**
+   * Finds a loan-weighted quantile
+   * The quantile is the premium below which that share of the lending falls. When
+   * the share falls exactly between two premiums, as the median of two equal loans
+   * does, it is their midpoint.
+   * @param {Array} points - { value, weight } sorted by value, with positive weights
+   * @param {number} totalWeight - Sum of the weights
+   * @param {number} quantile - Quantile from 0 to 1, e.g. 0.5 for the median
+   * @returns {number} Quantile value
+   */
+  function weightedQuantile(points, totalWeight, quantile) {
+    const target = quantile * totalWeight;
+    const tolerance = totalWeight * 1e-9;
+    let cumulative = 0;
+    for (let index = 0; index < points.length; index++) {
+      cumulative += points[index].weight;
+      if (cumulative >= target - tolerance) {
+        if (Math.abs(cumulative - target) <= tolerance && index < points.length - 1) {
+          return (points[index].value + points[index + 1].value) / 2;
+        }
+        return points[index].value;
+      }
+    }
+    return points[points.length - 1].value;
+  }
+
+  /**
+   * Summarizes the premiums of a group of records, weighted by loan amount
+   * Only records with a premium and a positive loan amount are weighed; the
+   * statistics are null when a group has none.
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Object} { records, pricedRecords, loanAmount, mean, median, p10, p25, p75, p90, standardDeviation }
+   */
+  function summarizePremiums(records) {
+    const points = [];
+    let loanAmount = 0;
+    records.forEach(record => {
+      const loan = typeof record.Loan === 'number' && record.Loan > 0 ? record.Loan : 0;
+      loanAmount += loan;
+      if (loan > 0 && typeof record.PremiumOverSwap === 'number' && isFinite(record.PremiumOverSwap)) {
+        points.push({ value: record.PremiumOverSwap, weight: loan });
+      }
+    });
+
+    const summary = {
+      records: records.length,
+      pricedRecords: points.length,
+      loanAmount,
+      mean: null,
+      median: null,
+      p10: null,
+      p25: null,
+      p75: null,
+      p90: null,
+      standardDeviation: null
+    };
+    if (points.length === 0) {
+      return summary;
+    }
+
+    points.sort((a, b) => a.value - b.value);
+    const totalWeight = points.reduce((sum, point) => sum + point.weight, 0);
+    const mean = points.reduce((sum, point) => sum + point.value * point.weight, 0) / totalWeight;
+    const variance = points.reduce((sum, point) => sum + point.weight * Math.pow(point.value - mean, 2), 0) / totalWeight;
+
+    summary.mean = mean;
+    summary.median = weightedQuantile(points, totalWeight, 0.5);
+    Object.keys(PERCENTILES).forEach(name => {
+      summary[name] = weightedQuantile(points, totalWeight, PERCENTILES[name]);
+    });
+    summary.standardDeviation = Math.sqrt(variance);
+    return summary;
+  }
+
+  /**
+   * Groups records by the values of some pivot dimensions
+   * @param {Array} records - Enriched ESIS records
+   * @param {Array} dimensions - Names of PivotTable.DIMENSIONS
+   * @param {Object} context - { ltvScheme } for the LTV band dimension
+   * @returns {Map} Group key (values joined) -> { values, records }
+   */
+  function groupRecords(records, dimensions, context) {
+    const groups = new Map();
+    records.forEach(record => {
+      const values = dimensions.map(name => PivotTable.DIMENSIONS[name].value(record, context) || PivotTable.UNKNOWN);
+      const key = values.join('\u0000');
+      if (!groups.has(key)) {
+        groups.set(key, { values, records: [] });
+      }
+      groups.get(key).records.push(record);
+    });
+    return groups;
+  }
+
+  /**
+   * Orders groups by each dimension in turn, unknown values last
+   * @param {Array} groups - Groups from groupRecords
+   * @param {Array} dimensions - Names of PivotTable.DIMENSIONS, as grouped
+   * @param {Object} context - { ltvScheme } for the LTV band dimension
+   * @returns {Array} Sorted groups
+   */
+  function sortGroups(groups, dimensions, context) {
+    const orders = dimensions.map((name, index) => {
+      const keys = [...new Set(groups.map(group => group.values[index]).filter(value => value !== PivotTable.UNKNOWN))];
+      return PivotTable.DIMENSIONS[name].sort(keys, context).concat(PivotTable.UNKNOWN);
+    });
+    return groups.sort((a, b) => {
+      for (let index = 0; index < dimensions.length; index++) {
+        const difference = orders[index].indexOf(a.values[index]) - orders[index].indexOf(b.values[index]);
+        if (difference !== 0) {
+          return difference;
+        }
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Builds the lender pricing summary
+   * Lenders are ordered by loan amount, largest first. With a split, each lender's
+   * row across all its records is followed by one row per product term and/or LTV
+   * band; the summary ends with a Total Market row over every record.
+   * @param {Array} records - Enriched ESIS records (already filtered)
+   * @param {Object} [options] - { split: a key of SPLITS (default 'both'), ltvScheme: LTV band scheme }
+   * @returns {Array} Rows with lender, productTerm and ltvBand ('All' where not split) and the summarizePremiums fields
+   * @throws {Error} If the split is unknown
+   */
+  function buildLenderPricingSummary(records, options = {}) {
+    const split = options.split || 'both';
+    if (!SPLITS[split]) {
+      throw new Error(`Unknown pricing split: ${split}. Use one of: ${Object.keys(SPLITS).join(', ')}`);
+    }
+    const context = { ltvScheme: options.ltvScheme || LtvBands.createLtvBandScheme() };
+    const dimensions = SPLITS[split].dimensions;
+    const valueOf = (values, name) => (dimensions.includes(name) ? values[dimensions.indexOf(name)] : ALL);
+
+    const lenders = Array.from(groupRecords(records || [], ['lender'], context).values())
+      .map(group => ({ lender: group.values[0], records: group.records, summary: summarizePremiums(group.records) }))
+      .sort((a, b) => b.summary.loanAmount - a.summary.loanAmount || a.lender.localeCompare(b.lender));
+
+    const rows = [];
+    lenders.forEach(lender => {
+      rows.push(Object.assign({ lender: lender.lender, productTerm: ALL, ltvBand: ALL }, lender.summary));
+      if (dimensions.length === 0) return;
+      const groups = sortGroups(Array.from(groupRecords(lender.records, dimensions, context).values()), dimensions, context);
+      groups.forEach(group => rows.push(Object.assign({
+        lender: lender.lender,
+        productTerm: valueOf(group.values, 'productTerm'),
+        ltvBand: valueOf(group.values, 'ltvBand')
+      }, summarizePremiums(group.records))));
+    });
+    rows.push(Object.assign({ lender: TOTAL_MARKET, productTerm: ALL, ltvBand: ALL }, summarizePremiums(records || [])));
+
+    return rows;
+  }
+
+  /**
+   * Lists the lenders of some records by loan amount, largest first
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Array} Lender names
+   */
+  function rankLenders(records) {
+    const loans = new Map();
+    (records || []).forEach(record => {
+      const lender = PivotTable.DIMENSIONS.lender.value(record);
+      if (!lender) return;
+      loans.set(lender, (loans.get(lender) || 0) + (record.Loan > 0 ? record.Loan : 0));
+    });
+    return Array.from(loans.keys()).sort((a, b) => loans.get(b) - loans.get(a) || a.localeCompare(b));
+  }
+
+  /**
+   * Builds premium trends: each lender's loan-weighted mean premium per time period,
+   * and the market's mean with its P25-P75 range
+   * The periods are listed under `months` whatever the granularity, as in
+   * MarketReports.groupByMonthAndLender. Periods where a lender wrote nothing are null.
+   * @param {Array} records - Enriched ESIS records (already filtered, across every lender for the market)
+   * @param {Array} lenders - Lenders to follow
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year', see timePeriods.js
+   * @returns {Object} { granularity, months, monthLabels, lenders: { [lender]: means }, market: { mean, p25, p75 } }
+   * @throws {Error} If the granularity is unknown
+   */
+  function buildPremiumTrends(records, lenders, granularity = TimePeriods.DEFAULT_GRANULARITY) {
+    TimePeriods.validateGranularity(granularity);
+    const periods = new Map();
+    (records || []).forEach(record => {
+      const period = TimePeriods.recordPeriod(record, granularity);
+      if (!period) return;
+      if (!periods.has(period)) {
+        periods.set(period, []);
+      }
+      periods.get(period).push(record);
+    });
+
+    const months = Array.from(periods.keys()).sort();
+    const series = {};
+    lenders.forEach(lender => {
+      series[lender] = [];
+    });
+    const market = { mean: [], p25: [], p75: [] };
+
+    months.forEach(month => {
+      const periodRecords = periods.get(month);
+      const summary = summarizePremiums(periodRecords);
+      Object.keys(market).forEach(name => market[name].push(summary[name]));
+
+      const byLender = groupRecords(periodRecords, ['lender'], {});
+      lenders.forEach(lender => {
+        const group = byLender.get(lender);
+        series[lender].push(group ? summarizePremiums(group.records).mean : null);
+      });
+    });
+
+    return {
+      granularity,
+      months,
+      monthLabels: months.map(TimePeriods.formatPeriodLabel),
+      lenders: series,
+      market
+    };
+  }
+
+  /**
+   * Builds premium trend rows, one per period with a column per lender and the market statistics
+   * @param {Object} trends - Output of buildPremiumTrends
+   * @returns {Array} Rows with the period under Month, Week, Quarter or Year, Label, one mean premium
+   *   per lender, and Market Mean, Market P25 and Market P75
+   */
+  function buildPremiumTrendsTable(trends) {
+    const periodColumn = TimePeriods.GRANULARITY_LABELS[trends.granularity];
+    return trends.months.map((month, index) => {
+      const row = { [periodColumn]: month, Label: trends.monthLabels[index] };
+      Object.keys(trends.lenders).forEach(lender => {
+        row[lender] = trends.lenders[lender][index];
+      });
+      row['Market Mean'] = trends.market.mean[index];
+      row['Market P25'] = trends.market.p25[index];
+      row['Market P75'] = trends.market.p75[index];
+      return row;
+    });
+  }
+
+  return {
+    ALL,
+    TOTAL_MARKET,
+    PERCENTILES,
+    SPLITS,
+    weightedQuantile,
+    summarizePremiums,
+    buildLenderPricingSummary,
+    rankLenders,
+    buildPremiumTrends,
+    buildPremiumTrendsTable
+  };
+});
@@ -0,0 +1,172 @@
+/**
+ * What-if pricing simulator for the Mortgage Market Analysis Tool
+ *
+ * Places a hypothetical product in the current market: among the records of
+ * the same product term, and optionally the same LTV band, purchase type and
+ * loan size band, it finds the product's loan-weighted premium percentile, the
+ * lenders whose average premium is closest to it and the lending written in
+ * cheaper and dearer premium bands. The distribution is the one behind the
+ * heatmap and the lender market share table: loan amounts by premium band.
+ *
+ * A product priced by its initial rate is converted to a premium over the swap
+ * rate for its term as of the last day of the records. Pure and DOM-free:
+ * loaded by the page as the global `PricingSimulator` (after premiumBands.js,
+ * swapCurve.js, timePeriods.js, ltvBands.js, pivotTable.js and premiumStats.js)
+ * and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./premiumBands'),
+      require('./swapCurve'),
+      require('./timePeriods'),
+      require('./ltvBands'),
+      require('./pivotTable'),
+      require('./premiumStats')
+    );
+  } else {
+    root.PricingSimulator = factory(root.PremiumBands, root.SwapCurve, root.TimePeriods, root.LtvBands, root.PivotTable, root.PremiumStats);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PremiumBands, SwapCurve, TimePeriods, LtvBands, PivotTable, PremiumStats) {
+  // Dimensions of PivotTable.DIMENSIONS a product can be narrowed to besides its term
+  const PRODUCT_DIMENSIONS = ['ltvBand', 'purchaseType', 'loanSize'];
+
+  // How many lenders priced around the product are listed
+  const DEFAULT_NEIGHBOURS = 5;
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  /**
+   * Reads the swap rate for a term as it stood at the end of a day
+   * @param {Array|Object} swaps - Normalized swap rates, or a curve from SwapCurve.buildSwapCurve
+   * @param {number} term - Product term in months
+   * @param {string} day - Day key in YYYY-MM-DD format
+   * @returns {number|null} Swap rate as a decimal, or null without a rate for the day
+   */
+  function swapRateOn(swaps, term, day) {
+    const curve = SwapCurve.isSwapCurve(swaps) ? swaps : SwapCurve.buildSwapCurve(swaps);
+    const endOfDay = new Date(Date.parse(`${day}T00:00:00Z`) + MS_PER_DAY - 1);
+    const match = SwapCurve.interpolateRate(SwapCurve.curveAsOf(curve, endOfDay), term);
+    return match ? match.rate : null;
+  }
+
+  /**
+   * Works out a product's premium over swap from its premium or its initial rate
+   * @param {Object} product - Product with premium (bps) or rate (percent) and term (months)
+   * @param {Object} options - { swaps, asOf } for products priced by rate
+   * @returns {Object} { premium, rate, swapRate } with rates in percent; rate and swapRate are null for a premium
+   * @throws {Error} If the product has neither or both, or no swap rate applies to its rate
+   */
+  function resolvePremium(product, options) {
+    const hasRate = typeof product.rate === 'number' && isFinite(product.rate);
+    const hasPremium = typeof product.premium === 'number' && isFinite(product.premium);
+    if (hasRate === hasPremium) {
+      throw new Error('Price the product by either its initial rate or its premium over swap');
+    }
+    if (hasPremium) {
+      return { premium: product.premium, rate: null, swapRate: null };
+    }
+
+    const swapRate = options.asOf && options.swaps ? swapRateOn(options.swaps, product.term, options.asOf) : null;
+    if (swapRate === null) {
+      throw new Error(`No ${PivotTable.formatProductTerm(product.term)} swap rate to price the product against on ${options.asOf || 'the last day of the data'}`);
+    }
+    return {
+      premium: Math.round((product.rate / 100 - swapRate) * 10000),
+      rate: product.rate,
+      swapRate: swapRate * 100
+    };
+  }
+
+  /**
+   * Simulates a product against the market
+   * @param {Array} records - Enriched ESIS records (already filtered, across every lender)
+   * @param {Object} product - { term: months, ltvBand, purchaseType, loanSize: band labels or empty for any,
+   *   and either rate: initial rate in percent or premium: premium over swap in bps }
+   * @param {Object} [options] - { swaps: swap rates or curve, asOf: day the rate is priced on (default the
+   *   last day of the records), bandScheme, ltvScheme, neighbours: lenders listed (default 5) }
+   * @returns {Object} { premium, rate, swapRate, band, comparables: { records, loanAmount }, percentile,
+   *   volume: { cheaper, same, dearer }, bands: [{ band, loanAmount, share, position }],
+   *   lenders: [{ lender, mean, difference, loanAmount, share }] } with loan amounts in pounds, shares and
+   *   the percentile in percent, and position 'cheaper', 'same' or 'dearer' than the product's band
+   * @throws {Error} If the product has no term, or is priced by neither or both of rate and premium
+   */
+  function simulateProduct(records, product, options = {}) {
+    if (!product || !product.term) {
+      throw new Error('Choose the product term to simulate');
+    }
+    const context = { ltvScheme: options.ltvScheme || LtvBands.createLtvBandScheme() };
+    const bandScheme = options.bandScheme || PremiumBands.createBandScheme();
+    const asOf = options.asOf || TimePeriods.dayBounds(records)[1];
+    const priced = resolvePremium(product, { swaps: options.swaps, asOf });
+    const premium = priced.premium;
+    const band = PremiumBands.assignBand(premium, bandScheme);
+
+    const comparables = (records || []).filter(record => record.NormalizedTerm === Number(product.term) &&
+      PRODUCT_DIMENSIONS.every(name => !product[name] || PivotTable.DIMENSIONS[name].value(record, context) === product[name]));
+    const loanOf = record => (typeof record.Loan === 'number' && record.Loan > 0 ? record.Loan : 0);
+    const loanAmount = comparables.reduce((sum, record) => sum + loanOf(record), 0);
+
+    // Loan-weighted percentile, counting lending at exactly the product's premium half below
+    let pricedLoan = 0;
+    let belowLoan = 0;
+    comparables.forEach(record => {
+      const recordPremium = record.PremiumOverSwap;
+      if (typeof recordPremium !== 'number' || !isFinite(recordPremium)) return;
+      pricedLoan += loanOf(record);
+      if (recordPremium < premium) belowLoan += loanOf(record);
+      else if (recordPremium === premium) belowLoan += loanOf(record) / 2;
+    });
+
+    const bandLoans = new Map();
+    comparables.forEach(record => {
+      if (!record.PremiumBand || record.PremiumBand === PremiumBands.UNKNOWN_BAND) return;
+      bandLoans.set(record.PremiumBand, (bandLoans.get(record.PremiumBand) || 0) + loanOf(record));
+    });
+    const productKey = PremiumBands.bandSortKey(band);
+    const volume = { cheaper: 0, same: 0, dearer: 0 };
+    const bands = PremiumBands.sortBands(Array.from(bandLoans.keys())).map(label => {
+      const key = PremiumBands.bandSortKey(label);
+      const position = label === band ? 'same' : (key < productKey ? 'cheaper' : 'dearer');
+      volume[position] += bandLoans.get(label);
+      return {
+        band: label,
+        loanAmount: bandLoans.get(label),
+        share: loanAmount > 0 ? (bandLoans.get(label) / loanAmount) * 100 : 0,
+        position
+      };
+    });
+
+    const lenders = PremiumStats.buildLenderPricingSummary(comparables, { split: 'none', ltvScheme: context.ltvScheme })
+      .filter(row => row.lender !== PremiumStats.TOTAL_MARKET && row.mean !== null)
+      .map(row => ({
+        lender: row.lender,
+        mean: row.mean,
+        difference: row.mean - premium,
+        loanAmount: row.loanAmount,
+        share: loanAmount > 0 ? (row.loanAmount / loanAmount) * 100 : 0
+      }))
+      .sort((a, b) => Math.abs(a.difference) - Math.abs(b.difference) || b.loanAmount - a.loanAmount)
+      .slice(0, options.neighbours || DEFAULT_NEIGHBOURS)
+      .sort((a, b) => a.mean - b.mean);
+
+    return {
+      premium,
+      rate: priced.rate,
+      swapRate: priced.swapRate,
+      band,
+      comparables: { records: comparables.length, loanAmount },
+      percentile: pricedLoan > 0 ? (belowLoan / pricedLoan) * 100 : null,
+      volume,
+      bands,
+      lenders
+    };
+  }
+
+  return {
+    PRODUCT_DIMENSIONS,
+    DEFAULT_NEIGHBOURS,
+    swapRateOn,
+    simulateProduct
+  };
+});
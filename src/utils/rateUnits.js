@@ -0,0 +1,253 @@
+/**
+ * Rate and LTV unit detection for the Mortgage Market Analysis Tool
+ *
+ * ESIS exports store rates as percentages (4.5), decimals (0.045) or basis
+ * points (450), and LTV as percentages or decimals, sometimes differently per
+ * lender. Units are detected per column across the whole file, and per lender
+ * when the file mixes units. Values that are implausible in the unit their
+ * column or lender resolved to are flagged, never rescaled by guesswork.
+ *
+ * An override table ({ source, column, unit }) pins the unit of a column for
+ * one lender, or for every lender with source '*'. Overrides are plain JSON so
+ * they can be saved. Loaded by the page as the global `RateUnits` and
+ * required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RateUnits = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Multiplier from each unit to a decimal fraction
+  const UNITS = {
+    decimal: { label: 'Decimal (0.045 = 4.5%)', scale: 1 },
+    percent: { label: 'Percent (4.5 = 4.5%)', scale: 0.01 },
+    'basis-points': { label: 'Basis points (450 = 4.5%)', scale: 0.0001 },
+    'tens-of-percent': { label: 'Tens of percent (0.45 = 4.5%)', scale: 0.1 }
+  };
+
+  // Plausible values of each column as a decimal fraction, and the units that
+  // can be told apart by magnitude. Their plausible raw ranges do not overlap,
+  // so each value fits at most one of them. Other units need an override.
+  const UNIT_COLUMNS = {
+    Rate: { min: 0.005, max: 0.2, detectable: ['decimal', 'percent', 'basis-points'] },
+    LTV: { min: 0.05, max: 1.1, detectable: ['decimal', 'percent'] }
+  };
+
+  // Source of an override that applies to every lender
+  const ALL_SOURCES = '*';
+
+  /**
+   * Returns the settings of a unit column
+   * @param {string} column - 'Rate' or 'LTV'
+   * @returns {Object} Column settings
+   * @throws {Error} If the column is unknown
+   */
+  function columnSettings(column) {
+    const settings = UNIT_COLUMNS[column];
+    if (!settings) {
+      throw new Error(`Unknown unit column: ${column}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Parses a raw rate or LTV value
+   * @param {number|string} value - Raw value, possibly a string with a % sign
+   * @returns {number} Parsed value, NaN when missing or not a number
+   */
+  function parseValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return NaN;
+    }
+    return parseFloat(typeof value === 'string' ? value.replace('%', '') : value);
+  }
+
+  /**
+   * Checks whether a value has data to detect a unit from
+   * @param {number} value - Parsed value
+   * @returns {boolean} True for finite, positive values
+   */
+  function hasValue(value) {
+    return Number.isFinite(value) && value > 0;
+  }
+
+  /**
+   * Converts a value to a decimal fraction
+   * @param {number} value - Parsed value
+   * @param {string} unit - Unit of the value
+   * @returns {number} Value as a decimal fraction
+   */
+  function toDecimal(value, unit) {
+    return value * UNITS[unit].scale;
+  }
+
+  /**
+   * Checks whether a value is plausible for a column in a unit
+   * @param {number} value - Parsed value
+   * @param {string} unit - Unit of the value
+   * @param {string} column - 'Rate' or 'LTV'
+   * @returns {boolean} True if the value falls in the column's plausible range
+   */
+  function isPlausible(value, unit, column) {
+    const settings = columnSettings(column);
+    const decimal = toDecimal(value, unit);
+    // Tolerate floating point error at the range ends
+    return decimal >= settings.min - 1e-12 && decimal <= settings.max + 1e-12;
+  }
+
+  /**
+   * Works out the unit of a single value from its magnitude
+   * @param {number} value - Parsed value
+   * @param {string} column - 'Rate' or 'LTV'
+   * @returns {string|null} The only detectable unit the value is plausible in, or null
+   */
+  function classifyValue(value, column) {
+    if (!hasValue(value)) {
+      return null;
+    }
+    const units = columnSettings(column).detectable.filter(unit => isPlausible(value, unit, column));
+    return units.length === 1 ? units[0] : null;
+  }
+
+  /**
+   * Picks the unit most values were classified as
+   * @param {Object} counts - Value counts keyed by unit
+   * @returns {string|null} Most common unit, or null when none or tied
+   */
+  function pluralityUnit(counts) {
+    let best = null;
+    let bestCount = 0;
+    let tied = false;
+    Object.keys(counts).forEach(unit => {
+      if (counts[unit] > bestCount) {
+        best = unit;
+        bestCount = counts[unit];
+        tied = false;
+      } else if (counts[unit] === bestCount) {
+        tied = true;
+      }
+    });
+    return tied ? null : best;
+  }
+
+  /**
+   * Detects the unit of a column across a file, and per group when the file mixes units
+   * @param {Array} values - Parsed values, one per record
+   * @param {Array} groups - Group (lender) of each record
+   * @param {string} column - 'Rate' or 'LTV'
+   * @returns {Object} { column, unit, mixed, byGroup } where unit is the file's unit when all
+   *   classifiable values agree, and byGroup maps each group to its most common unit (or null)
+   */
+  function detectUnits(values, groups, column) {
+    const fileCounts = {};
+    const groupCounts = new Map();
+
+    values.forEach((value, index) => {
+      const unit = classifyValue(value, column);
+      if (!unit) {
+        return;
+      }
+      fileCounts[unit] = (fileCounts[unit] || 0) + 1;
+
+      const group = groups[index];
+      if (!groupCounts.has(group)) {
+        groupCounts.set(group, {});
+      }
+      const counts = groupCounts.get(group);
+      counts[unit] = (counts[unit] || 0) + 1;
+    });
+
+    const fileUnits = Object.keys(fileCounts);
+    const byGroup = {};
+    groupCounts.forEach((counts, group) => {
+      byGroup[group] = pluralityUnit(counts);
+    });
+
+    return {
+      column,
+      unit: fileUnits.length === 1 ? fileUnits[0] : null,
+      mixed: fileUnits.length > 1,
+      byGroup
+    };
+  }
+
+  /**
+   * Validates an override table
+   * @param {Array} [overrides] - Overrides as { source, column, unit }
+   * @returns {Array} Overrides with trimmed sources
+   * @throws {Error} If an override has no source, or an unknown column or unit
+   */
+  function normalizeOverrides(overrides) {
+    return (overrides || []).map(override => {
+      const source = String(override.source || '').trim();
+      if (!source) {
+        throw new Error('Unit overrides need a lender, or * for every lender');
+      }
+      columnSettings(override.column);
+      if (!UNITS[override.unit]) {
+        throw new Error(`Unknown unit: ${override.unit}. Use one of ${Object.keys(UNITS).join(', ')}`);
+      }
+      return { source, column: override.column, unit: override.unit };
+    });
+  }
+
+  /**
+   * Creates a function resolving the unit of a column for a group
+   * Lender overrides win over '*' overrides, which win over detection.
+   * @param {Object} detection - Result of detectUnits
+   * @param {Array} [overrides] - Validated overrides
+   * @returns {Function} (group) => { unit, source } with source 'override', 'column', 'lender'
+   *   or null when the unit is unknown
+   */
+  function createUnitResolver(detection, overrides) {
+    const overridesBySource = {};
+    (overrides || [])
+      .filter(override => override.column === detection.column)
+      .forEach(override => {
+        overridesBySource[override.source.toLowerCase()] = override.unit;
+      });
+
+    return function resolveUnit(group) {
+      const key = String(group || '').trim().toLowerCase();
+      if (overridesBySource[key]) {
+        return { unit: overridesBySource[key], source: 'override' };
+      }
+      if (overridesBySource[ALL_SOURCES]) {
+        return { unit: overridesBySource[ALL_SOURCES], source: 'override' };
+      }
+      if (detection.unit) {
+        return { unit: detection.unit, source: 'column' };
+      }
+      if (detection.mixed && detection.byGroup[group]) {
+        return { unit: detection.byGroup[group], source: 'lender' };
+      }
+      return { unit: null, source: null };
+    };
+  }
+
+  /**
+   * Describes a unit for tables and reports
+   * @param {string|null} unit - Unit name
+   * @returns {string} Unit label, or 'Ambiguous' without a unit
+   */
+  function describeUnit(unit) {
+    return unit ? UNITS[unit].label : 'Ambiguous';
+  }
+
+  return {
+    UNITS,
+    UNIT_COLUMNS,
+    ALL_SOURCES,
+    parseValue,
+    hasValue,
+    toDecimal,
+    isPlausible,
+    classifyValue,
+    detectUnits,
+    normalizeOverrides,
+    createUnitResolver,
+    describeUnit
+  };
+});
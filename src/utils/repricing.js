@@ -0,0 +1,271 @@
+/**
+ * Repricing analysis for the Mortgage Market Analysis Tool
+ *
+ * Estimates how each lender reprices after swap rates move: how many days
+ * their ESIS initial rates take to follow, and what fraction of the move they
+ * pass through. For one product term, each lender's loan-weighted average rate
+ * per day is compared with the swap rate for that term. Every change between
+ * consecutive days with records is regressed on the swap change over the same
+ * days shifted back by a lag; the lag with the best fit is the repricing lag,
+ * and the slope at that lag the pass-through.
+ *
+ * With 31 lags tried, the best of them can fit noise, so a lender needs at
+ * least 20 rate changes and its best lag must fit clearly better than lags
+ * more than two days away from it; otherwise it has insufficient data.
+ *
+ * The day's rate mixes every product of the term, so shifts in a lender's mix
+ * of LTVs show up as noise and lower the fit. Pure and DOM-free: loaded by the
+ * page as the global `Repricing` (after swapCurve.js, timePeriods.js,
+ * analysisPipeline.js, pivotTable.js and premiumStats.js) and required by Node
+ * scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./swapCurve'),
+      require('./timePeriods'),
+      require('./analysisPipeline'),
+      require('./pivotTable'),
+      require('./premiumStats')
+    );
+  } else {
+    root.Repricing = factory(root.SwapCurve, root.TimePeriods, root.AnalysisPipeline, root.PivotTable, root.PremiumStats);
+  }
+})(typeof self !== 'undefined' ? self : this, function (SwapCurve, TimePeriods, AnalysisPipeline, PivotTable, PremiumStats) {
+  const DEFAULT_TERM = 24;
+
+  // Longest lag searched, in days
+  const DEFAULT_MAX_LAG_DAYS = 30;
+
+  // Rate changes a lender needs before its repricing is estimated
+  const MIN_OBSERVATIONS = 20;
+
+  // R² the best lag must gain over every lag further than LAG_WINDOW_DAYS from it;
+  // lags a day or two apart share most swap moves, so they are not competitors
+  const MIN_R_SQUARED_MARGIN = 0.1;
+  const LAG_WINDOW_DAYS = 2;
+
+  // Why a lender's repricing could not be estimated
+  const INSUFFICIENT_DATA = {
+    tooFewChanges: 'Insufficient data: too few rate changes',
+    noClearLag: 'Insufficient data: no lag fits clearly best'
+  };
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  // Swap rates are read as they stood at the end of each day, never from a later fixing
+  const SWAP_POLICY = SwapCurve.createMatchingPolicy({ name: 'latest', toleranceDays: 0 });
+
+  /**
+   * Lists the product terms of some records, for choosing the term to analyse
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Object} Labels keyed by term in months, e.g. { 24: { label: '2 Year' } }, shortest first
+   */
+  function listTerms(records) {
+    const terms = {};
+    [...new Set((records || []).map(record => record.NormalizedTerm).filter(term => Number.isInteger(term) && term > 0))]
+      .sort((a, b) => a - b)
+      .forEach(term => {
+        terms[term] = { label: PivotTable.formatProductTerm(term) };
+      });
+    return terms;
+  }
+
+  /**
+   * Creates a lookup of the swap rate for a term by day, caching each day read
+   * @param {Object} curve - Curve from SwapCurve.buildSwapCurve
+   * @param {number} term - Product term in months
+   * @returns {Function} (dayNumber) => swap rate as a decimal at the end of the day, or null before the first fixing
+   */
+  function createSwapLookup(curve, term) {
+    const cache = new Map();
+    return dayNumber => {
+      if (!cache.has(dayNumber)) {
+        const endOfDay = new Date((dayNumber + 1) * MS_PER_DAY - 1);
+        const match = SwapCurve.interpolateRate(SwapCurve.curveAsOf(curve, endOfDay, SWAP_POLICY), term);
+        cache.set(dayNumber, match ? match.rate : null);
+      }
+      return cache.get(dayNumber);
+    };
+  }
+
+  /**
+   * Averages the ESIS rates of each day, weighted by loan amount
+   * @param {Array} records - Enriched ESIS records of one product term
+   * @returns {Array} { day, dayNumber, rate } sorted by day, with days counted from 1970-01-01 and rates as decimals
+   */
+  function dailyRates(records) {
+    const days = new Map();
+    records.forEach(record => {
+      const day = TimePeriods.recordDay(record);
+      const rate = AnalysisPipeline.readEsisRate(record);
+      if (!day || rate === null || !(record.Loan > 0)) return;
+      if (!days.has(day)) {
+        days.set(day, { total: 0, loan: 0 });
+      }
+      days.get(day).total += rate * record.Loan;
+      days.get(day).loan += record.Loan;
+    });
+    return Array.from(days.keys()).sort().map(day => ({
+      day,
+      dayNumber: Date.parse(`${day}T00:00:00Z`) / MS_PER_DAY,
+      rate: days.get(day).total / days.get(day).loan
+    }));
+  }
+
+  /**
+   * Fits y = intercept + slope * x by ordinary least squares
+   * @param {Array} xs - Explanatory values
+   * @param {Array} ys - Explained values, as many as xs
+   * @returns {Object|null} { slope, intercept, rSquared, standardError }; null when there are no points
+   *   or x does not vary; standardError is null below three points
+   */
+  function linearRegression(xs, ys) {
+    const n = xs.length;
+    if (n === 0) {
+      return null;
+    }
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) * (xs[i] - meanX);
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) * (ys[i] - meanY);
+    }
+    if (sxx === 0) {
+      return null;
+    }
+    const slope = sxy / sxx;
+    const residuals = Math.max(syy - slope * sxy, 0);
+    return {
+      slope,
+      intercept: meanY - slope * meanX,
+      rSquared: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy),
+      standardError: n > 2 ? Math.sqrt(residuals / (n - 2) / sxx) : null
+    };
+  }
+
+  /**
+   * Estimates the repricing lag and pass-through of one series of daily rates
+   * @param {Array} rates - { day, dayNumber, rate } sorted by day, from dailyRates
+   * @param {Function} swapOn - Swap rate lookup from createSwapLookup
+   * @param {number} maxLagDays - Longest lag tried
+   * @returns {Object} { observations, lagObservations, lagDays, passThrough, standardError, rSquared, insufficientData },
+   *   where lagObservations counts the rate changes fitted at the chosen lag; the estimates are null and
+   *   insufficientData one of INSUFFICIENT_DATA with fewer than MIN_OBSERVATIONS rate changes, no swap move to
+   *   explain them or no lag fitting clearly best
+   */
+  function estimateSeries(rates, swapOn, maxLagDays) {
+    const estimate = {
+      observations: Math.max(rates.length - 1, 0),
+      lagObservations: null,
+      lagDays: null,
+      passThrough: null,
+      standardError: null,
+      rSquared: null,
+      insufficientData: INSUFFICIENT_DATA.tooFewChanges
+    };
+    if (estimate.observations < MIN_OBSERVATIONS) {
+      return estimate;
+    }
+
+    const fits = [];
+    for (let lag = 0; lag <= maxLagDays; lag++) {
+      const xs = [];
+      const ys = [];
+      for (let i = 1; i < rates.length; i++) {
+        const from = swapOn(rates[i - 1].dayNumber - lag);
+        const to = swapOn(rates[i].dayNumber - lag);
+        if (from === null || to === null) continue;
+        xs.push(to - from);
+        ys.push(rates[i].rate - rates[i - 1].rate);
+      }
+      if (xs.length < MIN_OBSERVATIONS) continue;
+
+      const fit = linearRegression(xs, ys);
+      if (fit) {
+        fits.push({ lag, observations: xs.length, fit });
+      }
+    }
+    if (fits.length === 0) {
+      return estimate;
+    }
+
+    // The shortest lag wins ties
+    const best = fits.reduce((top, candidate) => (candidate.fit.rSquared > top.fit.rSquared ? candidate : top));
+    const rival = fits
+      .filter(candidate => Math.abs(candidate.lag - best.lag) > LAG_WINDOW_DAYS)
+      .reduce((top, candidate) => Math.max(top, candidate.fit.rSquared), 0);
+    if (best.fit.rSquared - rival < MIN_R_SQUARED_MARGIN) {
+      estimate.insufficientData = INSUFFICIENT_DATA.noClearLag;
+      return estimate;
+    }
+
+    return Object.assign(estimate, {
+      lagObservations: best.observations,
+      lagDays: best.lag,
+      passThrough: best.fit.slope,
+      standardError: best.fit.standardError,
+      rSquared: best.fit.rSquared,
+      insufficientData: null
+    });
+  }
+
+  /**
+   * Estimates each lender's repricing lag and pass-through for a product term
+   * Lenders are ordered by loan amount, largest first, and followed by a Total
+   * Market row over every record of the term.
+   * @param {Array} records - Enriched ESIS records (already filtered)
+   * @param {Array|Object} swaps - Normalized swap rates, or a curve from SwapCurve.buildSwapCurve
+   * @param {Object} [options] - { term: months, as listed by listTerms (default 24), maxLagDays (default 30) }
+   * @returns {Array} Rows { lender, observations, lagObservations, lagDays, passThrough, standardError, rSquared,
+   *   insufficientData }, where observations counts the day-to-day rate changes and passThrough and its
+   *   standard error are fractions of the swap move
+   * @throws {Error} If the term or the longest lag is not a whole number of months or days
+   */
+  function estimateRepricing(records, swaps, options = {}) {
+    const term = Number(options.term || DEFAULT_TERM);
+    if (!Number.isInteger(term) || term <= 0) {
+      throw new Error(`Repricing term must be a whole number of months: ${options.term}`);
+    }
+    const maxLagDays = options.maxLagDays !== undefined ? Number(options.maxLagDays) : DEFAULT_MAX_LAG_DAYS;
+    if (!Number.isInteger(maxLagDays) || maxLagDays < 0) {
+      throw new Error('Repricing maxLagDays must be a whole number of at least 0');
+    }
+
+    const curve = SwapCurve.isSwapCurve(swaps) ? swaps : SwapCurve.buildSwapCurve(swaps);
+    const swapOn = createSwapLookup(curve, term);
+    const termRecords = (records || []).filter(record => record.NormalizedTerm === term);
+
+    const byLender = new Map();
+    termRecords.forEach(record => {
+      const lender = PivotTable.DIMENSIONS.lender.value(record);
+      if (!lender) return;
+      if (!byLender.has(lender)) {
+        byLender.set(lender, []);
+      }
+      byLender.get(lender).push(record);
+    });
+
+    const rows = PremiumStats.rankLenders(termRecords).map(lender => Object.assign(
+      { lender },
+      estimateSeries(dailyRates(byLender.get(lender)), swapOn, maxLagDays)
+    ));
+    rows.push(Object.assign({ lender: PremiumStats.TOTAL_MARKET }, estimateSeries(dailyRates(termRecords), swapOn, maxLagDays)));
+    return rows;
+  }
+
+  return {
+    DEFAULT_TERM,
+    DEFAULT_MAX_LAG_DAYS,
+    MIN_OBSERVATIONS,
+    MIN_R_SQUARED_MARGIN,
+    INSUFFICIENT_DATA,
+    listTerms,
+    linearRegression,
+    estimateRepricing
+  };
+});
@@ -0,0 +1,217 @@
+/**
+ * Market share elasticity for the Mortgage Market Analysis Tool
+ *
+ * Estimates how a lender's market share of a product would respond to a
+ * change in its premium over swap. The product is a product term and LTV band
+ * (either may be any), and only its lending counts. Every lender and time
+ * period gives an observation: the lender's share of the period's lending,
+ * and its loan-weighted mean premium relative to the market's. The log of
+ * share is regressed on the relative premium within each lender (a fixed
+ * effects fit, so lenders that are simply bigger or dearer do not drive the
+ * slope), giving a semi-elasticity: the proportional change in share per
+ * basis point.
+ *
+ * A scenario scales the lender's current share by exp(slope * change), with a
+ * 95% confidence interval from the slope's standard error. The fit describes
+ * how shares moved with premiums in the data, not a causal demand curve.
+ *
+ * Lenders are keyed as in the market share table, by the lender dimension of
+ * pivotTable.js. Shares per lender and period are summed here rather than
+ * taken from marketReports.js, whose groupByMonthAndLender keys lenders by
+ * Provider instead of the base lender, and whose aggregateLenderMarketShare
+ * has no time periods. Pure and DOM-free: loaded by the page as the global
+ * `ShareElasticity` (after timePeriods.js, ltvBands.js, pivotTable.js and
+ * premiumStats.js) and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./timePeriods'),
+      require('./ltvBands'),
+      require('./pivotTable'),
+      require('./premiumStats')
+    );
+  } else {
+    root.ShareElasticity = factory(root.TimePeriods, root.LtvBands, root.PivotTable, root.PremiumStats);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TimePeriods, LtvBands, PivotTable, PremiumStats) {
+  // Two-sided 95% normal quantile for the confidence interval
+  const CONFIDENCE_Z = 1.959964;
+
+  // Premium changes charted either side of no change, in bps
+  const DEFAULT_SCENARIO_RANGE = 50;
+  const SCENARIO_STEP = 5;
+
+  /**
+   * Narrows records to the lending of one product
+   * @param {Array} records - Enriched ESIS records
+   * @param {Object} [product] - { term: months, ltvBand: band label }, either empty for any
+   * @param {Object} [ltvScheme] - LTV band scheme; defaults to the standard bands
+   * @returns {Array} Records of the product
+   */
+  function selectProduct(records, product, ltvScheme = LtvBands.createLtvBandScheme()) {
+    const term = product && product.term ? Number(product.term) : null;
+    const ltvBand = product && product.ltvBand ? product.ltvBand : null;
+    return (records || []).filter(record => (term === null || record.NormalizedTerm === term) &&
+      (ltvBand === null || PivotTable.DIMENSIONS.ltvBand.value(record, { ltvScheme }) === ltvBand));
+  }
+
+  /**
+   * Lists each lender's share and relative premium per time period
+   * @param {Array} records - Enriched ESIS records (already filtered, across every lender)
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year', see timePeriods.js
+   * @returns {Array} { lender, period, share, relativePremium } with share as a fraction of the period's
+   *   lending and the relative premium in bps; lender-periods without a premium are left out
+   * @throws {Error} If the granularity is unknown
+   */
+  function buildShareObservations(records, granularity = TimePeriods.DEFAULT_GRANULARITY) {
+    TimePeriods.validateGranularity(granularity);
+
+    const byPeriod = new Map();
+    (records || []).forEach(record => {
+      const lender = PivotTable.DIMENSIONS.lender.value(record);
+      const period = lender ? TimePeriods.recordPeriod(record, granularity) : null;
+      if (!period) return;
+      if (!byPeriod.has(period)) {
+        byPeriod.set(period, new Map());
+      }
+      const lenders = byPeriod.get(period);
+      if (!lenders.has(lender)) {
+        lenders.set(lender, []);
+      }
+      lenders.get(lender).push(record);
+    });
+
+    const observations = [];
+    Array.from(byPeriod.keys()).sort().forEach(period => {
+      const lenders = byPeriod.get(period);
+      const periodRecords = [].concat(...lenders.values());
+      const market = PremiumStats.summarizePremiums(periodRecords).mean;
+      const total = periodRecords.reduce((sum, record) => sum + (record.Loan || 0), 0);
+      if (market === null || !(total > 0)) return;
+
+      lenders.forEach((lenderRecords, lender) => {
+        const mean = PremiumStats.summarizePremiums(lenderRecords).mean;
+        const share = lenderRecords.reduce((sum, record) => sum + (record.Loan || 0), 0) / total;
+        if (mean === null || !(share > 0)) return;
+        observations.push({ lender, period, share, relativePremium: mean - market });
+      });
+    });
+    return observations;
+  }
+
+  /**
+   * Fits log share on relative premium within lenders
+   * Lenders with a single observation say nothing about change and are left out.
+   * @param {Array} observations - Output of buildShareObservations
+   * @returns {Object|null} { slope, standardError, observations, lenders } with the slope as the
+   *   change in log share per bps; null without enough variation to fit
+   */
+  function fitElasticity(observations) {
+    const byLender = new Map();
+    observations.forEach(observation => {
+      if (!byLender.has(observation.lender)) {
+        byLender.set(observation.lender, []);
+      }
+      byLender.get(observation.lender).push(observation);
+    });
+
+    const xs = [];
+    const ys = [];
+    let lenders = 0;
+    byLender.forEach(lenderObservations => {
+      if (lenderObservations.length < 2) return;
+      lenders++;
+      const meanX = lenderObservations.reduce((sum, o) => sum + o.relativePremium, 0) / lenderObservations.length;
+      const meanY = lenderObservations.reduce((sum, o) => sum + Math.log(o.share), 0) / lenderObservations.length;
+      lenderObservations.forEach(o => {
+        xs.push(o.relativePremium - meanX);
+        ys.push(Math.log(o.share) - meanY);
+      });
+    });
+
+    const sxx = xs.reduce((sum, x) => sum + x * x, 0);
+    const degreesOfFreedom = xs.length - lenders - 1;
+    if (sxx === 0 || degreesOfFreedom < 1) {
+      return null;
+    }
+
+    const slope = xs.reduce((sum, x, index) => sum + x * ys[index], 0) / sxx;
+    const residuals = ys.reduce((sum, y, index) => sum + Math.pow(y - slope * xs[index], 2), 0);
+    return {
+      slope,
+      standardError: Math.sqrt(residuals / degreesOfFreedom / sxx),
+      observations: xs.length,
+      lenders
+    };
+  }
+
+  /**
+   * Projects a share after a premium change
+   * @param {number} share - Current share, in percent
+   * @param {Object} fit - Output of fitElasticity
+   * @param {number} changeBps - Premium change in bps; positive is dearer
+   * @returns {Object} { share, low, high } in percent, with the 95% confidence interval
+   */
+  function projectShare(share, fit, changeBps) {
+    const bounds = [-1, 1].map(side => share * Math.exp((fit.slope + side * CONFIDENCE_Z * fit.standardError) * changeBps));
+    return {
+      share: share * Math.exp(fit.slope * changeBps),
+      low: Math.min(...bounds),
+      high: Math.max(...bounds)
+    };
+  }
+
+  /**
+   * Estimates a lender's share of a product after shifting the product's premium
+   * @param {Array} records - Enriched ESIS records (already filtered, across every lender)
+   * @param {string} lender - Lender, as in the market share table
+   * @param {number} changeBps - Premium change in bps; positive is dearer
+   * @param {Object} [options] - { product: { term, ltvBand } (default any), ltvScheme, granularity (default 'month'),
+   *   range: bps either side charted (default 50) }
+   * @returns {Object} { lender, product, changeBps, fit, share, loanAmount, marketLoanAmount, projected: { share, low,
+   *   high, loanAmount }, scenarios: [{ changeBps, share, low, high }] } with shares in percent of the product's
+   *   filtered lending
+   * @throws {Error} If the lender wrote none of the product, the change is not a number or the data cannot be fitted
+   */
+  function simulateShareChange(records, lender, changeBps, options = {}) {
+    if (typeof changeBps !== 'number' || !isFinite(changeBps)) {
+      throw new Error('The premium change must be a number of basis points');
+    }
+    const product = Object.assign({ term: '', ltvBand: '' }, options.product);
+    const productRecords = selectProduct(records, product, options.ltvScheme);
+    const marketLoanAmount = productRecords.reduce((sum, record) => sum + (record.Loan || 0), 0);
+    const loanAmount = productRecords
+      .filter(record => PivotTable.DIMENSIONS.lender.value(record) === lender)
+      .reduce((sum, record) => sum + (record.Loan || 0), 0);
+    if (!(loanAmount > 0) || !(marketLoanAmount > 0)) {
+      throw new Error(`${lender} has no lending ${product.term || product.ltvBand ? 'of this product ' : ''}in the selected data`);
+    }
+
+    const fit = fitElasticity(buildShareObservations(productRecords, options.granularity));
+    if (!fit) {
+      throw new Error('Not enough lenders with lending in several periods to fit the share response');
+    }
+
+    const share = (loanAmount / marketLoanAmount) * 100;
+    const projected = projectShare(share, fit, changeBps);
+    projected.loanAmount = (projected.share / 100) * marketLoanAmount;
+
+    const range = options.range || DEFAULT_SCENARIO_RANGE;
+    const scenarios = [];
+    for (let change = -range; change <= range; change += SCENARIO_STEP) {
+      scenarios.push(Object.assign({ changeBps: change }, projectShare(share, fit, change)));
+    }
+
+    return { lender, product, changeBps, fit, share, loanAmount, marketLoanAmount, projected, scenarios };
+  }
+
+  return {
+    CONFIDENCE_Z,
+    selectProduct,
+    buildShareObservations,
+    fitElasticity,
+    projectShare,
+    simulateShareChange
+  };
+});
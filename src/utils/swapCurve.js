@@ -0,0 +1,379 @@
+/**
+ * Swap curve functions for the Mortgage Market Analysis Tool
+ *
+ * Builds a curve from the swap rate file (one rate series per tenor) and
+ * prices any tie-in period against it. For a document date each tenor
+ * contributes the rate picked by the matching policy (by default its latest
+ * rate on or before that date); the rate for the product term is then read
+ * off those tenors, either exactly or by linear or monotone-cubic
+ * interpolation. Terms beyond the shortest and longest tenors have no rate
+ * unless flat extrapolation is asked for.
+ *
+ * Loaded by the page as the global `SwapCurve` and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SwapCurve = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const INTERPOLATION_METHODS = ['linear', 'monotone-cubic'];
+
+  const DEFAULT_INTERPOLATION = 'linear';
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  /*
+   * Matching policies decide which swap fixing a lender priced off:
+   * - latest: latest rate on or before the document date, else the first rate
+   *   within toleranceDays after it
+   * - previous-business-day: latest rate on or before the weekday before the document date
+   * - same-day: only a rate effective on the document date itself
+   * - lagged: latest rate on or before the document date minus lagDays
+   * - average: mean of the rates in the windowDays days up to the document date
+   */
+  const MATCHING_POLICIES = ['latest', 'previous-business-day', 'same-day', 'lagged', 'average'];
+
+  const DEFAULT_MATCHING_POLICY = { name: 'latest', toleranceDays: 5 };
+
+  // The day setting each policy takes, for forms and command-line flags
+  const POLICY_DAY_SETTINGS = {
+    latest: 'toleranceDays',
+    lagged: 'lagDays',
+    average: 'windowDays'
+  };
+
+  /**
+   * Creates a matching policy from a definition
+   * @param {Object|string} [definition] - Policy name, or { name, toleranceDays, lagDays, windowDays }
+   * @returns {Object} Normalized policy with the day settings its name uses
+   * @throws {Error} If the name is unknown or a day setting is not a whole number
+   */
+  function createMatchingPolicy(definition = DEFAULT_MATCHING_POLICY) {
+    const { name, ...settings } = typeof definition === 'string' ? { name: definition } : definition;
+    if (!MATCHING_POLICIES.includes(name)) {
+      throw new Error(`Unknown swap matching policy: ${name}`);
+    }
+
+    const days = (key, fallback, min) => {
+      const value = settings[key] !== undefined && settings[key] !== '' ? Number(settings[key]) : fallback;
+      if (!Number.isInteger(value) || value < min) {
+        throw new Error(`Swap matching ${key} must be a whole number of at least ${min}`);
+      }
+      return value;
+    };
+
+    if (name === 'latest') {
+      return { name, toleranceDays: days('toleranceDays', DEFAULT_MATCHING_POLICY.toleranceDays, 0) };
+    }
+    if (name === 'lagged') {
+      return { name, lagDays: days('lagDays', 1, 0) };
+    }
+    if (name === 'average') {
+      return { name, windowDays: days('windowDays', 5, 1) };
+    }
+    return { name };
+  }
+
+  /**
+   * Describes a matching policy in words for labels and report summaries
+   * @param {Object} policy - Policy from createMatchingPolicy
+   * @returns {string} Description such as 'rate lagged 2 days'
+   */
+  function describeMatchingPolicy(policy) {
+    switch (policy.name) {
+      case 'latest':
+        return `latest rate on or before the document date (or up to ${policy.toleranceDays} days after)`;
+      case 'previous-business-day':
+        return 'previous business day\'s rate';
+      case 'same-day':
+        return 'same day rate only';
+      case 'lagged':
+        return `rate lagged ${policy.lagDays} days`;
+      default:
+        return `average of the last ${policy.windowDays} days' rates`;
+    }
+  }
+
+  /**
+   * Returns midnight UTC of a date's day
+   * @param {Date} date - Any date
+   * @returns {number} Time of the start of the UTC day
+   */
+  function startOfDay(date) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+
+  /**
+   * Returns the weekday before a date
+   * @param {Date} date - Document date
+   * @returns {number} Start of the previous Monday-Friday UTC day
+   */
+  function previousBusinessDay(date) {
+    let time = startOfDay(date) - MS_PER_DAY;
+    while ([0, 6].includes(new Date(time).getUTCDay())) {
+      time -= MS_PER_DAY;
+    }
+    return time;
+  }
+
+  /**
+   * Counts whole days between a swap fixing and the document priced off it
+   * @param {Date} documentDate - Document date
+   * @param {Date} swapDate - Effective date of the swap rate used
+   * @returns {number} Days from the swap date to the document date (negative if the swap is later)
+   */
+  function lagInDays(documentDate, swapDate) {
+    return Math.round((startOfDay(documentDate) - startOfDay(swapDate)) / MS_PER_DAY);
+  }
+
+  /**
+   * Builds a swap curve from normalized swap rates
+   * @param {Array} swapRates - Normalized swap rates (effective_at, product_term_in_months, rate)
+   * @returns {Object} Curve with sorted tenors and a date-sorted rate series per tenor
+   */
+  function buildSwapCurve(swapRates) {
+    const series = {};
+    (swapRates || []).forEach(swap => {
+      const term = swap.product_term_in_months;
+      if (!series[term]) {
+        series[term] = [];
+      }
+      series[term].push({ effective_at: swap.effective_at, rate: swap.rate });
+    });
+
+    Object.values(series).forEach(observations => {
+      observations.sort((a, b) => a.effective_at.getTime() - b.effective_at.getTime());
+    });
+
+    return {
+      tenors: Object.keys(series).map(Number).sort((a, b) => a - b),
+      series
+    };
+  }
+
+  /**
+   * Checks whether a value is a curve built by buildSwapCurve
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a swap curve
+   */
+  function isSwapCurve(value) {
+    return Boolean(value) && Array.isArray(value.tenors) && typeof value.series === 'object';
+  }
+
+  /**
+   * Counts the observations effective on or before a time
+   * @param {Array} observations - Date-sorted observations of a tenor
+   * @param {number} time - Cut-off time
+   * @returns {number} Number of observations with effective_at <= time
+   */
+  function countOnOrBefore(observations, time) {
+    let low = 0;
+    let high = observations.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (observations[mid].effective_at.getTime() <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Picks the rate of one tenor that applies to a document under a matching policy
+   * @param {Array} observations - Date-sorted observations of a tenor
+   * @param {Date} date - Document date
+   * @param {Object} policy - Policy from createMatchingPolicy
+   * @returns {Object|null} { rate, effective_at } or null when the policy finds no rate
+   */
+  function observationAsOf(observations, date, policy) {
+    const endOfDay = time => time + MS_PER_DAY - 1;
+
+    if (policy.name === 'latest') {
+      const count = countOnOrBefore(observations, date.getTime());
+      if (count > 0) {
+        return observations[count - 1];
+      }
+      const first = observations[0];
+      if (first && Math.ceil((first.effective_at.getTime() - date.getTime()) / MS_PER_DAY) <= policy.toleranceDays) {
+        return first;
+      }
+      return null;
+    }
+
+    if (policy.name === 'average') {
+      const end = endOfDay(startOfDay(date));
+      const window = observations.slice(
+        countOnOrBefore(observations, end - policy.windowDays * MS_PER_DAY),
+        countOnOrBefore(observations, end)
+      );
+      if (window.length === 0) {
+        return null;
+      }
+      return {
+        rate: window.reduce((sum, observation) => sum + observation.rate, 0) / window.length,
+        effective_at: window[window.length - 1].effective_at
+      };
+    }
+
+    let cutOff;
+    if (policy.name === 'previous-business-day') {
+      cutOff = previousBusinessDay(date);
+    } else if (policy.name === 'lagged') {
+      cutOff = startOfDay(date) - policy.lagDays * MS_PER_DAY;
+    } else {
+      cutOff = startOfDay(date);
+    }
+
+    const count = countOnOrBefore(observations, endOfDay(cutOff));
+    const observation = count > 0 ? observations[count - 1] : null;
+    if (policy.name === 'same-day' && observation && startOfDay(observation.effective_at) !== cutOff) {
+      return null;
+    }
+    return observation;
+  }
+
+  /**
+   * Reads the curve as it stood for a document
+   * @param {Object} curve - Curve from buildSwapCurve
+   * @param {Date} date - Document date
+   * @param {Object} [policy] - Policy from createMatchingPolicy; defaults to 'latest'
+   * @returns {Array} Points { term, rate, effective_at } sorted by term; tenors without a rate are left out
+   */
+  function curveAsOf(curve, date, policy = createMatchingPolicy()) {
+    const points = [];
+    curve.tenors.forEach(term => {
+      const observation = observationAsOf(curve.series[term], date, policy);
+      if (observation) {
+        points.push({ term, rate: observation.rate, effective_at: observation.effective_at });
+      }
+    });
+    return points;
+  }
+
+  /**
+   * Calculates Fritsch-Carlson tangents that keep a cubic Hermite spline monotone
+   * @param {Array} points - Curve points sorted by term (at least two)
+   * @returns {Array} Tangent at each point
+   */
+  function monotoneTangents(points) {
+    const n = points.length;
+    const widths = [];
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      widths.push(points[i + 1].term - points[i].term);
+      slopes.push((points[i + 1].rate - points[i].rate) / widths[i]);
+    }
+
+    const tangents = [slopes[0]];
+    for (let i = 1; i < n - 1; i++) {
+      if (slopes[i - 1] * slopes[i] <= 0) {
+        tangents.push(0);
+      } else {
+        // Weighted harmonic mean of the neighbouring slopes
+        const common = widths[i - 1] + widths[i];
+        tangents.push(3 * common / ((common + widths[i]) / slopes[i - 1] + (common + widths[i - 1]) / slopes[i]));
+      }
+    }
+    tangents.push(slopes[n - 2]);
+    return tangents;
+  }
+
+  /**
+   * Checks whether a term lies between the shortest and longest tenors of the curve
+   * @param {Array} points - Curve points sorted by term, from curveAsOf
+   * @param {number} term - Product term in months
+   * @returns {boolean} True if the curve has points and covers the term
+   */
+  function coversTerm(points, term) {
+    return Boolean(points && points.length > 0) && term >= points[0].term && term <= points[points.length - 1].term;
+  }
+
+  /**
+   * Interpolates the rate for a term from curve points
+   * @param {Array} points - Curve points sorted by term, from curveAsOf
+   * @param {number} term - Product term in months
+   * @param {string} [method='linear'] - 'linear' or 'monotone-cubic'
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.extrapolate=false] - Carry the nearest tenor's rate flat to terms outside the curve
+   * @returns {Object|null} { rate, tenors, method, effective_at } where method is 'exact', the
+   *   interpolation method used or 'flat' for extrapolation; null when there are no points or
+   *   the term is outside the curve without extrapolation
+   * @throws {Error} If the method is unknown
+   */
+  function interpolateRate(points, term, method = DEFAULT_INTERPOLATION, options = {}) {
+    if (!INTERPOLATION_METHODS.includes(method)) {
+      throw new Error(`Unknown swap interpolation method: ${method}`);
+    }
+    if (!points || points.length === 0) {
+      return null;
+    }
+
+    const result = (rate, used, usedMethod) => ({
+      rate,
+      tenors: used.map(point => point.term),
+      method: usedMethod,
+      effective_at: new Date(Math.max(...used.map(point => point.effective_at.getTime())))
+    });
+
+    const exact = points.find(point => point.term === term);
+    if (exact) {
+      return result(exact.rate, [exact], 'exact');
+    }
+
+    // Outside the curve the nearest tenor's rate is only carried flat on request:
+    // a 10-year fix priced off the 5-year swap would skew its premium
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (!coversTerm(points, term) && !options.extrapolate) {
+      return null;
+    }
+    if (term < first.term) {
+      return result(first.rate, [first], 'flat');
+    }
+    if (term > last.term) {
+      return result(last.rate, [last], 'flat');
+    }
+
+    const upper = points.findIndex(point => point.term > term);
+    const left = points[upper - 1];
+    const right = points[upper];
+    const width = right.term - left.term;
+    const t = (term - left.term) / width;
+
+    // The cubic needs a third tenor for its tangents, so two tenors are joined linearly
+    if (method === 'linear' || points.length < 3) {
+      return result(left.rate + t * (right.rate - left.rate), [left, right], 'linear');
+    }
+
+    const tangents = monotoneTangents(points);
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const rate = (2 * t3 - 3 * t2 + 1) * left.rate +
+      (t3 - 2 * t2 + t) * width * tangents[upper - 1] +
+      (-2 * t3 + 3 * t2) * right.rate +
+      (t3 - t2) * width * tangents[upper];
+
+    // The tangents at both ends of the interval also depend on the neighbouring tenors
+    return result(rate, points.slice(Math.max(0, upper - 2), upper + 2), method);
+  }
+
+  return {
+    INTERPOLATION_METHODS,
+    DEFAULT_INTERPOLATION,
+    MATCHING_POLICIES,
+    DEFAULT_MATCHING_POLICY,
+    POLICY_DAY_SETTINGS,
+    createMatchingPolicy,
+    describeMatchingPolicy,
+    lagInDays,
+    buildSwapCurve,
+    isSwapCurve,
+    curveAsOf,
+    coversTerm,
+    interpolateRate
+  };
+});
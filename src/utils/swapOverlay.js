@@ -0,0 +1,140 @@
+/**
+ * Swap rate overlay for the Mortgage Market Analysis Tool
+ *
+ * Sets the 2 and 5 year swap rates beside the loan-weighted average initial
+ * rate of the ESIS records for the same term, per time period, with the spread
+ * between the two. It shows how far a move in premium bands follows the swap
+ * market rather than lender pricing.
+ *
+ * The swap rate of a period is the mean of the tenor's fixings effective in it;
+ * tenors the swap file does not carry have no swap line. Pure and DOM-free:
+ * loaded by the page as the global `SwapOverlay` (after swapCurve.js,
+ * timePeriods.js and analysisPipeline.js) and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./swapCurve'), require('./timePeriods'), require('./analysisPipeline'));
+  } else {
+    root.SwapOverlay = factory(root.SwapCurve, root.TimePeriods, root.AnalysisPipeline);
+  }
+})(typeof self !== 'undefined' ? self : this, function (SwapCurve, TimePeriods, AnalysisPipeline) {
+  // Product terms overlaid, in months
+  const OVERLAY_TERMS = [
+    { term: 24, label: '2 Year' },
+    { term: 60, label: '5 Year' }
+  ];
+
+  /**
+   * Averages the values collected for each period
+   * @param {Map} sums - Period -> { total, weight }
+   * @param {Array} months - Period keys in order
+   * @returns {Array} Mean per period, null where nothing was collected
+   */
+  function meansByPeriod(sums, months) {
+    return months.map(month => {
+      const sum = sums.get(month);
+      return sum && sum.weight > 0 ? sum.total / sum.weight : null;
+    });
+  }
+
+  /**
+   * Adds a weighted value to a period's running sum
+   * @param {Map} sums - Period -> { total, weight }
+   * @param {string} period - Period key
+   * @param {number} value - Value
+   * @param {number} weight - Weight of the value
+   */
+  function addToPeriod(sums, period, value, weight) {
+    if (!sums.has(period)) {
+      sums.set(period, { total: 0, weight: 0 });
+    }
+    const sum = sums.get(period);
+    sum.total += value * weight;
+    sum.weight += weight;
+  }
+
+  /**
+   * Builds the swap overlay: per period and overlaid term, the swap rate, the
+   * loan-weighted average ESIS initial rate and the spread between them
+   * The periods are listed under `months` whatever the granularity, as in
+   * MarketReports.groupByMonthAndLender; they cover every period with either a
+   * swap fixing in the date range or a record.
+   * @param {Array} records - Enriched ESIS records (already filtered)
+   * @param {Array|Object} swaps - Normalized swap rates, or a curve from SwapCurve.buildSwapCurve
+   * @param {Object} [options] - { dateRange: [start, end] as YYYY-MM-DD or YYYY-MM, granularity (default 'month') }
+   * @returns {Object} { granularity, months, monthLabels, terms: [{ term, label, swapRate, esisRate, spread }] }
+   *   with rates in percent and spreads in basis points, null where a period has no value
+   * @throws {Error} If the granularity is unknown
+   */
+  function buildSwapOverlay(records, swaps, options = {}) {
+    const granularity = TimePeriods.validateGranularity(options.granularity || TimePeriods.DEFAULT_GRANULARITY);
+    const curve = SwapCurve.isSwapCurve(swaps) ? swaps : SwapCurve.buildSwapCurve(swaps);
+    const inRange = TimePeriods.createDateRangeMatcher(options.dateRange);
+    const periods = new Set();
+
+    const series = OVERLAY_TERMS.map(({ term }) => {
+      const swapSums = new Map();
+      (curve.series[term] || []).forEach(observation => {
+        const day = TimePeriods.dayKey(observation.effective_at);
+        if (!day || !inRange({ Day: day, Month: day.substring(0, 7) })) return;
+        const period = TimePeriods.periodOfDay(day, granularity);
+        periods.add(period);
+        addToPeriod(swapSums, period, observation.rate, 1);
+      });
+
+      const esisSums = new Map();
+      (records || []).forEach(record => {
+        if (record.NormalizedTerm !== term || !(record.Loan > 0)) return;
+        const period = TimePeriods.recordPeriod(record, granularity);
+        const rate = AnalysisPipeline.readEsisRate(record);
+        if (!period || rate === null) return;
+        periods.add(period);
+        addToPeriod(esisSums, period, rate, record.Loan);
+      });
+
+      return { swapSums, esisSums };
+    });
+
+    const months = Array.from(periods).sort();
+    const terms = OVERLAY_TERMS.map(({ term, label }, index) => {
+      const swapRate = meansByPeriod(series[index].swapSums, months).map(rate => (rate === null ? null : rate * 100));
+      const esisRate = meansByPeriod(series[index].esisSums, months).map(rate => (rate === null ? null : rate * 100));
+      const spread = esisRate.map((rate, period) => (
+        rate === null || swapRate[period] === null ? null : (rate - swapRate[period]) * 100
+      ));
+      return { term, label, swapRate, esisRate, spread };
+    });
+
+    return {
+      granularity,
+      months,
+      monthLabels: months.map(TimePeriods.formatPeriodLabel),
+      terms
+    };
+  }
+
+  /**
+   * Builds swap overlay rows, one per period with the swap rate, ESIS rate and spread of each term
+   * @param {Object} overlay - Output of buildSwapOverlay
+   * @returns {Array} Rows with the period under Month, Week, Quarter or Year, Label, and per term
+   *   e.g. '2 Year Swap (%)', '2 Year ESIS Rate (%)' and '2 Year Spread (bps)'
+   */
+  function buildSwapOverlayTable(overlay) {
+    const periodColumn = TimePeriods.GRANULARITY_LABELS[overlay.granularity];
+    return overlay.months.map((month, index) => {
+      const row = { [periodColumn]: month, Label: overlay.monthLabels[index] };
+      overlay.terms.forEach(term => {
+        row[`${term.label} Swap (%)`] = term.swapRate[index];
+        row[`${term.label} ESIS Rate (%)`] = term.esisRate[index];
+        row[`${term.label} Spread (bps)`] = term.spread[index];
+      });
+      return row;
+    });
+  }
+
+  return {
+    OVERLAY_TERMS,
+    buildSwapOverlay,
+    buildSwapOverlayTable
+  };
+});
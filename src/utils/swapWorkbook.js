@@ -0,0 +1,68 @@
+/**
+ * Swap rate workbook reading for the Mortgage Market Analysis Tool
+ *
+ * Picks the swap rates sheet from an XLSX workbook and stamps rows with the
+ * effective date carried in the file name (e.g. rates_31_01_2024.xlsx). Used
+ * by the page, the analysis worker and the pricing-report CLI so all three
+ * read swap workbooks the same way.
+ *
+ * Loaded by the page as the global `SwapWorkbook` (after SheetJS) and
+ * required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('xlsx'));
+  } else {
+    root.SwapWorkbook = factory(root.XLSX);
+  }
+})(typeof self !== 'undefined' ? self : this, function (XLSX) {
+  /**
+   * Picks the sheet holding swap rates
+   * @param {Array} sheetNames - Sheet names of the workbook
+   * @returns {string} First sheet mentioning swaps or rates, else the first sheet
+   */
+  function findSwapSheet(sheetNames) {
+    return sheetNames.find(name =>
+      name.includes('Swap') || name.includes('swap') || name.includes('Rate') || name.includes('rate')) ||
+      sheetNames[0];
+  }
+
+  /**
+   * Reads the effective date from a swap file name
+   * @param {string} fileName - File name such as rates_31_01_2024.xlsx
+   * @returns {Date|null} The DD_MM_YYYY date in the name, or null
+   */
+  function fileNameDate(fileName) {
+    const dateMatch = (fileName || '').match(/(\d{2})_(\d{2})_(\d{4})/);
+    if (!dateMatch) {
+      return null;
+    }
+    const [, day, month, year] = dateMatch;
+    return new Date(`${year}-${month}-${day}`);
+  }
+
+  /**
+   * Reads swap rate rows from a parsed workbook
+   * @param {Object} workbook - SheetJS workbook
+   * @param {string} fileName - Name of the uploaded file
+   * @returns {Array} Rows of the swap sheet, with effective_at from the file name when it has a date
+   */
+  function readSwapWorkbook(workbook, fileName) {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[findSwapSheet(workbook.SheetNames)]);
+
+    const fileDate = fileNameDate(fileName);
+    if (fileDate) {
+      rows.forEach(row => {
+        row.effective_at = fileDate;
+      });
+    }
+
+    return rows;
+  }
+
+  return {
+    findSwapSheet,
+    fileNameDate,
+    readSwapWorkbook
+  };
+});
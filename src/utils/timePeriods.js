@@ -0,0 +1,244 @@
+/**
+ * Time periods for the Mortgage Market Analysis Tool
+ *
+ * Groups records by ISO week, month, quarter or year of their document date,
+ * and filters them by a range of days or months. Periods are keyed by sortable
+ * strings: '2024-W05', '2024-01', '2024-Q1' and '2024'. Days are 'YYYY-MM-DD'
+ * in UTC, matching the 'YYYY-MM' months derived by analysisPipeline.js.
+ *
+ * Loaded by the page as the global `TimePeriods` (before analysisPipeline.js)
+ * and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TimePeriods = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const GRANULARITIES = ['week', 'month', 'quarter', 'year'];
+
+  const DEFAULT_GRANULARITY = 'month';
+
+  const GRANULARITY_LABELS = {
+    week: 'Week',
+    month: 'Month',
+    quarter: 'Quarter',
+    year: 'Year'
+  };
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  const DAY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+  const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+  const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  /**
+   * Checks that a granularity is supported
+   * @param {string} granularity - Granularity name
+   * @returns {string} The granularity
+   * @throws {Error} If the granularity is unknown
+   */
+  function validateGranularity(granularity) {
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new Error(`Unknown time granularity: ${granularity}. Use one of: ${GRANULARITIES.join(', ')}`);
+    }
+    return granularity;
+  }
+
+  /**
+   * Extracts the YYYY-MM-DD day key from a date, in UTC
+   * @param {Date|string|number} date - The date, or a value Date can parse
+   * @returns {string|null} Day key, or null for a missing or invalid date
+   */
+  function dayKey(date) {
+    if (date === null || date === undefined || date === '') {
+      return null;
+    }
+    const value = date instanceof Date ? date : new Date(date);
+    return isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+  }
+
+  /**
+   * Checks whether a value is a YYYY-MM-DD day key
+   * @param {string} value - Value to check
+   * @returns {boolean} True for a day key
+   */
+  function isDayKey(value) {
+    return typeof value === 'string' && DAY_PATTERN.test(value);
+  }
+
+  /**
+   * Checks whether a value is a YYYY-MM month key
+   * @param {string} value - Value to check
+   * @returns {boolean} True for a month key
+   */
+  function isMonthKey(value) {
+    return typeof value === 'string' && MONTH_PATTERN.test(value);
+  }
+
+  /**
+   * Finds the ISO week of a day; weeks start on Monday and belong to the year of their Thursday
+   * @param {string} day - Day key in YYYY-MM-DD format
+   * @returns {string} Week key such as '2024-W05'
+   */
+  function isoWeekKey(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    const thursday = new Date(Date.UTC(year, month - 1, date));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const weekYear = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / MS_PER_DAY + 1) / 7);
+    return `${weekYear}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Finds the period a day falls in
+   * @param {string} day - Day key in YYYY-MM-DD format
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year'
+   * @returns {string} Period key
+   * @throws {Error} If the granularity is unknown
+   */
+  function periodOfDay(day, granularity = DEFAULT_GRANULARITY) {
+    switch (validateGranularity(granularity)) {
+      case 'week':
+        return isoWeekKey(day);
+      case 'quarter':
+        return `${day.substring(0, 4)}-Q${Math.ceil(Number(day.substring(5, 7)) / 3)}`;
+      case 'year':
+        return day.substring(0, 4);
+      default:
+        return day.substring(0, 7);
+    }
+  }
+
+  /**
+   * Finds the period a date falls in
+   * @param {Date|string|number} date - The date
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year'
+   * @returns {string|null} Period key, or null for a missing or invalid date
+   * @throws {Error} If the granularity is unknown
+   */
+  function periodKey(date, granularity = DEFAULT_GRANULARITY) {
+    const day = dayKey(date);
+    return day ? periodOfDay(day, granularity) : null;
+  }
+
+  /**
+   * Reads the day of an enriched record
+   * Datasets analysed before records carried a Day fall back to the document date.
+   * @param {Object} record - Enriched ESIS record
+   * @returns {string|null} Day key, or null without a document date
+   */
+  function recordDay(record) {
+    return record.Day || dayKey(record.DocumentDate);
+  }
+
+  /**
+   * Reads the period of an enriched record
+   * @param {Object} record - Enriched ESIS record
+   * @param {string} [granularity='month'] - 'week', 'month', 'quarter' or 'year'
+   * @returns {string|null} Period key, or null without a document date
+   * @throws {Error} If the granularity is unknown
+   */
+  function recordPeriod(record, granularity = DEFAULT_GRANULARITY) {
+    if (granularity === 'month' && record.Month) {
+      return record.Month;
+    }
+    const day = recordDay(record);
+    return day ? periodOfDay(day, granularity) : null;
+  }
+
+  /**
+   * Formats a period key as a short label: 'W05 24', 'Jan 24', 'Q1 24' or '2024'
+   * @param {string} key - Period key from periodKey
+   * @returns {string} Short label; keys that are not periods are returned unchanged
+   */
+  function formatPeriodLabel(key) {
+    const match = /^(\d{4})-(W\d{2}|Q[1-4]|\d{2})$/.exec(key);
+    if (!match) {
+      return key;
+    }
+    const year = match[1].substring(2);
+    if (/^\d{2}$/.test(match[2])) {
+      return `${MONTH_NAMES[Number(match[2]) - 1]} ${year}`;
+    }
+    return `${match[2]} ${year}`;
+  }
+
+  /**
+   * Converts a date range to days; a month starts on its first day and ends on its last
+   * @param {Array} dateRange - [start, end] as YYYY-MM-DD or YYYY-MM
+   * @returns {Array} [firstDay, lastDay] as YYYY-MM-DD; missing bounds stay null
+   */
+  function toDayRange(dateRange) {
+    const [start, end] = dateRange || [];
+    const lastDayOf = month => {
+      const [year, monthNumber] = month.split('-').map(Number);
+      return `${month}-${String(new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()).padStart(2, '0')}`;
+    };
+    return [
+      start ? (isMonthKey(start) ? `${start}-01` : start) : null,
+      end ? (isMonthKey(end) ? lastDayOf(end) : end) : null
+    ];
+  }
+
+  /**
+   * Creates a check of records against a date range
+   * Bounds are days or months; a month starts on its first day as a start and
+   * runs to its last day as an end. When both bounds are months the record's
+   * Month is compared, so records without a Day still match.
+   * @param {Array} dateRange - [start, end] as YYYY-MM-DD or YYYY-MM; without both, every record matches
+   * @returns {Function} (record) => true if the record's date is within the range
+   */
+  function createDateRangeMatcher(dateRange) {
+    const [start, end] = dateRange || [];
+    if (!start || !end) {
+      return () => true;
+    }
+    if (isMonthKey(start) && isMonthKey(end)) {
+      return record => Boolean(record.Month) && record.Month >= start && record.Month <= end;
+    }
+
+    const [firstDay, lastDay] = toDayRange(dateRange);
+    return record => {
+      const day = recordDay(record);
+      return Boolean(day) && day >= firstDay && day <= lastDay;
+    };
+  }
+
+  /**
+   * Finds the first and last day of a set of records
+   * @param {Array} records - Enriched ESIS records
+   * @returns {Array} [firstDay, lastDay], or [null, null] without dated records
+   */
+  function dayBounds(records) {
+    let first = null;
+    let last = null;
+    (records || []).forEach(record => {
+      const day = recordDay(record);
+      if (!day) return;
+      if (first === null || day < first) first = day;
+      if (last === null || day > last) last = day;
+    });
+    return [first, last];
+  }
+
+  return {
+    GRANULARITIES,
+    DEFAULT_GRANULARITY,
+    GRANULARITY_LABELS,
+    validateGranularity,
+    dayKey,
+    isDayKey,
+    isMonthKey,
+    periodOfDay,
+    periodKey,
+    recordDay,
+    recordPeriod,
+    formatPeriodLabel,
+    toDayRange,
+    createDateRangeMatcher,
+    dayBounds
+  };
+});
@@ -0,0 +1,167 @@
+/**
+ * Named saved views for the Mortgage Market Analysis Tool
+ *
+ * A library of views, each a name and a view as captured by the page (filters,
+ * selected premium bands, heatmap mode and sort, and band scheme), such as
+ * "Remortgage <80%". Libraries are plain JSON, kept in localStorage and
+ * exported to a file so a team can share one set of presets:
+ *
+ *   { "version": 1, "views": [{ "name": "...", "view": { ... } }] }
+ *
+ * Names are unique regardless of case. Functions return new lists rather than
+ * changing the one passed in. Loaded by the page as the global `ViewLibrary`
+ * and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ViewLibrary = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LIBRARY_VERSION = 1;
+
+  /**
+   * Validates the name of a saved view
+   * @param {string} name - Name as entered
+   * @returns {string} Trimmed name
+   * @throws {Error} If the name is blank
+   */
+  function normalizeViewName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Saved views need a name');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Compares view names regardless of case and surrounding spaces
+   * @param {string} a - Name
+   * @param {string} b - Name
+   * @returns {boolean} True if the names are the same
+   */
+  function sameName(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+
+  /**
+   * Orders saved views by name
+   * @param {Array} views - Saved views
+   * @returns {Array} Sorted copy
+   */
+  function sortViews(views) {
+    return [...views].sort((a, b) => a.name.localeCompare(b.name, 'en-GB', { sensitivity: 'base' }));
+  }
+
+  /**
+   * Finds a saved view by name
+   * @param {Array} views - Saved views
+   * @param {string} name - Name to look for
+   * @returns {Object|null} Saved view { name, view }, or null
+   */
+  function findView(views, name) {
+    return (views || []).find(saved => sameName(saved.name, name)) || null;
+  }
+
+  /**
+   * Saves a view under a name, replacing any view of the same name
+   * @param {Array} views - Saved views
+   * @param {string} name - Name of the view
+   * @param {Object} view - View to save
+   * @returns {Array} New list, sorted by name
+   * @throws {Error} If the name is blank
+   */
+  function saveView(views, name, view) {
+    const saved = { name: normalizeViewName(name), view };
+    return sortViews((views || []).filter(existing => !sameName(existing.name, saved.name)).concat([saved]));
+  }
+
+  /**
+   * Renames a saved view
+   * @param {Array} views - Saved views
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   * @returns {Array} New list, sorted by name
+   * @throws {Error} If there is no view of that name, the new name is blank or another view has it
+   */
+  function renameView(views, name, newName) {
+    const renamed = normalizeViewName(newName);
+    if (!findView(views, name)) {
+      throw new Error(`No saved view named ${name}`);
+    }
+    if (!sameName(name, renamed) && findView(views, renamed)) {
+      throw new Error(`A saved view is already named ${renamed}`);
+    }
+    return sortViews(views.map(saved => (sameName(saved.name, name) ? { name: renamed, view: saved.view } : saved)));
+  }
+
+  /**
+   * Removes a saved view
+   * @param {Array} views - Saved views
+   * @param {string} name - Name of the view
+   * @returns {Array} New list without the view
+   */
+  function removeView(views, name) {
+    return (views || []).filter(saved => !sameName(saved.name, name));
+  }
+
+  /**
+   * Writes saved views to a file's text
+   * @param {Array} views - Saved views
+   * @returns {string} JSON text of the library
+   */
+  function exportLibrary(views) {
+    return JSON.stringify({ version: LIBRARY_VERSION, views: views || [] }, null, 2);
+  }
+
+  /**
+   * Reads a library file and merges its views into the saved views
+   * @param {string} text - JSON text from exportLibrary
+   * @param {Array} views - Saved views
+   * @returns {Object} { views, added, replaced }: the merged list, sorted by name, and how many
+   *   views were new or replaced a view of the same name
+   * @throws {Error} If the text is not a saved views file, or a view in it has no name or view
+   */
+  function importLibrary(text, views) {
+    let library;
+    try {
+      library = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not a saved views file: it is not valid JSON');
+    }
+    if (!library || !Array.isArray(library.views)) {
+      throw new Error('The file is not a saved views file: it has no list of views');
+    }
+    if (library.version > LIBRARY_VERSION) {
+      throw new Error(`Saved views file version ${library.version} is newer than this tool supports`);
+    }
+
+    let merged = views || [];
+    let added = 0;
+    let replaced = 0;
+    library.views.forEach((saved, index) => {
+      if (!saved || !saved.view || typeof saved.view !== 'object') {
+        throw new Error(`Saved view ${index + 1} in the file has no view`);
+      }
+      if (findView(merged, saved.name)) {
+        replaced++;
+      } else {
+        added++;
+      }
+      merged = saveView(merged, saved.name, saved.view);
+    });
+
+    return { views: merged, added, replaced };
+  }
+
+  return {
+    LIBRARY_VERSION,
+    findView,
+    saveView,
+    renameView,
+    removeView,
+    exportLibrary,
+    importLibrary
+  };
+});
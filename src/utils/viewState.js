@@ -0,0 +1,169 @@
+/**
+ * Shareable view links for the Mortgage Market Analysis Tool
+ *
+ * Encodes a view of the analysis (the filters, the time granularity, the
+ * premium bands selected for lender market share and trends, the lender
+ * grouping, the heatmap mode, columns and sort, and the premium and LTV band
+ * schemes) into a URL hash, and decodes it back, so a link opens the same view
+ * once the data is loaded.
+ * Dates are days or months, and lists are repeated parameters, e.g.
+ * #from=2023-01-01&to=2023-06-30&period=week&lender=Lender%20A&ltvband=85-90.
+ *
+ * Decoding only checks the shape of each value; whether a lender, band or
+ * option exists depends on the data and controls, and is left to the page.
+ * Lender groups are named, not defined, in a link: they are only selected if
+ * the browser opening it has groups of those names.
+ * Loaded by the page as the global `ViewState` (after timePeriods.js and
+ * lenderTaxonomy.js) and required by Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./timePeriods'), require('./lenderTaxonomy'));
+  } else {
+    root.ViewState = factory(root.TimePeriods, root.LenderTaxonomy);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TimePeriods, LenderTaxonomy) {
+  // Hash parameters of each list in a view
+  const LIST_PARAMS = {
+    lender: 'lenders',
+    group: 'lenderGroups',
+    product: 'productTypes',
+    purchase: 'purchaseTypes',
+    ltvband: 'ltvBands'
+  };
+
+  const HEATMAP_MODES = ['lender', 'premium'];
+  const HEATMAP_COLUMNS = ['premium', 'ltv'];
+  const SORT_DIRECTIONS = ['asc', 'desc'];
+  const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+  /**
+   * Encodes a view as a URL hash
+   * @param {Object} view - View with filters, granularity, productTerm, lenderBands, trendsBands, lenderGrouping,
+   *   heatmapMode, heatmapColumns, heatmapSort ({ band, direction } or null), bandScheme (a premium band
+   *   scheme definition) and ltvBandScheme (an LTV band scheme definition)
+   * @returns {string} Hash without the leading '#'
+   */
+  function encodeViewHash(view) {
+    const params = new URLSearchParams();
+    const filters = view.filters || {};
+    const dateRange = filters.dateRange || [];
+
+    if (dateRange[0]) params.set('from', dateRange[0]);
+    if (dateRange[1]) params.set('to', dateRange[1]);
+    if (view.granularity && view.granularity !== 'month') params.set('period', view.granularity);
+    Object.keys(LIST_PARAMS).forEach(param => {
+      (filters[LIST_PARAMS[param]] || []).forEach(value => params.append(param, value));
+    });
+    if (view.productTerm && view.productTerm !== 'all') params.set('term', view.productTerm);
+    (view.lenderBands || []).forEach(band => params.append('band', band));
+    (view.trendsBands || []).forEach(band => params.append('trend', band));
+    if (view.lenderGrouping && view.lenderGrouping !== 'lender') params.set('grouping', view.lenderGrouping);
+    if (view.heatmapMode && view.heatmapMode !== 'lender') params.set('heatmap', view.heatmapMode);
+    if (view.heatmapColumns && view.heatmapColumns !== 'premium') params.set('columns', view.heatmapColumns);
+    if (view.heatmapSort) {
+      params.set('sort', view.heatmapSort.band);
+      params.set('dir', view.heatmapSort.direction);
+    }
+    if (view.bandScheme) params.set('scheme', JSON.stringify(view.bandScheme));
+    if (view.ltvBandScheme) params.set('ltvscheme', JSON.stringify(view.ltvBandScheme));
+
+    return params.toString();
+  }
+
+  /**
+   * Reads a band scheme definition from a hash parameter
+   * @param {URLSearchParams} params - Hash parameters
+   * @param {string} param - Parameter holding the definition as JSON
+   * @param {string} name - Name of the scheme for the error message
+   * @returns {Object|null} Definition, or null if the parameter is not set
+   * @throws {Error} If the parameter is not valid JSON
+   */
+  function readScheme(params, param, name) {
+    if (!params.get(param)) {
+      return null;
+    }
+    try {
+      return JSON.parse(params.get(param));
+    } catch (error) {
+      throw new Error(`Invalid ${name} in link`);
+    }
+  }
+
+  /**
+   * Decodes a view from a URL hash
+   * @param {string} hash - Hash, with or without the leading '#'
+   * @returns {Object|null} View as taken by encodeViewHash, or null if the hash has no view
+   * @throws {Error} If a date, the granularity, the lender grouping, the heatmap mode, columns or sort, or a band
+   *   scheme is malformed
+   */
+  function decodeViewHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if ([...params.keys()].length === 0) {
+      return null;
+    }
+
+    const dateRange = [params.get('from'), params.get('to')];
+    dateRange.forEach(date => {
+      if (date !== null && !DATE_PATTERN.test(date)) {
+        throw new Error(`Invalid date in link: ${date}. Use YYYY-MM-DD or YYYY-MM`);
+      }
+    });
+
+    const granularity = params.get('period') || 'month';
+    if (!TimePeriods.GRANULARITIES.includes(granularity)) {
+      throw new Error(`Unknown time granularity in link: ${granularity}`);
+    }
+
+    const filters = { dateRange };
+    Object.keys(LIST_PARAMS).forEach(param => {
+      filters[LIST_PARAMS[param]] = params.getAll(param);
+    });
+
+    const lenderGrouping = params.get('grouping') || 'lender';
+    if (!Object.keys(LenderTaxonomy.GROUP_LEVELS).includes(lenderGrouping)) {
+      throw new Error(`Unknown lender grouping in link: ${lenderGrouping}`);
+    }
+
+    const heatmapMode = params.get('heatmap') || 'lender';
+    if (!HEATMAP_MODES.includes(heatmapMode)) {
+      throw new Error(`Unknown heatmap mode in link: ${heatmapMode}`);
+    }
+
+    const heatmapColumns = params.get('columns') || 'premium';
+    if (!HEATMAP_COLUMNS.includes(heatmapColumns)) {
+      throw new Error(`Unknown heatmap columns in link: ${heatmapColumns}`);
+    }
+
+    let heatmapSort = null;
+    if (params.get('sort')) {
+      const direction = params.get('dir') || 'desc';
+      if (!SORT_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown sort direction in link: ${direction}`);
+      }
+      heatmapSort = { band: params.get('sort'), direction };
+    }
+
+    const bandScheme = readScheme(params, 'scheme', 'band scheme');
+    const ltvBandScheme = readScheme(params, 'ltvscheme', 'LTV band scheme');
+
+    return {
+      filters,
+      granularity,
+      productTerm: params.get('term') || 'all',
+      lenderBands: params.getAll('band'),
+      trendsBands: params.getAll('trend'),
+      lenderGrouping,
+      heatmapMode,
+      heatmapColumns,
+      heatmapSort,
+      bandScheme,
+      ltvBandScheme
+    };
+  }
+
+  return {
+    encodeViewHash,
+    decodeViewHash
+  };
+});
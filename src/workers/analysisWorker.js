@@ -0,0 +1,100 @@
+/**
+ * Analysis worker for the Mortgage Market Analysis Tool
+ *
+ * Parses the uploaded ESIS and swap rate files and runs the analysis pipeline
+ * off the main thread, so the page stays responsive on large uploads. The page
+ * posts { esisFile, swapFile, options } and receives:
+ *   { type: 'progress', phase, ... } while parsing, enriching and aggregating
+ *   { type: 'result', result }       with the runPipeline result
+ *   { type: 'error', message }       if parsing or the pipeline fails
+ * Processing is cancelled by terminating the worker.
+ */
+/* global importScripts, Papa, XLSX, SwapWorkbook, AnalysisPipeline */
+
+importScripts(
+  'https://unpkg.com/papaparse@5.3.2/papaparse.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+  '../utils/premiumBands.js',
+  '../utils/swapCurve.js',
+  '../utils/columnMapping.js',
+  '../utils/rateUnits.js',
+  '../utils/deduplication.js',
+  '../utils/timePeriods.js',
+  '../utils/analysisPipeline.js',
+  '../utils/swapWorkbook.js'
+);
+
+/**
+ * Posts a progress message to the page
+ * @param {Object} progress - Progress fields, including the phase
+ */
+function postProgress(progress) {
+  self.postMessage(Object.assign({ type: 'progress' }, progress));
+}
+
+/**
+ * Streams a CSV file through Papa Parse, reporting rows parsed after each chunk
+ * @param {File} file - CSV file
+ * @param {string} source - 'esis' or 'swap', echoed in progress messages
+ * @returns {Promise<Array>} Parsed rows, with the same Papa Parse options as the page
+ */
+function parseCsv(file, source) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      chunk: (results, parser) => {
+        if (results.errors.length > 0) {
+          parser.abort();
+          reject(new Error(`CSV parsing error: ${results.errors[0].message}`));
+          return;
+        }
+        // Push row by row: spreading a large chunk into push can overflow the stack
+        results.data.forEach(row => rows.push(row));
+        postProgress({
+          phase: 'parsing',
+          source,
+          rowsParsed: rows.length,
+          bytesParsed: results.meta.cursor,
+          totalBytes: file.size
+        });
+      },
+      complete: () => resolve(rows),
+      error: error => reject(new Error(`CSV parsing error: ${error.message}`))
+    });
+  });
+}
+
+/**
+ * Reads a swap rates file in either supported format
+ * @param {File} file - CSV or XLSX file
+ * @returns {Promise<Array>} Parsed rows
+ */
+async function readSwapFile(file) {
+  if (file.name.endsWith('.csv')) {
+    return parseCsv(file, 'swap');
+  }
+  if (file.name.endsWith('.xlsx')) {
+    postProgress({ phase: 'parsing', source: 'swap' });
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    return SwapWorkbook.readSwapWorkbook(workbook, file.name);
+  }
+  throw new Error('Unsupported swap rates file format. Please use CSV or XLSX.');
+}
+
+self.onmessage = async function (event) {
+  const { esisFile, swapFile, options } = event.data;
+
+  try {
+    const esisRows = await parseCsv(esisFile, 'esis');
+    const swapRows = await readSwapFile(swapFile);
+    const result = AnalysisPipeline.runPipeline(esisRows, swapRows, Object.assign({}, options, {
+      onProgress: postProgress
+    }));
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};